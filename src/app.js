@@ -12,6 +12,13 @@ const candidateRoutes = require('./routes/candidates');
 const scoreRoutes = require('./routes/scores');
 const interviewRoutes = require('./routes/interviews');
 const talentTalkRoutes = require('./routes/talentTalk');
+const skillRoutes = require('./routes/skills');
+const scoringRunRoutes = require('./routes/scoringRuns');
+const linguisticVariableRoutes = require('./routes/linguisticVariables');
+const pipelineTemplateRoutes = require('./routes/pipelineTemplates');
+const calibrationRoutes = require('./routes/calibration');
+const availabilityRoutes = require('./routes/availability');
+const offerRoutes = require('./routes/offers');
 
 // Initialize Express app
 const app = express();
@@ -33,6 +40,13 @@ app.use('/api/candidates', candidateRoutes);
 app.use('/api/scores', scoreRoutes);
 app.use('/api/interviews', interviewRoutes);
 app.use('/api/talent-talk', talentTalkRoutes);
+app.use('/api/skills', skillRoutes);
+app.use('/api/scoring-runs', scoringRunRoutes);
+app.use('/api/linguistic-variables', linguisticVariableRoutes);
+app.use('/api/pipeline-templates', pipelineTemplateRoutes);
+app.use('/api/calibration', calibrationRoutes);
+app.use('/api/availability', availabilityRoutes);
+app.use('/api/offers', offerRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -48,11 +62,37 @@ app.get('/api', (req, res) => {
     message: 'Welcome to the Candidate Scoring and Ranking API',
     endpoints: {
       jobs: {
-        getAllJobs: 'GET /api/jobs',
+        getAllJobs: 'GET /api/jobs?status=&includeDeleted=',
         getJob: 'GET /api/jobs/:id',
         createJob: 'POST /api/jobs',
+        updateJob: 'PUT /api/jobs/:id',
+        getJobStatus: 'GET /api/jobs/:id/status',
+        changeJobStatus: 'POST /api/jobs/:id/status',
+        restoreJob: 'POST /api/jobs/:id/restore',
         refineWeights: 'PUT /api/jobs/:id/refine-weights',
         finalizeWeights: 'PUT /api/jobs/:id/finalize-weights',
+        ahpWeights: 'PUT /api/jobs/:id/ahp-weights',
+        getChoquetCapacity: 'GET /api/jobs/:id/choquet-capacity',
+        setChoquetCapacity: 'PUT /api/jobs/:id/choquet-capacity',
+        deleteChoquetCapacity: 'DELETE /api/jobs/:id/choquet-capacity',
+        getRuleBase: 'GET /api/jobs/:id/rule-base',
+        setRuleBase: 'PUT /api/jobs/:id/rule-base',
+        deleteRuleBase: 'DELETE /api/jobs/:id/rule-base',
+        addRule: 'POST /api/jobs/:id/rule-base/rules',
+        updateRule: 'PUT /api/jobs/:id/rule-base/rules/:ruleId',
+        deleteRule: 'DELETE /api/jobs/:id/rule-base/rules/:ruleId',
+        evaluateRuleBase: 'POST /api/jobs/:id/rule-base/evaluate',
+        startDelphiPanel: 'POST /api/jobs/:id/delphi',
+        getDelphiPanel: 'GET /api/jobs/:id/delphi',
+        submitDelphiWeights: 'PUT /api/jobs/:id/delphi/submissions',
+        closeDelphiRound: 'POST /api/jobs/:id/delphi/rounds/close',
+        getDelphiFeedback: 'GET /api/jobs/:id/delphi/rounds/:round/feedback?member=name',
+        getPipeline: 'GET /api/jobs/:id/pipeline',
+        updatePipeline: 'PUT /api/jobs/:id/pipeline',
+        getStageRubric: 'GET /api/jobs/:id/pipeline/stages/:stage/rubric',
+        updateStageRubric: 'PUT /api/jobs/:id/pipeline/stages/:stage/rubric',
+        getAttributeConfig: 'GET /api/jobs/:id/attribute-config',
+        updateAttributeConfig: 'PUT /api/jobs/:id/attribute-config',
         deleteJob: 'DELETE /api/jobs/:id'
       },
       candidates: {
@@ -64,6 +104,8 @@ app.get('/api', (req, res) => {
         thresholdFilter: 'POST /api/candidates/job/:jobId/threshold-filter',
         extractAttributes: 'POST /api/candidates/:id/extract-attributes',
         updateStage: 'PUT /api/candidates/:id/stage/:stage',
+        getStatus: 'GET /api/candidates/:id/status',
+        changeStatus: 'POST /api/candidates/:id/status',
         rankCandidates: 'POST /api/candidates/job/:jobId/rank',
         getRankedCandidates: 'GET /api/candidates/job/:jobId/ranked',
         deleteCandidate: 'DELETE /api/candidates/:id'
@@ -72,10 +114,22 @@ app.get('/api', (req, res) => {
         getAllInterviews: 'GET /api/interviews',
         getInterview: 'GET /api/interviews/:id',
         scheduleInterview: 'POST /api/interviews',
-        updatePhoneScreen: 'PUT /api/interviews/:id/stage1',
-        updateCodingInterview: 'PUT /api/interviews/:id/stage2',
-        updateOnsiteInterview: 'PUT /api/interviews/:id/stage3',
-        cancelInterview: 'PUT /api/interviews/:id/cancel'
+        updateStage: 'PUT /api/interviews/:id/stages/:stage (no longer accepts date, use the booking endpoints)',
+        updateStageByPosition: 'PUT /api/interviews/:id/stage:n (legacy, nth stage of the pipeline, no longer accepts date)',
+        getStageScorecards: 'GET /api/interviews/:id/stages/:stage/scorecards',
+        submitScorecard: 'POST /api/interviews/:id/stages/:stage/scorecards',
+        deleteScorecard: 'DELETE /api/interviews/:id/stages/:stage/scorecards/:scorecardId',
+        getBooking: 'GET /api/interviews/:id/stages/:stage/booking',
+        bookStage: 'POST /api/interviews/:id/stages/:stage/booking',
+        rescheduleStage: 'PUT /api/interviews/:id/stages/:stage/booking',
+        cancelBooking: 'DELETE /api/interviews/:id/stages/:stage/booking',
+        exportBooking: 'GET /api/interviews/:id/stages/:stage/booking.ics',
+        interviewerCalendar: 'GET /api/interviews/calendar/interviewers/:interviewer.ics',
+        candidateCalendar: 'GET /api/interviews/calendar/candidates/:candidateId.ics',
+        cancelInterview: 'PUT /api/interviews/:id/cancel',
+        reopenInterview: 'PUT /api/interviews/:id/reopen',
+        reportStageDrift: 'GET /api/interviews/reconcile?jobId=&candidateId=',
+        repairStageDrift: 'POST /api/interviews/reconcile'
       },
       scores: {
         calculateInitialScores: 'POST /api/scores/initial/:jobId',
@@ -83,11 +137,67 @@ app.get('/api', (req, res) => {
         getShortlistedCandidates: 'GET /api/scores/shortlisted/:jobId',
         calculateStageScore: 'POST /api/scores/stage/:id',
         calculateFinalScores: 'POST /api/scores/final/:jobId',
-        getRanking: 'GET /api/scores/ranking/:jobId'
+        simulateInitialScores: 'POST /api/scores/simulate/initial/:jobId',
+        simulateFinalScores: 'POST /api/scores/simulate/final/:jobId',
+        analyzeWeightSensitivity: 'POST /api/scores/sensitivity/:jobId',
+        calculateRuleBasedScores: 'POST /api/scores/rules/:jobId',
+        getRanking: 'GET /api/scores/ranking/:jobId',
+        explainScores: 'GET /api/scores/explain/:candidateId'
       },
       talentTalk: {
         chatWithTalentTalk: 'POST /api/talent-talk/chat',
         getTalentTalkStatus: 'GET /api/talent-talk/status'
+      },
+      skills: {
+        getSkillOntology: 'GET /api/skills',
+        normalizeSkills: 'POST /api/skills/normalize',
+        upsertSkill: 'PUT /api/skills/:skillId',
+        deleteSkill: 'DELETE /api/skills/:skillId'
+      },
+      scoringRuns: {
+        listScoringRuns: 'GET /api/scoring-runs/job/:jobId?type=initial|final',
+        getScoringRun: 'GET /api/scoring-runs/:id',
+        diffScoringRuns: 'GET /api/scoring-runs/:id/diff/:otherId'
+      },
+      linguisticVariables: {
+        getLinguisticVariables: 'GET /api/linguistic-variables',
+        getLinguisticVariable: 'GET /api/linguistic-variables/:name',
+        upsertLinguisticVariable: 'PUT /api/linguistic-variables/:name',
+        fuzzifyValue: 'POST /api/linguistic-variables/:name/fuzzify',
+        deleteLinguisticVariable: 'DELETE /api/linguistic-variables/:name'
+      },
+      pipelineTemplates: {
+        getPipelineTemplates: 'GET /api/pipeline-templates',
+        getPipelineTemplate: 'GET /api/pipeline-templates/:name',
+        upsertPipelineTemplate: 'PUT /api/pipeline-templates/:name',
+        deletePipelineTemplate: 'DELETE /api/pipeline-templates/:name'
+      },
+      calibration: {
+        calibrateInterviewers: 'POST /api/calibration',
+        getLatestCalibration: 'GET /api/calibration/latest?jobId=',
+        getInterviewerCalibration: 'GET /api/calibration/interviewers/:interviewer?jobId=',
+        getCalibration: 'GET /api/calibration/:id'
+      },
+      availability: {
+        getAllAvailability: 'GET /api/availability',
+        getAvailability: 'GET /api/availability/:interviewer',
+        setAvailability: 'PUT /api/availability/:interviewer',
+        deleteAvailability: 'DELETE /api/availability/:interviewer',
+        getSlots: 'GET /api/availability/:interviewer/slots?from=&to=&durationMinutes='
+      },
+      offers: {
+        listOffers: 'GET /api/offers?jobId=&candidateId=&status=',
+        getAcceptanceReport: 'GET /api/offers/reports/acceptance?jobId=',
+        getOffer: 'GET /api/offers/:id',
+        createOffer: 'POST /api/offers',
+        reviseOffer: 'PUT /api/offers/:id',
+        submitOffer: 'POST /api/offers/:id/submit',
+        decideApproval: 'POST /api/offers/:id/approvals',
+        sendOffer: 'POST /api/offers/:id/send',
+        acceptOffer: 'POST /api/offers/:id/accept',
+        declineOffer: 'POST /api/offers/:id/decline',
+        counterOffer: 'POST /api/offers/:id/counter',
+        rescindOffer: 'POST /api/offers/:id/rescind'
       }
     },
     requestBodies: {
@@ -97,14 +207,92 @@ app.get('/api', (req, res) => {
           description: "String (required)",
           department: "String (required)",
           location: "String (required)",
-          criteria: "Array of objects with name and weight properties (required)",
-          usesMultipleHR: "Boolean (optional)"
+          criteria: "Array of objects with name and weight properties (required); targetValue may reference a linguistic term, e.g. { variable: 'experience', is: 'senior' }",
+          usesMultipleHR: "Boolean (optional)",
+          attributeConfig: "Object (optional) - Resume-to-attributes overrides, see updateAttributeConfig",
+          pipelineTemplate: "String (optional, default 'three-stage') - Interview pipeline template the job's stages are copied from",
+          status: "String: 'draft' or 'open' (optional, default 'open')",
+          headcount: "Integer, number of openings (optional, default 1)"
+        },
+        updateJob: {
+          title: "String (optional)",
+          description: "String (optional)",
+          department: "String (optional)",
+          location: "String (optional)",
+          criteria: "Array of objects with name and weight properties (optional); changed criteria replace the weights and mark existing scores stale",
+          headcount: "Integer, not below the openings already filled (optional)",
+          usesMultipleHR: "Boolean (optional)",
+          changedBy: "String (optional)"
+        },
+        changeJobStatus: {
+          status: "String: 'draft', 'open', 'on-hold', 'closed' or 'filled' (required)",
+          reason: "String (required)",
+          changedBy: "String (optional)",
+          closePipeline: "Boolean, when closing or filling: reject active candidates, rescind open offers and cancel upcoming interviews (optional, default false)"
+        },
+        deleteJob: {
+          reason: "String (optional)",
+          changedBy: "String (optional)"
         },
         refineWeights: {
           hrWeights: "Array of weight objects from multiple HR professionals"
         },
         finalizeWeights: {
           weights: "Object with criteria names as keys and weight values (0-1)"
+        },
+        ahpWeights: {
+          matrix: "Square pairwise comparison matrix on the 1/9-9 scale, reciprocal, 1 on the diagonal (required)",
+          criteria: "Array of criterion names giving the matrix order (optional, defaults to the job's criteria order)",
+          crThreshold: "Number between 0-1, maximum consistency ratio (optional, default 0.1)"
+        },
+        setChoquetCapacity: {
+          mobius: "Object { singletons: { criterion: weight }, interactions: [{ criteria: [a, b], value }] } (2-additive Möbius form; either this or ranking)",
+          ranking: "Array of candidate ids, best first, to learn the capacity from their initial fuzzy degrees (either this or mobius)",
+          margin: "Number between 0-0.5, score gap the learned capacity aims for between ranked candidates (optional, default 0.02)"
+        },
+        setRuleBase: {
+          inputs: "Array of { name, source: 'attribute' | 'stage' | 'score', key, min, max, terms } (required); stage keys are a pipeline stage ('codingInterview') or one of its dimensions ('codingInterview.problemSolving')",
+          output: "Object { name, min, max, terms } (required)",
+          terms: "Array of { name, type: 'triangular' (a, b, c) | 'trapezoidal' (a, b, c, d) | 'gaussian' (mean, sigma) }",
+          rules: "Array of rules as for addRule (optional)"
+        },
+        addRule: {
+          if: "Array of { variable, is, not } conditions (required)",
+          operator: "String: 'and' (min) or 'or' (max) (optional, default and)",
+          then: "Object { is: output term } for Mamdani and/or { constant, coefficients: { input: number } } for Takagi-Sugeno (required)",
+          weight: "Number between 0-1 (optional, default 1)",
+          description: "String (optional)"
+        },
+        evaluateRuleBase: {
+          inputs: "Object mapping input variable names to crisp values (required)",
+          engine: "String: 'mamdani' or 'sugeno' (optional, default mamdani)",
+          defuzzifier: "String: 'centroid', 'mom' or 'fom' for mamdani; 'weighted-average' or 'weighted-sum' for sugeno (optional)"
+        },
+        updatePipeline: {
+          template: "String, name of a pipeline template to copy (either this or stages)",
+          stages: "Array of pipeline stages as for upsertPipelineTemplate (either this or template)"
+        },
+        updateStageRubric: {
+          competencies: "Array of { key, name, weight, anchors: [{ level, description }] }, the stage's score dimensions (required)",
+          scale: "Array of { level, name, fuzzy: [l, m, u] } rating levels, lowest first (optional, keeps the current scale; default weak, below, meets, strong, exceptional)"
+        },
+        startDelphiPanel: {
+          members: "Array of HR member names (at least two)",
+          convergenceThreshold: "Number between 0-1, max coefficient of variation for consensus (optional, default 0.2)",
+          maxRounds: "Integer 1-20 (optional, default 5)"
+        },
+        submitDelphiWeights: {
+          member: "String, name of a panel member (required)",
+          weights: "Object with criteria names as keys and non-negative weights (required)"
+        },
+        updateAttributeConfig: {
+          attributeConfig: {
+            skillCategories: "Object mapping category names to skill keywords, counted as <category>_count (optional)",
+            roleTypes: "Object mapping role types to { keywords, requires } (optional)",
+            educationLevels: "Array of { name, keywords, score } (optional, replaces the default scale)",
+            degreeFields: "Object mapping flags to field-of-study keywords, set as has_<flag> (optional)",
+            criterionMappings: "Object mapping criterion keywords to { attribute, scale } or { source: 'educationLevel' } (optional)"
+          }
         }
       },
       candidates: {
@@ -125,9 +313,11 @@ app.get('/api', (req, res) => {
         },
         uploadParseScore: {
           jobId: "String (required)",
-          resume: "File upload (required) - PDF, DOC, or DOCX resume file",
+          resume: "File upload (required) - PDF, DOC or DOCX resume file (other types are rejected with 415; the local parser also rejects DOC with 415)",
           fuzzyFactor: "Number between 0-1 (optional, default: 0.2)",
-          membershipType: "String: 'triangular' (default), 'simple', 'trapezoidal', 'gaussian' (optional)"
+          membershipType: "String: 'triangular' (default), 'simple', 'trapezoidal', 'gaussian' (optional)",
+          parser: "String: name of a registered parser adapter, e.g. 'local' or 'remote' (optional, default: RESUME_PARSER_MODE or 'local')",
+          fallbackToRemote: "Boolean (optional) - Use the remote parser if local parsing fails"
         },
         thresholdFilter: {
           thresholds: "Object with criteria thresholds"
@@ -137,11 +327,29 @@ app.get('/api', (req, res) => {
           membershipType: "String: 'simple', 'triangular', 'trapezoidal', 'gaussian' (optional)",
           fuzzyFactor: "Number between 0-1 (optional)"
         },
+        updateStage: {
+          completed: "Boolean (optional)",
+          score: "Number between 0-1 (optional)",
+          notes: "String (optional)",
+          dimensions: "Object mapping the stage's score dimensions to scores between 0-1 (optional)",
+          specificScore: "Number between 0-1, score of the stage's first dimension (optional)",
+          disagreement: "Number between 0-1, spread between interviewers' ratings; widens the it2 interval (optional)",
+          expectedRevision: "Integer, the stage revision the change is based on; rejected with a 409 if the results changed since (optional)"
+        },
+        changeStatus: {
+          status: "String: 'applied', 'screening', 'interviewing', 'offer', 'hired', 'rejected', 'withdrawn' or 'on-hold' (required)",
+          reason: "String, why the status changes (required)",
+          changedBy: "String, who changes it (optional)"
+        },
         rankCandidates: {
-          stageWeights: "Object with weights for each interview stage",
-          rankingMethod: "String: 'wsm' or 'owa' (optional)",
+          stageWeights: "Object with weights for stages of the job's pipeline (optional, defaults to the stages' default weights)",
+          rankingMethod: "String: 'wsm', 'owa', 'topsis', 'fuzzy-topsis' or 'it2' (optional)",
           owaWeights: "Array of weight values (optional)",
-          strategy: "String: 'optimistic', 'balanced', 'pessimistic' (optional)"
+          strategy: "String: 'optimistic', 'balanced', 'pessimistic' (optional)",
+          quantifier: "String: 'there-exists', 'at-least-half', 'most', 'as-many-as-possible' or 'all', generates the OWA weights (optional)",
+          orness: "Number between 0-1, generates maximum-entropy OWA weights with this orness (optional, not with quantifier)",
+          fuzzySpread: "Number between 0-0.5, triangular spread for fuzzy-topsis (optional, default 0.1)",
+          fouScale: "Number between 0-1, interval width of a score with no confidence for it2 (optional, default 0.5)"
         }
       },
       interviews: {
@@ -149,21 +357,46 @@ app.get('/api', (req, res) => {
           candidateId: "String (required)",
           jobId: "String (required)",
           scheduledDate: "ISO8601 Date (required)",
-          stages: "Object (optional)"
+          stages: "Object keyed by pipeline stage, e.g. { phoneScreen: { scheduled: true } } or { phoneScreen: { date, endDate, timeZone, interviewer, location } } (optional); scheduled stages must have an open gate and a free slot. Results (completed, dimensions, ratings, notes) go through the same checks as a stage update; other stage fields are ignored"
         },
-        updateStages: {
+        updateStage: {
           completed: "Boolean (required)",
+          dimensions: "Object mapping the stage's score dimensions to scores between 0-1 (optional)",
+          ratings: "Object mapping rubric competencies to rating levels, e.g. { problemSolving: 'strong' } (optional)",
           notes: "String (optional)",
-          date: "Date (optional)",
-          interviewer: "String (optional)"
+          interviewer: "String (optional); a booked stage's interviewer is changed by rescheduling its booking",
+          expectedRevision: "Integer, the stage revision the change is based on; rejected with a 409 if the results changed since (optional)"
+        },
+        submitScorecard: {
+          interviewer: "String (required), replaces this interviewer's earlier scorecard for the stage",
+          scores: "Object mapping rubric competencies to ratings between 0-1 (either this or ratings)",
+          ratings: "Object mapping rubric competencies to rating levels such as 'meets' or 'strong' (either this or scores)",
+          notes: "String (optional)",
+          reliabilityMethod: "String: 'krippendorff' or 'icc' (optional, default krippendorff)"
+        },
+        bookStage: {
+          interviewer: "String (required; optional when rescheduling)",
+          start: "ISO8601 date-time, with an offset or as local time in timeZone (required)",
+          end: "ISO8601 date-time (optional, default start + durationMinutes)",
+          durationMinutes: "Integer between 5-480 (optional, default 60)",
+          timeZone: "String, IANA time zone of local times (optional, default the interviewer's, else the candidate's)",
+          location: "String (optional)",
+          reason: "String (required when rescheduling or cancelling)",
+          changedBy: "String (optional)"
         }
       },
       scores: {
         calculateInitialScores: {
-          targetValues: "Object with ideal values for attributes",
+          targetValues: "Object with ideal values for attributes, or linguistic term references such as { variable: 'experience', is: 'senior' }",
           fuzzyFactor: "Number between 0-1 (optional)",
           membershipType: "String (optional)",
-          confidenceWeights: "Object (optional)"
+          confidenceWeights: "Object (optional)",
+          aggregationMethod: "String: 'wsm', 'owa', 'choquet' or 'it2' (optional, defaults to choquet when the job has a capacity)",
+          fouScale: "Number between 0-1, interval width of a score with no confidence for it2 (optional, default 0.5)",
+          strategyProfile: "String: 'optimistic', 'balanced', 'pessimistic', 'custom' (optional, owa only)",
+          owaWeights: "Array of weight values (optional, owa with custom strategy)",
+          quantifier: "String: 'there-exists', 'at-least-half', 'most', 'as-many-as-possible' or 'all', generates the OWA weights (optional)",
+          orness: "Number between 0-1, generates maximum-entropy OWA weights with this orness (optional, not with quantifier)"
         },
         shortlistCandidates: {
           threshold: "Number between 0-1 (required)",
@@ -173,20 +406,151 @@ app.get('/api', (req, res) => {
           thresholdFuzzyFactor: "Number between 0-0.5 (optional)"
         },
         calculateStageScore: {
-          stage: "String: phoneScreen, codingInterview, or onsiteInterview"
+          stage: "String, a stage of the job's pipeline (required); scored from its rubric, or from its scorecards when it has any",
+          reliabilityMethod: "String: 'krippendorff' or 'icc', used when the stage has scorecards (optional)",
+          calibrate: "Boolean, adjust interviewer scores with the latest calibration before aggregating them (optional, default false)",
+          calibrationId: "String, calibration to adjust with instead of the latest (optional, implies calibrate)"
         },
         calculateFinalScores: {
-          stageWeights: "Object with weights for each interview stage",
-          aggregationMethod: "String: 'wsm' or 'owa' (optional)",
+          stageWeights: "Object with weights for stages of the job's pipeline (missing stages use their default weight)",
+          aggregationMethod: "String: 'wsm', 'owa', 'topsis', 'fuzzy-topsis' or 'it2' (optional)",
+          strategyProfile: "String: 'optimistic', 'balanced', 'pessimistic', 'custom' (optional)",
+          owaWeights: "Array of weight values (optional)",
+          alphaCutThreshold: "Number between 0-1 (optional, wsm and owa only; rejected with topsis, fuzzy-topsis or it2)",
+          fuzzySpread: "Number between 0-0.5, triangular spread for fuzzy-topsis (optional, default 0.1)",
+          fouScale: "Number between 0-1, interval width of a score with no confidence for it2 (optional, default 0.5)",
+          quantifier: "String: 'there-exists', 'at-least-half', 'most', 'as-many-as-possible' or 'all', generates the OWA weights (optional)",
+          orness: "Number between 0-1, generates maximum-entropy OWA weights with this orness (optional, not with quantifier)"
+        },
+        simulateInitialScores: {
+          targetValues: "Object (optional, defaults to the latest initial run)",
+          fuzzyFactor: "Number between 0-1 (optional)",
+          membershipType: "String (optional)",
+          confidenceWeights: "Object (optional)",
+          weights: "Object with proposed criteria weights (optional, defaults to the job's weights)",
+          aggregationMethod: "String: 'wsm', 'owa', 'choquet' or 'it2' (optional)",
+          fouScale: "Number between 0-1, interval width of a score with no confidence for it2 (optional)",
+          strategyProfile: "String (optional, owa only)",
+          owaWeights: "Array of weight values (optional)",
+          quantifier: "String: 'there-exists', 'at-least-half', 'most', 'as-many-as-possible' or 'all', generates the OWA weights (optional)",
+          orness: "Number between 0-1, generates maximum-entropy OWA weights with this orness (optional, not with quantifier)"
+        },
+        simulateFinalScores: {
+          stageWeights: "Object (optional, defaults to the latest final run)",
+          aggregationMethod: "String: 'wsm', 'owa', 'topsis', 'fuzzy-topsis' or 'it2' (optional)",
           strategyProfile: "String: 'optimistic', 'balanced', 'pessimistic', 'custom' (optional)",
           owaWeights: "Array of weight values (optional)",
-          alphaCutThreshold: "Number between 0-1 (optional)"
+          alphaCutThreshold: "Number between 0-1 (optional, wsm and owa only; rejected with topsis, fuzzy-topsis or it2)",
+          fuzzySpread: "Number between 0-0.5, triangular spread for fuzzy-topsis (optional, default 0.1)",
+          fouScale: "Number between 0-1, interval width of a score with no confidence for it2 (optional, default 0.5)",
+          quantifier: "String: 'there-exists', 'at-least-half', 'most', 'as-many-as-possible' or 'all', generates the OWA weights (optional)",
+          orness: "Number between 0-1, generates maximum-entropy OWA weights with this orness (optional, not with quantifier)"
+        },
+        calculateRuleBasedScores: {
+          engine: "String: 'mamdani' or 'sugeno' (optional, default mamdani)",
+          defuzzifier: "String: 'centroid', 'mom' or 'fom' for mamdani; 'weighted-average' or 'weighted-sum' for sugeno (optional)"
+        },
+        analyzeWeightSensitivity: {
+          level: "String: 'criteria', 'stages' or 'both' (optional, default both)",
+          range: "Number between 0.01-1, largest relative weight change (optional, default 0.5)",
+          steps: "Integer 1-20, perturbation steps on each side (optional, default 5)",
+          topN: "Integer, size of the top group checked for stability (optional, default 3)",
+          otherFields: "Initial and final scoring parameters as for the simulate endpoints (optional)"
         }
       },
       talentTalk: {
         chat: {
           user_input: "String (required) - The query or message to send to TalentTalk"
         }
+      },
+      skills: {
+        normalizeSkills: {
+          skills: "Array of raw skill names (required)"
+        },
+        upsertSkill: {
+          name: "String (required) - Display name",
+          aliases: "Array of alternative spellings (optional)",
+          parents: "Array of parent skill ids, e.g. ['react'] for Next.js (optional)"
+        }
+      },
+      linguisticVariables: {
+        upsertLinguisticVariable: {
+          description: "String (optional)",
+          unit: "String (optional)",
+          domain: "Object { min, max } (required)",
+          terms: "Array of { name, shape } with triangular (a, b, c), trapezoidal (a, b, c, d), gaussian (mean, sigma), generalized-bell (center, width, slope), sigmoid (center, slope) or piecewise-linear (points: [{ x, y }]) parameters (required)"
+        },
+        fuzzifyValue: {
+          value: "Number (required)"
+        }
+      },
+      pipelineTemplates: {
+        upsertPipelineTemplate: {
+          description: "String (optional)",
+          stages: "Array of { key, name, statusLabel, defaultWeight (0-1), dimensions: [{ key, name, weight, anchors }], rubric: { scale }, gating: { after: [earlier stage keys], minScore, minConfidence } } in interview order (required)"
+        }
+      },
+      calibration: {
+        calibrateInterviewers: {
+          method: "String: 'zscore' or 'rasch' (optional, default 'zscore')",
+          jobId: "String, calibrate from one job's interviews only (optional, default all interviews)",
+          minObservations: "Integer, ratings an interviewer needs before their scores are adjusted (optional, default 5)",
+          driftWindow: "Integer, most recent ratings compared with the earlier ones for drift (optional, default 10)",
+          driftThreshold: "Number between 0-1, leniency change that flags an interviewer (optional, default 0.1)"
+        }
+      },
+      availability: {
+        setAvailability: {
+          timeZone: "String, IANA time zone such as 'Europe/Berlin' (required)",
+          weeklyHours: "Array of { day (0 = Sunday ... 6), start: 'HH:mm', end: 'HH:mm' } in the time zone (optional)",
+          windows: "Array of { start, end } extra available periods (optional)",
+          blackouts: "Array of { start, end, reason } unavailable periods (optional)"
+        }
+      },
+      offers: {
+        createOffer: {
+          candidateId: "String (required)",
+          compensation: "Array of { type: 'base', 'bonus', 'equity', 'signing', 'allowance' or 'other', amount, currency (default 'USD'), frequency: 'annual' (default), 'monthly', 'hourly' or 'one-time', description } (required)",
+          startDate: "Date (optional)",
+          expiresAt: "Date, required before the offer is sent (optional)",
+          notes: "String (optional)",
+          approvers: "Array of names who approve the offer, in order (optional)",
+          changedBy: "String (optional)"
+        },
+        reviseOffer: {
+          compensation: "Array of compensation components (optional)",
+          startDate: "Date (optional)",
+          expiresAt: "Date (optional)",
+          notes: "String (optional)",
+          approvers: "Array of names, replaces the approval chain (optional)",
+          reason: "String (optional)",
+          changedBy: "String (optional)"
+        },
+        decideApproval: {
+          approver: "String, must be the next approver in the chain (required)",
+          decision: "String: 'approved' or 'rejected' (required)",
+          comment: "String (optional)"
+        },
+        acceptOffer: {
+          closePipeline: "Boolean, once the hire fills the job: reject the job's other active candidates, rescind their offers and cancel their interviews (optional, default false)",
+          reason: "String (optional)",
+          changedBy: "String (optional)"
+        },
+        declineOffer: {
+          reason: "String (required)",
+          changedBy: "String (optional)"
+        },
+        counterOffer: {
+          compensation: "Array of compensation components the candidate asks for (optional)",
+          startDate: "Date (optional)",
+          notes: "String (optional, one of compensation, startDate or notes is required)",
+          reason: "String (optional)",
+          changedBy: "String (optional)"
+        },
+        rescindOffer: {
+          reason: "String (required)",
+          changedBy: "String (optional)"
+        }
       }
     },
     exampleRequests: {
@@ -228,6 +592,11 @@ app.get('/api', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Errors raised with a client status (e.g. a rejected upload) are reported as such
+  if (err.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+
   console.error(err.stack);
   res.status(500).json({
     message: 'An unexpected error occurred',
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Recurring working hours on one weekday, as local times in the interviewer's time zone
+const weeklyHoursSchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday
+  day: {
+    type: Number,
+    min: 0,
+    max: 6,
+    required: true
+  },
+  start: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  end: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  }
+}, { _id: false });
+
+// One-off period in which the interviewer is available or unavailable
+const intervalSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// When an interviewer can be booked (see utils/scheduling)
+const availabilitySchema = new mongoose.Schema({
+  interviewer: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  // IANA time zone of the weekly hours and of dates given without an offset
+  timeZone: {
+    type: String,
+    required: true,
+    default: 'UTC'
+  },
+  weeklyHours: [weeklyHoursSchema],
+  // Extra available periods outside the weekly hours
+  windows: [intervalSchema],
+  // Periods in which the interviewer cannot be booked (holidays, training)
+  blackouts: [intervalSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before saving
+availabilitySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Availability = mongoose.model('Availability', availabilitySchema);
+
+module.exports = Availability;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Leniency, spread and drift of one interviewer's ratings (see utils/calibration)
+const interviewerCalibrationSchema = new mongoose.Schema({
+  interviewer: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  observations: {
+    type: Number,
+    min: 0
+  },
+  // Whether the interviewer had enough ratings for their scores to be adjusted
+  calibrated: {
+    type: Boolean,
+    default: false
+  },
+  // Mean amount by which the interviewer rates above (positive) or below the pool, on the 0-1 scale
+  leniency: Number,
+  // Shrunk mean and standard deviation used by the z-score model
+  mean: Number,
+  sd: Number,
+  // Severity on the logit scale and infit mean square from the many-facet Rasch model
+  severity: Number,
+  infit: Number,
+  distribution: mongoose.Schema.Types.Mixed,
+  stages: [String],
+  jobs: Number,
+  drift: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Snapshot of one call to POST /api/calibration, used to adjust stage scores before aggregation
+const calibrationSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['zscore', 'rasch'],
+    required: true
+  },
+  // Only set when the calibration was built from one job's interviews
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    index: true
+  },
+  // minObservations, driftWindow and driftThreshold
+  parameters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Size, mean and standard deviation of the pooled ratings
+  global: {
+    observations: Number,
+    interviewers: Number,
+    mean: Number,
+    sd: Number
+  },
+  interviewers: [interviewerCalibrationSchema],
+  // Interviewers whose leniency drifted past the threshold
+  flagged: [{
+    _id: false,
+    interviewer: String,
+    change: Number,
+    direction: String
+  }],
+  // Rubric item (stage.competency) difficulties on the logit scale from the Rasch model
+  items: [{
+    _id: false,
+    item: String,
+    difficulty: Number
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before saving
+calibrationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Calibration = mongoose.model('Calibration', calibrationSchema);
+
+module.exports = Calibration;
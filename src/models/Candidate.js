@@ -1,5 +1,60 @@
 const mongoose = require('mongoose');
 
+// A candidate's progress and scores in one interview stage
+const stageSchema = new mongoose.Schema({
+  completed: { type: Boolean, default: false },
+  score: { type: Number, min: 0, max: 1 },
+  notes: String,
+  confidence: { type: Number, min: 0, max: 1 },
+  // Spread between interviewers' ratings; widens the stage's interval type-2 score
+  disagreement: { type: Number, min: 0, max: 1 },
+  // Inter-rater reliability behind the confidence when the stage was scored from scorecards
+  reliability: mongoose.Schema.Types.Mixed,
+  // Scores for the stage's dimensions as defined in the job's pipeline
+  dimensions: {
+    type: Map,
+    of: { type: Number, min: 0, max: 1 }
+  },
+  // Linguistic rating levels behind the dimension scores and the rubric version they used
+  ratings: {
+    type: Map,
+    of: String
+  },
+  rubricVersion: Number,
+  // Interviewer calibration applied to the score (see utils/calibration): raw and adjusted score
+  calibration: mongoose.Schema.Types.Mixed,
+  // Revision of the results; for results copied from an interview, the interview stage's revision
+  revision: Number,
+  // Interview the results were copied from (see utils/stageSync); unset for results recorded only here
+  syncedFrom: {
+    interviewId: { type: mongoose.Schema.Types.ObjectId, ref: 'Interview' },
+    revision: Number,
+    syncedAt: Date
+  }
+}, { _id: false });
+
+// One status change (see utils/candidateStatus); entries are only ever appended
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  changedBy: {
+    type: String,
+    trim: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const candidateSchema = new mongoose.Schema({
   firstName: {
     type: String,
@@ -22,6 +77,11 @@ const candidateSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // IANA time zone interview times are shown in
+  timeZone: {
+    type: String,
+    trim: true
+  },
   resumeUrl: {
     type: String,
     trim: true
@@ -59,36 +119,49 @@ const candidateSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Progress and scores per interview stage, keyed by the stage keys of the job's pipeline
   stages: {
-    phoneScreen: {
-      completed: { type: Boolean, default: false },
-      score: { type: Number, min: 0, max: 1 },
-      notes: String,
-      communicationSkillScore: { type: Number, min: 0, max: 1 }
-    },
-    codingInterview: {
-      completed: { type: Boolean, default: false },
-      score: { type: Number, min: 0, max: 1 },
-      notes: String,
-      problemSolvingScore: { type: Number, min: 0, max: 1 }
-    },
-    onsiteInterview: {
-      completed: { type: Boolean, default: false },
-      score: { type: Number, min: 0, max: 1 },
-      notes: String,
-      systemDesignScore: { type: Number, min: 0, max: 1 }
-    }
+    type: Map,
+    of: stageSchema,
+    default: {}
   },
   finalScore: {
     type: Number,
     min: 0,
     max: 1
   },
+  // Score from the job's fuzzy rule base (see utils/fuzzyRuleBase)
+  ruleBasedScore: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  // How each score was computed (see utils/scoreExplanation): per-criterion
+  // breakdown of the initial and stage scores, per-stage breakdown of the final score
+  scoreBreakdown: {
+    initial: mongoose.Schema.Types.Mixed,
+    stages: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed
+    },
+    final: mongoose.Schema.Types.Mixed,
+    ruleBased: mongoose.Schema.Types.Mixed
+  },
+  // Set when the job's criteria changed after the candidate was scored; cleared when the initial score is recalculated
+  scoresStale: {
+    type: Boolean,
+    default: false
+  },
+  scoresStaleSince: Date,
+  // Changed only through utils/candidateStatus, which checks the move and records it in statusHistory
   status: {
     type: String,
-    enum: ['applied', 'screening', 'interviewing', 'offer', 'hired', 'rejected'],
+    enum: ['applied', 'screening', 'interviewing', 'offer', 'hired', 'rejected', 'withdrawn', 'on-hold'],
     default: 'applied'
   },
+  // Status a candidate on hold returns to
+  previousStatus: String,
+  statusHistory: [statusChangeSchema],
   createdAt: {
     type: Date,
     default: Date.now
@@ -102,6 +175,10 @@ const candidateSchema = new mongoose.Schema({
 // Update the updatedAt timestamp before saving
 candidateSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  // Start the status history with the status the candidate was created with
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, reason: 'Candidate created' });
+  }
   next();
 });
 
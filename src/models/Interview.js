@@ -1,5 +1,93 @@
 const mongoose = require('mongoose');
 
+// One interviewer's ratings for a stage; scores maps the rubric's competencies to 0-1 ratings
+const scorecardSchema = new mongoose.Schema({
+  interviewer: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  scores: {
+    type: Map,
+    of: { type: Number, min: 0, max: 1 }
+  },
+  // Linguistic rating levels the scores were taken from (see utils/rubrics)
+  ratings: {
+    type: Map,
+    of: String
+  },
+  // Version of the stage rubric the scorecard was filled in against
+  rubricVersion: Number,
+  notes: String,
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Stage score aggregated from the scorecards (see utils/interRater)
+const consensusSchema = new mongoose.Schema({
+  score: { type: Number, min: 0, max: 1 },
+  confidence: { type: Number, min: 0, max: 1 },
+  disagreement: { type: Number, min: 0, max: 1 },
+  reliability: mongoose.Schema.Types.Mixed,
+  items: mongoose.Schema.Types.Mixed,
+  rubricVersions: [Number],
+  computedAt: Date
+}, { _id: false });
+
+// One change to a stage's booking; the history is append-only
+const bookingChangeSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['booked', 'rescheduled', 'cancelled'],
+    required: true
+  },
+  date: Date,
+  endDate: Date,
+  interviewer: String,
+  previousDate: Date,
+  previousEndDate: Date,
+  previousInterviewer: String,
+  reason: String,
+  changedBy: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Scheduling and results of one interview stage
+const interviewStageSchema = new mongoose.Schema({
+  scheduled: { type: Boolean, default: false },
+  completed: { type: Boolean, default: false },
+  // Booked slot (stored in UTC) and the time zone it was booked in
+  date: Date,
+  endDate: Date,
+  timeZone: String,
+  location: String,
+  interviewer: String,
+  // Revision of the booking, exported as the iCalendar SEQUENCE
+  sequence: { type: Number, default: 0 },
+  bookingHistory: [bookingChangeSchema],
+  // Scores for the stage's dimensions as defined in the job's pipeline
+  dimensions: {
+    type: Map,
+    of: { type: Number, min: 0, max: 1 }
+  },
+  // Linguistic rating levels behind the dimension scores and the rubric version they used
+  ratings: {
+    type: Map,
+    of: String
+  },
+  rubricVersion: Number,
+  notes: String,
+  // Goes up with every change to the stage's results (see utils/stageSync)
+  revision: { type: Number, default: 0 },
+  scorecards: [scorecardSchema],
+  consensus: consensusSchema
+}, { _id: false });
+
 const interviewSchema = new mongoose.Schema({
   candidateId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,37 +103,21 @@ const interviewSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Interview stages keyed by the stage keys of the job's pipeline
   stages: {
-    phoneScreen: {
-      scheduled: { type: Boolean, default: false },
-      completed: { type: Boolean, default: false },
-      date: Date,
-      interviewer: String,
-      communicationScore: { type: Number, min: 0, max: 1 },
-      notes: String
-    },
-    codingInterview: {
-      scheduled: { type: Boolean, default: false },
-      completed: { type: Boolean, default: false },
-      date: Date,
-      interviewer: String,
-      problemSolvingScore: { type: Number, min: 0, max: 1 },
-      notes: String
-    },
-    onsiteInterview: {
-      scheduled: { type: Boolean, default: false },
-      completed: { type: Boolean, default: false },
-      date: Date,
-      interviewer: String,
-      systemDesignScore: { type: Number, min: 0, max: 1 },
-      notes: String
-    }
+    type: Map,
+    of: interviewStageSchema,
+    default: {}
   },
   status: {
     type: String,
     enum: ['scheduled', 'in-progress', 'completed', 'cancelled'],
     default: 'scheduled'
   },
+  cancelReason: {
+    type: String,
+    trim: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -62,20 +134,16 @@ interviewSchema.pre('save', function(next) {
   next();
 });
 
-// Check if all stages are completed and update status
+// Check if all stages are completed and update status (a cancelled interview stays cancelled)
 interviewSchema.pre('save', function(next) {
-  const allStagesCompleted = 
-    this.stages.phoneScreen.completed && 
-    this.stages.codingInterview.completed && 
-    this.stages.onsiteInterview.completed;
+  if (this.status === 'cancelled') {
+    return next();
+  }
 
-  if (allStagesCompleted) {
+  const stages = [...this.stages.values()];
+  if (stages.length > 0 && stages.every(stage => stage.completed)) {
     this.status = 'completed';
-  } else if (
-    this.stages.phoneScreen.completed || 
-    this.stages.codingInterview.completed || 
-    this.stages.onsiteInterview.completed
-  ) {
+  } else if (stages.some(stage => stage.completed)) {
     this.status = 'in-progress';
   }
 
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const PipelineTemplate = require('./PipelineTemplate');
+const { defaultPipeline } = require('../utils/pipelines');
 
 const criterionSchema = new mongoose.Schema({
   name: {
@@ -22,6 +24,223 @@ const criterionSchema = new mongoose.Schema({
   }
 });
 
+// Per-job overrides for the resume-to-attributes mapping engine (see utils/attributeExtraction)
+const attributeConfigSchema = new mongoose.Schema({
+  skillCategories: {
+    type: Map,
+    of: [String]
+  },
+  roleTypes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  educationLevels: [{
+    name: { type: String, required: true, trim: true },
+    keywords: [String],
+    score: { type: Number, min: 0, max: 1 }
+  }],
+  degreeFields: {
+    type: Map,
+    of: [String]
+  },
+  criterionMappings: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+// One HR member's weights for a Delphi round
+const delphiSubmissionSchema = new mongoose.Schema({
+  member: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  weights: {
+    type: Map,
+    of: Number
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const delphiRoundSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  submissions: [delphiSubmissionSchema],
+  // Anonymised statistics shared with the panel once the round is closed (see utils/delphiPanel)
+  feedback: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedAt: Date
+}, { _id: false });
+
+// Multi-round Delphi weight elicitation with a named HR panel
+const delphiPanelSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['in-progress', 'converged', 'not-converged'],
+    default: 'in-progress'
+  },
+  members: [{
+    type: String,
+    trim: true
+  }],
+  // Consensus is reached when every criterion's coefficient of variation is at or below this value
+  convergenceThreshold: {
+    type: Number,
+    min: 0,
+    default: 0.2
+  },
+  maxRounds: {
+    type: Number,
+    min: 1,
+    default: 5
+  },
+  currentRound: {
+    type: Number,
+    default: 1
+  },
+  rounds: [delphiRoundSchema],
+  convergenceHistory: [{
+    _id: false,
+    round: Number,
+    maxCoefficientOfVariation: Number,
+    meanCoefficientOfVariation: Number,
+    converged: Boolean,
+    recordedAt: { type: Date, default: Date.now }
+  }],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+}, { _id: false });
+
+// Linguistic term of a rule-base variable (see utils/fuzzyRuleBase)
+const fuzzyTermSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['triangular', 'trapezoidal', 'gaussian'],
+    required: true
+  },
+  a: Number,
+  b: Number,
+  c: Number,
+  d: Number,
+  mean: Number,
+  sigma: Number
+}, { _id: false });
+
+const fuzzyRuleSchema = new mongoose.Schema({
+  if: [{
+    _id: false,
+    variable: { type: String, required: true, trim: true },
+    is: { type: String, required: true, trim: true },
+    not: { type: Boolean, default: false }
+  }],
+  operator: {
+    type: String,
+    enum: ['and', 'or'],
+    default: 'and'
+  },
+  // Output term for Mamdani; constant and per-input coefficients for Takagi-Sugeno
+  then: {
+    is: String,
+    constant: Number,
+    coefficients: {
+      type: Map,
+      of: Number
+    }
+  },
+  weight: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+});
+
+// Declarative fuzzy rule base scored with Mamdani or Takagi-Sugeno inference
+const ruleBaseSchema = new mongoose.Schema({
+  inputs: [{
+    _id: false,
+    name: { type: String, required: true, trim: true },
+    // Where the crisp value comes from: a candidate attribute, a stage (sub-)score or a top-level score
+    source: { type: String, enum: ['attribute', 'stage', 'score'], required: true },
+    key: { type: String, required: true, trim: true },
+    min: { type: Number, default: 0 },
+    max: { type: Number, default: 1 },
+    terms: [fuzzyTermSchema]
+  }],
+  output: {
+    name: { type: String, trim: true },
+    min: { type: Number, default: 0 },
+    max: { type: Number, default: 1 },
+    terms: [fuzzyTermSchema]
+  },
+  rules: [fuzzyRuleSchema],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// The job's own copy of an interview pipeline template (see utils/pipelines)
+const pipelineSchema = new mongoose.Schema({
+  template: {
+    type: String,
+    trim: true
+  },
+  stages: [PipelineTemplate.schema.path('stages').schema],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One change of the job's status (see utils/requisitions); entries are only ever appended
+const jobStatusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  changedBy: {
+    type: String,
+    trim: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const jobSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -44,6 +263,35 @@ const jobSchema = new mongoose.Schema({
     trim: true
   },
   criteria: [criterionSchema],
+  // Raised whenever the criteria change; candidates scored before then have stale scores
+  criteriaVersion: {
+    type: Number,
+    default: 1
+  },
+  criteriaUpdatedAt: Date,
+  // Requisition status; changed only through utils/requisitions
+  status: {
+    type: String,
+    enum: ['draft', 'open', 'on-hold', 'closed', 'filled'],
+    default: 'open'
+  },
+  statusHistory: [jobStatusChangeSchema],
+  // Number of openings, and how many of them hired candidates fill
+  headcount: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  filledCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  closedAt: Date,
+  // Soft delete: deleted jobs are hidden from listings but kept with their candidates' history
+  deletedAt: Date,
+  deletedBy: String,
+  deleteReason: String,
   usesMultipleHR: {
     type: Boolean,
     default: false
@@ -52,6 +300,43 @@ const jobSchema = new mongoose.Schema({
     type: Map,
     of: Number
   },
+  attributeConfig: attributeConfigSchema,
+  delphiPanel: delphiPanelSchema,
+  // Last accepted AHP pairwise comparison (see utils/ahp)
+  ahp: {
+    criteria: [String],
+    matrix: [[Number]],
+    lambdaMax: Number,
+    consistencyIndex: Number,
+    consistencyRatio: Number,
+    computedAt: Date
+  },
+  // 2-additive Choquet capacity in Möbius form for interacting criteria (see utils/choquet)
+  choquet: {
+    singletons: {
+      type: Map,
+      of: Number
+    },
+    interactions: [{
+      _id: false,
+      criteria: [String],
+      value: Number
+    }],
+    source: {
+      type: String,
+      enum: ['mobius', 'learned']
+    },
+    // Example ranking and fit statistics when the capacity was learned
+    learning: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    updatedAt: Date
+  },
+  ruleBase: ruleBaseSchema,
+  pipeline: {
+    type: pipelineSchema,
+    default: defaultPipeline
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -65,6 +350,10 @@ const jobSchema = new mongoose.Schema({
 // Update the updatedAt timestamp before saving
 jobSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  // Start the status history with the status the job was created with
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, reason: 'Job created' });
+  }
   next();
 });
 
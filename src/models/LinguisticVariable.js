@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Term of a linguistic variable; which parameters apply depends on the shape (see utils/linguisticVariables)
+const termSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  shape: {
+    type: String,
+    enum: ['triangular', 'trapezoidal', 'gaussian', 'generalized-bell', 'sigmoid', 'piecewise-linear'],
+    required: true
+  },
+  a: Number,
+  b: Number,
+  c: Number,
+  d: Number,
+  mean: Number,
+  sigma: Number,
+  center: Number,
+  width: Number,
+  slope: Number,
+  points: [{
+    _id: false,
+    x: Number,
+    y: Number
+  }]
+}, { _id: false });
+
+// Stored linguistic variables, merged over the built-in variables in utils/linguisticVariables
+const linguisticVariableSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  domain: {
+    min: { type: Number, required: true },
+    max: { type: Number, required: true }
+  },
+  terms: [termSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before saving
+linguisticVariableSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const LinguisticVariable = mongoose.model('LinguisticVariable', linguisticVariableSchema);
+
+module.exports = LinguisticVariable;
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// One part of the compensation package, e.g. base salary, bonus or equity
+const compensationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['base', 'bonus', 'equity', 'signing', 'allowance', 'other'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: 'USD'
+  },
+  // How often the amount is paid; one-time amounts are not annualised
+  frequency: {
+    type: String,
+    enum: ['annual', 'monthly', 'hourly', 'one-time'],
+    default: 'annual'
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Terms of one version of the offer, proposed by the employer or countered by the candidate
+const revisionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['employer', 'candidate'],
+    default: 'employer'
+  },
+  compensation: [compensationSchema],
+  startDate: Date,
+  expiresAt: Date,
+  notes: String,
+  reason: String,
+  createdBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One approver in the approval chain; approvers decide in order
+const approvalSchema = new mongoose.Schema({
+  approver: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  decision: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  comment: String,
+  decidedAt: Date
+}, { _id: false });
+
+// Something that happened to the offer (submitted, approved, sent, accepted, ...); only ever appended
+const offerEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  version: Number,
+  reason: String,
+  changedBy: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// An offer to a candidate for a job (see utils/offers)
+const offerSchema = new mongoose.Schema({
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    required: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'pending-approval', 'approved', 'sent', 'countered', 'accepted', 'declined', 'rescinded', 'expired'],
+    default: 'draft'
+  },
+  // Version of the current terms; the latest employer revision
+  version: {
+    type: Number,
+    default: 1
+  },
+  compensation: [compensationSchema],
+  startDate: Date,
+  expiresAt: Date,
+  notes: String,
+  revisions: [revisionSchema],
+  approvals: [approvalSchema],
+  events: [offerEventSchema],
+  sentAt: Date,
+  respondedAt: Date,
+  createdBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before saving
+offerSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Offer = mongoose.model('Offer', offerSchema);
+
+module.exports = Offer;
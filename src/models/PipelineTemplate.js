@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// What a rating level looks like for one competency
+const anchorSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Linguistic rating level of a rubric scale and its triangular fuzzy number [l, m, u]
+const ratingLevelSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  fuzzy: [{ type: Number, min: 0, max: 1 }]
+}, { _id: false });
+
+// Named score dimension captured for a stage (e.g. problem solving in a coding interview);
+// dimensions are the competencies of the stage's rubric
+const scoreDimensionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // Relative weight of the dimension within the stage score
+  weight: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  // Behavioural anchor for each rating level
+  anchors: [anchorSchema]
+}, { _id: false });
+
+// One stage of an interview pipeline; stages are kept in interview order
+const pipelineStageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Status shown for candidates whose latest completed stage is this one
+  statusLabel: {
+    type: String,
+    trim: true
+  },
+  // Stage weight used by final aggregation when a request leaves the stage out
+  defaultWeight: {
+    type: Number,
+    min: 0,
+    max: 1,
+    required: true
+  },
+  dimensions: [scoreDimensionSchema],
+  // Rating scale of the stage's rubric (utils/rubrics has the default scale); the version goes
+  // up whenever the scale or the competencies' weights or anchors change
+  rubric: {
+    version: { type: Number, min: 1, default: 1 },
+    scale: [ratingLevelSchema]
+  },
+  // The stage can only be scheduled or scored once these stages are completed with the minimum score
+  gating: {
+    after: [String],
+    minScore: { type: Number, min: 0, max: 1 },
+    minConfidence: { type: Number, min: 0, max: 1 }
+  }
+}, { _id: false });
+
+// Stored pipeline templates, merged over the built-in templates in utils/pipelines
+const pipelineTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  stages: [pipelineStageSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before saving
+pipelineTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const PipelineTemplate = mongoose.model('PipelineTemplate', pipelineTemplateSchema);
+
+module.exports = PipelineTemplate;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Per-candidate result of a scoring run
+const runResultSchema = new mongoose.Schema({
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  score: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  rank: {
+    type: Number,
+    min: 1
+  },
+  percentile: {
+    type: Number
+  }
+}, { _id: false });
+
+// Snapshot of one call to POST /api/scores/initial or /final, kept so rankings can be audited and compared
+const scoringRunSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['initial', 'final'],
+    required: true
+  },
+  // Request parameters (targetValues, fuzzyFactor, membershipType, stageWeights, OWA weights, alpha-cut, ...)
+  parameters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Job criteria weights and stage weights in effect for the run
+  weightSnapshot: {
+    criteria: {
+      type: Map,
+      of: Number
+    },
+    stages: {
+      type: Map,
+      of: Number
+    }
+  },
+  results: [runResultSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before saving
+scoringRunSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const ScoringRun = mongoose.model('ScoringRun', scoringRunSchema);
+
+module.exports = ScoringRun;
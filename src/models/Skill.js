@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Custom skill ontology entries, merged over the built-in skills in utils/skillOntology
+const skillSchema = new mongoose.Schema({
+  skillId: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  parents: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before saving
+skillSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Skill = mongoose.model('Skill', skillSchema);
+
+module.exports = Skill;
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const Availability = require('../models/Availability');
+const {
+  DEFAULT_DURATION_MINUTES,
+  parseZonedDate,
+  formatInTimeZone,
+  validateAvailability,
+  findBookedSlots,
+  freeSlots
+} = require('../utils/scheduling');
+
+// Longest range the free slots can be listed for
+const MAX_SLOT_RANGE_DAYS = 31;
+
+/**
+ * Show an interval in UTC and in a time zone
+ * @param {Object} interval - { start, end }
+ * @param {String} timeZone - IANA time zone
+ * @returns {Object} - { start, end, localStart, localEnd }
+ */
+const describeInterval = ({ start, end }, timeZone) => ({
+  start,
+  end,
+  localStart: formatInTimeZone(start, timeZone),
+  localEnd: formatInTimeZone(end, timeZone)
+});
+
+// Get the availability of every interviewer
+router.get('/', async (req, res) => {
+  try {
+    const availability = await Availability.find().sort({ interviewer: 1 });
+    res.json(availability);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get an interviewer's availability
+router.get('/:interviewer', async (req, res) => {
+  try {
+    const availability = await Availability.findOne({ interviewer: req.params.interviewer });
+    if (!availability) {
+      return res.status(404).json({ message: 'No availability set for this interviewer' });
+    }
+
+    res.json(availability);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set an interviewer's availability: weekly hours in their time zone, extra windows and blackouts
+// Dates of windows and blackouts without an offset are local times in the interviewer's time zone
+router.put('/:interviewer', [
+  body('timeZone').isString().withMessage('Time zone is required'),
+  body('weeklyHours').optional().isArray().withMessage('Weekly hours must be an array'),
+  body('windows').optional().isArray().withMessage('Windows must be an array'),
+  body('blackouts').optional().isArray().withMessage('Blackouts must be an array')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { interviewer } = req.params;
+    const { timeZone, weeklyHours = [], windows = [], blackouts = [] } = req.body;
+
+    const availabilityErrors = validateAvailability({ timeZone, weeklyHours, windows, blackouts });
+    if (availabilityErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid availability', errors: availabilityErrors });
+    }
+
+    const toIntervals = (intervals) => intervals.map(({ start, end, reason }) => ({
+      start: parseZonedDate(start, timeZone),
+      end: parseZonedDate(end, timeZone),
+      reason
+    }));
+
+    let availability = await Availability.findOne({ interviewer });
+    if (!availability) {
+      availability = new Availability({ interviewer });
+    }
+    availability.timeZone = timeZone;
+    availability.weeklyHours = weeklyHours;
+    availability.windows = toIntervals(windows);
+    availability.blackouts = toIntervals(blackouts);
+
+    await availability.save();
+    res.json(availability);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove an interviewer's availability (their slots are then no longer checked against it)
+router.delete('/:interviewer', async (req, res) => {
+  try {
+    const availability = await Availability.findOne({ interviewer: req.params.interviewer });
+    if (!availability) {
+      return res.status(404).json({ message: 'No availability set for this interviewer' });
+    }
+
+    await availability.deleteOne();
+    res.json({ message: 'Availability removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List an interviewer's booked and free slots between two dates
+router.get('/:interviewer/slots', [
+  query('from').isString().withMessage('From date is required'),
+  query('to').isString().withMessage('To date is required'),
+  query('durationMinutes').optional().isInt({ min: 5, max: 480 }).withMessage('Duration must be between 5 and 480 minutes')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { interviewer } = req.params;
+    const durationMinutes = Number(req.query.durationMinutes || DEFAULT_DURATION_MINUTES);
+
+    const availability = await Availability.findOne({ interviewer });
+    if (!availability) {
+      return res.status(404).json({ message: 'No availability set for this interviewer' });
+    }
+
+    const from = parseZonedDate(req.query.from, availability.timeZone);
+    const to = parseZonedDate(req.query.to, availability.timeZone);
+    if (!from || !to || from >= to) {
+      return res.status(400).json({ message: 'From and to must be dates with from before to' });
+    }
+    if (to - from > MAX_SLOT_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: `Slots can be listed for at most ${MAX_SLOT_RANGE_DAYS} days at a time` });
+    }
+
+    const booked = await findBookedSlots({ interviewer, from, to });
+
+    res.json({
+      interviewer,
+      timeZone: availability.timeZone,
+      durationMinutes,
+      booked: booked.map(slot => ({
+        interviewId: slot.interviewId,
+        candidateId: slot.candidateId,
+        stage: slot.stage,
+        ...describeInterval(slot, availability.timeZone)
+      })),
+      free: freeSlots(availability, booked, from, to, durationMinutes)
+        .map(slot => describeInterval(slot, availability.timeZone))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
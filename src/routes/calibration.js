@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const Calibration = require('../models/Calibration');
+const Interview = require('../models/Interview');
+const Job = require('../models/Job');
+const {
+  CALIBRATION_METHODS,
+  DEFAULT_MIN_OBSERVATIONS,
+  DEFAULT_DRIFT_WINDOW,
+  DEFAULT_DRIFT_THRESHOLD,
+  collectObservations,
+  buildCalibration,
+  loadLatestCalibration
+} = require('../utils/calibration');
+
+// Calibrate interviewers from their ratings across all interviews (or one job's) and store the result
+router.post('/', [
+  body('method').optional().isIn(CALIBRATION_METHODS).withMessage(`Method must be one of: ${CALIBRATION_METHODS.join(', ')}`),
+  body('jobId').optional().isMongoId().withMessage('Job ID must be a valid ID'),
+  body('minObservations').optional().isInt({ min: 1 }).withMessage('Minimum observations must be a positive integer'),
+  body('driftWindow').optional().isInt({ min: 1 }).withMessage('Drift window must be a positive integer'),
+  body('driftThreshold').optional().isFloat({ min: 0, max: 1 }).withMessage('Drift threshold must be between 0 and 1')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const {
+      method = 'zscore',
+      jobId,
+      minObservations = DEFAULT_MIN_OBSERVATIONS,
+      driftWindow = DEFAULT_DRIFT_WINDOW,
+      driftThreshold = DEFAULT_DRIFT_THRESHOLD
+    } = req.body;
+
+    if (jobId && !(await Job.exists({ _id: jobId }))) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const interviews = await Interview.find({
+      ...(jobId ? { jobId } : {}),
+      status: { $ne: 'cancelled' }
+    });
+    const observations = collectObservations(interviews);
+    if (observations.length === 0) {
+      return res.status(400).json({ message: 'No interviewer ratings to calibrate from' });
+    }
+
+    const result = buildCalibration(observations, {
+      method,
+      minObservations: Number(minObservations),
+      driftWindow: Number(driftWindow),
+      driftThreshold: Number(driftThreshold)
+    });
+
+    const calibration = new Calibration({ ...result, jobId });
+    await calibration.save();
+
+    res.status(201).json(calibration);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the calibration stage scores would be adjusted with (a job's latest, else the latest pool-wide one)
+router.get('/latest', [
+  query('jobId').optional().isMongoId().withMessage('Job ID must be a valid ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const calibration = await loadLatestCalibration(req.query.jobId);
+    if (!calibration) {
+      return res.status(404).json({ message: 'No calibration found' });
+    }
+
+    res.json(calibration);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one interviewer's statistics from the latest calibration
+router.get('/interviewers/:interviewer', [
+  query('jobId').optional().isMongoId().withMessage('Job ID must be a valid ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const calibration = await loadLatestCalibration(req.query.jobId);
+    if (!calibration) {
+      return res.status(404).json({ message: 'No calibration found' });
+    }
+
+    const stats = calibration.interviewers.find(item => item.interviewer === req.params.interviewer);
+    if (!stats) {
+      return res.status(404).json({ message: 'Interviewer not found in the latest calibration' });
+    }
+
+    res.json({
+      calibrationId: calibration._id,
+      method: calibration.method,
+      createdAt: calibration.createdAt,
+      global: calibration.global,
+      ...stats.toObject()
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a stored calibration
+router.get('/:id', async (req, res) => {
+  try {
+    const calibration = await Calibration.findById(req.params.id);
+    if (!calibration) {
+      return res.status(404).json({ message: 'Calibration not found' });
+    }
+
+    res.json(calibration);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -4,11 +4,40 @@ const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const axios = require('axios');
-const FormData = require('form-data');
 const Candidate = require('../models/Candidate');
 const Job = require('../models/Job');
-const { applyHardCriteriaFilter, calculateFuzzyScore, aggregateStageScores, rankCandidates, applyOWA, applyWSM } = require('../utils/scoring');
+const { applyHardCriteriaFilter, calculateFuzzyScore, explainStageAggregation, rankCandidates, explainOWA, applyWSM } = require('../utils/scoring');
+const { buildStageBreakdown } = require('../utils/scoreExplanation');
+const { AGGREGATION_METHODS, scoreFinalPool, resolveOwaWeights, getStageValues } = require('../utils/scoringEngine');
+const { DEFAULT_FOU_SCALE, rankCandidatesByInterval } = require('../utils/intervalType2');
+const { QUANTIFIER_NAMES, describeOwaWeights } = require('../utils/owaWeights');
+const { parseResume, getParserAdapter, listParserAdapters, ResumeParserError } = require('../utils/parserAdapters');
+const { buildCandidateFromResume } = require('../utils/attributeExtraction');
+const { loadSkillOntology } = require('../utils/skillOntology');
+const { loadLinguisticLibrary } = require('../utils/linguisticVariables');
+const {
+  pipelineFromJob,
+  stageKeys,
+  findStage,
+  defaultStageWeights,
+  unknownStages,
+  unknownDimensions,
+  candidateStage,
+  checkStageGate,
+  latestStageStatus
+} = require('../utils/pipelines');
+const { isValidTimeZone } = require('../utils/scheduling');
+const { StageSyncError, findStageInterview, assertWritable, writeInterviewStage } = require('../utils/stageSync');
+const {
+  STATUSES,
+  TERMINAL_STATUSES,
+  CandidateStatusError,
+  allowedTransitions,
+  loadStatusContext,
+  checkTransition,
+  transitionCandidate
+} = require('../utils/candidateStatus');
+const { RequisitionError, assertJobOpen, refreshHeadcount } = require('../utils/requisitions');
 const mongoose = require('mongoose');
 
 // NOTE: For production environments, it's recommended to use a cloud storage service
@@ -22,12 +51,15 @@ const upload = multer({
   storage,
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
   fileFilter: (req, file, cb) => {
-    const allowedTypes = /pdf|doc|docx/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    // Legacy .doc files are let through for the remote parser; the local parser rejects them with a 415
+    const allowedTypes = ['.pdf', '.doc', '.docx'];
+    const extname = allowedTypes.includes(path.extname(file.originalname).toLowerCase());
     if (extname) {
       return cb(null, true);
     } else {
-      cb(new Error('Only PDF, DOC, and DOCX files are allowed'));
+      const error = new Error('Only PDF, DOC and DOCX files are allowed');
+      error.statusCode = 415;
+      cb(error);
     }
   }
 });
@@ -49,7 +81,7 @@ router.get('/', async (req, res) => {
     }
     
     const candidates = await Candidate.find(query)
-      .populate('jobId', 'title') // Get job title
+      .populate('jobId', 'title pipeline') // Get job title and interview pipeline
       .sort({ finalScore: -1 });
     
     // Format candidates for frontend display
@@ -57,21 +89,20 @@ router.get('/', async (req, res) => {
       // Calculate the status counts for tabs
       const statusCounts = {
         all: candidates.length,
-        active: candidates.filter(c => c.status !== 'hired' && c.status !== 'rejected').length,
+        active: candidates.filter(c => !TERMINAL_STATUSES.includes(c.status)).length,
         hired: candidates.filter(c => c.status === 'hired').length,
-        rejected: candidates.filter(c => c.status === 'rejected').length
+        rejected: candidates.filter(c => c.status === 'rejected').length,
+        withdrawn: candidates.filter(c => c.status === 'withdrawn').length,
+        onHold: candidates.filter(c => c.status === 'on-hold').length
       };
       
-      // Format stages for display
+      // Format stages for display (the latest completed stage of the job's pipeline)
       let displayStatus = candidate.status;
+      const stageStatus = latestStageStatus(pipelineFromJob(candidate.jobId), candidate);
       if (candidate.finalScore && candidate.status === 'interviewing') {
         displayStatus = 'Final Ranking';
-      } else if (candidate.stages.phoneScreen.completed && !candidate.stages.codingInterview.completed) {
-        displayStatus = 'Initial Filtering';
-      } else if (candidate.stages.codingInterview.completed && !candidate.stages.onsiteInterview.completed) {
-        displayStatus = 'Detailed Scoring';
-      } else if (candidate.stages.onsiteInterview.completed) {
-        displayStatus = 'Soft Skills Evaluation';
+      } else if (stageStatus) {
+        displayStatus = stageStatus;
       }
       
       return {
@@ -90,6 +121,7 @@ router.get('/', async (req, res) => {
         confidenceScore: candidate.confidenceScore,
         finalScore: candidate.finalScore,
         score: candidate.finalScore || candidate.initialScore || 0,
+        scoresStale: Boolean(candidate.scoresStale),
         stages: candidate.stages,
         statusCounts,
         parsedResume: candidate.parsedResume,
@@ -146,9 +178,10 @@ router.get('/:id', async (req, res) => {
       formattedCandidate.scores.education = candidate.attributes.get('education') * 100;
     }
     
-    // Calculate technical score from coding interview if available
-    if (candidate.stages.codingInterview.score) {
-      formattedCandidate.scores.technical = candidate.stages.codingInterview.score * 100;
+    // Calculate technical score from coding interview if the pipeline has one
+    const codingInterview = candidateStage(candidate, 'codingInterview');
+    if (codingInterview && codingInterview.score) {
+      formattedCandidate.scores.technical = codingInterview.score * 100;
     }
     
     // Add final score if available
@@ -185,7 +218,8 @@ router.post(
     body('firstName').notEmpty().withMessage('First name is required'),
     body('lastName').notEmpty().withMessage('Last name is required'),
     body('email').isEmail().withMessage('Valid email is required'),
-    body('jobId').notEmpty().withMessage('Job ID is required')
+    body('jobId').notEmpty().withMessage('Job ID is required'),
+    body('timeZone').optional().custom(isValidTimeZone).withMessage('Time zone must be an IANA time zone such as Europe/Berlin')
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -199,6 +233,7 @@ router.post(
         lastName,
         email,
         phone,
+        timeZone,
         jobId,
         attributes,
         calculateScore = true, // Default to calculating score
@@ -211,6 +246,9 @@ router.post(
       if (!job) {
         return res.status(404).json({ message: 'Job not found' });
       }
+      
+      // Candidates can only be added while the job is open
+      assertJobOpen(job);
 
       // Create a virtual filename for reference (not saving to disk)
       const resumeUrl = req.file ? `/uploads/${Date.now()}-${req.file.originalname}` : '';
@@ -230,6 +268,7 @@ router.post(
         lastName,
         email,
         phone,
+        timeZone,
         resumeUrl,
         jobId,
         attributes: new Map(Object.entries(parsedAttributes || {}))
@@ -238,6 +277,9 @@ router.post(
       const candidate = await newCandidate.save();
       res.status(201).json(candidate);
     } catch (error) {
+      if (error instanceof RequisitionError) {
+        return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+      }
       console.error(error);
       res.status(500).json({ message: 'Server error' });
     }
@@ -356,15 +398,20 @@ router.post('/:id/extract-attributes', [
 });
 
 // Update candidate stage information
-router.put('/:id/stage/:stage', async (req, res) => {
-  const { id, stage } = req.params;
-  const { completed, score, notes, specificScore } = req.body;
-  
-  // Validate the stage
-  const validStages = ['phoneScreen', 'codingInterview', 'onsiteInterview'];
-  if (!validStages.includes(stage)) {
-    return res.status(400).json({ message: 'Invalid stage' });
+// Results (completed, dimensions, notes) are written to the interview that holds the stage, if there is one
+router.put('/:id/stage/:stage', [
+  body('dimensions').optional().isObject().withMessage('Dimensions must be an object of dimension scores'),
+  body('dimensions.*').isFloat({ min: 0, max: 1 }).withMessage('Each dimension score must be between 0 and 1'),
+  body('disagreement').optional().isFloat({ min: 0, max: 1 }).withMessage('Disagreement must be between 0 and 1'),
+  body('expectedRevision').optional().isInt({ min: 0 }).withMessage('Expected revision must be a non-negative integer')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
   }
+
+  const { id } = req.params;
+  const { completed, score, notes, specificScore, disagreement, expectedRevision } = req.body;
   
   try {
     const candidate = await Candidate.findById(id);
@@ -372,44 +419,168 @@ router.put('/:id/stage/:stage', async (req, res) => {
       return res.status(404).json({ message: 'Candidate not found' });
     }
     
-    // Update the stage data
-    const updates = {};
+    // Validate the stage against the job's pipeline
+    const pipeline = pipelineFromJob(await Job.findById(candidate.jobId));
+    const stage = findStage(pipeline, req.params.stage);
+    if (!stage) {
+      return res.status(400).json({ message: 'Invalid stage', pipeline: stageKeys(pipeline) });
+    }
+    
+    // A legacy specific score sets the stage's first dimension
+    const dimensions = { ...(req.body.dimensions || {}) };
+    if (specificScore !== undefined) {
+      dimensions[stage.dimensions[0].key] = specificScore;
+    }
+    const invalidDimensions = unknownDimensions(stage, dimensions);
+    if (invalidDimensions.length > 0) {
+      return res.status(400).json({
+        message: `Unknown score dimensions for ${stage.name}`,
+        invalidDimensions,
+        dimensions: stage.dimensions.map(dimension => dimension.key)
+      });
+    }
+    
+    // Results can only be recorded once the stage's gate is met
+    const gate = checkStageGate(pipeline, stage.key, candidate);
+    if (!gate.open) {
+      return res.status(409).json({ message: `${stage.name} cannot start before its gate is met`, unmet: gate.unmet });
+    }
+    
+    // Stage results
+    const results = {};
     
     if (completed !== undefined) {
-      updates[`stages.${stage}.completed`] = completed;
+      results[`stages.${stage.key}.completed`] = completed;
+    }
+    
+    if (notes !== undefined) {
+      results[`stages.${stage.key}.notes`] = notes;
     }
     
+    Object.entries(dimensions).forEach(([dimension, value]) => {
+      results[`stages.${stage.key}.dimensions.${dimension}`] = value;
+    });
+    
+    // Scores computed from the results, kept on the candidate only
+    const scores = {};
+    
     if (score !== undefined) {
-      updates[`stages.${stage}.score`] = score;
+      scores[`stages.${stage.key}.score`] = score;
     }
     
-    if (notes !== undefined) {
-      updates[`stages.${stage}.notes`] = notes;
+    if (disagreement !== undefined) {
+      scores[`stages.${stage.key}.disagreement`] = disagreement;
     }
     
-    // Update specific score based on stage
-    if (specificScore !== undefined) {
-      switch(stage) {
-        case 'phoneScreen':
-          updates['stages.phoneScreen.communicationSkillScore'] = specificScore;
-          break;
-        case 'codingInterview':
-          updates['stages.codingInterview.problemSolvingScore'] = specificScore;
-          break;
-        case 'onsiteInterview':
-          updates['stages.onsiteInterview.systemDesignScore'] = specificScore;
-          break;
+    const interview = await findStageInterview(id, stage.key);
+    if (interview) {
+      await assertWritable(interview, stage.key, {
+        expectedRevision,
+        scores: Object.keys(dimensions).length > 0 || score !== undefined
+      });
+      if (Object.keys(results).length > 0) {
+        await writeInterviewStage(interview, stage.key, { $set: results });
+      }
+    } else if (Object.keys(results).length > 0) {
+      // No interview: the results are recorded on the candidate only, guarded by the stage's own revision
+      const stageData = candidateStage(candidate, stage.key);
+      const revision = (stageData && stageData.revision) || 0;
+      if (expectedRevision !== undefined && Number(expectedRevision) !== revision) {
+        return res.status(409).json({ message: 'Stage results were changed since they were read', code: 'REVISION_CONFLICT', details: { expectedRevision, revision } });
+      }
+      const path = `stages.${stage.key}.revision`;
+      const written = await Candidate.findOneAndUpdate(
+        { _id: id, [path]: revision > 0 ? revision : { $in: [0, null] } },
+        { $set: { ...results, [path]: revision + 1 } }
+      );
+      if (!written) {
+        return res.status(409).json({ message: 'Stage results were changed by another request', code: 'REVISION_CONFLICT', details: { revision } });
       }
     }
     
-    const updatedCandidate = await Candidate.findByIdAndUpdate(
-      id,
-      { $set: updates },
-      { new: true }
-    );
+    const updatedCandidate = Object.keys(scores).length > 0
+      ? await Candidate.findByIdAndUpdate(id, { $set: scores }, { new: true })
+      : await Candidate.findById(id);
     
     res.json(updatedCandidate);
   } catch (error) {
+    if (error instanceof StageSyncError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a candidate's status, the statuses they can move to and their status history
+router.get('/:id/status', async (req, res) => {
+  try {
+    const candidate = await Candidate.findById(req.params.id);
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+
+    const context = await loadStatusContext(candidate);
+    res.json({
+      candidateId: candidate._id,
+      status: candidate.status,
+      previousStatus: candidate.previousStatus || null,
+      transitions: allowedTransitions(candidate).map(status => {
+        const { allowed, unmet } = checkTransition(candidate, status, context);
+        return { status, allowed, unmet };
+      }),
+      history: candidate.statusHistory
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move a candidate to another status; the move must be allowed, its guards met and a reason given
+router.post('/:id/status', [
+  body('status').isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  body('reason').isString().trim().notEmpty().withMessage('Reason is required'),
+  body('changedBy').optional().isString().withMessage('Changed by must be a string')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const candidate = await Candidate.findById(req.params.id);
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+
+    const { status, reason, changedBy } = req.body;
+    // A hire needs an opening, so it is checked before the status is stored
+    if (status === 'hired' && candidate.status !== 'hired') {
+      const job = await Job.findById(candidate.jobId);
+      if (!job) {
+        return res.status(404).json({ message: 'Job not found' });
+      }
+      assertJobOpen(job);
+    }
+
+    const updated = await transitionCandidate(candidate, status, { reason, changedBy });
+    
+    // Hires count towards the job's headcount
+    if (status === 'hired') {
+      await refreshHeadcount(updated.jobId, { changedBy });
+    }
+
+    res.json({
+      candidateId: updated._id,
+      status: updated.status,
+      previousStatus: updated.previousStatus || null,
+      change: updated.statusHistory[updated.statusHistory.length - 1]
+    });
+  } catch (error) {
+    if (error instanceof RequisitionError || error instanceof CandidateStatusError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -418,12 +589,20 @@ router.put('/:id/stage/:stage', async (req, res) => {
 // Compute final scores and rank candidates
 router.post('/job/:jobId/rank', [
   body('stageWeights').isObject().withMessage('Stage weights must be an object'),
-  body('stageWeights.phoneScreen').optional().isFloat({ min: 0, max: 1 }).withMessage('Phone screen weight must be between 0 and 1'),
-  body('stageWeights.codingInterview').optional().isFloat({ min: 0, max: 1 }).withMessage('Coding interview weight must be between 0 and 1'),
-  body('stageWeights.onsiteInterview').optional().isFloat({ min: 0, max: 1 }).withMessage('Onsite interview weight must be between 0 and 1'),
-  body('rankingMethod').optional().isIn(['wsm', 'owa']).withMessage('Ranking method must be either wsm or owa'),
+  body('stageWeights.*').isFloat({ min: 0, max: 1 }).withMessage('Each stage weight must be between 0 and 1'),
+  body('rankingMethod').optional().isIn(AGGREGATION_METHODS).withMessage('Ranking method must be wsm, owa, topsis, fuzzy-topsis, or it2'),
+  body('fuzzySpread').optional().isFloat({ min: 0, max: 0.5 }).withMessage('Fuzzy spread must be between 0 and 0.5'),
+  body('fouScale').optional().isFloat({ min: 0, max: 1 }).withMessage('FOU scale must be between 0 and 1'),
   body('owaWeights').optional().isArray().withMessage('OWA weights must be an array'),
-  body('strategy').optional().isIn(['optimistic', 'balanced', 'pessimistic']).withMessage('Strategy must be optimistic, balanced, or pessimistic')
+  body('strategy').optional().isIn(['optimistic', 'balanced', 'pessimistic']).withMessage('Strategy must be optimistic, balanced, or pessimistic'),
+  body('quantifier').optional().isIn(QUANTIFIER_NAMES).withMessage(`Quantifier must be one of: ${QUANTIFIER_NAMES.join(', ')}`),
+  body('orness').optional().isFloat({ min: 0, max: 1 }).withMessage('Orness must be between 0 and 1'),
+  body().custom(value => {
+    if (value.quantifier !== undefined && value.orness !== undefined) {
+      throw new Error('Provide either a quantifier or an orness, not both');
+    }
+    return true;
+  })
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -436,99 +615,114 @@ router.post('/job/:jobId/rank', [
       stageWeights, 
       rankingMethod = 'wsm', 
       owaWeights = null, 
-      strategy = 'balanced' 
+      strategy = 'balanced',
+      quantifier = null,
+      orness = null,
+      fuzzySpread = 0.1,
+      fouScale = DEFAULT_FOU_SCALE
     } = req.body;
     
-    // Default weights if not provided
-    const finalStageWeights = {
-      phoneScreen: stageWeights.phoneScreen || 0.3,
-      codingInterview: stageWeights.codingInterview || 0.4,
-      onsiteInterview: stageWeights.onsiteInterview || 0.3
-    };
-    
     // Get job and candidates
     const job = await Job.findById(jobId);
     if (!job) {
       return res.status(404).json({ message: 'Job not found' });
     }
     
-    // Get candidates that passed threshold filtering
+    const pipeline = pipelineFromJob(job);
+    const invalidStages = unknownStages(pipeline, stageWeights);
+    if (invalidStages.length > 0) {
+      return res.status(400).json({ message: 'Stage weights name stages that are not part of the job pipeline', invalidStages, pipeline: stageKeys(pipeline) });
+    }
+    
+    // Default weights from the pipeline if not provided
+    const finalStageWeights = {};
+    Object.entries(defaultStageWeights(pipeline)).forEach(([stage, weight]) => {
+      finalStageWeights[stage] = stageWeights[stage] || weight;
+    });
+    
+    // Get candidates that passed threshold filtering and completed every stage of the pipeline
     const candidates = await Candidate.find({ 
       jobId, 
       passedThreshold: true,
-      'stages.phoneScreen.completed': true,
-      'stages.codingInterview.completed': true,
-      'stages.onsiteInterview.completed': true
+      ...Object.fromEntries(stageKeys(pipeline).map(stage => [`stages.${stage}.completed`, true]))
     });
     
     if (candidates.length === 0) {
       return res.status(404).json({ message: 'No candidates with completed interviews found for this job' });
     }
     
-    // Calculate OWA weights based on strategy if not provided
-    let finalOwaWeights = owaWeights;
-    if (rankingMethod === 'owa' && !owaWeights) {
-      const weightCount = Object.keys(finalStageWeights).length;
-      
-      switch(strategy) {
-        case 'optimistic':
-          // More weight on higher scores
-          finalOwaWeights = Array(weightCount).fill(0).map((_, i) => 
-            (weightCount - i) / ((weightCount * (weightCount + 1)) / 2)
-          );
-          break;
-        case 'pessimistic':
-          // More weight on lower scores
-          finalOwaWeights = Array(weightCount).fill(0).map((_, i) => 
-            (i + 1) / ((weightCount * (weightCount + 1)) / 2)
-          );
-          break;
-        case 'balanced':
-        default:
-          // Equal weights
-          finalOwaWeights = Array(weightCount).fill(1 / weightCount);
-          break;
-      }
-    }
+    // OWA weights from a quantifier or orness, the given weights, or the strategy
+    const finalOwaWeights = rankingMethod === 'owa'
+      ? resolveOwaWeights(owaWeights ? 'custom' : strategy, Object.keys(finalStageWeights).length, owaWeights, { quantifier, orness })
+      : null;
+    const owaSummary = finalOwaWeights ? describeOwaWeights(finalOwaWeights, { quantifier, orness }) : null;
+    
+    // TOPSIS methods score each candidate against the positive and negative ideals of the pool;
+    // it2 scores each candidate as an interval widened by stage confidence and interviewer disagreement
+    const useIntervals = rankingMethod === 'it2';
+    const poolResults = ['topsis', 'fuzzy-topsis', 'it2'].includes(rankingMethod)
+      ? scoreFinalPool(candidates, { stageWeights: finalStageWeights, aggregationMethod: rankingMethod, fuzzySpread, fouScale })
+      : null;
     
     // Calculate final score for each candidate
     const updatedCandidates = await Promise.all(
-      candidates.map(async candidate => {
-        // Collect stage scores
-        const stageScores = {
-          phoneScreen: candidate.stages.phoneScreen.score || 0,
-          codingInterview: candidate.stages.codingInterview.score || 0,
-          onsiteInterview: candidate.stages.onsiteInterview.score || 0
-        };
+      candidates.map(async (candidate, index) => {
+        // Add confidence scores based on interview feedback consistency
+        const confidenceScore = calculateConfidenceScore(candidate, stageKeys(pipeline));
         
-        let finalScore;
+        if (poolResults) {
+          return await Candidate.findByIdAndUpdate(
+            candidate._id,
+            { 
+              finalScore: poolResults[index].score,
+              confidenceScore,
+              'scoreBreakdown.final': { ...poolResults[index].breakdown, confidence: confidenceScore }
+            },
+            { new: true }
+          );
+        }
+        
+        // Collect stage scores
+        const { stageScores } = getStageValues(candidate, Object.keys(finalStageWeights));
         
         // Use selected ranking method
-        if (rankingMethod === 'owa' && finalOwaWeights) {
+        const useOwa = rankingMethod === 'owa' && finalOwaWeights;
+        const explained = useOwa
           // Apply OWA with specified weights
-          finalScore = applyOWA(stageScores, finalStageWeights, finalOwaWeights);
-        } else {
+          ? explainOWA(stageScores, finalStageWeights, finalOwaWeights)
           // Use traditional WSM
-          finalScore = aggregateStageScores(stageScores, finalStageWeights);
-        }
-        
-        // Add confidence scores based on interview feedback consistency
-        const confidenceScore = calculateConfidenceScore(candidate);
+          : explainStageAggregation(stageScores, finalStageWeights);
         
         // Update candidate with final score
         return await Candidate.findByIdAndUpdate(
           candidate._id,
           { 
-            finalScore,
-            confidenceScore
+            finalScore: explained.score,
+            confidenceScore,
+            'scoreBreakdown.final': buildStageBreakdown(explained, {
+              method: useOwa ? 'owa' : 'wsm',
+              stageScores,
+              stageWeights: finalStageWeights,
+              confidence: confidenceScore,
+              settings: {
+                strategy: useOwa ? strategy : null,
+                owaWeights: useOwa ? finalOwaWeights : null,
+                ...(useOwa ? owaSummary : {})
+              }
+            })
           },
           { new: true }
         );
       })
     );
     
-    // Rank candidates by final score
-    const rankedCandidates = rankCandidates(updatedCandidates);
+    // Rank candidates by final score; interval scores are tied unless one dominates the other
+    const rank = useIntervals ? rankCandidatesByInterval : rankCandidates;
+    const rankedCandidates = rank(updatedCandidates.map(c => ({
+      ...c.toObject(),
+      confidence: c.confidenceScore ?? 1.0,
+      scoreInterval: useIntervals ? c.scoreBreakdown.final.interval : undefined
+    })));
     
     res.json({
       message: 'Candidates ranked successfully',
@@ -538,14 +732,30 @@ router.post('/job/:jobId/rank', [
       strategy: rankingMethod === 'owa' ? strategy : null,
       stageWeights: finalStageWeights,
       owaWeights: rankingMethod === 'owa' ? finalOwaWeights : null,
+      owa: owaSummary,
+      fuzzySpread: rankingMethod === 'fuzzy-topsis' ? fuzzySpread : null,
+      fouScale: useIntervals ? fouScale : null,
       totalCandidates: candidates.length,
-      rankedCandidates: rankedCandidates.map((c, index) => ({
-        rank: index + 1,
-        id: c._id,
-        name: `${c.firstName} ${c.lastName}`,
-        finalScore: c.finalScore,
-        confidenceScore: c.confidenceScore || 1.0
-      }))
+      rankedCandidates: rankedCandidates.map((c, index) => {
+        const ranked = {
+          rank: useIntervals ? c.rank : index + 1,
+          id: c._id,
+          name: `${c.firstName} ${c.lastName}`,
+          finalScore: c.finalScore,
+          confidenceScore: c.confidenceScore ?? 1.0
+        };
+        // TOPSIS methods also report each candidate's distances to the pool's ideals
+        if (poolResults) {
+          ranked.distanceToIdeal = c.scoreBreakdown.final.distanceToIdeal;
+          ranked.distanceToAntiIdeal = c.scoreBreakdown.final.distanceToAntiIdeal;
+        }
+        // Interval rankings report the interval score; candidates with the same tieGroup are tied
+        if (useIntervals) {
+          ranked.interval = c.scoreInterval;
+          ranked.tieGroup = c.tieGroup;
+        }
+        return ranked;
+      })
     });
   } catch (error) {
     console.error(error);
@@ -555,24 +765,30 @@ router.post('/job/:jobId/rank', [
 
 /**
  * Calculate confidence score based on consistency of interview feedback
+ * Stages scored from several interviewers' scorecards carry an inter-rater reliability; when any
+ * completed stage has one, the confidence is the mean of those stages' reliability-based confidences.
+ * Otherwise it is approximated from the spread of the scores across stages.
  * @param {Object} candidate - Candidate object with interview stages
+ * @param {Array} stages - Stage keys of the job's pipeline
  * @returns {Number} - Confidence score between 0 and 1
  */
-const calculateConfidenceScore = (candidate) => {
-  const scores = [];
-  
-  // Collect all available scores
-  if (candidate.stages.phoneScreen.completed && candidate.stages.phoneScreen.score) {
-    scores.push(candidate.stages.phoneScreen.score);
+const calculateConfidenceScore = (candidate, stages) => {
+  const completed = stages
+    .map(stage => candidateStage(candidate, stage))
+    .filter(stage => stage && stage.completed);
+  const measured = completed.filter(stage => stage.reliability && stage.confidence !== undefined);
+  if (measured.length > 0) {
+    return measured.reduce((sum, stage) => sum + stage.confidence, 0) / measured.length;
   }
   
-  if (candidate.stages.codingInterview.completed && candidate.stages.codingInterview.score) {
-    scores.push(candidate.stages.codingInterview.score);
-  }
+  const scores = [];
   
-  if (candidate.stages.onsiteInterview.completed && candidate.stages.onsiteInterview.score) {
-    scores.push(candidate.stages.onsiteInterview.score);
-  }
+  // Collect all available scores
+  completed.forEach(stage => {
+    if (stage.score) {
+      scores.push(stage.score);
+    }
+  });
   
   if (scores.length <= 1) return 1.0; // Not enough data
   
@@ -623,11 +839,10 @@ router.get('/job/:jobId/ranked', async (req, res) => {
         email: c.email,
         finalScore: c.finalScore,
         status: c.status,
-        stages: {
-          phoneScreen: c.stages.phoneScreen.score,
-          codingInterview: c.stages.codingInterview.score,
-          onsiteInterview: c.stages.onsiteInterview.score
-        }
+        stages: Object.fromEntries(stageKeys(pipelineFromJob(job)).map(stage => [
+          stage,
+          (candidateStage(c, stage) || {}).score
+        ]))
       }))
     });
   } catch (error) {
@@ -689,254 +904,22 @@ router.post(
         return res.status(404).json({ message: 'Job not found' });
       }
       
-      // Extract basic info from parsed resume data
-      const firstName = resumeData.Name ? resumeData.Name.split(' ')[0] : '';
-      const lastName = resumeData.Name ? resumeData.Name.split(' ').slice(1).join(' ') : '';
-      const email = resumeData.Email || '';
-      const phone = resumeData.Phone || '';
-      
-      // Map skills and experience to attributes
-      const attributes = new Map();
-      
-      // Helper function to sanitize keys for MongoDB
-      const sanitizeKey = (key) => key.toLowerCase().replace(/\./g, '_').replace(/\s+/g, '_');
-      
-      // Add skills
-      if (Array.isArray(resumeData.Skills)) {
-        resumeData.Skills.forEach(skill => {
-          attributes.set(sanitizeKey(skill), true);
-        });
-      }
-      
-      // Add years of experience
-      if (resumeData['Total Estimated Years of Experience']) {
-        attributes.set('yearsOfExperience', parseFloat(resumeData['Total Estimated Years of Experience']) || 0);
-      }
-      
-      // Add experience details
-      if (Array.isArray(resumeData['Experience Details'])) {
-        // Process experience roles (developer, engineer, etc.)
-        const roleTypes = {
-          developer: 0,
-          engineer: 0,
-          intern: 0,
-          designer: 0,
-          fullstack: 0
-        };
-        
-        resumeData['Experience Details'].forEach(exp => {
-          const role = exp.Roles ? exp.Roles.toLowerCase() : '';
-          
-          if (role.includes('developer') || role.includes('dev')) {
-            roleTypes.developer += 1;
-            if (role.includes('full') || role.includes('fullstack') || role.includes('full-stack')) {
-              roleTypes.fullstack += 1;
-            }
-          }
-          
-          if (role.includes('engineer')) roleTypes.engineer += 1;
-          if (role.includes('intern')) roleTypes.intern += 1;
-          if (role.includes('design')) roleTypes.designer += 1;
-        });
-        
-        // Add role counts as attributes
-        Object.entries(roleTypes).forEach(([role, count]) => {
-          if (count > 0) {
-            attributes.set(`${role}_experience`, count);
-          }
-        });
-      }
-      
-      // Add education level
-      if (Array.isArray(resumeData['Education Details']) && resumeData['Education Details'].length > 0) {
-        const education = resumeData['Education Details'][0];
-        
-        if (education['education level']) {
-          const level = education['education level'].toLowerCase();
-          attributes.set('education_level', level);
-          
-          // Categorize education level
-          if (level.includes('bachelor')) {
-            attributes.set('has_bachelors', true);
-          } else if (level.includes('master')) {
-            attributes.set('has_masters', true);
-          } else if (level.includes('phd') || level.includes('doctor')) {
-            attributes.set('has_phd', true);
-          }
-        }
-        
-        if (education['field of study']) {
-          const field = education['field of study'].toLowerCase();
-          attributes.set('field_of_study', field);
-          
-          // Flag for CS-related degrees
-          if (field.includes('computer') || field.includes('software') || field.includes('it')) {
-            attributes.set('has_cs_degree', true);
-          }
-        }
-      }
+      // Candidates can only be added while the job is open
+      assertJobOpen(job);
       
-      // Count technical skills by category
-      if (Array.isArray(resumeData.Skills)) {
-        // Define skill categories
-        const categories = {
-          'programming_languages': ['java', 'python', 'javascript', 'typescript', 'c++', 'c#', 'go', 'ruby', 'php', 'swift', 'kotlin'],
-          'web_frameworks': ['react', 'angular', 'vue', 'next', 'django', 'flask', 'express', 'spring', 'laravel'],
-          'databases': ['sql', 'mysql', 'postgresql', 'mongodb', 'dynamodb', 'oracle', 'cassandra', 'redis'],
-          'cloud_services': ['aws', 'azure', 'gcp', 'google cloud', 'firebase', 'heroku', 'vercel']
-        };
-        
-        // Count skills in each category
-        Object.entries(categories).forEach(([category, keywords]) => {
-          const count = resumeData.Skills.filter(skill => 
-            keywords.some(keyword => sanitizeKey(skill).includes(sanitizeKey(keyword)))
-          ).length;
-          
-          if (count > 0) {
-            attributes.set(`${category}_count`, count);
-          }
-        });
-      }
-      
-      // Calculate initial score if job has weights defined
-      let initialScore = null;
-      let confidenceScore = null;
-      
-      if (job.finalWeights && (job.finalWeights.size > 0 || Object.keys(job.finalWeights || {}).length > 0)) {
-        // Get weights in the right format
-        const weights = job.finalWeights instanceof Map ? 
-          Object.fromEntries(job.finalWeights.entries()) : job.finalWeights;
-        
-        const scoredAttributes = {};
-        const attributeConfidences = {};
-        
-        // Debug: Log the available criteria
-        console.log('Job criteria:', job.criteria.map(c => ({ name: c.name, targetValue: c.targetValue, weight: c.weight })));
-        console.log('Candidate attributes:', Object.fromEntries(attributes.entries()));
-        
-        // First, try direct matching between attributes and criteria
-        for (const [key, value] of attributes.entries()) {
-          // Get target value from job criteria if available
-          const criterion = job.criteria.find(c => 
-            sanitizeKey(c.name) === key || // Exact match
-            key.includes(sanitizeKey(c.name)) || // Attribute contains criterion name
-            sanitizeKey(c.name).includes(key) // Criterion name contains attribute
-          );
-          
-          if (criterion && criterion.targetValue !== undefined) {
-            // Calculate fuzzy score using specified membership function
-            const fuzzyScore = calculateFuzzyScore(
-              value,
-              criterion.targetValue,
-              fuzzyFactor,
-              membershipType
-            );
-            
-            // Store for WSM calculation
-            scoredAttributes[criterion.name] = fuzzyScore;
-            attributeConfidences[criterion.name] = 1.0; // Default confidence
-            
-            // Add fuzzy score to attributes
-            attributes.set(`${key}_fuzzyScore`, fuzzyScore);
-            attributes.set(`${key}_membershipFunction`, membershipType);
-            
-            console.log(`Matched attribute ${key} to criterion ${criterion.name} with score ${fuzzyScore}`);
-          }
-        }
-        
-        // Special handling for common criteria types that need attribute mapping
-        const criteriaMap = {
-          // Education level criteria
-          'education': (attrs) => {
-            if (attrs.has('has_phd')) return attrs.get('has_phd') ? 1.0 : 0;
-            if (attrs.has('has_masters')) return attrs.get('has_masters') ? 0.8 : 0;
-            if (attrs.has('has_bachelors')) return attrs.get('has_bachelors') ? 0.6 : 0;
-            return 0;
-          },
-          'degree': (attrs) => {
-            return attrs.has('has_cs_degree') ? 1.0 : 0;
-          },
-          'experience': (attrs) => {
-            return attrs.get('yearsOfExperience') || 0;
-          },
-          'programming': (attrs) => {
-            return attrs.get('programming_languages_count') || 0;
-          },
-          'languages': (attrs) => {
-            return attrs.get('programming_languages_count') || 0;
-          },
-          'frameworks': (attrs) => {
-            return attrs.get('web_frameworks_count') || 0;
-          },
-          'database': (attrs) => {
-            return attrs.get('databases_count') || 0;
-          },
-          'cloud': (attrs) => {
-            return attrs.get('cloud_services_count') || 0;
-          }
-        };
-        
-        // Apply special mapping for unmatched criteria
-        for (const criterion of job.criteria) {
-          // Skip already matched criteria
-          if (scoredAttributes[criterion.name]) continue;
-          
-          // Find any map function that applies to this criterion
-          for (const [keyword, mapFunc] of Object.entries(criteriaMap)) {
-            if (sanitizeKey(criterion.name).includes(keyword)) {
-              const rawValue = mapFunc(attributes);
-              let fuzzyScore;
-              
-              // If the criterion has a target value, use fuzzy matching
-              if (criterion.targetValue !== undefined) {
-                fuzzyScore = calculateFuzzyScore(
-                  rawValue,
-                  criterion.targetValue,
-                  fuzzyFactor,
-                  membershipType
-                );
-              } else {
-                // Otherwise, normalize the value based on common ranges
-                if (keyword === 'experience') {
-                  // Scale years of experience (0-10 years typical range)
-                  fuzzyScore = Math.min(rawValue / 10, 1);
-                } else if (keyword === 'programming' || keyword === 'languages' || 
-                           keyword === 'frameworks' || keyword === 'database' || keyword === 'cloud') {
-                  // Scale counts (0-10 skills typical range)
-                  fuzzyScore = Math.min(rawValue / 5, 1);
-                } else {
-                  fuzzyScore = rawValue;
-                }
-              }
-              
-              // Store for WSM calculation
-              scoredAttributes[criterion.name] = fuzzyScore;
-              attributeConfidences[criterion.name] = 0.8; // Lower confidence for mapped attributes
-              
-              console.log(`Mapped criterion ${criterion.name} using ${keyword} function with score ${fuzzyScore}`);
-              break;
-            }
-          }
-        }
-        
-        console.log('Final scored attributes:', scoredAttributes);
-        console.log('Weights:', weights);
-        
-        // If we have attributes to score and weights
-        if (Object.keys(scoredAttributes).length > 0 && Object.keys(weights).length > 0) {
-          // Apply weighted sum model to calculate initial score
-          const scoreResult = applyWSM(scoredAttributes, weights, attributeConfidences);
-          initialScore = scoreResult.score;
-          confidenceScore = scoreResult.confidence;
-          
-          console.log('Calculated score:', initialScore, 'with confidence:', confidenceScore);
-        } else {
-          // Fallback scoring if no criteria matched
-          initialScore = 0.5; // Neutral score
-          confidenceScore = 0.5; // Low confidence
-          console.log('No matching criteria found, using fallback score');
-        }
-      }
+      // Map resume data to attributes and score it with the job's attribute configuration
+      const ontology = await loadSkillOntology();
+      const linguistic = await loadLinguisticLibrary();
+      const {
+        firstName,
+        lastName,
+        email,
+        phone,
+        attributes,
+        initialScore,
+        confidenceScore,
+        scoreBreakdown
+      } = buildCandidateFromResume(resumeData, job, { fuzzyFactor, membershipType, ontology, linguistic });
       
       // Create new candidate with parsed data and initial score
       const newCandidate = new Candidate({
@@ -949,6 +932,7 @@ router.post(
         parsedResume: resumeData,
         initialScore: initialScore,
         confidenceScore: confidenceScore,
+        scoreBreakdown: { initial: scoreBreakdown },
         status: 'applied'
       });
       
@@ -979,6 +963,9 @@ router.post(
       
       res.status(201).json(response);
     } catch (error) {
+      if (error instanceof RequisitionError) {
+        return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+      }
       console.error('Error processing parsed resume:', error);
       res.status(500).json({ 
         message: 'Server error during candidate creation',
@@ -995,7 +982,10 @@ router.post(
   [
     body('jobId').notEmpty().withMessage('Job ID is required'),
     body('fuzzyFactor').optional().isFloat({ min: 0, max: 1 }).withMessage('Fuzzy factor must be between 0 and 1'),
-    body('membershipType').optional().isIn(['simple', 'triangular', 'trapezoidal', 'gaussian']).withMessage('Invalid membership function type')
+    body('membershipType').optional().isIn(['simple', 'triangular', 'trapezoidal', 'gaussian']).withMessage('Invalid membership function type'),
+    body('parser').optional().custom(value => Boolean(getParserAdapter(value)))
+      .withMessage(() => `Parser must be one of ${listParserAdapters().join(', ')}`),
+    body('fallbackToRemote').optional().isBoolean().withMessage('Fallback to remote must be a boolean')
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -1012,7 +1002,9 @@ router.post(
       const {
         jobId,
         fuzzyFactor = 0.2,
-        membershipType = 'triangular'
+        membershipType = 'triangular',
+        parser,
+        fallbackToRemote
       } = req.body;
 
       // Check if job exists
@@ -1020,282 +1012,35 @@ router.post(
       if (!job) {
         return res.status(404).json({ message: 'Job not found' });
       }
+      
+      // Candidates can only be added while the job is open
+      assertJobOpen(job);
 
       // Create a virtual filename for reference (not saving to disk)
       const resumeFilename = `${Date.now()}-${req.file.originalname}`;
       const resumeUrl = `/uploads/${resumeFilename}`;
       
-      // Create form data for the resume parser API
-      const formData = new FormData();
-      
-      // Add the file buffer directly to the form data with a filename
-      formData.append('resume', req.file.buffer, {
-        filename: req.file.originalname,
-        contentType: req.file.mimetype
+      // Parse the resume in-process, or with the remote parser if requested
+      const { resumeData, parser: parserUsed } = await parseResume(req.file, {
+        mode: parser,
+        fallbackToRemote: fallbackToRemote === undefined
+          ? undefined
+          : fallbackToRemote === true || fallbackToRemote === 'true'
       });
-
-      // Call the external resume parser API
-      const parserResponse = await axios.post(
-        'https://resume-parser-module.onrender.com/parse',
-        formData,
-        {
-          headers: {
-            ...formData.getHeaders()
-          }
-        }
-      );
-
-      // Get the parsed resume data
-      const resumeData = parserResponse.data;
-      
-      // Extract basic info from parsed resume data
-      const firstName = resumeData.Name ? resumeData.Name.split(' ')[0] : '';
-      const lastName = resumeData.Name ? resumeData.Name.split(' ').slice(1).join(' ') : '';
-      const email = resumeData.Email || '';
-      const phone = resumeData.Phone || '';
-      
-      // Map skills and experience to attributes
-      const attributes = new Map();
-      
-      // Helper function to sanitize keys for MongoDB
-      const sanitizeKey = (key) => key.toLowerCase().replace(/\./g, '_').replace(/\s+/g, '_');
-      
-      // Add skills
-      if (Array.isArray(resumeData.Skills)) {
-        resumeData.Skills.forEach(skill => {
-          attributes.set(sanitizeKey(skill), true);
-        });
-      }
       
-      // Add years of experience
-      if (resumeData['Total Estimated Years of Experience']) {
-        attributes.set('yearsOfExperience', parseFloat(resumeData['Total Estimated Years of Experience']) || 0);
-      }
-      
-      // Add experience details
-      if (Array.isArray(resumeData['Experience Details'])) {
-        // Process experience roles (developer, engineer, etc.)
-        const roleTypes = {
-          developer: 0,
-          engineer: 0,
-          intern: 0,
-          designer: 0,
-          fullstack: 0
-        };
-        
-        resumeData['Experience Details'].forEach(exp => {
-          const role = exp.Roles ? exp.Roles.toLowerCase() : '';
-          
-          if (role.includes('developer') || role.includes('dev')) {
-            roleTypes.developer += 1;
-            if (role.includes('full') || role.includes('fullstack') || role.includes('full-stack')) {
-              roleTypes.fullstack += 1;
-            }
-          }
-          
-          if (role.includes('engineer')) roleTypes.engineer += 1;
-          if (role.includes('intern')) roleTypes.intern += 1;
-          if (role.includes('design')) roleTypes.designer += 1;
-        });
-        
-        // Add role counts as attributes
-        Object.entries(roleTypes).forEach(([role, count]) => {
-          if (count > 0) {
-            attributes.set(`${role}_experience`, count);
-          }
-        });
-      }
-      
-      // Add education level
-      if (Array.isArray(resumeData['Education Details']) && resumeData['Education Details'].length > 0) {
-        const education = resumeData['Education Details'][0];
-        
-        if (education['education level']) {
-          const level = education['education level'].toLowerCase();
-          attributes.set('education_level', level);
-          
-          // Categorize education level
-          if (level.includes('bachelor')) {
-            attributes.set('has_bachelors', true);
-          } else if (level.includes('master')) {
-            attributes.set('has_masters', true);
-          } else if (level.includes('phd') || level.includes('doctor')) {
-            attributes.set('has_phd', true);
-          }
-        }
-        
-        if (education['field of study']) {
-          const field = education['field of study'].toLowerCase();
-          attributes.set('field_of_study', field);
-          
-          // Flag for CS-related degrees
-          if (field.includes('computer') || field.includes('software') || field.includes('it')) {
-            attributes.set('has_cs_degree', true);
-          }
-        }
-      }
-      
-      // Count technical skills by category
-      if (Array.isArray(resumeData.Skills)) {
-        // Define skill categories
-        const categories = {
-          'programming_languages': ['java', 'python', 'javascript', 'typescript', 'c++', 'c#', 'go', 'ruby', 'php', 'swift', 'kotlin'],
-          'web_frameworks': ['react', 'angular', 'vue', 'next', 'django', 'flask', 'express', 'spring', 'laravel'],
-          'databases': ['sql', 'mysql', 'postgresql', 'mongodb', 'dynamodb', 'oracle', 'cassandra', 'redis'],
-          'cloud_services': ['aws', 'azure', 'gcp', 'google cloud', 'firebase', 'heroku', 'vercel']
-        };
-        
-        // Count skills in each category
-        Object.entries(categories).forEach(([category, keywords]) => {
-          const count = resumeData.Skills.filter(skill => 
-            keywords.some(keyword => sanitizeKey(skill).includes(sanitizeKey(keyword)))
-          ).length;
-          
-          if (count > 0) {
-            attributes.set(`${category}_count`, count);
-          }
-        });
-      }
-      
-      // Calculate initial score if job has weights defined
-      let initialScore = null;
-      let confidenceScore = null;
-      
-      if (job.finalWeights && (job.finalWeights.size > 0 || Object.keys(job.finalWeights || {}).length > 0)) {
-        // Get weights in the right format
-        const weights = job.finalWeights instanceof Map ? 
-          Object.fromEntries(job.finalWeights.entries()) : job.finalWeights;
-        
-        const scoredAttributes = {};
-        const attributeConfidences = {};
-        
-        // Debug: Log the available criteria
-        console.log('Job criteria:', job.criteria.map(c => ({ name: c.name, targetValue: c.targetValue, weight: c.weight })));
-        console.log('Candidate attributes:', Object.fromEntries(attributes.entries()));
-        
-        // First, try direct matching between attributes and criteria
-        for (const [key, value] of attributes.entries()) {
-          // Get target value from job criteria if available
-          const criterion = job.criteria.find(c => 
-            sanitizeKey(c.name) === key || // Exact match
-            key.includes(sanitizeKey(c.name)) || // Attribute contains criterion name
-            sanitizeKey(c.name).includes(key) // Criterion name contains attribute
-          );
-          
-          if (criterion && criterion.targetValue !== undefined) {
-            // Calculate fuzzy score using specified membership function
-            const fuzzyScore = calculateFuzzyScore(
-              value,
-              criterion.targetValue,
-              fuzzyFactor,
-              membershipType
-            );
-            
-            // Store for WSM calculation
-            scoredAttributes[criterion.name] = fuzzyScore;
-            attributeConfidences[criterion.name] = 1.0; // Default confidence
-            
-            // Add fuzzy score to attributes
-            attributes.set(`${key}_fuzzyScore`, fuzzyScore);
-            attributes.set(`${key}_membershipFunction`, membershipType);
-            
-            console.log(`Matched attribute ${key} to criterion ${criterion.name} with score ${fuzzyScore}`);
-          }
-        }
-        
-        // Special handling for common criteria types that need attribute mapping
-        const criteriaMap = {
-          // Education level criteria
-          'education': (attrs) => {
-            if (attrs.has('has_phd')) return attrs.get('has_phd') ? 1.0 : 0;
-            if (attrs.has('has_masters')) return attrs.get('has_masters') ? 0.8 : 0;
-            if (attrs.has('has_bachelors')) return attrs.get('has_bachelors') ? 0.6 : 0;
-            return 0;
-          },
-          'degree': (attrs) => {
-            return attrs.has('has_cs_degree') ? 1.0 : 0;
-          },
-          'experience': (attrs) => {
-            return attrs.get('yearsOfExperience') || 0;
-          },
-          'programming': (attrs) => {
-            return attrs.get('programming_languages_count') || 0;
-          },
-          'languages': (attrs) => {
-            return attrs.get('programming_languages_count') || 0;
-          },
-          'frameworks': (attrs) => {
-            return attrs.get('web_frameworks_count') || 0;
-          },
-          'database': (attrs) => {
-            return attrs.get('databases_count') || 0;
-          },
-          'cloud': (attrs) => {
-            return attrs.get('cloud_services_count') || 0;
-          }
-        };
-        
-        // Apply special mapping for unmatched criteria
-        for (const criterion of job.criteria) {
-          // Skip already matched criteria
-          if (scoredAttributes[criterion.name]) continue;
-          
-          // Find any map function that applies to this criterion
-          for (const [keyword, mapFunc] of Object.entries(criteriaMap)) {
-            if (sanitizeKey(criterion.name).includes(keyword)) {
-              const rawValue = mapFunc(attributes);
-              let fuzzyScore;
-              
-              // If the criterion has a target value, use fuzzy matching
-              if (criterion.targetValue !== undefined) {
-                fuzzyScore = calculateFuzzyScore(
-                  rawValue,
-                  criterion.targetValue,
-                  fuzzyFactor,
-                  membershipType
-                );
-              } else {
-                // Otherwise, normalize the value based on common ranges
-                if (keyword === 'experience') {
-                  // Scale years of experience (0-10 years typical range)
-                  fuzzyScore = Math.min(rawValue / 10, 1);
-                } else if (keyword === 'programming' || keyword === 'languages' || 
-                           keyword === 'frameworks' || keyword === 'database' || keyword === 'cloud') {
-                  // Scale counts (0-10 skills typical range)
-                  fuzzyScore = Math.min(rawValue / 5, 1);
-                } else {
-                  fuzzyScore = rawValue;
-                }
-              }
-              
-              // Store for WSM calculation
-              scoredAttributes[criterion.name] = fuzzyScore;
-              attributeConfidences[criterion.name] = 0.8; // Lower confidence for mapped attributes
-              
-              console.log(`Mapped criterion ${criterion.name} using ${keyword} function with score ${fuzzyScore}`);
-              break;
-            }
-          }
-        }
-        
-        console.log('Final scored attributes:', scoredAttributes);
-        console.log('Weights:', weights);
-        
-        // If we have attributes to score and weights
-        if (Object.keys(scoredAttributes).length > 0 && Object.keys(weights).length > 0) {
-          // Apply weighted sum model to calculate initial score
-          const scoreResult = applyWSM(scoredAttributes, weights, attributeConfidences);
-          initialScore = scoreResult.score;
-          confidenceScore = scoreResult.confidence;
-          
-          console.log('Calculated score:', initialScore, 'with confidence:', confidenceScore);
-        } else {
-          // Fallback scoring if no criteria matched
-          initialScore = 0.5; // Neutral score
-          confidenceScore = 0.5; // Low confidence
-          console.log('No matching criteria found, using fallback score');
-        }
-      }
+      // Map resume data to attributes and score it with the job's attribute configuration
+      const ontology = await loadSkillOntology();
+      const linguistic = await loadLinguisticLibrary();
+      const {
+        firstName,
+        lastName,
+        email,
+        phone,
+        attributes,
+        initialScore,
+        confidenceScore,
+        scoreBreakdown
+      } = buildCandidateFromResume(resumeData, job, { fuzzyFactor, membershipType, ontology, linguistic });
       
       // Create new candidate with parsed data and initial score
       const newCandidate = new Candidate({
@@ -1309,6 +1054,7 @@ router.post(
         parsedResume: resumeData,
         initialScore: initialScore,
         confidenceScore: confidenceScore,
+        scoreBreakdown: { initial: scoreBreakdown },
         status: 'applied'
       });
       
@@ -1324,6 +1070,7 @@ router.post(
         resumeUrl: candidate.resumeUrl, // This is a reference URL, not an actual file location
         attributes: Object.fromEntries(candidate.attributes),
         parsedResume: resumeData,
+        parser: parserUsed,
         status: candidate.status
       };
       
@@ -1339,7 +1086,20 @@ router.post(
       
       res.status(201).json(response);
     } catch (error) {
+      if (error instanceof RequisitionError) {
+        return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+      }
       console.error('Error processing resume:', error);
+      
+      // Unreadable files are client errors; parser failures and malformed output are upstream errors
+      if (error instanceof ResumeParserError) {
+        return res.status(error.statusCode).json({
+          message: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+      
       res.status(500).json({ 
         message: 'Server error during resume parsing and candidate creation',
         error: error.message
@@ -1393,6 +1153,8 @@ router.post('/update-with-parsed', async (req, res) => {
       attributes,
       parsedResume,
       status,
+      statusReason,
+      changedBy,
       initialScore,
       confidenceScore,
       scoringSettings
@@ -1424,7 +1186,6 @@ router.post('/update-with-parsed', async (req, res) => {
       if (resumeUrl) candidate.resumeUrl = resumeUrl;
       if (jobId) candidate.jobId = jobId;
       if (parsedResume) candidate.parsedResume = parsedResume;
-      if (status) candidate.status = status;
       if (initialScore !== undefined) candidate.initialScore = initialScore;
       if (confidenceScore !== undefined) candidate.confidenceScore = confidenceScore;
       
@@ -1435,6 +1196,14 @@ router.post('/update-with-parsed', async (req, res) => {
         candidate.attributes = attributesMap;
       }
       
+      // Status changes go through the state machine before anything is saved
+      if (status && status !== candidate.status) {
+        await transitionCandidate(candidate, status, {
+          reason: statusReason || 'Updated with parsed resume',
+          changedBy
+        });
+      }
+      
       await candidate.save();
       
       res.json({ 
@@ -1451,12 +1220,23 @@ router.post('/update-with-parsed', async (req, res) => {
         return res.status(400).json({ message: 'Email is required to create a new candidate' });
       }
       
+      if (status && status !== 'applied') {
+        return res.status(409).json({
+          message: 'New candidates start as applied; change the status with POST /api/candidates/:id/status',
+          code: 'INVALID_TRANSITION',
+          details: { from: null, to: status }
+        });
+      }
+      
       // Check if job exists
       const job = await Job.findById(jobId);
       if (!job) {
         return res.status(404).json({ message: 'Job not found' });
       }
       
+      // Candidates can only be added while the job is open
+      assertJobOpen(job);
+      
       const newCandidate = new Candidate({
         firstName,
         lastName,
@@ -1467,8 +1247,7 @@ router.post('/update-with-parsed', async (req, res) => {
         attributes: attributes ? new Map(Object.entries(attributes)) : new Map(),
         parsedResume,
         initialScore: initialScore,
-        confidenceScore: confidenceScore,
-        status: status || 'applied'
+        confidenceScore: confidenceScore
       });
       
       candidate = await newCandidate.save();
@@ -1479,6 +1258,9 @@ router.post('/update-with-parsed', async (req, res) => {
       });
     }
   } catch (error) {
+    if (error instanceof RequisitionError || error instanceof CandidateStatusError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
     console.error('Error updating candidate with parsed data:', error);
     res.status(500).json({ 
       message: 'Server error',
@@ -4,6 +4,146 @@ const { body, validationResult } = require('express-validator');
 const Interview = require('../models/Interview');
 const Candidate = require('../models/Candidate');
 const Job = require('../models/Job');
+const Availability = require('../models/Availability');
+const { RELIABILITY_METHODS, scoreScorecards, buildScorecardBreakdown } = require('../utils/interRater');
+const {
+  pipelineFromJob,
+  stageKeys,
+  findStage,
+  unknownStages,
+  unknownDimensions,
+  checkStageGate
+} = require('../utils/pipelines');
+const { invalidRatings, ratingScores, rubricVersion } = require('../utils/rubrics');
+const {
+  DEFAULT_DURATION_MINUTES,
+  isValidTimeZone,
+  parseZonedDate,
+  formatInTimeZone,
+  availableWindows,
+  isAvailable,
+  findBookedSlots,
+  findConflicts,
+  findOverlaps
+} = require('../utils/scheduling');
+const { bookingUid, buildCalendar } = require('../utils/icalendar');
+const {
+  StageSyncError,
+  hasResults,
+  findStageInterview,
+  syncCandidateStage,
+  syncInterview,
+  cancelInterview,
+  assertWritable,
+  writeInterviewStage,
+  reconcileCandidates
+} = require('../utils/stageSync');
+const { TERMINAL_STATUSES, advanceCandidate } = require('../utils/candidateStatus');
+const { RequisitionError, assertJobOpen } = require('../utils/requisitions');
+
+// Score fields of the former /stage1-/stage3 routes; they set the stage's first dimension
+const LEGACY_SCORE_FIELDS = ['communicationScore', 'problemSolvingScore', 'systemDesignScore'];
+// Stage fields a new interview takes from the request; everything else is recorded by the server
+const SCHEDULING_FIELDS = ['interviewer', 'date', 'endDate', 'timeZone', 'location', 'scheduled'];
+// Stage results a new interview may record straight away, through the same checks as stage updates
+const RESULT_FIELDS = ['completed', 'dimensions', 'ratings', 'notes'];
+
+const pickFields = (data, fields) => Object.fromEntries(fields
+  .filter(field => data[field] !== undefined)
+  .map(field => [field, data[field]]));
+
+/**
+ * Load the pipeline of an interview's job
+ * @param {Object} interview - Interview document
+ * @returns {Promise<Object>} - Pipeline (the default pipeline if the job has none)
+ */
+const loadInterviewPipeline = async (interview) => pipelineFromJob(await Job.findById(interview.jobId));
+
+/**
+ * Get an interview's data for a stage, adding an empty entry for pipeline stages it does not have yet
+ * @param {Object} interview - Interview document
+ * @param {String} stage - Stage key
+ * @returns {Object} - Stage subdocument
+ */
+const interviewStage = (interview, stage) => {
+  if (!interview.stages.has(stage)) {
+    interview.stages.set(stage, {});
+  }
+  return interview.stages.get(stage);
+};
+
+/**
+ * Recompute a stage's consensus from its scorecards and copy it to the candidate
+ * The consensus score, its reliability-based confidence and the raters' disagreement become the
+ * candidate's stage score, confidence and disagreement. Without scorecards they are cleared.
+ * The interview is saved first, so a failed save never leaves the candidate with a consensus
+ * the interview does not have.
+ * @param {Object} interview - Interview document (saved here)
+ * @param {Object} stageDefinition - Stage of the job's pipeline, with its rubric
+ * @param {String} reliabilityMethod - 'krippendorff' or 'icc'
+ * @returns {Promise<Object|null>} - Stored consensus, or null when the stage has no scorecards
+ */
+const applyScorecardConsensus = async (interview, stageDefinition, reliabilityMethod) => {
+  const stage = stageDefinition.key;
+  const stageData = interviewStage(interview, stage);
+  const { scorecards } = stageData;
+
+  if (scorecards.length === 0) {
+    stageData.consensus = undefined;
+    await interview.save();
+    await Candidate.findByIdAndUpdate(interview.candidateId, {
+      $unset: {
+        [`stages.${stage}.score`]: '',
+        [`stages.${stage}.confidence`]: '',
+        [`stages.${stage}.disagreement`]: '',
+        [`stages.${stage}.reliability`]: '',
+        [`stages.${stage}.rubricVersion`]: '',
+        [`scoreBreakdown.stages.${stage}`]: ''
+      }
+    });
+    return null;
+  }
+
+  const result = scoreScorecards(scorecards, { reliabilityMethod, stage: stageDefinition });
+  const consensus = {
+    score: result.score,
+    confidence: result.confidence,
+    disagreement: result.disagreement,
+    reliability: result.reliability,
+    items: result.items,
+    rubricVersions: result.rubricVersions,
+    computedAt: new Date()
+  };
+  stageData.consensus = consensus;
+  await interview.save();
+
+  const updates = {
+    [`stages.${stage}.score`]: result.score,
+    [`stages.${stage}.confidence`]: result.confidence,
+    [`stages.${stage}.disagreement`]: result.disagreement,
+    [`stages.${stage}.reliability`]: result.reliability,
+    [`scoreBreakdown.stages.${stage}`]: buildScorecardBreakdown(result, stage)
+  };
+  if (result.rubricVersions.length > 0) {
+    updates[`stages.${stage}.rubricVersion`] = result.rubricVersions[result.rubricVersions.length - 1];
+  }
+  await Candidate.findByIdAndUpdate(interview.candidateId, { $set: updates });
+  return consensus;
+};
+
+/**
+ * Conflicting bookings as returned by the API
+ * @param {Array} conflicts - Slots from findConflicts
+ * @returns {Array} - { interviewId, stage, interviewer, start, end, reason }
+ */
+const describeConflicts = (conflicts) => conflicts.map(({ interviewId, stage, interviewer, start, end, reason }) => ({
+  interviewId,
+  stage,
+  interviewer,
+  start,
+  end,
+  reason
+}));
 
 // Get all interviews
 router.get('/', async (req, res) => {
@@ -23,6 +163,40 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * Check and optionally repair drift between candidates' stages and their interviews
+ * @param {Object} req - Express request (jobId or candidateId in the query or body)
+ * @param {Object} res - Express response
+ * @param {Boolean} repair - Whether to repair the drift
+ */
+const reconcileStages = async (req, res, repair) => {
+  try {
+    const { jobId, candidateId } = { ...req.query, ...req.body };
+    const filter = {};
+    if (jobId) filter.jobId = jobId;
+    if (candidateId) filter._id = candidateId;
+
+    const candidates = await Candidate.find(filter);
+    const jobs = await Job.find({ _id: { $in: [...new Set(candidates.map(candidate => String(candidate.jobId)))] } });
+    const pipelines = new Map(jobs.map(job => [String(job._id), pipelineFromJob(job)]));
+    const stagesOf = (candidate) => stageKeys(pipelines.get(String(candidate.jobId)) || pipelineFromJob(null));
+
+    res.json(await reconcileCandidates(candidates, stagesOf, repair));
+  } catch (error) {
+    if (error instanceof StageSyncError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Report drift between candidates' stage results and the interviews that hold them
+router.get('/reconcile', (req, res) => reconcileStages(req, res, false));
+
+// Repair drift between candidates' stage results and the interviews that hold them
+router.post('/reconcile', (req, res) => reconcileStages(req, res, true));
+
 // Get specific interview
 router.get('/:id', async (req, res) => {
   try {
@@ -41,7 +215,12 @@ router.get('/:id', async (req, res) => {
 router.post('/', [
   body('candidateId').isMongoId().withMessage('Valid candidate ID is required'),
   body('jobId').isMongoId().withMessage('Valid job ID is required'),
-  body('scheduledDate').isISO8601().withMessage('Valid scheduled date is required')
+  body('scheduledDate').isISO8601().withMessage('Valid scheduled date is required'),
+  body('stages.*.completed').optional().isBoolean().withMessage('Completed status must be a boolean'),
+  body('stages.*.dimensions').optional().isObject().withMessage('Dimensions must be an object of dimension scores'),
+  body('stages.*.dimensions.*').isFloat({ min: 0, max: 1 }).withMessage('Each dimension score must be between 0 and 1'),
+  body('stages.*.ratings').optional().isObject().withMessage('Ratings must be an object of rubric rating levels'),
+  body('stages.*.ratings.*').isString().withMessage('Each rating must be a rating level of the stage rubric')
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -57,39 +236,199 @@ router.post('/', [
       return res.status(404).json({ message: 'Candidate not found' });
     }
     
+    if (TERMINAL_STATUSES.includes(candidate.status)) {
+      return res.status(409).json({ message: `Cannot schedule an interview for a ${candidate.status} candidate` });
+    }
+    
     const job = await Job.findById(jobId);
     if (!job) {
       return res.status(404).json({ message: 'Job not found' });
     }
     
+    // Interviews can only be scheduled while the job is open
+    assertJobOpen(job);
+    
+    // The interview gets every stage of the job's pipeline; stages marked scheduled must have an open gate
+    const pipeline = pipelineFromJob(job);
+    const invalidStages = unknownStages(pipeline, stages || {});
+    if (invalidStages.length > 0) {
+      return res.status(400).json({ message: 'Stages are not part of the job pipeline', invalidStages, pipeline: stageKeys(pipeline) });
+    }
+    
+    // A stage with a date is booked for that slot; a stage marked scheduled without one is booked at the interview date
+    const requestedStages = {};
+    const requestedResults = {};
+    const bookings = [];
+    for (const [stage, data] of Object.entries(stages || {})) {
+      const stageData = pickFields(data || {}, SCHEDULING_FIELDS);
+      const results = pickFields(data || {}, RESULT_FIELDS);
+      if (Object.keys(results).length > 0) {
+        requestedResults[stage] = results;
+      }
+      if (stageData.date || stageData.scheduled) {
+        const timeZone = stageData.timeZone || candidate.timeZone || 'UTC';
+        const start = stageData.date ? parseZonedDate(stageData.date, timeZone) : new Date(scheduledDate);
+        const end = stageData.endDate
+          ? parseZonedDate(stageData.endDate, timeZone)
+          : start && new Date(start.getTime() + DEFAULT_DURATION_MINUTES * 60 * 1000);
+        if (!start || !end || end <= start) {
+          return res.status(400).json({ message: `Invalid date for stage ${stage}` });
+        }
+        Object.assign(stageData, { scheduled: true, date: start, endDate: end, timeZone });
+        stageData.bookingHistory = [{ action: 'booked', date: start, endDate: end, interviewer: stageData.interviewer }];
+        bookings.push({ stage, interviewer: stageData.interviewer, candidateId, start, end });
+      }
+      requestedStages[stage] = stageData;
+    }
+    
+    // The requested slots must not overlap each other either
+    const overlaps = findOverlaps(bookings);
+    if (overlaps.length > 0) {
+      const [{ slot, other }] = overlaps;
+      return res.status(409).json({
+        message: `Slots for ${slot.stage} and ${other.stage} overlap`,
+        conflicts: overlaps.map(({ slot: first, other: second, reason }) => ({
+          stage: first.stage,
+          otherStage: second.stage,
+          interviewer: second.interviewer,
+          start: second.start,
+          end: second.end,
+          reason
+        }))
+      });
+    }
+    
+    for (const booking of bookings) {
+      const availability = booking.interviewer ? await Availability.findOne({ interviewer: booking.interviewer }) : null;
+      if (availability && !isAvailable(availability, booking.start, booking.end)) {
+        return res.status(409).json({ message: `${booking.interviewer} is not available for the ${booking.stage} slot` });
+      }
+      const conflicts = await findConflicts(booking);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          message: `Slot for ${booking.stage} overlaps another booking`,
+          conflicts: describeConflicts(conflicts)
+        });
+      }
+    }
+    
+    const closedGates = Object.keys(requestedStages)
+      .filter(stage => requestedStages[stage].scheduled || requestedResults[stage])
+      .map(stage => ({ stage, ...checkStageGate(pipeline, stage, candidate) }))
+      .filter(gate => !gate.open);
+    if (closedGates.length > 0) {
+      return res.status(409).json({
+        message: 'Stages cannot be scheduled before their gates are met',
+        gates: closedGates.map(({ stage, unmet }) => ({ stage, unmet }))
+      });
+    }
+    
+    // Results are checked like a stage update and written once the interview exists
+    const resultWrites = [];
+    for (const [key, results] of Object.entries(requestedResults)) {
+      const updates = stageResultUpdates(findStage(pipeline, key), results.dimensions, results.ratings);
+      if (updates.error) {
+        return res.status(400).json(updates.error);
+      }
+      if (results.completed !== undefined) {
+        updates.$set[`stages.${key}.completed`] = Boolean(results.completed);
+      }
+      if (results.notes) {
+        updates.$set[`stages.${key}.notes`] = results.notes;
+      }
+      resultWrites.push({ key, updates });
+    }
+    
     // Create new interview
     const newInterview = new Interview({
       candidateId,
       jobId,
       scheduledDate: new Date(scheduledDate),
-      stages: stages || {}
+      stages: Object.fromEntries(stageKeys(pipeline).map(stage => [stage, requestedStages[stage] || {}]))
     });
     
-    const interview = await newInterview.save();
+    for (const { key, updates } of resultWrites) {
+      await assertWritable(newInterview, key, { scores: Object.keys(updates.dimensions).length > 0 });
+    }
     
-    // Update candidate status to 'interviewing'
-    await Candidate.findByIdAndUpdate(
-      candidateId,
-      { status: 'interviewing' }
-    );
+    let interview = await newInterview.save();
+    
+    // Each write bumps the stage's revision and copies the results to the candidate
+    for (const { key, updates } of resultWrites) {
+      ({ interview } = await writeInterviewStage(interview, key, { $set: updates.$set, $unset: updates.$unset }));
+    }
+    
+    // Move the candidate on to interviewing, unless they are further along, on hold or out of the process
+    await advanceCandidate(candidate, 'interviewing', { reason: 'Interview scheduled', changedBy: req.body.changedBy });
     
     res.status(201).json(interview);
   } catch (error) {
+    if (error instanceof RequisitionError || error instanceof StageSyncError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update phone screen results (Stage 1)
-router.put('/:id/stage1', [
-  body('completed').isBoolean().withMessage('Completed status is required'),
-  body('communicationScore').optional().isFloat({ min: 0, max: 1 }).withMessage('Communication score must be between 0 and 1')
-], async (req, res) => {
+// Stage slots are only set through the booking endpoints, which check availability and conflicts
+const stageDateValidator = body('date').not().exists()
+  .withMessage('Stage dates are set by booking the stage (POST or PUT /api/interviews/:id/stages/:stage/booking)');
+
+/**
+ * Updates that record dimension scores and rubric ratings on an interview stage
+ * Scores and ratings must be for competencies of the stage's rubric. A rating sets its
+ * competency's score and is stored with the rubric version; a plain score replaces an earlier rating.
+ * @param {Object} stage - Stage definition
+ * @param {Object} scores - Dimension scores
+ * @param {Object} ratings - Rubric rating levels
+ * @returns {Object} - { error } with the body of a 400 response, or { dimensions, $set, $unset }
+ */
+const stageResultUpdates = (stage, scores = {}, ratings = {}) => {
+  const invalidDimensions = unknownDimensions(stage, scores);
+  if (invalidDimensions.length > 0) {
+    return {
+      error: {
+        message: `Unknown score dimensions for ${stage.name}`,
+        invalidDimensions,
+        dimensions: stage.dimensions.map(dimension => dimension.key)
+      }
+    };
+  }
+
+  const rejectedRatings = invalidRatings(stage, ratings);
+  if (rejectedRatings.length > 0) {
+    return { error: { message: `Invalid rubric ratings for ${stage.name}`, invalidRatings: rejectedRatings } };
+  }
+
+  const dimensions = { ...scores, ...ratingScores(stage, ratings) };
+  const $set = {};
+  Object.entries(dimensions).forEach(([dimension, score]) => {
+    $set[`stages.${stage.key}.dimensions.${dimension}`] = score;
+  });
+  Object.entries(ratings).forEach(([dimension, rating]) => {
+    $set[`stages.${stage.key}.ratings.${dimension}`] = rating;
+  });
+  if (Object.keys(ratings).length > 0) {
+    $set[`stages.${stage.key}.rubricVersion`] = rubricVersion(stage);
+  }
+  const $unset = Object.fromEntries(Object.keys(scores)
+    .filter(dimension => ratings[dimension] === undefined)
+    .map(dimension => [`stages.${stage.key}.ratings.${dimension}`, '']));
+  return { dimensions, $set, $unset };
+};
+
+/**
+ * Record results for one stage of an interview
+ * Dimension scores and linguistic ratings must be for competencies of the stage's rubric, and
+ * the stage's gate must be open. Ratings are stored with the score of their fuzzy number and the
+ * rubric version. Completed stages with scores are copied to the candidate.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} resolveStage - Picks the stage key from the job's pipeline
+ * @param {Function} resolveScores - Reads the { dimensions, ratings } to record for the stage from the request
+ */
+const updateInterviewStage = async (req, res, resolveStage, resolveScores) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
@@ -97,7 +436,7 @@ router.put('/:id/stage1', [
 
   try {
     const { id } = req.params;
-    const { completed, communicationScore, date, interviewer, notes } = req.body;
+    const { completed, interviewer, notes } = req.body;
     
     // Find the interview
     const interview = await Interview.findById(id);
@@ -105,184 +444,606 @@ router.put('/:id/stage1', [
       return res.status(404).json({ message: 'Interview not found' });
     }
     
-    // Update the phone screen stage
-    const updates = {
-      'stages.phoneScreen.completed': completed,
-      'stages.phoneScreen.scheduled': true
-    };
+    const pipeline = await loadInterviewPipeline(interview);
+    const stage = findStage(pipeline, resolveStage(pipeline));
+    if (!stage) {
+      return res.status(400).json({ message: 'Invalid stage', pipeline: stageKeys(pipeline) });
+    }
     
-    if (communicationScore !== undefined) {
-      updates['stages.phoneScreen.communicationScore'] = communicationScore;
+    const { dimensions: scores = {}, ratings = {} } = resolveScores(stage);
+    const results = stageResultUpdates(stage, scores, ratings);
+    if (results.error) {
+      return res.status(400).json(results.error);
     }
+    const { dimensions, $set: stageResults, $unset: replacedRatings } = results;
     
-    if (date) {
-      updates['stages.phoneScreen.date'] = new Date(date);
+    // A booked slot only changes hands through a reschedule, which checks availability and conflicts
+    const stageData = interview.stages.get(stage.key);
+    if (interviewer && stageData && stageData.date && interviewer !== stageData.interviewer) {
+      return res.status(409).json({
+        message: `${stage.name} is booked with ${stageData.interviewer || 'another interviewer'}; reschedule its booking to change the interviewer`
+      });
     }
     
+    const candidate = await Candidate.findById(interview.candidateId);
+    const gate = checkStageGate(pipeline, stage.key, candidate);
+    if (!gate.open) {
+      return res.status(409).json({ message: `${stage.name} cannot start before its gate is met`, unmet: gate.unmet });
+    }
+    
+    // Update the stage
+    const updates = {
+      [`stages.${stage.key}.completed`]: completed,
+      ...stageResults
+    };
+    
     if (interviewer) {
-      updates['stages.phoneScreen.interviewer'] = interviewer;
+      updates[`stages.${stage.key}.interviewer`] = interviewer;
     }
     
     if (notes) {
-      updates['stages.phoneScreen.notes'] = notes;
-    }
-    
-    const updatedInterview = await Interview.findByIdAndUpdate(
-      id,
-      { $set: updates },
-      { new: true }
-    );
-    
-    // If completed, update the candidate's stage information
-    if (completed && communicationScore !== undefined) {
-      await Candidate.findByIdAndUpdate(
-        interview.candidateId,
-        { 
-          $set: {
-            'stages.phoneScreen.completed': true,
-            'stages.phoneScreen.communicationSkillScore': communicationScore
-          }
-        }
-      );
+      updates[`stages.${stage.key}.notes`] = notes;
     }
     
+    // The interview holds the results; the candidate's stage is kept as a copy of them
+    await assertWritable(interview, stage.key, {
+      expectedRevision: req.body.expectedRevision,
+      scores: Object.keys(dimensions).length > 0
+    });
+    const { interview: updatedInterview } = await writeInterviewStage(interview, stage.key, {
+      $set: updates,
+      $unset: replacedRatings
+    });
+    
     res.json(updatedInterview);
   } catch (error) {
+    if (error instanceof StageSyncError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
-});
+};
+
+// Update the results of a pipeline stage
+router.put('/:id/stages/:stage', [
+  body('completed').isBoolean().withMessage('Completed status is required'),
+  body('expectedRevision').optional().isInt({ min: 0 }).withMessage('Expected revision must be a non-negative integer'),
+  body('dimensions').optional().isObject().withMessage('Dimensions must be an object of dimension scores'),
+  body('dimensions.*').isFloat({ min: 0, max: 1 }).withMessage('Each dimension score must be between 0 and 1'),
+  body('ratings').optional().isObject().withMessage('Ratings must be an object of rubric rating levels'),
+  body('ratings.*').isString().withMessage('Each rating must be a rating level of the stage rubric'),
+  stageDateValidator
+], (req, res) => updateInterviewStage(req, res, () => req.params.stage, () => ({
+  dimensions: req.body.dimensions,
+  ratings: req.body.ratings
+})));
 
-// Update coding interview results (Stage 2)
-router.put('/:id/stage2', [
+// Update the results of the nth pipeline stage (former /stage1-/stage3 routes)
+router.put('/:id/stage:position(\\d+)', [
   body('completed').isBoolean().withMessage('Completed status is required'),
-  body('problemSolvingScore').optional().isFloat({ min: 0, max: 1 }).withMessage('Problem solving score must be between 0 and 1')
+  body('expectedRevision').optional().isInt({ min: 0 }).withMessage('Expected revision must be a non-negative integer'),
+  ...LEGACY_SCORE_FIELDS.map(field => body(field).optional().isFloat({ min: 0, max: 1 }).withMessage(`${field} must be between 0 and 1`)),
+  stageDateValidator
+], (req, res) => {
+  const position = Number(req.params.position);
+  const legacyField = LEGACY_SCORE_FIELDS.find(field => req.body[field] !== undefined);
+  
+  return updateInterviewStage(
+    req,
+    res,
+    pipeline => (pipeline.stages[position - 1] || {}).key,
+    // A legacy single score sets the stage's first dimension
+    stage => ({ dimensions: legacyField ? { [stage.dimensions[0].key]: req.body[legacyField] } : {} })
+  );
+});
+
+// Get a stage's scorecards and their consensus
+router.get('/:id/stages/:stage/scorecards', async (req, res) => {
+  const { id, stage } = req.params;
+
+  try {
+    const interview = await Interview.findById(id);
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    const pipeline = await loadInterviewPipeline(interview);
+    if (!findStage(pipeline, stage)) {
+      return res.status(400).json({ message: 'Invalid stage', pipeline: stageKeys(pipeline) });
+    }
+
+    const { scorecards, consensus } = interviewStage(interview, stage);
+    res.json({ interviewId: id, stage, scorecards, consensus: consensus || null });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Submit an interviewer's scorecard for a stage (replaces that interviewer's earlier scorecard)
+router.post('/:id/stages/:stage/scorecards', [
+  body('interviewer').trim().notEmpty().withMessage('Interviewer is required'),
+  body('scores').optional().isObject().withMessage('Scores must be an object of rubric item ratings'),
+  body('scores.*').isFloat({ min: 0, max: 1 }).withMessage('Each rubric score must be between 0 and 1'),
+  body('ratings').optional().isObject().withMessage('Ratings must be an object of rubric rating levels'),
+  body('ratings.*').isString().withMessage('Each rating must be a rating level of the stage rubric'),
+  body('notes').optional().isString().withMessage('Notes must be a string'),
+  body('reliabilityMethod').optional().isIn(RELIABILITY_METHODS).withMessage(`Reliability method must be one of: ${RELIABILITY_METHODS.join(', ')}`),
+  body('expectedRevision').optional().isInt({ min: 0 }).withMessage('Expected revision must be a non-negative integer')
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { id, stage } = req.params;
+
   try {
-    const { id } = req.params;
-    const { completed, problemSolvingScore, date, interviewer, notes } = req.body;
-    
-    // Find the interview
+    const { interviewer, scores = {}, ratings = {}, notes, reliabilityMethod = 'krippendorff' } = req.body;
+    if (Object.keys(scores).length === 0 && Object.keys(ratings).length === 0) {
+      return res.status(400).json({ message: 'At least one rubric score or rating is required' });
+    }
+
     const interview = await Interview.findById(id);
     if (!interview) {
       return res.status(404).json({ message: 'Interview not found' });
     }
-    
-    // Update the coding interview stage
-    const updates = {
-      'stages.codingInterview.completed': completed,
-      'stages.codingInterview.scheduled': true
+
+    const pipeline = await loadInterviewPipeline(interview);
+    const stageDefinition = findStage(pipeline, stage);
+    if (!stageDefinition) {
+      return res.status(400).json({ message: 'Invalid stage', pipeline: stageKeys(pipeline) });
+    }
+
+    // Scorecards rate the competencies of the stage rubric
+    const invalidDimensions = unknownDimensions(stageDefinition, scores);
+    const rejectedRatings = invalidRatings(stageDefinition, ratings);
+    if (invalidDimensions.length > 0 || rejectedRatings.length > 0) {
+      return res.status(400).json({
+        message: `Scorecard does not match the ${stageDefinition.name} rubric`,
+        invalidDimensions,
+        invalidRatings: rejectedRatings,
+        competencies: stageDefinition.dimensions.map(dimension => dimension.key)
+      });
+    }
+
+    const candidate = await Candidate.findById(interview.candidateId);
+    const gate = checkStageGate(pipeline, stage, candidate);
+    if (!gate.open) {
+      return res.status(409).json({ message: `${stageDefinition.name} cannot start before its gate is met`, unmet: gate.unmet });
+    }
+    await assertWritable(interview, stage, { expectedRevision: req.body.expectedRevision });
+
+    const scorecard = {
+      scores: { ...scores, ...ratingScores(stageDefinition, ratings) },
+      ratings,
+      rubricVersion: rubricVersion(stageDefinition),
+      notes
     };
-    
-    if (problemSolvingScore !== undefined) {
-      updates['stages.codingInterview.problemSolvingScore'] = problemSolvingScore;
+    const stageData = interviewStage(interview, stage);
+    const existing = stageData.scorecards.find(card => card.interviewer === interviewer);
+    if (existing) {
+      existing.set({ ...scorecard, submittedAt: new Date() });
+    } else {
+      stageData.scorecards.push({ interviewer, ...scorecard });
     }
-    
-    if (date) {
-      updates['stages.codingInterview.date'] = new Date(date);
+    stageData.revision = (stageData.revision || 0) + 1;
+
+    const consensus = await applyScorecardConsensus(interview, stageDefinition, reliabilityMethod);
+    await syncCandidateStage(interview.candidateId, stage);
+
+    res.status(existing ? 200 : 201).json({
+      interviewId: id,
+      stage,
+      scorecards: interview.stages.get(stage).scorecards,
+      consensus
+    });
+  } catch (error) {
+    if (error instanceof StageSyncError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
     }
-    
-    if (interviewer) {
-      updates['stages.codingInterview.interviewer'] = interviewer;
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a scorecard and recompute the stage consensus
+router.delete('/:id/stages/:stage/scorecards/:scorecardId', async (req, res) => {
+  const { id, stage, scorecardId } = req.params;
+
+  try {
+    const interview = await Interview.findById(id);
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
     }
-    
-    if (notes) {
-      updates['stages.codingInterview.notes'] = notes;
-    }
-    
-    const updatedInterview = await Interview.findByIdAndUpdate(
-      id,
-      { $set: updates },
-      { new: true }
-    );
-    
-    // If completed, update the candidate's stage information
-    if (completed && problemSolvingScore !== undefined) {
-      await Candidate.findByIdAndUpdate(
-        interview.candidateId,
-        { 
-          $set: {
-            'stages.codingInterview.completed': true,
-            'stages.codingInterview.problemSolvingScore': problemSolvingScore
-          }
-        }
-      );
+
+    const stageData = interview.stages.get(stage);
+    const scorecard = stageData && stageData.scorecards.id(scorecardId);
+    if (!scorecard) {
+      return res.status(404).json({ message: 'Scorecard not found' });
     }
-    
-    res.json(updatedInterview);
+
+    const stageDefinition = findStage(await loadInterviewPipeline(interview), stage);
+    if (!stageDefinition) {
+      return res.status(400).json({ message: 'Stage is no longer part of the job pipeline' });
+    }
+
+    // Keep the reliability method the consensus was last computed with
+    const reliabilityMethod = (stageData.consensus && stageData.consensus.reliability && stageData.consensus.reliability.method) || 'krippendorff';
+    await assertWritable(interview, stage);
+    scorecard.deleteOne();
+    stageData.revision = (stageData.revision || 0) + 1;
+
+    const consensus = await applyScorecardConsensus(interview, stageDefinition, reliabilityMethod);
+    await syncCandidateStage(interview.candidateId, stage);
+
+    res.json({
+      interviewId: id,
+      stage,
+      scorecards: interview.stages.get(stage).scorecards,
+      consensus
+    });
   } catch (error) {
+    if (error instanceof StageSyncError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update onsite interview results (Stage 3)
-router.put('/:id/stage3', [
-  body('completed').isBoolean().withMessage('Completed status is required'),
-  body('systemDesignScore').optional().isFloat({ min: 0, max: 1 }).withMessage('System design score must be between 0 and 1')
+/**
+ * A stage's booking with its times in the interviewer's and the candidate's time zones
+ * @param {Object} interview - Interview document
+ * @param {String} stage - Stage key
+ * @param {Object} timeZones - { interviewer, candidate } time zones (either may be missing)
+ * @returns {Object} - Booking as returned by the API
+ */
+const describeBooking = (interview, stage, timeZones) => {
+  const stageData = interview.stages.get(stage);
+  const local = (timeZone) => (timeZone && stageData.date ? {
+    timeZone,
+    start: formatInTimeZone(stageData.date, timeZone),
+    end: formatInTimeZone(stageData.endDate, timeZone)
+  } : null);
+  return {
+    interviewId: interview._id,
+    stage,
+    scheduled: stageData.scheduled,
+    interviewer: stageData.interviewer,
+    start: stageData.date || null,
+    end: stageData.endDate || null,
+    timeZone: stageData.timeZone,
+    location: stageData.location,
+    sequence: stageData.sequence,
+    local: {
+      interviewer: local(timeZones.interviewer),
+      candidate: local(timeZones.candidate)
+    },
+    history: stageData.bookingHistory,
+    calendar: `/api/interviews/${interview._id}/stages/${stage}/booking.ics`
+  };
+};
+
+/**
+ * Calendar events for booked slots, titled with the stage, candidate and job
+ * @param {Array} slots - Slots from findBookedSlots
+ * @returns {Promise<Array>} - Events for buildCalendar
+ */
+const bookingEvents = async (slots) => {
+  const candidateIds = [...new Set(slots.map(slot => String(slot.candidateId)))];
+  const jobIds = [...new Set(slots.map(slot => String(slot.jobId)))];
+  const [candidates, jobs] = await Promise.all([
+    Candidate.find({ _id: { $in: candidateIds } }).select('firstName lastName email'),
+    Job.find({ _id: { $in: jobIds } }).select('title pipeline')
+  ]);
+  const candidatesById = new Map(candidates.map(candidate => [String(candidate._id), candidate]));
+  const jobsById = new Map(jobs.map(job => [String(job._id), job]));
+
+  return slots.map(slot => {
+    const candidate = candidatesById.get(String(slot.candidateId));
+    const job = jobsById.get(String(slot.jobId));
+    const stageDefinition = job ? findStage(pipelineFromJob(job), slot.stage) : null;
+    const stageName = stageDefinition ? stageDefinition.name : slot.stage;
+    const candidateName = candidate ? `${candidate.firstName} ${candidate.lastName}` : 'Candidate';
+    return {
+      uid: bookingUid(slot.interviewId, slot.stage),
+      start: slot.start,
+      end: slot.end,
+      summary: `${stageName}: ${candidateName}${job ? ` (${job.title})` : ''}`,
+      description: `Interviewer: ${slot.interviewer || 'to be confirmed'}`,
+      location: slot.location,
+      sequence: slot.sequence,
+      cancelled: slot.cancelled,
+      updatedAt: slot.updatedAt,
+      attendees: candidate ? [{ name: candidateName, email: candidate.email }] : []
+    };
+  });
+};
+
+/**
+ * Book or reschedule a stage slot
+ * The slot must lie inside the interviewer's availability (when they have set one) and must not
+ * overlap another booking of the interviewer or the candidate. Every change is added to the
+ * stage's booking history and raises its calendar sequence.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {String} action - 'booked' or 'rescheduled'
+ */
+const bookStage = async (req, res, action) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id, stage } = req.params;
+
+  try {
+    const { start, end, durationMinutes, location, reason, changedBy } = req.body;
+
+    const interview = await Interview.findById(id);
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    if (interview.status === 'cancelled') {
+      return res.status(409).json({ message: 'Interview is cancelled' });
+    }
+
+    const pipeline = await loadInterviewPipeline(interview);
+    const stageDefinition = findStage(pipeline, stage);
+    if (!stageDefinition) {
+      return res.status(400).json({ message: 'Invalid stage', pipeline: stageKeys(pipeline) });
+    }
+
+    const stageData = interviewStage(interview, stage);
+    const isBooked = Boolean(stageData.scheduled && stageData.date);
+    if (action === 'booked' && isBooked) {
+      return res.status(409).json({ message: `${stageDefinition.name} is already booked; reschedule it instead` });
+    }
+    if (action === 'rescheduled' && !isBooked) {
+      return res.status(409).json({ message: `${stageDefinition.name} is not booked yet` });
+    }
+    if (stageData.completed) {
+      return res.status(409).json({ message: `${stageDefinition.name} is already completed` });
+    }
+
+    const candidate = await Candidate.findById(interview.candidateId);
+    const gate = checkStageGate(pipeline, stage, candidate);
+    if (!gate.open) {
+      return res.status(409).json({ message: `${stageDefinition.name} cannot be scheduled before its gate is met`, unmet: gate.unmet });
+    }
+
+    // Times without an offset are read in the given time zone, else the interviewer's, else the candidate's
+    const interviewer = req.body.interviewer || stageData.interviewer;
+    const availability = await Availability.findOne({ interviewer });
+    const timeZone = req.body.timeZone || (availability && availability.timeZone) || (candidate && candidate.timeZone) || 'UTC';
+    const startDate = parseZonedDate(start, timeZone);
+    const minutes = durationMinutes !== undefined ? Number(durationMinutes) : DEFAULT_DURATION_MINUTES;
+    const endDate = end ? parseZonedDate(end, timeZone) : startDate && new Date(startDate.getTime() + minutes * 60 * 1000);
+    if (!startDate || !endDate || endDate <= startDate) {
+      return res.status(400).json({ message: 'Start and end must be dates with start before end' });
+    }
+
+    if (availability && !isAvailable(availability, startDate, endDate)) {
+      const dayStart = new Date(startDate.getTime() - 12 * 60 * 60 * 1000);
+      const dayEnd = new Date(startDate.getTime() + 36 * 60 * 60 * 1000);
+      return res.status(409).json({
+        message: `${interviewer} is not available for this slot`,
+        availableWindows: availableWindows(availability, dayStart, dayEnd).map(window => ({
+          start: window.start,
+          end: window.end,
+          localStart: formatInTimeZone(window.start, availability.timeZone),
+          localEnd: formatInTimeZone(window.end, availability.timeZone)
+        }))
+      });
+    }
+
+    const conflicts = await findConflicts({
+      interviewId: interview._id,
+      stage,
+      interviewer,
+      candidateId: interview.candidateId,
+      start: startDate,
+      end: endDate
+    });
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        message: 'Slot overlaps another booking',
+        conflicts: describeConflicts(conflicts)
+      });
+    }
+
+    const previous = { date: stageData.date, endDate: stageData.endDate, interviewer: stageData.interviewer };
+    if (stageData.bookingHistory.length > 0) {
+      stageData.sequence = (stageData.sequence || 0) + 1;
+    }
+    stageData.scheduled = true;
+    stageData.date = startDate;
+    stageData.endDate = endDate;
+    stageData.timeZone = timeZone;
+    stageData.interviewer = interviewer;
+    if (location !== undefined) {
+      stageData.location = location;
+    }
+    stageData.bookingHistory.push({
+      action,
+      date: startDate,
+      endDate,
+      interviewer,
+      ...(action === 'rescheduled' ? {
+        previousDate: previous.date,
+        previousEndDate: previous.endDate,
+        previousInterviewer: previous.interviewer
+      } : {}),
+      reason,
+      changedBy
+    });
+
+    await interview.save();
+
+    res.status(action === 'booked' ? 201 : 200).json(describeBooking(interview, stage, {
+      interviewer: availability ? availability.timeZone : null,
+      candidate: candidate && candidate.timeZone
+    }));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const bookingValidators = [
+  body('start').isString().withMessage('Start is required'),
+  body('end').optional().isString().withMessage('End must be a date'),
+  body('durationMinutes').optional().isInt({ min: 5, max: 480 }).withMessage('Duration must be between 5 and 480 minutes'),
+  body('timeZone').optional().custom(isValidTimeZone).withMessage('Time zone must be an IANA time zone such as Europe/Berlin'),
+  body('location').optional().isString().withMessage('Location must be a string'),
+  body('changedBy').optional().isString().withMessage('Changed by must be a string')
+];
+
+// Get a stage's booking
+router.get('/:id/stages/:stage/booking', async (req, res) => {
+  const { id, stage } = req.params;
+
+  try {
+    const interview = await Interview.findById(id);
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    if (!interview.stages.has(stage)) {
+      return res.status(404).json({ message: 'Stage not found' });
+    }
+
+    const stageData = interview.stages.get(stage);
+    const [availability, candidate] = await Promise.all([
+      stageData.interviewer ? Availability.findOne({ interviewer: stageData.interviewer }) : null,
+      Candidate.findById(interview.candidateId)
+    ]);
+
+    res.json(describeBooking(interview, stage, {
+      interviewer: availability ? availability.timeZone : null,
+      candidate: candidate && candidate.timeZone
+    }));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Book a slot for a stage
+router.post('/:id/stages/:stage/booking', [
+  body('interviewer').trim().notEmpty().withMessage('Interviewer is required'),
+  ...bookingValidators
+], (req, res) => bookStage(req, res, 'booked'));
+
+// Reschedule a stage's slot (optionally with another interviewer); a reason is required
+router.put('/:id/stages/:stage/booking', [
+  body('interviewer').optional().trim().notEmpty().withMessage('Interviewer must not be empty'),
+  body('reason').trim().notEmpty().withMessage('A reason for rescheduling is required'),
+  ...bookingValidators
+], (req, res) => bookStage(req, res, 'rescheduled'));
+
+// Cancel a stage's slot; the stage can be booked again later
+router.delete('/:id/stages/:stage/booking', [
+  body('reason').trim().notEmpty().withMessage('A reason for cancelling is required'),
+  body('changedBy').optional().isString().withMessage('Changed by must be a string')
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { id, stage } = req.params;
+
   try {
-    const { id } = req.params;
-    const { completed, systemDesignScore, date, interviewer, notes } = req.body;
-    
-    // Find the interview
     const interview = await Interview.findById(id);
     if (!interview) {
       return res.status(404).json({ message: 'Interview not found' });
     }
-    
-    // Update the onsite interview stage
-    const updates = {
-      'stages.onsiteInterview.completed': completed,
-      'stages.onsiteInterview.scheduled': true
-    };
-    
-    if (systemDesignScore !== undefined) {
-      updates['stages.onsiteInterview.systemDesignScore'] = systemDesignScore;
+
+    const stageData = interview.stages.get(stage);
+    if (!stageData || !stageData.scheduled || !stageData.date) {
+      return res.status(404).json({ message: 'Stage is not booked' });
     }
-    
-    if (date) {
-      updates['stages.onsiteInterview.date'] = new Date(date);
+    if (stageData.completed) {
+      return res.status(409).json({ message: 'A completed stage cannot be cancelled' });
     }
-    
-    if (interviewer) {
-      updates['stages.onsiteInterview.interviewer'] = interviewer;
+
+    stageData.bookingHistory.push({
+      action: 'cancelled',
+      interviewer: stageData.interviewer,
+      previousDate: stageData.date,
+      previousEndDate: stageData.endDate,
+      previousInterviewer: stageData.interviewer,
+      reason: req.body.reason,
+      changedBy: req.body.changedBy
+    });
+    stageData.sequence = (stageData.sequence || 0) + 1;
+    stageData.scheduled = false;
+    stageData.date = undefined;
+    stageData.endDate = undefined;
+
+    await interview.save();
+
+    res.json(describeBooking(interview, stage, {}));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Export a stage's booking as an iCalendar invitation (a cancellation once the slot is cancelled)
+router.get('/:id/stages/:stage/booking.ics', async (req, res) => {
+  const { id, stage } = req.params;
+
+  try {
+    const interview = await Interview.findById(id);
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
     }
-    
-    if (notes) {
-      updates['stages.onsiteInterview.notes'] = notes;
-    }
-    
-    const updatedInterview = await Interview.findByIdAndUpdate(
-      id,
-      { $set: updates },
-      { new: true }
-    );
-    
-    // If completed, update the candidate's stage information
-    if (completed && systemDesignScore !== undefined) {
-      await Candidate.findByIdAndUpdate(
-        interview.candidateId,
-        { 
-          $set: {
-            'stages.onsiteInterview.completed': true,
-            'stages.onsiteInterview.systemDesignScore': systemDesignScore
-          }
-        }
-      );
+
+    const slot = (await findBookedSlots({ candidateId: interview.candidateId, includeCancelled: true }))
+      .find(item => String(item.interviewId) === id && item.stage === stage);
+    if (!slot) {
+      return res.status(404).json({ message: 'Stage has no booking' });
     }
-    
-    res.json(updatedInterview);
+
+    const events = await bookingEvents([slot]);
+    res.type('text/calendar; charset=utf-8');
+    res.attachment(`interview-${id}-${stage}.ics`);
+    res.send(buildCalendar(events, { method: slot.cancelled ? 'CANCEL' : 'REQUEST' }));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// iCalendar feed of an interviewer's bookings (cancelled ones are kept so calendars remove them)
+router.get('/calendar/interviewers/:interviewer.ics', async (req, res) => {
+  try {
+    const { interviewer } = req.params;
+    const events = await bookingEvents(await findBookedSlots({ interviewer, includeCancelled: true }));
+
+    res.type('text/calendar; charset=utf-8');
+    res.send(buildCalendar(events, { name: `Interviews: ${interviewer}` }));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// iCalendar feed of a candidate's bookings
+router.get('/calendar/candidates/:candidateId.ics', async (req, res) => {
+  try {
+    const candidate = await Candidate.findById(req.params.candidateId);
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+
+    const events = await bookingEvents(await findBookedSlots({ candidateId: candidate._id, includeCancelled: true }));
+
+    res.type('text/calendar; charset=utf-8');
+    res.send(buildCalendar(events, { name: `Interviews: ${candidate.firstName} ${candidate.lastName}` }));
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -300,12 +1061,55 @@ router.put('/:id/cancel', async (req, res) => {
       return res.status(404).json({ message: 'Interview not found' });
     }
     
-    interview.status = 'cancelled';
-    if (reason) {
-      interview.cancelReason = reason;
+    // Booked slots leave the calendar feeds and the interview's results are withdrawn from the candidate
+    await cancelInterview(interview, reason);
+    
+    res.json(interview);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Re-open a cancelled interview; its bookings must still be free and its results are copied back to the candidate
+router.put('/:id/reopen', async (req, res) => {
+  try {
+    const interview = await Interview.findById(req.params.id);
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    if (interview.status !== 'cancelled') {
+      return res.status(409).json({ message: 'Only cancelled interviews can be re-opened' });
+    }
+    
+    // Another interview may have taken over a stage's results or slot in the meantime
+    for (const [stage, stageData] of interview.stages) {
+      if (hasResults(stageData)) {
+        const holder = await findStageInterview(interview.candidateId, stage);
+        if (holder && hasResults(holder.stages.get(stage))) {
+          return res.status(409).json({ message: `Another interview now holds results for ${stage}`, code: 'STAGE_HELD_ELSEWHERE', interviewId: holder._id });
+        }
+      }
+      if (stageData.scheduled && stageData.date && !stageData.completed) {
+        const conflicts = await findConflicts({
+          interviewId: interview._id,
+          stage,
+          interviewer: stageData.interviewer,
+          candidateId: interview.candidateId,
+          start: stageData.date,
+          end: stageData.endDate || new Date(stageData.date.getTime() + DEFAULT_DURATION_MINUTES * 60 * 1000)
+        });
+        if (conflicts.length > 0) {
+          return res.status(409).json({ message: `Slot for ${stage} overlaps another booking`, conflicts: describeConflicts(conflicts) });
+        }
+        stageData.sequence = (stageData.sequence || 0) + 1;
+      }
     }
     
+    interview.status = 'scheduled';
+    interview.cancelReason = undefined;
     await interview.save();
+    await syncInterview(interview);
     
     res.json(interview);
   } catch (error) {
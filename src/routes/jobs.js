@@ -2,12 +2,132 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Job = require('../models/Job');
+const Candidate = require('../models/Candidate');
 const { applyDelphiTechnique } = require('../utils/scoring');
+const { resolveAttributeConfig, validateAttributeConfig } = require('../utils/attributeExtraction');
+const { summarizeRound, memberFeedback, consensusWeights } = require('../utils/delphiPanel');
+const { DEFAULT_CR_THRESHOLD, validatePairwiseMatrix, computeAhpWeights } = require('../utils/ahp');
+const { capacityFromJob, capacityCriteria, validateCapacity, isFiniteCapacity, normalizeCapacity, describeCapacity, learnCapacity } = require('../utils/choquet');
+const {
+  ENGINES,
+  DEFUZZIFIERS,
+  ruleBaseFromJob,
+  validateRuleBase,
+  validateRule,
+  evaluateRuleBase
+} = require('../utils/fuzzyRuleBase');
+const { loadLinguisticLibrary } = require('../utils/linguisticVariables');
+const {
+  DEFAULT_TEMPLATE_NAME,
+  validatePipeline,
+  pipelineFromTemplate,
+  pipelineFromJob,
+  stageKeys,
+  findStage,
+  loadPipelineTemplate
+} = require('../utils/pipelines');
+const { describeRubric, versionRubrics } = require('../utils/rubrics');
+const {
+  JOB_STATUSES,
+  JOB_TRANSITIONS,
+  RequisitionError,
+  checkJobTransition,
+  transitionJob,
+  refreshHeadcount,
+  criteriaSignature,
+  markScoresStale
+} = require('../utils/requisitions');
+const { closeJobPipeline } = require('../utils/offers');
 
-// Get all jobs
+/**
+ * Plain weight objects for a Delphi round's submissions
+ * @param {Object} round - Delphi round
+ * @returns {Array} - Weight objects in submission order
+ */
+const roundWeights = (round) => round.submissions.map(submission =>
+  submission.weights instanceof Map ? Object.fromEntries(submission.weights.entries()) : submission.weights
+);
+
+/**
+ * Per-criterion fuzzy degrees from a candidate's initial score breakdown
+ * @param {Object} candidate - Candidate document
+ * @returns {Object|null} - Fuzzy degree per criterion (unmatched criteria are 0), or null if never scored
+ */
+const initialCriterionValues = (candidate) => {
+  const breakdown = candidate.scoreBreakdown && candidate.scoreBreakdown.initial;
+  if (!breakdown || !Array.isArray(breakdown.criteria)) return null;
+  const values = {};
+  breakdown.criteria.forEach(item => {
+    values[item.criterion] = item.matched ? item.fuzzyDegree : 0;
+  });
+  return values;
+};
+
+/**
+ * Response body for a job's Choquet capacity
+ * @param {Object} job - Job document with a capacity
+ * @returns {Object} - Capacity, Shapley importances, interaction indices and provenance
+ */
+const formatCapacity = (job) => ({
+  jobId: job._id,
+  ...describeCapacity(capacityFromJob(job)),
+  source: job.choquet.source,
+  learning: job.choquet.learning || null,
+  updatedAt: job.choquet.updatedAt
+});
+
+/**
+ * Response body for a job's fuzzy rule base
+ * @param {Object} job - Job document with a rule base
+ * @returns {Object} - Variables, rules and last update
+ */
+const formatRuleBase = (job) => ({
+  jobId: job._id,
+  ...ruleBaseFromJob(job),
+  updatedAt: job.ruleBase.updatedAt
+});
+
+/**
+ * Response body for a job's interview pipeline
+ * @param {Object} job - Job document
+ * @returns {Object} - Template name, stages and last update
+ */
+const formatPipeline = (job) => ({
+  jobId: job._id,
+  ...pipelineFromJob(job)
+});
+
+/**
+ * Rule fields from a request body
+ * @param {Object} source - Request body
+ * @returns {Object} - Rule with only the stored fields
+ */
+const pickRule = ({ if: conditions, operator, then, weight, description }) => {
+  const rule = { if: conditions, then };
+  if (operator !== undefined) rule.operator = operator;
+  if (weight !== undefined) rule.weight = weight;
+  if (description !== undefined) rule.description = description;
+  return rule;
+};
+
+// Get all jobs, optionally with one status; deleted jobs only with includeDeleted=true
 router.get('/', async (req, res) => {
   try {
-    const jobs = await Job.find().sort({ createdAt: -1 });
+    const { status, includeDeleted } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+    
+    const query = {};
+    if (includeDeleted !== 'true') {
+      query.deletedAt = null;
+    }
+    if (status) {
+      // Jobs created before job statuses existed count as open
+      query.status = status === 'open' ? { $in: ['open', null] } : status;
+    }
+    
+    const jobs = await Job.find(query).sort({ createdAt: -1 });
     res.json(jobs);
   } catch (error) {
     console.error(error);
@@ -39,7 +159,11 @@ router.post(
     body('location').notEmpty().withMessage('Location is required'),
     body('criteria').isArray().withMessage('Criteria must be an array'),
     body('criteria.*.name').notEmpty().withMessage('Criterion name is required'),
-    body('criteria.*.weight').isFloat({ min: 0, max: 1 }).withMessage('Weight must be between 0 and 1')
+    body('criteria.*.weight').isFloat({ min: 0, max: 1 }).withMessage('Weight must be between 0 and 1'),
+    body('attributeConfig').optional().isObject().withMessage('Attribute config must be an object'),
+    body('pipelineTemplate').optional().isString().withMessage('Pipeline template must be a template name'),
+    body('status').optional().isIn(['draft', 'open']).withMessage('A new job is either draft or open'),
+    body('headcount').optional().isInt({ min: 1 }).withMessage('Headcount must be a positive integer')
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -54,9 +178,35 @@ router.post(
         department,
         location,
         criteria,
-        usesMultipleHR
+        usesMultipleHR,
+        attributeConfig,
+        pipelineTemplate = DEFAULT_TEMPLATE_NAME,
+        status = 'open',
+        headcount = 1
       } = req.body;
 
+      if (attributeConfig) {
+        const configErrors = validateAttributeConfig(attributeConfig);
+        if (configErrors.length > 0) {
+          return res.status(400).json({ message: 'Invalid attribute config', errors: configErrors });
+        }
+      }
+
+      // A criterion's target may reference a linguistic term ("experience IS senior")
+      const linguistic = await loadLinguisticLibrary();
+      const invalidTargets = linguistic.findInvalidReferences(
+        Object.fromEntries(criteria.map(criterion => [criterion.name, criterion.targetValue]))
+      );
+      if (invalidTargets.length > 0) {
+        return res.status(400).json({ message: 'Criteria reference unknown linguistic terms', invalidTargets });
+      }
+
+      // Interview stages come from the chosen pipeline template
+      const template = await loadPipelineTemplate(pipelineTemplate);
+      if (!template) {
+        return res.status(400).json({ message: `Unknown pipeline template: ${pipelineTemplate}` });
+      }
+
       // Create initial weights map
       const finalWeights = {};
       criteria.forEach(criterion => {
@@ -70,7 +220,11 @@ router.post(
         location,
         criteria,
         usesMultipleHR,
-        finalWeights
+        finalWeights,
+        attributeConfig,
+        pipeline: pipelineFromTemplate(template),
+        status,
+        headcount
       });
 
       const job = await newJob.save();
@@ -82,6 +236,176 @@ router.post(
   }
 );
 
+// Edit a job's details, criteria and headcount
+// Changed criteria replace the job's weights and mark candidates scored against the old criteria as stale
+router.put('/:id', [
+  body('title').optional().notEmpty().withMessage('Title cannot be empty'),
+  body('description').optional().notEmpty().withMessage('Description cannot be empty'),
+  body('department').optional().notEmpty().withMessage('Department cannot be empty'),
+  body('location').optional().notEmpty().withMessage('Location cannot be empty'),
+  body('criteria').optional().isArray({ min: 1 }).withMessage('Criteria must be a non-empty array'),
+  body('criteria.*.name').notEmpty().withMessage('Criterion name is required'),
+  body('criteria.*.weight').isFloat({ min: 0, max: 1 }).withMessage('Weight must be between 0 and 1'),
+  body('headcount').optional().isInt({ min: 1 }).withMessage('Headcount must be a positive integer'),
+  body('usesMultipleHR').optional().isBoolean().withMessage('Uses multiple HR must be a boolean'),
+  body('changedBy').optional().isString().withMessage('Changed by must be a string')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { title, description, department, location, criteria, headcount, usesMultipleHR, changedBy } = req.body;
+    
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    if (job.deletedAt) {
+      return res.status(409).json({ message: 'Job is deleted; restore it first', code: 'JOB_DELETED' });
+    }
+    
+    if (headcount !== undefined && Number(headcount) < (job.filledCount || 0)) {
+      return res.status(400).json({ message: `Headcount cannot be below the ${job.filledCount} openings already filled` });
+    }
+    
+    let criteriaChanged = false;
+    if (criteria !== undefined) {
+      // A criterion's target may reference a linguistic term ("experience IS senior")
+      const linguistic = await loadLinguisticLibrary();
+      const invalidTargets = linguistic.findInvalidReferences(
+        Object.fromEntries(criteria.map(criterion => [criterion.name, criterion.targetValue]))
+      );
+      if (invalidTargets.length > 0) {
+        return res.status(400).json({ message: 'Criteria reference unknown linguistic terms', invalidTargets });
+      }
+      
+      // The Choquet capacity and the rule base name criteria, so those cannot be removed under them
+      const names = criteria.map(criterion => criterion.name);
+      const removed = job.criteria.map(criterion => criterion.name).filter(name => !names.includes(name));
+      const capacity = capacityFromJob(job);
+      const ruleBase = ruleBaseFromJob(job);
+      const inUse = {
+        choquet: capacity ? capacityCriteria(capacity).filter(name => removed.includes(name)) : [],
+        ruleBase: ruleBase
+          ? ruleBase.inputs.filter(input => input.source === 'attribute' && removed.includes(input.key)).map(input => input.key)
+          : []
+      };
+      if (inUse.choquet.length > 0 || inUse.ruleBase.length > 0) {
+        return res.status(409).json({
+          message: 'Removed criteria are still used by the job\'s Choquet capacity or rule base; update or remove those first',
+          code: 'CRITERIA_IN_USE',
+          details: inUse
+        });
+      }
+      
+      criteriaChanged = criteriaSignature(criteria) !== criteriaSignature(job.criteria);
+      if (criteriaChanged) {
+        // Weights derived by a Delphi panel or AHP are kept unless the criteria's names or weights change
+        const weightsOf = (list) => JSON.stringify(list.map(criterion => [criterion.name, criterion.weight]).sort());
+        if (weightsOf(criteria) !== weightsOf(job.criteria)) {
+          job.finalWeights = Object.fromEntries(criteria.map(criterion => [criterion.name, criterion.weight]));
+        }
+        job.criteria = criteria;
+        job.criteriaVersion = (job.criteriaVersion || 1) + 1;
+        job.criteriaUpdatedAt = new Date();
+      }
+    }
+    
+    if (title !== undefined) job.title = title;
+    if (description !== undefined) job.description = description;
+    if (department !== undefined) job.department = department;
+    if (location !== undefined) job.location = location;
+    if (usesMultipleHR !== undefined) job.usesMultipleHR = usesMultipleHR;
+    if (headcount !== undefined) job.headcount = Number(headcount);
+    
+    await job.save();
+    
+    const staleCandidates = criteriaChanged ? await markScoresStale(job._id) : 0;
+    // A changed headcount can fill the job or open it again
+    const updated = headcount !== undefined ? await refreshHeadcount(job._id, { changedBy }) : job;
+    
+    res.json({
+      job: updated,
+      criteriaChanged,
+      staleCandidates
+    });
+  } catch (error) {
+    if (error instanceof RequisitionError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a job's status, headcount, the statuses it can move to and its status history
+router.get('/:id/status', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    res.json({
+      jobId: job._id,
+      status: job.status,
+      headcount: job.headcount,
+      filledCount: job.filledCount || 0,
+      deletedAt: job.deletedAt || null,
+      transitions: (JOB_TRANSITIONS[job.status] || []).map(status => {
+        const { allowed, unmet } = checkJobTransition(job, status);
+        return { status, allowed, unmet };
+      }),
+      history: job.statusHistory
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move a job to another status with a reason; closing can also close the job's pipeline
+router.post('/:id/status', [
+  body('status').isIn(JOB_STATUSES).withMessage(`Status must be one of: ${JOB_STATUSES.join(', ')}`),
+  body('reason').isString().trim().notEmpty().withMessage('Reason is required'),
+  body('changedBy').optional().isString().withMessage('Changed by must be a string'),
+  body('closePipeline').optional().isBoolean().withMessage('Close pipeline must be a boolean')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { status, reason, changedBy, closePipeline = false } = req.body;
+    
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const updated = await transitionJob(job, status, { reason, changedBy });
+    const pipeline = closePipeline && ['closed', 'filled'].includes(status)
+      ? await closeJobPipeline(job._id, null, { reason: `Job ${status}: ${reason}`, changedBy })
+      : null;
+    
+    res.json({
+      jobId: updated._id,
+      status: updated.status,
+      change: updated.statusHistory[updated.statusHistory.length - 1],
+      closedPipeline: pipeline
+    });
+  } catch (error) {
+    if (error instanceof RequisitionError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update job weights using Delphi technique
 router.put('/:id/refine-weights', async (req, res) => {
   try {
@@ -158,16 +482,984 @@ router.put('/:id/finalize-weights', [
   }
 });
 
-// Delete a job
-router.delete('/:id', async (req, res) => {
+// Derive weights from an AHP pairwise comparison matrix
+router.put('/:id/ahp-weights', [
+  body('matrix').isArray().withMessage('Matrix must be an array of rows'),
+  body('criteria').optional().isArray().withMessage('Criteria must be an array of criterion names'),
+  body('crThreshold').optional().isFloat({ min: 0, max: 1 }).withMessage('CR threshold must be between 0 and 1')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { matrix, crThreshold = DEFAULT_CR_THRESHOLD } = req.body;
+    
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    // Matrix rows and columns follow the given criteria order, or the job's criteria order
+    const jobCriteria = job.criteria.map(c => c.name);
+    const criteria = req.body.criteria || jobCriteria;
+    
+    const missing = jobCriteria.filter(name => !criteria.includes(name));
+    const unknown = criteria.filter(name => !jobCriteria.includes(name));
+    if (missing.length > 0 || unknown.length > 0 || new Set(criteria).size !== criteria.length) {
+      return res.status(400).json({
+        message: 'Criteria must list each job criterion exactly once',
+        missing,
+        unknown
+      });
+    }
+    
+    if (criteria.length < 2) {
+      return res.status(400).json({ message: 'AHP needs at least two criteria' });
+    }
+    
+    const matrixErrors = validatePairwiseMatrix(matrix, criteria.length);
+    if (matrixErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid pairwise comparison matrix', errors: matrixErrors });
+    }
+    
+    const result = computeAhpWeights(matrix, criteria);
+    
+    // Reject inconsistent judgements and point to the pairs to revisit
+    if (result.consistencyRatio > crThreshold) {
+      return res.status(400).json({
+        message: 'Pairwise comparisons are too inconsistent',
+        consistencyRatio: result.consistencyRatio,
+        crThreshold,
+        inconsistentPairs: result.inconsistentPairs.slice(0, 3)
+      });
+    }
+    
+    // Eigenvector weights already sum to 1
+    job.finalWeights = result.weights;
+    job.ahp = {
+      criteria,
+      matrix,
+      lambdaMax: result.lambdaMax,
+      consistencyIndex: result.consistencyIndex,
+      consistencyRatio: result.consistencyRatio,
+      computedAt: Date.now()
+    };
+    
+    await job.save();
+    
+    res.json({
+      message: 'Weights finalized using AHP',
+      weights: result.weights,
+      lambdaMax: result.lambdaMax,
+      consistencyIndex: result.consistencyIndex,
+      consistencyRatio: result.consistencyRatio,
+      crThreshold,
+      job
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the Choquet capacity used to aggregate interacting criteria
+router.get('/:id/choquet-capacity', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    if (!capacityFromJob(job)) {
+      return res.status(404).json({ message: 'No Choquet capacity defined for this job' });
+    }
+    
+    res.json(formatCapacity(job));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set the Choquet capacity from a 2-additive Möbius representation or learn it from an example ranking
+router.put('/:id/choquet-capacity', [
+  body('mobius').optional().isObject().withMessage('Möbius representation must be an object'),
+  body('ranking').optional().isArray({ min: 2 }).withMessage('Ranking must list at least two candidate ids, best first'),
+  body('margin').optional().isFloat({ min: 0, max: 0.5 }).withMessage('Margin must be between 0 and 0.5'),
+  body().custom(value => {
+    if (!value.mobius === !value.ranking) {
+      throw new Error('Provide either a Möbius representation or an example ranking');
+    }
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { mobius, ranking, margin } = req.body;
+    
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const criteria = job.criteria.map(c => c.name);
+    if (criteria.length < 2) {
+      return res.status(400).json({ message: 'A Choquet capacity needs at least two criteria' });
+    }
+    
+    if (mobius) {
+      const capacityErrors = validateCapacity(mobius, criteria);
+      if (capacityErrors.length > 0) {
+        return res.status(400).json({ message: 'Invalid capacity', errors: capacityErrors });
+      }
+      
+      job.choquet = {
+        ...normalizeCapacity({ singletons: mobius.singletons, interactions: mobius.interactions || [] }),
+        source: 'mobius',
+        learning: null,
+        updatedAt: Date.now()
+      };
+    } else {
+      if (new Set(ranking.map(String)).size !== ranking.length) {
+        return res.status(400).json({ message: 'Ranking lists a candidate more than once' });
+      }
+      
+      const candidates = await Candidate.find({ _id: { $in: ranking }, jobId: job._id });
+      const byId = new Map(candidates.map(c => [String(c._id), c]));
+      const missing = ranking.filter(id => !byId.has(String(id)));
+      if (missing.length > 0) {
+        return res.status(400).json({ message: 'Some ranked candidates do not belong to this job', missing });
+      }
+      
+      // Learn from the fuzzy degrees the candidates got in initial scoring
+      const examples = ranking.map(id => initialCriterionValues(byId.get(String(id))));
+      const unscored = ranking.filter((id, index) => !examples[index]);
+      if (unscored.length > 0) {
+        return res.status(400).json({ message: 'Run initial scoring for the ranked candidates first', unscored });
+      }
+      
+      const weights = job.finalWeights ? Object.fromEntries(job.finalWeights.entries()) : {};
+      const learned = learnCapacity(examples, criteria, { initialWeights: weights, margin });
+      if (!isFiniteCapacity(learned.capacity)) {
+        return res.status(422).json({ message: 'No usable capacity could be learned from this ranking' });
+      }
+      
+      job.choquet = {
+        ...learned.capacity,
+        source: 'learned',
+        learning: {
+          ranking: ranking.map(String),
+          margin: margin !== undefined ? margin : 0.02,
+          satisfiedPreferences: learned.satisfiedPreferences,
+          totalPreferences: learned.totalPreferences,
+          violations: learned.violations.map(({ better, worse }) => ({
+            better: String(ranking[better]),
+            worse: String(ranking[worse])
+          }))
+        },
+        updatedAt: Date.now()
+      };
+    }
+    
+    await job.save();
+    
+    res.json({
+      message: mobius ? 'Choquet capacity set' : 'Choquet capacity learned from the example ranking',
+      ...formatCapacity(job)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove the Choquet capacity (initial scoring goes back to the weighted sum)
+router.delete('/:id/choquet-capacity', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    job.choquet = undefined;
+    await job.save();
+    
+    res.json({ message: 'Choquet capacity removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the fuzzy rule base used for rule-based scoring
+router.get('/:id/rule-base', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    if (!ruleBaseFromJob(job)) {
+      return res.status(404).json({ message: 'No fuzzy rule base defined for this job' });
+    }
+    
+    res.json(formatRuleBase(job));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the fuzzy rule base (linguistic variables, membership functions and rules)
+router.put('/:id/rule-base', [
+  body('inputs').isArray({ min: 1 }).withMessage('Inputs must be a non-empty array of linguistic variables'),
+  body('output').isObject().withMessage('Output must be a linguistic variable'),
+  body('rules').optional().isArray().withMessage('Rules must be an array')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { inputs, output, rules = [] } = req.body;
+    
+    const ruleBaseErrors = validateRuleBase({ inputs, output, rules });
+    if (ruleBaseErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid rule base', errors: ruleBaseErrors });
+    }
+    
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    job.ruleBase = { inputs, output, rules, updatedAt: Date.now() };
+    await job.save();
+    
+    res.json({
+      message: 'Fuzzy rule base saved',
+      ...formatRuleBase(job)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove the fuzzy rule base
+router.delete('/:id/rule-base', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    job.ruleBase = undefined;
+    await job.save();
+    
+    res.json({ message: 'Fuzzy rule base removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a rule to the fuzzy rule base
+router.post('/:id/rule-base/rules', [
+  body('if').isArray({ min: 1 }).withMessage('A rule needs at least one condition'),
+  body('then').isObject().withMessage('A rule needs a consequent')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const job = await Job.findById(req.params.id);
     if (!job) {
       return res.status(404).json({ message: 'Job not found' });
     }
     
-    await job.deleteOne();
-    res.json({ message: 'Job removed' });
+    const ruleBase = ruleBaseFromJob(job);
+    if (!ruleBase) {
+      return res.status(400).json({ message: 'Define the rule base variables first' });
+    }
+    
+    const rule = pickRule(req.body);
+    const ruleErrors = validateRule(rule, ruleBase, ruleBase.rules.length);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid rule', errors: ruleErrors });
+    }
+    
+    job.ruleBase.rules.push(rule);
+    job.ruleBase.updatedAt = Date.now();
+    await job.save();
+    
+    res.status(201).json({
+      message: 'Rule added',
+      rule: job.ruleBase.rules[job.ruleBase.rules.length - 1]
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace a rule in the fuzzy rule base
+router.put('/:id/rule-base/rules/:ruleId', [
+  body('if').isArray({ min: 1 }).withMessage('A rule needs at least one condition'),
+  body('then').isObject().withMessage('A rule needs a consequent')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const existing = job.ruleBase && job.ruleBase.rules.id(req.params.ruleId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+    
+    const rule = pickRule(req.body);
+    const index = job.ruleBase.rules.indexOf(existing);
+    const ruleErrors = validateRule(rule, ruleBaseFromJob(job), index);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid rule', errors: ruleErrors });
+    }
+    
+    existing.set({ operator: 'and', weight: 1, description: undefined, ...rule });
+    job.ruleBase.updatedAt = Date.now();
+    await job.save();
+    
+    res.json({ message: 'Rule updated', rule: existing });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a rule from the fuzzy rule base
+router.delete('/:id/rule-base/rules/:ruleId', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const existing = job.ruleBase && job.ruleBase.rules.id(req.params.ruleId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+    
+    existing.deleteOne();
+    job.ruleBase.updatedAt = Date.now();
+    await job.save();
+    
+    res.json({ message: 'Rule removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Evaluate the fuzzy rule base for crisp input values (dry run, nothing is stored)
+router.post('/:id/rule-base/evaluate', [
+  body('inputs').isObject().withMessage('Inputs must map variable names to crisp values'),
+  body('engine').optional().isIn(ENGINES).withMessage(`Engine must be one of: ${ENGINES.join(', ')}`),
+  body('defuzzifier').optional().custom((value, { req }) => {
+    const allowed = DEFUZZIFIERS[req.body.engine || 'mamdani'] || [];
+    if (!allowed.includes(value)) {
+      throw new Error(`Defuzzifier must be one of: ${allowed.join(', ')}`);
+    }
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { inputs, engine, defuzzifier } = req.body;
+    
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const ruleBase = ruleBaseFromJob(job);
+    if (!ruleBase) {
+      return res.status(404).json({ message: 'No fuzzy rule base defined for this job' });
+    }
+    
+    const invalid = Object.entries(inputs).filter(([, value]) => typeof value !== 'number' || !isFinite(value));
+    if (invalid.length > 0) {
+      return res.status(400).json({ message: 'Input values must be numbers', invalid: invalid.map(([name]) => name) });
+    }
+    
+    const missing = ruleBase.inputs.map(v => v.name).filter(name => inputs[name] === undefined);
+    
+    res.json({
+      jobId: job._id,
+      missingInputs: missing,
+      ...evaluateRuleBase(ruleBase, inputs, { engine, defuzzifier })
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start a multi-round Delphi panel for a job
+router.post('/:id/delphi', [
+  body('members').isArray({ min: 2 }).withMessage('Members must be an array of at least two HR members'),
+  body('members.*').isString().trim().notEmpty().withMessage('Member names must be non-empty strings'),
+  body('convergenceThreshold').optional().isFloat({ min: 0, max: 1 }).withMessage('Convergence threshold must be between 0 and 1'),
+  body('maxRounds').optional().isInt({ min: 1, max: 20 }).withMessage('Max rounds must be between 1 and 20')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { members, convergenceThreshold = 0.2, maxRounds = 5 } = req.body;
+    
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    if (job.delphiPanel && job.delphiPanel.status === 'in-progress') {
+      return res.status(409).json({ message: 'A Delphi panel is already in progress for this job' });
+    }
+    
+    if (!job.criteria || job.criteria.length === 0) {
+      return res.status(400).json({ message: 'Job has no criteria to weight' });
+    }
+    
+    if (new Set(members).size !== members.length) {
+      return res.status(400).json({ message: 'Member names must be unique' });
+    }
+    
+    job.delphiPanel = {
+      status: 'in-progress',
+      members,
+      convergenceThreshold,
+      maxRounds,
+      currentRound: 1,
+      rounds: [{ number: 1 }],
+      convergenceHistory: []
+    };
+    job.usesMultipleHR = true;
+    
+    await job.save();
+    
+    res.status(201).json({
+      message: 'Delphi panel started',
+      jobId: job._id,
+      members,
+      currentRound: 1,
+      convergenceThreshold,
+      maxRounds
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Delphi panel progress (who has submitted, closed-round feedback, convergence history)
+router.get('/:id/delphi', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const panel = job.delphiPanel;
+    if (!panel) {
+      return res.status(404).json({ message: 'No Delphi panel for this job' });
+    }
+    
+    res.json({
+      jobId: job._id,
+      status: panel.status,
+      members: panel.members,
+      currentRound: panel.currentRound,
+      convergenceThreshold: panel.convergenceThreshold,
+      maxRounds: panel.maxRounds,
+      // Individual weights are never returned, only who has responded
+      rounds: panel.rounds.map(round => {
+        const submitted = round.submissions.map(submission => submission.member);
+        return {
+          number: round.number,
+          status: round.status,
+          submitted,
+          pending: panel.members.filter(member => !submitted.includes(member)),
+          feedback: round.status === 'closed' ? round.feedback : null,
+          openedAt: round.openedAt,
+          closedAt: round.closedAt
+        };
+      }),
+      convergenceHistory: panel.convergenceHistory,
+      finalWeights: panel.status === 'converged' ? job.finalWeights : null,
+      startedAt: panel.startedAt,
+      completedAt: panel.completedAt
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Submit (or revise) an HR member's weights for the current Delphi round
+router.put('/:id/delphi/submissions', [
+  body('member').isString().trim().notEmpty().withMessage('Member is required'),
+  body('weights').isObject().withMessage('Weights must be an object'),
+  body('weights.*').isFloat({ min: 0 }).withMessage('Weight values must be non-negative numbers')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { member, weights } = req.body;
+    
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const panel = job.delphiPanel;
+    if (!panel || panel.status !== 'in-progress') {
+      return res.status(400).json({ message: 'No Delphi panel is in progress for this job' });
+    }
+    
+    if (!panel.members.includes(member)) {
+      return res.status(403).json({ message: 'Member is not on the Delphi panel for this job' });
+    }
+    
+    const criteriaNames = job.criteria.map(c => c.name);
+    const unknownCriteria = Object.keys(weights).filter(name => !criteriaNames.includes(name));
+    if (unknownCriteria.length > 0) {
+      return res.status(400).json({ message: 'Weights reference unknown criteria', criteria: unknownCriteria });
+    }
+    
+    if (Object.values(weights).reduce((sum, w) => sum + w, 0) <= 0) {
+      return res.status(400).json({ message: 'Sum of weights must be greater than 0' });
+    }
+    
+    const round = panel.rounds.find(r => r.number === panel.currentRound);
+    const existing = round.submissions.find(submission => submission.member === member);
+    if (existing) {
+      existing.weights = weights;
+      existing.submittedAt = Date.now();
+    } else {
+      round.submissions.push({ member, weights });
+    }
+    
+    await job.save();
+    
+    const submitted = round.submissions.map(submission => submission.member);
+    res.json({
+      message: existing ? 'Submission revised' : 'Submission recorded',
+      round: round.number,
+      member,
+      submitted: submitted.length,
+      pending: panel.members.filter(name => !submitted.includes(name))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Close the current Delphi round: compute feedback and either converge or open the next round
+router.post('/:id/delphi/rounds/close', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const panel = job.delphiPanel;
+    if (!panel || panel.status !== 'in-progress') {
+      return res.status(400).json({ message: 'No Delphi panel is in progress for this job' });
+    }
+    
+    const round = panel.rounds.find(r => r.number === panel.currentRound);
+    if (round.submissions.length < 2) {
+      return res.status(400).json({ message: 'At least two submissions are needed to close a round' });
+    }
+    
+    const submissions = roundWeights(round);
+    const summary = summarizeRound(submissions, job.criteria.map(c => c.name));
+    const converged = summary.maxCoefficientOfVariation <= panel.convergenceThreshold;
+    
+    round.status = 'closed';
+    round.closedAt = Date.now();
+    round.feedback = { ...summary, converged };
+    panel.convergenceHistory.push({
+      round: round.number,
+      maxCoefficientOfVariation: summary.maxCoefficientOfVariation,
+      meanCoefficientOfVariation: summary.meanCoefficientOfVariation,
+      converged
+    });
+    
+    if (converged) {
+      // Consensus reached: the panel's weights become the job's final weights
+      job.finalWeights = consensusWeights(submissions);
+      panel.status = 'converged';
+      panel.completedAt = Date.now();
+    } else if (round.number >= panel.maxRounds) {
+      panel.status = 'not-converged';
+      panel.completedAt = Date.now();
+    } else {
+      panel.currentRound = round.number + 1;
+      panel.rounds.push({ number: panel.currentRound });
+    }
+    
+    await job.save();
+    
+    res.json({
+      round: round.number,
+      status: panel.status,
+      converged,
+      feedback: round.feedback,
+      nextRound: panel.status === 'in-progress' ? panel.currentRound : null,
+      finalWeights: converged ? job.finalWeights : null
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Anonymised feedback for a closed Delphi round, with a member's own position if requested
+router.get('/:id/delphi/rounds/:round/feedback', async (req, res) => {
+  try {
+    const { member } = req.query;
+    
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const panel = job.delphiPanel;
+    const round = panel && panel.rounds.find(r => r.number === parseInt(req.params.round, 10));
+    if (!round) {
+      return res.status(404).json({ message: 'Delphi round not found' });
+    }
+    
+    if (round.status !== 'closed') {
+      return res.status(400).json({ message: 'Feedback is available once the round is closed' });
+    }
+    
+    const response = {
+      round: round.number,
+      respondents: round.submissions.length,
+      ...round.feedback
+    };
+    
+    if (member) {
+      const index = round.submissions.findIndex(submission => submission.member === member);
+      if (index === -1) {
+        return res.status(404).json({ message: 'Member did not submit weights in this round' });
+      }
+      response.yourFeedback = memberFeedback(roundWeights(round), index, round.feedback);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the interview pipeline of a job
+router.get('/:id/pipeline', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    res.json(formatPipeline(job));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the interview pipeline of a job from a template or with custom stages
+router.put('/:id/pipeline', [
+  body('template').optional().isString().withMessage('Template must be a template name'),
+  body('stages').optional().isArray({ min: 1 }).withMessage('Stages must be a non-empty array'),
+  body().custom(value => {
+    if ((value.template === undefined) === (value.stages === undefined)) {
+      throw new Error('Provide either a template or stages');
+    }
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { template: templateName, stages } = req.body;
+    
+    let pipeline;
+    if (templateName !== undefined) {
+      const template = await loadPipelineTemplate(templateName);
+      if (!template) {
+        return res.status(400).json({ message: `Unknown pipeline template: ${templateName}` });
+      }
+      pipeline = pipelineFromTemplate(template);
+    } else {
+      const pipelineErrors = validatePipeline(stages);
+      if (pipelineErrors.length > 0) {
+        return res.status(400).json({ message: 'Invalid pipeline', errors: pipelineErrors });
+      }
+      pipeline = { template: null, stages, updatedAt: new Date() };
+    }
+    
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    // Rubrics that changed get a new version so scorecards show which one they were rated against
+    pipeline.stages = versionRubrics(pipelineFromJob(job).stages, pipeline.stages);
+    
+    // Stages that candidates have already completed cannot be dropped
+    const kept = new Set(stageKeys(pipeline));
+    const removed = stageKeys(pipelineFromJob(job)).filter(stage => !kept.has(stage));
+    const inUse = [];
+    for (const stage of removed) {
+      const count = await Candidate.countDocuments({ jobId: job._id, [`stages.${stage}.completed`]: true });
+      if (count > 0) {
+        inUse.push({ stage, candidates: count });
+      }
+    }
+    if (inUse.length > 0) {
+      return res.status(409).json({ message: 'Candidates have completed stages the new pipeline removes', stages: inUse });
+    }
+    
+    job.pipeline = pipeline;
+    await job.save();
+    
+    res.json({
+      message: 'Interview pipeline updated',
+      ...formatPipeline(job)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the rubric of a pipeline stage
+router.get('/:id/pipeline/stages/:stage/rubric', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const stage = findStage(pipelineFromJob(job), req.params.stage);
+    if (!stage) {
+      return res.status(404).json({ message: 'Stage not found in the job pipeline' });
+    }
+    
+    res.json({ jobId: job._id, ...describeRubric(stage) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the rubric of a pipeline stage (competencies with weights and anchors, and the rating scale)
+router.put('/:id/pipeline/stages/:stage/rubric', [
+  body('competencies').isArray({ min: 1 }).withMessage('Competencies must be a non-empty array'),
+  body('competencies.*.key').isString().withMessage('Each competency needs a key'),
+  body('competencies.*.weight').optional().isFloat({ min: 0 }).withMessage('Competency weights must be non-negative'),
+  body('competencies.*.anchors').optional().isArray().withMessage('Anchors must be an array of { level, description }'),
+  body('scale').optional().isArray({ min: 2 }).withMessage('The rating scale needs at least two levels')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { competencies, scale } = req.body;
+    
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const pipeline = pipelineFromJob(job);
+    const current = findStage(pipeline, req.params.stage);
+    if (!current) {
+      return res.status(404).json({ message: 'Stage not found in the job pipeline' });
+    }
+    
+    const stages = pipeline.stages.map(stage => (stage.key !== current.key ? stage : {
+      ...stage,
+      dimensions: competencies.map(({ key, name, weight, anchors }) => ({ key, name, weight, anchors })),
+      rubric: { ...(stage.rubric || {}), scale: scale !== undefined ? scale : (stage.rubric || {}).scale }
+    }));
+    const pipelineErrors = validatePipeline(stages);
+    if (pipelineErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid rubric', errors: pipelineErrors });
+    }
+    
+    job.pipeline = { ...pipeline, stages: versionRubrics(pipeline.stages, stages), updatedAt: new Date() };
+    await job.save();
+    
+    res.json({
+      message: 'Stage rubric updated',
+      jobId: job._id,
+      ...describeRubric(findStage(pipelineFromJob(job), current.key))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the resolved resume-to-attributes configuration for a job
+router.get('/:id/attribute-config', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    res.json({
+      jobId: job._id,
+      overrides: job.attributeConfig || {},
+      resolved: resolveAttributeConfig(job)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set the resume-to-attributes configuration for a job
+router.put('/:id/attribute-config', [
+  body('attributeConfig').isObject().withMessage('Attribute config must be an object')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { attributeConfig } = req.body;
+    
+    const configErrors = validateAttributeConfig(attributeConfig);
+    if (configErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid attribute config', errors: configErrors });
+    }
+    
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    job.attributeConfig = attributeConfig;
+    await job.save();
+    
+    res.json({
+      message: 'Attribute config updated successfully',
+      jobId: job._id,
+      overrides: job.attributeConfig,
+      resolved: resolveAttributeConfig(job)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a job (soft delete)
+// The job is closed and hidden; its active candidates are rejected, their open offers rescinded and
+// their upcoming interviews cancelled. Hires, completed interviews, decided offers and scoring runs are kept.
+router.delete('/:id', async (req, res) => {
+  try {
+    const { reason, changedBy } = req.body || {};
+    
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    if (job.deletedAt) {
+      return res.status(409).json({ message: 'Job is already deleted', code: 'JOB_DELETED' });
+    }
+    
+    const deleteReason = reason || 'Job deleted';
+    const closed = job.status === 'closed'
+      ? job
+      : await transitionJob(job, 'closed', { reason: deleteReason, changedBy });
+    const pipeline = await closeJobPipeline(job._id, null, { reason: deleteReason, changedBy });
+    
+    closed.deletedAt = new Date();
+    closed.deletedBy = changedBy;
+    closed.deleteReason = deleteReason;
+    await closed.save();
+    
+    res.json({
+      message: 'Job removed',
+      jobId: closed._id,
+      deletedAt: closed.deletedAt,
+      closedPipeline: pipeline
+    });
+  } catch (error) {
+    if (error instanceof RequisitionError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore a deleted job; it stays closed until it is reopened
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    if (!job.deletedAt) {
+      return res.status(409).json({ message: 'Job is not deleted' });
+    }
+    
+    job.deletedAt = undefined;
+    job.deletedBy = undefined;
+    job.deleteReason = undefined;
+    await job.save();
+    
+    res.json(job);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
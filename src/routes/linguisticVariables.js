@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const LinguisticVariable = require('../models/LinguisticVariable');
+const Job = require('../models/Job');
+const {
+  SHAPES,
+  DEFAULT_VARIABLES,
+  analyzeVariable,
+  validateLinguisticVariable,
+  loadLinguisticLibrary,
+  invalidateLinguisticLibrary
+} = require('../utils/linguisticVariables');
+
+// Get the linguistic variable library (built-in and stored variables)
+router.get('/', async (req, res) => {
+  try {
+    const library = await loadLinguisticLibrary();
+    const stored = await LinguisticVariable.find().lean();
+    const storedNames = new Set(stored.map(variable => variable.name));
+
+    res.json(library.getVariables().map(variable => ({
+      ...variable,
+      source: storedNames.has(variable.name) ? 'custom' : 'built-in'
+    })));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a linguistic variable with its coverage and overlap analysis
+router.get('/:name', async (req, res) => {
+  try {
+    const library = await loadLinguisticLibrary();
+    const variable = library.getVariable(req.params.name.toLowerCase());
+    if (!variable) {
+      return res.status(404).json({ message: 'Linguistic variable not found' });
+    }
+
+    res.json({ ...variable, analysis: analyzeVariable(variable) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add or update a linguistic variable (overrides a built-in variable with the same name)
+router.put('/:name', [
+  body('domain').isObject().withMessage('Domain must be an object with min and max'),
+  body('domain.min').isFloat().withMessage('Domain min must be a number'),
+  body('domain.max').isFloat().withMessage('Domain max must be a number'),
+  body('terms').isArray({ min: 1 }).withMessage('Terms must be a non-empty array'),
+  body('terms.*.shape').isIn(SHAPES).withMessage(`Term shape must be one of: ${SHAPES.join(', ')}`)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const name = req.params.name.toLowerCase();
+    const { description, unit, domain, terms } = req.body;
+
+    const { errors: variableErrors, warnings, analysis } = validateLinguisticVariable({ name, domain, terms });
+    if (variableErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid linguistic variable', errors: variableErrors, warnings, analysis });
+    }
+
+    // Terms still referenced by job criteria cannot be removed or renamed
+    const referencingJobs = await Job.find({ 'criteria.targetValue.variable': name }, 'title criteria').lean();
+    const termNames = new Set(terms.map(term => term.name));
+    const orphaned = [];
+    referencingJobs.forEach(job => job.criteria.forEach(criterion => {
+      const target = criterion.targetValue;
+      if (target && target.variable === name && !termNames.has(target.is)) {
+        orphaned.push({ jobId: job._id, title: job.title, criterion: criterion.name, is: target.is });
+      }
+    }));
+    if (orphaned.length > 0) {
+      return res.status(409).json({ message: 'Job criteria still reference terms that would be removed', references: orphaned });
+    }
+
+    let variable = await LinguisticVariable.findOne({ name });
+    if (variable) {
+      variable.description = description;
+      variable.unit = unit;
+      variable.domain = domain;
+      variable.terms = terms;
+    } else {
+      variable = new LinguisticVariable({ name, description, unit, domain, terms });
+    }
+
+    await variable.save();
+    invalidateLinguisticLibrary();
+
+    res.json({ variable, warnings, analysis });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Fuzzify a crisp value against every term of a variable
+router.post('/:name/fuzzify', [
+  body('value').isFloat().withMessage('Value must be a number')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const name = req.params.name.toLowerCase();
+    const library = await loadLinguisticLibrary();
+    const degrees = library.fuzzify(name, Number(req.body.value));
+    if (!degrees) {
+      return res.status(404).json({ message: 'Linguistic variable not found' });
+    }
+
+    res.json({ variable: name, value: Number(req.body.value), degrees });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a stored linguistic variable
+router.delete('/:name', async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+    const variable = await LinguisticVariable.findOne({ name });
+    if (!variable) {
+      return res.status(404).json({ message: 'Custom linguistic variable not found' });
+    }
+
+    // Criteria referencing a custom variable keep working only if a built-in one takes over,
+    // and only for terms the built-in definition also has
+    const builtIn = DEFAULT_VARIABLES.find(defaultVariable => defaultVariable.name === name);
+    const referencingJobs = await Job.find({ 'criteria.targetValue.variable': name }, 'title criteria').lean();
+    if (!builtIn && referencingJobs.length > 0) {
+      return res.status(409).json({
+        message: 'Job criteria still reference this variable',
+        jobs: referencingJobs.map(job => ({ jobId: job._id, title: job.title }))
+      });
+    }
+
+    const builtInTerms = new Set(builtIn ? builtIn.terms.map(term => term.name) : []);
+    const orphaned = [];
+    referencingJobs.forEach(job => job.criteria.forEach(criterion => {
+      const target = criterion.targetValue;
+      if (target && target.variable === name && !builtInTerms.has(target.is)) {
+        orphaned.push({ jobId: job._id, title: job.title, criterion: criterion.name, is: target.is });
+      }
+    }));
+    if (orphaned.length > 0) {
+      return res.status(409).json({
+        message: 'Job criteria reference terms the built-in definition does not have',
+        references: orphaned
+      });
+    }
+
+    await variable.deleteOne();
+    invalidateLinguisticLibrary();
+
+    res.json({ message: builtIn ? 'Linguistic variable reset to the built-in definition' : 'Linguistic variable removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,539 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const Offer = require('../models/Offer');
+const Candidate = require('../models/Candidate');
+const Job = require('../models/Job');
+const {
+  OPEN_STATUSES,
+  OfferError,
+  validateTerms,
+  summarizeCompensation,
+  assertAction,
+  recordEvent,
+  expireIfDue,
+  reviseOffer,
+  submitOffer,
+  decideApproval,
+  closeJobPipeline,
+  acceptanceReport
+} = require('../utils/offers');
+const {
+  CandidateStatusError,
+  loadStatusContext,
+  checkTransition,
+  transitionCandidate
+} = require('../utils/candidateStatus');
+const { RequisitionError, assertJobOpen, refreshHeadcount } = require('../utils/requisitions');
+
+/**
+ * Load the job of an offer or candidate and check that it still has openings
+ * @param {Object} owner - Offer or candidate
+ * @returns {Promise<Object|null>} - Job document, null when the job does not exist
+ * @throws {RequisitionError} - When the job is deleted or not open
+ */
+const loadOpenJob = async ({ jobId }) => {
+  const job = await Job.findById(jobId);
+  if (job) {
+    assertJobOpen(job);
+  }
+  return job;
+};
+
+const termValidators = [
+  body('compensation').optional().isArray().withMessage('Compensation must be an array of components'),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a date'),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry must be a date'),
+  body('notes').optional().isString().withMessage('Notes must be a string'),
+  body('changedBy').optional().isString().withMessage('Changed by must be a string')
+];
+
+/**
+ * Load an offer, marking it expired first if its expiry has passed
+ * @param {String} id - Offer ID
+ * @returns {Promise<Object|null>} - Offer document
+ */
+const loadOffer = async (id) => {
+  const offer = await Offer.findById(id);
+  if (offer && expireIfDue(offer)) {
+    await offer.save();
+  }
+  return offer;
+};
+
+/**
+ * Offer with its compensation summary
+ * @param {Object} offer - Offer document
+ * @returns {Object} - Offer as JSON with compensationSummary
+ */
+const describeOffer = (offer) => ({
+  ...offer.toObject(),
+  compensationSummary: summarizeCompensation(offer.compensation),
+  nextApprover: offer.status === 'pending-approval'
+    ? (offer.approvals.find(approval => approval.decision === 'pending') || {}).approver || null
+    : null
+});
+
+// List offers, optionally for one job, candidate or status
+router.get('/', [
+  query('jobId').optional().isMongoId().withMessage('Job ID must be a valid ID'),
+  query('candidateId').optional().isMongoId().withMessage('Candidate ID must be a valid ID'),
+  query('status').optional().isIn(Offer.schema.path('status').enumValues).withMessage('Unknown offer status')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { jobId, candidateId, status } = req.query;
+    const filter = {};
+    if (jobId) filter.jobId = jobId;
+    if (candidateId) filter.candidateId = candidateId;
+
+    const offers = await Offer.find(filter).sort({ createdAt: -1 });
+    for (const offer of offers) {
+      if (expireIfDue(offer)) await offer.save();
+    }
+
+    res.json(offers
+      .filter(offer => !status || offer.status === status)
+      .map(describeOffer));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Offer acceptance rate per job
+router.get('/reports/acceptance', [
+  query('jobId').optional().isMongoId().withMessage('Job ID must be a valid ID')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { jobId } = req.query;
+    const offers = await Offer.find(jobId ? { jobId } : {});
+    const jobs = await Job.find({ _id: { $in: [...new Set(offers.map(offer => String(offer.jobId)))] } }, 'title');
+    const titles = new Map(jobs.map(job => [String(job._id), job.title]));
+
+    const rows = acceptanceReport(offers).map(row => ({ ...row, jobTitle: titles.get(row.jobId) || null }));
+    const totals = rows.reduce((sum, row) => ({
+      sent: sum.sent + row.sent,
+      accepted: sum.accepted + row.accepted,
+      declined: sum.declined + row.declined,
+      expired: sum.expired + row.expired
+    }), { sent: 0, accepted: 0, declined: 0, expired: 0 });
+    const decided = totals.accepted + totals.declined + totals.expired;
+
+    res.json({
+      jobs: rows.sort((a, b) => (b.acceptanceRate || 0) - (a.acceptanceRate || 0)),
+      overall: { ...totals, acceptanceRate: decided > 0 ? totals.accepted / decided : null }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get an offer with its revisions, approvals and history
+router.get('/:id', async (req, res) => {
+  try {
+    const offer = await loadOffer(req.params.id);
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    res.json(describeOffer(offer));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Draft an offer for a candidate; the candidate must be able to move to the offer status
+router.post('/', [
+  body('candidateId').isMongoId().withMessage('Candidate ID is required'),
+  body('approvers').optional().isArray().withMessage('Approvers must be an array of names'),
+  body('approvers.*').isString().trim().notEmpty().withMessage('Each approver must be a name'),
+  ...termValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { candidateId, compensation, startDate, expiresAt, notes, approvers = [], changedBy } = req.body;
+
+    const termErrors = validateTerms({ compensation, startDate, expiresAt });
+    if (termErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid offer terms', errors: termErrors });
+    }
+
+    const candidate = await Candidate.findById(candidateId);
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+
+    if (!(await loadOpenJob(candidate))) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (candidate.status !== 'offer') {
+      const check = checkTransition(candidate, 'offer', await loadStatusContext(candidate));
+      if (!check.allowed) {
+        return res.status(409).json({
+          message: `Candidate cannot receive an offer: ${check.unmet[0]}`,
+          code: check.code,
+          details: { from: candidate.status, to: 'offer', unmet: check.unmet }
+        });
+      }
+    }
+
+    const existing = await Offer.findOne({ candidateId, jobId: candidate.jobId, status: { $in: OPEN_STATUSES } });
+    if (existing) {
+      return res.status(409).json({
+        message: 'Candidate already has an open offer for this job',
+        code: 'OFFER_EXISTS',
+        details: { offerId: existing._id, status: existing.status }
+      });
+    }
+
+    const offer = new Offer({
+      candidateId,
+      jobId: candidate.jobId,
+      approvals: approvers.map(approver => ({ approver })),
+      createdBy: changedBy
+    });
+    reviseOffer(offer, { compensation, startDate, expiresAt, notes }, { reason: 'Offer drafted', changedBy });
+
+    await offer.save();
+    res.status(201).json(describeOffer(offer));
+  } catch (error) {
+    if (error instanceof RequisitionError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revise an offer's terms; the new version goes back through approval
+router.put('/:id', [
+  body('approvers').optional().isArray().withMessage('Approvers must be an array of names'),
+  body('approvers.*').isString().trim().notEmpty().withMessage('Each approver must be a name'),
+  body('reason').optional().isString().withMessage('Reason must be a string'),
+  ...termValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { compensation, startDate, expiresAt, notes, approvers, reason, changedBy } = req.body;
+
+    const termErrors = validateTerms({ compensation, startDate, expiresAt }, { requireCompensation: false });
+    if (termErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid offer terms', errors: termErrors });
+    }
+
+    const offer = await loadOffer(req.params.id);
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    assertAction(offer, 'revise');
+    if (approvers) {
+      offer.approvals = approvers.map(approver => ({ approver }));
+    }
+    const revision = reviseOffer(offer, { compensation, startDate, expiresAt, notes }, { reason, changedBy });
+
+    await offer.save();
+    res.json({ offer: describeOffer(offer), revision });
+  } catch (error) {
+    if (error instanceof OfferError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Submit a draft offer to its approval chain
+router.post('/:id/submit', async (req, res) => {
+  try {
+    const offer = await loadOffer(req.params.id);
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    submitOffer(offer, { changedBy: req.body.changedBy });
+
+    await offer.save();
+    res.json(describeOffer(offer));
+  } catch (error) {
+    if (error instanceof OfferError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record the next approver's decision
+router.post('/:id/approvals', [
+  body('approver').isString().trim().notEmpty().withMessage('Approver is required'),
+  body('decision').isIn(['approved', 'rejected']).withMessage('Decision must be approved or rejected'),
+  body('comment').optional().isString().withMessage('Comment must be a string')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const offer = await loadOffer(req.params.id);
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    const { approver, decision, comment } = req.body;
+    decideApproval(offer, { approver, decision, comment });
+
+    await offer.save();
+    res.json(describeOffer(offer));
+  } catch (error) {
+    if (error instanceof OfferError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send an approved offer to the candidate, who moves to the offer status
+router.post('/:id/send', async (req, res) => {
+  try {
+    const { changedBy } = req.body;
+    const offer = await loadOffer(req.params.id);
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    assertAction(offer, 'send');
+    if (!offer.expiresAt || offer.expiresAt <= new Date()) {
+      return res.status(400).json({ message: 'An offer needs an expiry date in the future before it is sent' });
+    }
+    if (!(await loadOpenJob(offer))) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const candidate = await Candidate.findById(offer.candidateId);
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+    if (candidate.status !== 'offer') {
+      await transitionCandidate(candidate, 'offer', { reason: 'Offer sent', changedBy });
+    }
+
+    offer.status = 'sent';
+    offer.sentAt = new Date();
+    recordEvent(offer, 'sent', { changedBy });
+
+    await offer.save();
+    res.json(describeOffer(offer));
+  } catch (error) {
+    if (error instanceof OfferError || error instanceof CandidateStatusError || error instanceof RequisitionError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The candidate accepts the offer and is hired; optionally the rest of the job's pipeline is closed once the job is filled
+router.post('/:id/accept', [
+  body('closePipeline').optional().isBoolean().withMessage('Close pipeline must be a boolean'),
+  body('reason').optional().isString().withMessage('Reason must be a string'),
+  body('changedBy').optional().isString().withMessage('Changed by must be a string')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { closePipeline = false, reason, changedBy } = req.body;
+    const offer = await loadOffer(req.params.id);
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    assertAction(offer, 'accept');
+    // An offer cannot be accepted once the job's openings are filled
+    if (!(await loadOpenJob(offer))) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    // The hire is checked before the acceptance is stored, counting this offer as accepted
+    const candidate = await Candidate.findById(offer.candidateId);
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+    const context = { ...(await loadStatusContext(candidate)), acceptedOfferCount: 1 };
+    const check = checkTransition(candidate, 'hired', context);
+    if (!check.allowed) {
+      throw new CandidateStatusError(check.unmet[0], check.code, { from: candidate.status, to: 'hired', unmet: check.unmet });
+    }
+
+    offer.status = 'accepted';
+    offer.respondedAt = new Date();
+    recordEvent(offer, 'accepted', { reason, changedBy });
+    await offer.save();
+
+    let hired;
+    try {
+      hired = await transitionCandidate(candidate, 'hired', { reason: reason || 'Offer accepted', changedBy, context });
+    } catch (error) {
+      // Undo the acceptance so the offer and the candidate's status agree
+      offer.status = 'sent';
+      offer.respondedAt = undefined;
+      offer.events.pop();
+      await offer.save();
+      throw error;
+    }
+
+    // The hire counts towards the job's headcount, which may fill the job
+    const job = await refreshHeadcount(offer.jobId, { changedBy });
+
+    // The other candidates are only turned away once this hire has filled the last opening
+    const pipeline = closePipeline && job.status === 'filled'
+      ? await closeJobPipeline(offer.jobId, offer.candidateId, { changedBy })
+      : null;
+
+    res.json({
+      offer: describeOffer(offer),
+      candidateStatus: hired.status,
+      job: { status: job.status, headcount: job.headcount, filledCount: job.filledCount },
+      closedPipeline: pipeline
+    });
+  } catch (error) {
+    if (error instanceof OfferError || error instanceof CandidateStatusError || error instanceof RequisitionError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The candidate declines the offer
+router.post('/:id/decline', [
+  body('reason').isString().trim().notEmpty().withMessage('Reason is required'),
+  body('changedBy').optional().isString().withMessage('Changed by must be a string')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { reason, changedBy } = req.body;
+    const offer = await loadOffer(req.params.id);
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    assertAction(offer, 'decline');
+    offer.status = 'declined';
+    offer.respondedAt = new Date();
+    recordEvent(offer, 'declined', { reason, changedBy });
+
+    await offer.save();
+    res.json(describeOffer(offer));
+  } catch (error) {
+    if (error instanceof OfferError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The candidate counters the offer with their own terms, kept as a revision
+router.post('/:id/counter', [
+  body('reason').optional().isString().withMessage('Reason must be a string'),
+  ...termValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { compensation, startDate, notes, reason, changedBy } = req.body;
+    if (compensation === undefined && startDate === undefined && notes === undefined) {
+      return res.status(400).json({ message: 'A counter needs compensation, a start date or notes' });
+    }
+
+    const termErrors = validateTerms({ compensation, startDate }, { requireCompensation: false });
+    if (termErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid offer terms', errors: termErrors });
+    }
+
+    const offer = await loadOffer(req.params.id);
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    assertAction(offer, 'counter');
+    const revision = reviseOffer(offer, { compensation, startDate, notes }, { source: 'candidate', reason, changedBy });
+
+    await offer.save();
+    res.json({ offer: describeOffer(offer), revision });
+  } catch (error) {
+    if (error instanceof OfferError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Withdraw an offer that has not been accepted or declined
+router.post('/:id/rescind', [
+  body('reason').isString().trim().notEmpty().withMessage('Reason is required'),
+  body('changedBy').optional().isString().withMessage('Changed by must be a string')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { reason, changedBy } = req.body;
+    const offer = await loadOffer(req.params.id);
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    assertAction(offer, 'rescind');
+    offer.status = 'rescinded';
+    recordEvent(offer, 'rescinded', { reason, changedBy });
+
+    await offer.save();
+    res.json(describeOffer(offer));
+  } catch (error) {
+    if (error instanceof OfferError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code, details: error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const PipelineTemplate = require('../models/PipelineTemplate');
+const {
+  DEFAULT_TEMPLATES,
+  validatePipeline,
+  loadPipelineTemplate,
+  listPipelineTemplates
+} = require('../utils/pipelines');
+const { versionRubrics } = require('../utils/rubrics');
+
+// Get all interview pipeline templates (built-in and stored)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listPipelineTemplates());
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get an interview pipeline template
+router.get('/:name', async (req, res) => {
+  try {
+    const template = await loadPipelineTemplate(req.params.name);
+    if (!template) {
+      return res.status(404).json({ message: 'Pipeline template not found' });
+    }
+
+    res.json(template);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add or update a pipeline template (overrides a built-in template with the same name)
+// Jobs keep their own copy of a pipeline, so existing jobs are not affected
+router.put('/:name', [
+  body('stages').isArray({ min: 1 }).withMessage('Stages must be a non-empty array'),
+  body('description').optional().isString().withMessage('Description must be a string')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const name = req.params.name.toLowerCase();
+    const { description, stages } = req.body;
+
+    const pipelineErrors = validatePipeline(stages);
+    if (pipelineErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid pipeline template', errors: pipelineErrors });
+    }
+
+    // Stage rubrics that changed since the current version of the template get a new version
+    const previous = await loadPipelineTemplate(name);
+    const versionedStages = versionRubrics(previous ? previous.stages : [], stages);
+
+    let template = await PipelineTemplate.findOne({ name });
+    if (template) {
+      template.description = description;
+      template.stages = versionedStages;
+    } else {
+      template = new PipelineTemplate({ name, description, stages: versionedStages });
+    }
+
+    await template.save();
+    res.json(template);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a stored pipeline template
+router.delete('/:name', async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+    const template = await PipelineTemplate.findOne({ name });
+    if (!template) {
+      return res.status(404).json({ message: 'Custom pipeline template not found' });
+    }
+
+    await template.deleteOne();
+
+    const builtIn = DEFAULT_TEMPLATES.some(defaultTemplate => defaultTemplate.name === name);
+    res.json({ message: builtIn ? 'Pipeline template reset to the built-in definition' : 'Pipeline template removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
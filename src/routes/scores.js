@@ -3,21 +3,246 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Candidate = require('../models/Candidate');
 const Job = require('../models/Job');
+const Interview = require('../models/Interview');
+const ScoringRun = require('../models/ScoringRun');
 const { 
-  calculateFuzzyScore, 
-  applyWSM, 
-  aggregateStageScores, 
   rankCandidates,
-  applyHardCriteriaFilter,
-  applyOWA
+  calculateStringSimilarity,
+  calculateArraySimilarity,
+  applyWSM
 } = require('../utils/scoring');
+const { loadSkillOntology } = require('../utils/skillOntology');
+const { loadLinguisticLibrary } = require('../utils/linguisticVariables');
+const { buildCriteriaBreakdown } = require('../utils/scoreExplanation');
+const {
+  toWeightsObject,
+  scoreInitial,
+  resolveStageWeights,
+  resolveOwaWeights,
+  scoreFinalPool,
+  rankScoredCandidates,
+  AGGREGATION_METHODS,
+  INITIAL_AGGREGATION_METHODS,
+  POOL_METHODS
+} = require('../utils/scoringEngine');
+const { capacityFromJob } = require('../utils/choquet');
+const { QUANTIFIER_NAMES, describeOwaWeights } = require('../utils/owaWeights');
+const { ENGINES, DEFUZZIFIERS, ruleBaseFromJob, candidateInputs, evaluateRuleBase } = require('../utils/fuzzyRuleBase');
+const { DEFAULT_FOU_SCALE, rankCandidatesByInterval } = require('../utils/intervalType2');
+const { RELIABILITY_METHODS, scoreScorecards, buildScorecardBreakdown } = require('../utils/interRater');
+const { scoreRubric } = require('../utils/rubrics');
+const { adjustScore, calibrateScorecards, loadLatestCalibration } = require('../utils/calibration');
+const Calibration = require('../models/Calibration');
+const { advanceCandidate } = require('../utils/candidateStatus');
+const { compareRankings } = require('../utils/rankingComparison');
+const { analyzeWeightSensitivity } = require('../utils/sensitivityAnalysis');
+const {
+  pipelineFromJob,
+  stageKeys,
+  findStage,
+  unknownStages,
+  candidateStage,
+  stageDimensions,
+  interviewStageLabel
+} = require('../utils/pipelines');
+
+// Final aggregation methods that drop no stages, so an alpha-cut threshold is rejected with them
+const NO_ALPHA_CUT_METHODS = [...POOL_METHODS, 'it2'];
+
+/**
+ * Record a scoring run so earlier rankings can be audited and compared
+ * @param {Object} job - Job document
+ * @param {String} type - Run type ('initial' or 'final')
+ * @param {Object} parameters - Request parameters used for scoring
+ * @param {Object} stageWeights - Stage weights used (final runs only)
+ * @param {Array} rankedCandidates - Output of rankCandidates
+ * @param {String} scoreField - Candidate field holding the run's score
+ * @returns {Promise<Object>} - Saved scoring run
+ */
+const recordScoringRun = (job, type, parameters, stageWeights, rankedCandidates, scoreField) => {
+  const run = new ScoringRun({
+    jobId: job._id,
+    type,
+    parameters,
+    weightSnapshot: {
+      criteria: job.finalWeights,
+      stages: stageWeights
+    },
+    results: rankedCandidates.map(c => ({
+      candidateId: c._id,
+      name: `${c.firstName} ${c.lastName}`,
+      score: c[scoreField],
+      confidence: c.confidenceScore,
+      rank: c.rank,
+      percentile: c.percentile
+    }))
+  });
+  return run.save();
+};
+
+/**
+ * Resolve a simulation parameter: request value, then the latest run's value, then the default
+ * @param {Object} requested - Request body
+ * @param {Object} baseline - Parameters of the latest scoring run
+ * @param {String} key - Parameter name
+ * @param {*} fallback - Default value
+ * @returns {*} - Parameter value
+ */
+const pickParameter = (requested, baseline, key, fallback) => {
+  if (requested[key] !== undefined) return requested[key];
+  if (baseline[key] !== undefined && baseline[key] !== null) return baseline[key];
+  return fallback;
+};
+
+/**
+ * Resolve initial scoring parameters for a dry run from the request and the latest initial run
+ * @param {String} jobId - Job id
+ * @param {Object} requested - Request body
+ * @returns {Promise<Object>} - Latest initial run (or null) and resolved parameters
+ */
+const resolveInitialParameters = async (jobId, requested) => {
+  const latestRun = await ScoringRun.findOne({ jobId, type: 'initial' }).sort({ createdAt: -1 });
+  const baseline = latestRun ? latestRun.parameters || {} : {};
+  return {
+    latestRun,
+    parameters: {
+      targetValues: pickParameter(requested, baseline, 'targetValues', null),
+      fuzzyFactor: pickParameter(requested, baseline, 'fuzzyFactor', 0.2),
+      membershipType: pickParameter(requested, baseline, 'membershipType', 'simple'),
+      confidenceWeights: pickParameter(requested, baseline, 'confidenceWeights', {}),
+      aggregationMethod: pickParameter(requested, baseline, 'aggregationMethod', null),
+      fouScale: pickParameter(requested, baseline, 'fouScale', DEFAULT_FOU_SCALE),
+      ...resolveOwaParameters(requested, baseline)
+    }
+  };
+};
+
+/**
+ * Resolve the Choquet capacity for initial scoring
+ * Jobs with a capacity use the Choquet integral unless WSM is requested explicitly.
+ * @param {Object} job - Job document
+ * @param {String} aggregationMethod - Requested method (wsm, owa, choquet, it2 or null for the job default)
+ * @returns {Object} - Resolved method and capacity (null for wsm), or an error message
+ */
+const resolveInitialAggregation = (job, aggregationMethod) => {
+  const capacity = capacityFromJob(job);
+  const method = aggregationMethod || (capacity ? 'choquet' : 'wsm');
+  if (method === 'choquet' && !capacity) {
+    return { error: 'Job has no Choquet capacity. Set one with PUT /api/jobs/:id/choquet-capacity first.' };
+  }
+  return { method, capacity: method === 'choquet' ? capacity : null };
+};
+
+/**
+ * Resolve OWA settings for a dry run
+ * A request that sets any OWA option replaces all of the latest run's OWA options, so a
+ * requested strategy is not overridden by a quantifier left over from that run.
+ * @param {Object} requested - Request body
+ * @param {Object} baseline - Parameters of the latest scoring run
+ * @returns {Object} - Strategy profile, custom OWA weights, quantifier and target orness
+ */
+const resolveOwaParameters = (requested, baseline) => {
+  const keys = ['strategyProfile', 'owaWeights', 'quantifier', 'orness'];
+  const source = keys.some(key => requested[key] !== undefined) ? requested : baseline;
+  return {
+    strategyProfile: source.strategyProfile || 'balanced',
+    owaWeights: source.owaWeights || null,
+    quantifier: source.quantifier || null,
+    orness: source.orness !== undefined ? source.orness : null
+  };
+};
+
+/**
+ * Resolve final scoring parameters for a dry run from the request and the latest final run
+ * @param {String} jobId - Job id
+ * @param {Object} requested - Request body
+ * @param {Object} pipeline - The job's interview pipeline
+ * @returns {Promise<Object>} - Latest final run (or null) and resolved parameters, or an error message
+ */
+const resolveFinalParameters = async (jobId, requested, pipeline) => {
+  const latestRun = await ScoringRun.findOne({ jobId, type: 'final' }).sort({ createdAt: -1 });
+  const baseline = latestRun ? latestRun.parameters || {} : {};
+  const aggregationMethod = pickParameter(requested, baseline, 'aggregationMethod', 'wsm');
+  const appliesAlphaCut = !NO_ALPHA_CUT_METHODS.includes(aggregationMethod);
+  // The method may come from the latest run, so the request body validator cannot catch this
+  if (!appliesAlphaCut && requested.alphaCutThreshold !== undefined) {
+    return { error: `The alpha-cut does not apply to ${aggregationMethod} (the latest final run's method); leave out alphaCutThreshold` };
+  }
+  const owa = resolveOwaParameters(requested, baseline);
+  const stageWeights = resolveStageWeights(pickParameter(requested, baseline, 'stageWeights', {}), pipeline);
+  return {
+    latestRun,
+    parameters: {
+      aggregationMethod,
+      ...owa,
+      stageWeights,
+      owaWeights: aggregationMethod === 'owa'
+        ? resolveOwaWeights(owa.strategyProfile, Object.keys(stageWeights).length, owa.owaWeights, owa)
+        : null,
+      alphaCutThreshold: appliesAlphaCut ? pickParameter(requested, baseline, 'alphaCutThreshold', 0.5) : null,
+      fuzzySpread: pickParameter(requested, baseline, 'fuzzySpread', 0.1),
+      fouScale: pickParameter(requested, baseline, 'fouScale', DEFAULT_FOU_SCALE)
+    }
+  };
+};
+
+/**
+ * Compare a simulated ranking with the current one
+ * @param {Array} currentRanking - Ranking from stored scores
+ * @param {Array} simulatedRanking - Ranking computed in memory
+ * @returns {Object} - Summary and per-candidate rank deltas
+ */
+const formatSimulation = (currentRanking, simulatedRanking) => {
+  const { summary, changes } = compareRankings(currentRanking, simulatedRanking);
+  const simulated = new Map(simulatedRanking.map(result => [String(result.candidateId), result]));
+  return {
+    summary,
+    candidates: changes.map(change => {
+      const entry = {
+        candidateId: change.candidateId,
+        name: change.name,
+        currentRank: change.baseRank,
+        simulatedRank: change.compareRank,
+        rankChange: change.rankChange,
+        currentScore: change.baseScore,
+        simulatedScore: change.compareScore,
+        scoreDelta: change.scoreDelta,
+        movement: change.movement
+      };
+      // TOPSIS simulations also report distances to the pool's ideals
+      const result = simulated.get(change.candidateId);
+      if (result && result.distanceToIdeal !== undefined) {
+        entry.distanceToIdeal = result.distanceToIdeal;
+        entry.distanceToAntiIdeal = result.distanceToAntiIdeal;
+      }
+      // Interval type-2 simulations report the simulated interval score and tie group
+      if (result && result.interval) {
+        entry.interval = result.interval;
+        entry.tieGroup = result.tieGroup;
+      }
+      return entry;
+    })
+  };
+};
 
 // Calculate initial scores for candidates using fuzzy logic (pre-interview)
 router.post('/initial/:jobId', [
   body('targetValues').isObject().withMessage('Target values must be an object'),
   body('fuzzyFactor').optional().isFloat({ min: 0, max: 1 }).withMessage('Fuzzy factor must be between 0 and 1'),
   body('membershipType').optional().isIn(['simple', 'triangular', 'trapezoidal', 'gaussian']).withMessage('Invalid membership function type'),
-  body('confidenceWeights').optional().isObject().withMessage('Confidence weights must be an object if provided')
+  body('confidenceWeights').optional().isObject().withMessage('Confidence weights must be an object if provided'),
+  body('aggregationMethod').optional().isIn(INITIAL_AGGREGATION_METHODS).withMessage('Aggregation method must be wsm, owa, choquet or it2'),
+  body('fouScale').optional().isFloat({ min: 0, max: 1 }).withMessage('FOU scale must be between 0 and 1'),
+  body('strategyProfile').optional().isIn(['optimistic', 'balanced', 'pessimistic', 'custom']).withMessage('Strategy must be optimistic, balanced, pessimistic, or custom'),
+  body('owaWeights').optional().isArray().withMessage('OWA weights must be an array if using custom strategy'),
+  body('quantifier').optional().isIn(QUANTIFIER_NAMES).withMessage(`Quantifier must be one of: ${QUANTIFIER_NAMES.join(', ')}`),
+  body('orness').optional().isFloat({ min: 0, max: 1 }).withMessage('Orness must be between 0 and 1'),
+  body().custom(value => {
+    if (value.quantifier !== undefined && value.orness !== undefined) {
+      throw new Error('Provide either a quantifier or an orness, not both');
+    }
+    return true;
+  })
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -30,7 +255,12 @@ router.post('/initial/:jobId', [
       targetValues, 
       fuzzyFactor = 0.2, 
       membershipType = 'simple',
-      confidenceWeights = {}  // Optional per-attribute confidence weights
+      confidenceWeights = {},  // Optional per-attribute confidence weights
+      strategyProfile = 'balanced',
+      owaWeights = null,
+      quantifier = null,
+      orness = null,
+      fouScale = DEFAULT_FOU_SCALE
     } = req.body;
     
     // Get job and its criteria weights
@@ -39,6 +269,19 @@ router.post('/initial/:jobId', [
       return res.status(404).json({ message: 'Job not found' });
     }
     
+    // Choquet integral when the job has a capacity for interacting criteria
+    const aggregation = resolveInitialAggregation(job, req.body.aggregationMethod);
+    if (aggregation.error) {
+      return res.status(400).json({ message: aggregation.error, jobId });
+    }
+    
+    // Targets may reference linguistic terms such as { variable: 'experience', is: 'senior' }
+    const linguistic = await loadLinguisticLibrary();
+    const invalidTargets = linguistic.findInvalidReferences(targetValues);
+    if (invalidTargets.length > 0) {
+      return res.status(400).json({ message: 'Target values reference unknown linguistic terms', invalidTargets });
+    }
+    
     // Debug: Log job weights
     // console.log('Job finalWeights:', job.finalWeights);
     
@@ -66,90 +309,50 @@ router.post('/initial/:jobId', [
       console.log('Target values:', targetValues);
     }
     
+    // Skill ontology gives partial credit for related skills in list attributes
+    const ontology = await loadSkillOntology();
+    
+    // Weights for fuzzy scoring (Map converted to a plain object)
+    const weightsObject = toWeightsObject(job.finalWeights);
+    
+    // Criterion-level OWA weights only depend on the number of weighted criteria
+    const criterionOwaWeights = aggregation.method === 'owa'
+      ? resolveOwaWeights(strategyProfile, Object.keys(weightsObject).length, owaWeights, { quantifier, orness })
+      : null;
+    
     // Calculate initial scores using enhanced fuzzy logic
     const updatedCandidates = await Promise.all(
       candidates.map(async candidate => {
-        // Create weights and attributes for fuzzy scoring
-        const weights = job.finalWeights || {}; // Job criteria weights
-        
-        // IMPORTANT FIX: Convert Map to plain object if needed
-        const weightsObject = weights instanceof Map ? 
-          Object.fromEntries(weights.entries()) : weights;
-        
-        const attributes = {}; // Will hold fuzzy scores
-        const attributeConfidences = {}; // Will hold confidence scores
-        
-        // Prepare atomic updates for MongoDB
-        const attributeUpdates = {};
-        let foundAttributes = false;
-        
-        // Calculate fuzzy scores for each attribute
-        for (const [key, targetValue] of Object.entries(targetValues)) {
-          // Safely access attribute value whether from Map or plain object
-          let candidateValue;
-          if (candidate.attributes instanceof Map) {
-            candidateValue = candidate.attributes.get(key);
-          } else if (candidate.attributes && typeof candidate.attributes === 'object') {
-            candidateValue = candidate.attributes[key];
-          }
-          
-          // Debug: Log attribute match attempts
-          console.log(`Checking attribute ${key} for candidate ${candidate._id}: ${candidateValue !== undefined ? 'found' : 'not found'}`);
-          
-          if (candidateValue !== undefined) {
-            foundAttributes = true;
-            // Calculate fuzzy score using the specified membership function
-            const fuzzyScore = calculateFuzzyScore(
-              candidateValue, 
-              targetValue, 
-              fuzzyFactor,
-              membershipType
-            );
-            
-            // Debug: Log calculated fuzzy score
-            console.log(`Calculated fuzzy score for ${key}: ${fuzzyScore} (candidate value: ${candidateValue}, target: ${targetValue})`);
-            
-            // Store for WSM calculation
-            attributes[key] = fuzzyScore;
-            
-            // Add any confidence weighting
-            attributeConfidences[key] = confidenceWeights[key] || 1.0;
-            
-            // Store for MongoDB update
-            attributeUpdates[`attributes.${key}_fuzzyScore`] = fuzzyScore;
-            attributeUpdates[`attributes.${key}_membershipFunction`] = membershipType;
-            attributeUpdates[`attributes.${key}_confidence`] = attributeConfidences[key];
-          }
-        }
+        const result = scoreInitial(candidate, weightsObject, {
+          targetValues,
+          fuzzyFactor,
+          membershipType,
+          confidenceWeights,
+          ontology,
+          linguistic,
+          capacity: aggregation.capacity,
+          owa: aggregation.method === 'owa' ? { strategyProfile, owaWeights, quantifier, orness } : null,
+          it2: aggregation.method === 'it2' ? { fouScale } : null
+        });
         
-        // If no matching attributes were found, provide a helpful error
-        if (!foundAttributes) {
+        // If no matching attributes were found, log it for debugging
+        if (result.matchedAttributes === 0) {
           console.log(`No matching attributes found for candidate ${candidate._id}`);
         }
         
-        // Apply WSM with confidence-weighted attributes
-        const scoreResult = applyWSM(attributes, weightsObject, attributeConfidences);
-        
-        // Debug: Log WSM results
-        console.log(`Score calculation for ${candidate._id}:`, {
-          attributes,
-          weights: weightsObject, 
-          confidences: attributeConfidences,
-          result: scoreResult
-        });
-        
-        // Store overall confidence
-        attributeUpdates['attributes.initialScore_confidence'] = scoreResult.confidence;
-        
         // Update candidate with atomic operations
         return await Candidate.findByIdAndUpdate(
           candidate._id,
           { 
             $set: {
-              ...attributeUpdates,
-              initialScore: scoreResult.score,
-              confidenceScore: scoreResult.confidence
-            }
+              ...result.attributeUpdates,
+              initialScore: result.score,
+              confidenceScore: result.confidence,
+              'scoreBreakdown.initial': result.breakdown,
+              // Scored against the job's current criteria
+              scoresStale: false
+            },
+            $unset: { scoresStaleSince: '' }
           },
           { new: true }
         );
@@ -157,11 +360,13 @@ router.post('/initial/:jobId', [
     );
     
     // Format candidates for ranking (with proper Map handling)
+    const useIntervals = aggregation.method === 'it2';
     const candidatesForRanking = updatedCandidates.map(c => {
       const plainObj = c.toObject ? c.toObject() : {...c};
       return {
         ...plainObj,
         finalScore: plainObj.initialScore || 0,
+        scoreInterval: useIntervals ? plainObj.scoreBreakdown.initial.interval : undefined,
         confidence: plainObj.confidenceScore || 
                    (plainObj.attributes && 
                     (plainObj.attributes instanceof Map 
@@ -171,26 +376,56 @@ router.post('/initial/:jobId', [
       };
     });
     
-    // Apply ranking algorithm with confidence as tiebreaker
-    const rankedCandidates = rankCandidates(candidatesForRanking);
+    // Apply ranking algorithm with confidence as tiebreaker (interval scores tie unless one dominates)
+    const rankedCandidates = useIntervals
+      ? rankCandidatesByInterval(candidatesForRanking)
+      : rankCandidates(candidatesForRanking);
+    
+    // Keep a snapshot of this run for auditing
+    const scoringRun = await recordScoringRun(job, 'initial', {
+      targetValues,
+      fuzzyFactor,
+      membershipType,
+      confidenceWeights,
+      aggregationMethod: aggregation.method,
+      strategyProfile: aggregation.method === 'owa' ? strategyProfile : null,
+      owaWeights: aggregation.method === 'owa' ? owaWeights : null,
+      quantifier: aggregation.method === 'owa' ? quantifier : null,
+      orness: aggregation.method === 'owa' ? orness : null,
+      fouScale: useIntervals ? fouScale : null
+    }, null, rankedCandidates, 'initialScore');
     
     res.json({
       jobId,
       jobTitle: job.title,
+      scoringRunId: scoringRun._id,
       totalCandidates: candidates.length,
       fuzzyLogicSettings: {
         membershipFunction: membershipType,
-        fuzzyFactor
+        fuzzyFactor,
+        aggregationMethod: aggregation.method,
+        owa: criterionOwaWeights
+          ? { owaWeights: criterionOwaWeights, ...describeOwaWeights(criterionOwaWeights, { quantifier, orness }) }
+          : null,
+        fouScale: useIntervals ? fouScale : null
       },
-      rankedCandidates: rankedCandidates.map(c => ({
-        id: c._id,
-        name: `${c.firstName} ${c.lastName}`,
-        email: c.email,
-        initialScore: c.initialScore || c.finalScore,
-        confidence: c.confidence || c.confidenceScore || 1.0,
-        rank: c.rank,
-        percentile: c.percentile
-      }))
+      rankedCandidates: rankedCandidates.map(c => {
+        const ranked = {
+          id: c._id,
+          name: `${c.firstName} ${c.lastName}`,
+          email: c.email,
+          initialScore: c.initialScore || c.finalScore,
+          confidence: c.confidence ?? c.confidenceScore ?? 1.0,
+          rank: c.rank,
+          percentile: c.percentile
+        };
+        // Interval type-2 scores report the interval; candidates with the same tieGroup are tied
+        if (useIntervals) {
+          ranked.interval = c.scoreInterval;
+          ranked.tieGroup = c.tieGroup;
+        }
+        return ranked;
+      })
     });
   } catch (error) {
     console.error(error);
@@ -239,6 +474,7 @@ router.post('/shortlist/:jobId', [
     
     // Apply hard criteria filtering with fuzzy thresholds
     let filteredCandidates = [...candidates];
+    const ontology = await loadSkillOntology();
     
     if (Object.keys(criteriaThresholds).length > 0) {
       // Filter based on criteria thresholds
@@ -251,10 +487,10 @@ router.post('/shortlist/:jobId', [
           // Handle different attribute storage strategies (Map or plain object)
           if (candidate.attributes instanceof Map) {
             candidateValue = candidate.attributes.get(key);
-            candidateConfidence = candidate.attributes.get(`${key}_confidence`) || 1.0;
+            candidateConfidence = candidate.attributes.get(`${key}_confidence`) ?? 1.0;
           } else if (candidate.attributes && typeof candidate.attributes === 'object') {
             candidateValue = candidate.attributes[key];
-            candidateConfidence = candidate.attributes[`${key}_confidence`] || 1.0;
+            candidateConfidence = candidate.attributes[`${key}_confidence`] ?? 1.0;
           }
           
           // Skip if attribute doesn't exist
@@ -276,7 +512,7 @@ router.post('/shortlist/:jobId', [
           }
           else if (Array.isArray(candidateValue) && Array.isArray(thresholdValue)) {
             // For arrays: check if threshold array is subset
-            const similarity = calculateArraySimilarity(candidateValue, thresholdValue);
+            const similarity = calculateArraySimilarity(candidateValue, thresholdValue, { ontology });
             if (similarity < 0.7) return false; // Must contain most threshold elements
           }
           // For boolean or other types: require exact match
@@ -322,11 +558,17 @@ router.post('/shortlist/:jobId', [
       { jobId, _id: { $in: shortlistedIds } },
       { 
         isShortlisted: true, 
-        status: 'screening',
         passedThreshold: true
       }
     );
     
+    // Move newly shortlisted candidates on to screening; candidates further along keep their status
+    const statuses = {};
+    for (const candidate of await Candidate.find({ _id: { $in: shortlistedIds } })) {
+      const advanced = await advanceCandidate(candidate, 'screening', { reason: 'Shortlisted' });
+      statuses[candidate._id] = advanced.status;
+    }
+    
     // Mark non-shortlisted candidates
     await Candidate.updateMany(
       { jobId, _id: { $nin: shortlistedIds } },
@@ -355,7 +597,7 @@ router.post('/shortlist/:jobId', [
         initialScore: c.initialScore,
         confidence: c.confidenceScore,
         percentile: c.percentile,
-        status: 'screening'
+        status: statuses[c._id]
       }))
     });
   } catch (error) {
@@ -396,7 +638,7 @@ router.get('/shortlisted/:jobId', async (req, res) => {
         email: c.email,
         initialScore: c.initialScore,
         status: c.status,
-        interviewStage: getInterviewStage(c)
+        interviewStage: interviewStageLabel(pipelineFromJob(job), c)
       }))
     });
   } catch (error) {
@@ -407,8 +649,11 @@ router.get('/shortlisted/:jobId', async (req, res) => {
 
 // Calculate and update stage scores for a candidate
 router.post('/stage/:id', [
-  body('stage').isIn(['phoneScreen', 'codingInterview', 'onsiteInterview']).withMessage('Invalid stage'),
-  body('stageWeight').isFloat({ min: 0, max: 1 }).withMessage('Stage weight must be between 0 and 1')
+  body('stage').isString().withMessage('Stage is required'),
+  body('stageWeight').isFloat({ min: 0, max: 1 }).withMessage('Stage weight must be between 0 and 1'),
+  body('reliabilityMethod').optional().isIn(RELIABILITY_METHODS).withMessage(`Reliability method must be one of: ${RELIABILITY_METHODS.join(', ')}`),
+  body('calibrate').optional().isBoolean().withMessage('Calibrate must be a boolean'),
+  body('calibrationId').optional().isMongoId().withMessage('Calibration ID must be a valid ID')
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -417,71 +662,157 @@ router.post('/stage/:id', [
 
   try {
     const { id } = req.params;
-    const { stage, stageWeight } = req.body;
+    const { stage, stageWeight, reliabilityMethod = 'krippendorff', calibrate = false, calibrationId } = req.body;
     
     const candidate = await Candidate.findById(id);
     if (!candidate) {
       return res.status(404).json({ message: 'Candidate not found' });
     }
 
+    // The stage must be part of the job's pipeline
+    const pipeline = pipelineFromJob(await Job.findById(candidate.jobId));
+    const stageDefinition = findStage(pipeline, stage);
+    if (!stageDefinition) {
+      return res.status(400).json({ message: 'Invalid stage', pipeline: stageKeys(pipeline) });
+    }
+
     // Check if stage is completed
-    if (!candidate.stages[stage] || !candidate.stages[stage].completed) {
+    const stageData = candidateStage(candidate, stage);
+    if (!stageData || !stageData.completed) {
       return res.status(400).json({ message: `${stage} is not completed yet` });
     }
 
-    // Calculate stage score based on the stage type
-    let attributes = {};
-    let weights = {};
-    let confidenceScores = {};
-
-    switch (stage) {
-      case 'phoneScreen':
-        // Get communication skill score
-        const commSkillScore = candidate.stages.phoneScreen.communicationSkillScore || 0;
-        attributes = { communicationSkill: commSkillScore };
-        weights = { communicationSkill: 1.0 }; // Full weight since it's the only attribute
-        confidenceScores = { communicationSkill: 0.9 }; // Example confidence
-        break;
-
-      case 'codingInterview':
-        // Get problem-solving score
-        const problemSolvingScore = candidate.stages.codingInterview.problemSolvingScore || 0;
-        attributes = { problemSolving: problemSolvingScore };
-        weights = { problemSolving: 1.0 }; // Full weight since it's the only attribute
-        confidenceScores = { problemSolving: 0.85 }; // Example confidence
-        break;
-
-      case 'onsiteInterview':
-        // Get system design score
-        const systemDesignScore = candidate.stages.onsiteInterview.systemDesignScore || 0;
-        attributes = { systemDesign: systemDesignScore };
-        weights = { systemDesign: 1.0 }; // Full weight since it's the only attribute
-        confidenceScores = { systemDesign: 0.9 }; // Example confidence
-        break;
-    }
-
-    // Apply weighted sum model to calculate stage score with confidence
-    const scoreResult = applyWSM(attributes, weights, confidenceScores);
-
-    // Update the stage score and confidence
+    // Interviewer calibration (the given one, else the latest for the job) to take leniency out of the scores
+    let calibration = null;
+    if (calibrate || calibrationId) {
+      calibration = calibrationId
+        ? await Calibration.findById(calibrationId)
+        : await loadLatestCalibration(candidate.jobId);
+      if (!calibration) {
+        return res.status(400).json({ message: 'No interviewer calibration found; run POST /api/calibration first' });
+      }
+    }
+    const calibrationUnset = calibration ? {} : { [`stages.${stage}.calibration`]: '' };
+
+    // Stages with interviewer scorecards are scored by fuzzy consensus, with inter-rater reliability as confidence
+    const interview = await Interview.findOne({
+      candidateId: id,
+      [`stages.${stage}.scorecards.0`]: { $exists: true }
+    }).sort({ scheduledDate: -1 });
+
+    if (interview) {
+      const scorecards = interview.stages.get(stage).scorecards;
+      const calibrated = calibration ? calibrateScorecards(calibration, scorecards) : null;
+      const consensus = scoreScorecards(calibrated ? calibrated.scorecards : scorecards, { reliabilityMethod, stage: stageDefinition });
+      const stageCalibration = calibrated ? {
+        calibrationId: calibration._id,
+        method: calibration.method,
+        rawScore: scoreScorecards(scorecards, { reliabilityMethod, stage: stageDefinition }).score,
+        adjustedScore: consensus.score,
+        interviewers: calibrated.interviewers.map(({ interviewer, adjusted, leniency }) => ({ interviewer, adjusted, leniency }))
+      } : null;
+      const consensusUpdates = {
+        [`stages.${stage}.score`]: consensus.score,
+        [`stages.${stage}.confidence`]: consensus.confidence,
+        [`stages.${stage}.disagreement`]: consensus.disagreement,
+        [`stages.${stage}.reliability`]: consensus.reliability,
+        [`scoreBreakdown.stages.${stage}`]: buildScorecardBreakdown(consensus, stage)
+      };
+      if (consensus.rubricVersions.length > 0) {
+        consensusUpdates[`stages.${stage}.rubricVersion`] = consensus.rubricVersions[consensus.rubricVersions.length - 1];
+      }
+      if (stageCalibration) {
+        consensusUpdates[`stages.${stage}.calibration`] = stageCalibration;
+      }
+      const consensusCandidate = await Candidate.findByIdAndUpdate(
+        id,
+        { $set: consensusUpdates, $unset: calibrationUnset },
+        { new: true }
+      );
+
+      return res.json({
+        candidateId: id,
+        stage,
+        stageScore: consensus.score,
+        confidence: consensus.confidence,
+        disagreement: consensus.disagreement,
+        reliability: consensus.reliability,
+        interviewId: interview._id,
+        items: consensus.items,
+        rubricVersions: consensus.rubricVersions,
+        calibration: calibrated ? { ...stageCalibration, interviewers: calibrated.interviewers } : null,
+        updatedCandidate: consensusCandidate
+      });
+    }
+
+    // Score the stage from its rubric: competency weights, and ratings as fuzzy numbers whose
+    // width sets their confidence (competencies without a rating lower the confidence)
+    const rubricResult = scoreRubric(stageDefinition, {
+      ratings: stageData.ratings || {},
+      dimensions: stageDimensions(stageData)
+    });
+    const { attributes, weights, confidences: confidenceScores } = rubricResult;
+
+    // Calibrate the stage score for the leniency of the interviewer who ran the stage
+    let stageScore = rubricResult.score;
+    let stageCalibration = null;
+    if (calibration) {
+      const stageInterview = await Interview.findOne({
+        candidateId: id,
+        [`stages.${stage}.interviewer`]: { $exists: true }
+      }).sort({ scheduledDate: -1 });
+      const interviewer = stageInterview ? stageInterview.stages.get(stage).interviewer : null;
+      const adjustment = interviewer ? adjustScore(calibration, interviewer, rubricResult.score) : { value: stageScore, adjusted: false };
+      const stats = calibration.interviewers.find(item => item.interviewer === interviewer);
+      stageScore = adjustment.value;
+      stageCalibration = {
+        calibrationId: calibration._id,
+        method: calibration.method,
+        rawScore: rubricResult.score,
+        adjustedScore: stageScore,
+        interviewers: interviewer ? [{ interviewer, adjusted: adjustment.adjusted, leniency: stats ? stats.leniency : null }] : []
+      };
+    }
+
+    // Update the stage score, confidence and breakdown
     const updates = {};
-    updates[`stages.${stage}.score`] = scoreResult.score;
-    updates[`stages.${stage}.confidence`] = scoreResult.confidence;
+    updates[`stages.${stage}.score`] = stageScore;
+    updates[`stages.${stage}.confidence`] = rubricResult.confidence;
+    updates[`stages.${stage}.rubricVersion`] = rubricResult.rubricVersion;
+    updates[`scoreBreakdown.stages.${stage}`] = buildCriteriaBreakdown(rubricResult.explained, {
+      details: Object.fromEntries(Object.entries(rubricResult.competencies).map(([key, competency]) => [key, {
+        attribute: key,
+        source: competency.source === 'rating' ? 'rubric' : 'interview',
+        rawValue: competency.rating || competency.value,
+        membershipFunction: competency.source === 'rating'
+          ? `triangular [${competency.fuzzy.join(', ')}]`
+          : 'identity'
+      }])),
+      weights,
+      settings: { stage, rubricVersion: rubricResult.rubricVersion, fuzzyScore: rubricResult.fuzzyScore }
+    });
+    if (stageCalibration) {
+      updates[`stages.${stage}.calibration`] = stageCalibration;
+    }
     
     const updatedCandidate = await Candidate.findByIdAndUpdate(
       id,
-      { $set: updates },
+      { $set: updates, $unset: calibrationUnset },
       { new: true }
     );
     
     res.json({
       candidateId: id,
       stage,
-      stageScore: scoreResult.score,
-      confidence: scoreResult.confidence,
+      stageScore,
+      confidence: rubricResult.confidence,
+      fuzzyScore: rubricResult.fuzzyScore,
+      rubricVersion: rubricResult.rubricVersion,
       attributes,
       weights,
       confidenceScores,
+      competencies: rubricResult.competencies,
+      calibration: stageCalibration,
       updatedCandidate
     });
   } catch (error) {
@@ -493,13 +824,24 @@ router.post('/stage/:id', [
 // Calculate and update final scores for all candidates of a job
 router.post('/final/:jobId', [
   body('stageWeights').isObject().withMessage('Stage weights must be an object'),
-  body('stageWeights.phoneScreen').optional().isFloat({ min: 0, max: 1 }).withMessage('Phone screen weight must be between 0 and 1'),
-  body('stageWeights.codingInterview').optional().isFloat({ min: 0, max: 1 }).withMessage('Coding interview weight must be between 0 and 1'),
-  body('stageWeights.onsiteInterview').optional().isFloat({ min: 0, max: 1 }).withMessage('Onsite interview weight must be between 0 and 1'),
-  body('aggregationMethod').optional().isIn(['wsm', 'owa']).withMessage('Aggregation method must be either wsm or owa'),
+  body('stageWeights.*').isFloat({ min: 0, max: 1 }).withMessage('Each stage weight must be between 0 and 1'),
+  body('aggregationMethod').optional().isIn(AGGREGATION_METHODS).withMessage('Aggregation method must be wsm, owa, topsis, fuzzy-topsis, or it2'),
+  body('fuzzySpread').optional().isFloat({ min: 0, max: 0.5 }).withMessage('Fuzzy spread must be between 0 and 0.5'),
+  body('fouScale').optional().isFloat({ min: 0, max: 1 }).withMessage('FOU scale must be between 0 and 1'),
   body('strategyProfile').optional().isIn(['optimistic', 'balanced', 'pessimistic', 'custom']).withMessage('Strategy must be optimistic, balanced, pessimistic, or custom'),
   body('owaWeights').optional().isArray().withMessage('OWA weights must be an array if using custom strategy'),
-  body('alphaCutThreshold').optional().isFloat({ min: 0, max: 1 }).withMessage('Alpha-cut threshold must be between 0 and 1')
+  body('alphaCutThreshold').optional().isFloat({ min: 0, max: 1 }).withMessage('Alpha-cut threshold must be between 0 and 1'),
+  body('quantifier').optional().isIn(QUANTIFIER_NAMES).withMessage(`Quantifier must be one of: ${QUANTIFIER_NAMES.join(', ')}`),
+  body('orness').optional().isFloat({ min: 0, max: 1 }).withMessage('Orness must be between 0 and 1'),
+  body().custom(value => {
+    if (value.quantifier !== undefined && value.orness !== undefined) {
+      throw new Error('Provide either a quantifier or an orness, not both');
+    }
+    if (value.alphaCutThreshold !== undefined && NO_ALPHA_CUT_METHODS.includes(value.aggregationMethod)) {
+      throw new Error('The alpha-cut does not apply to topsis, fuzzy-topsis or it2; leave out alphaCutThreshold');
+    }
+    return true;
+  })
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -513,30 +855,28 @@ router.post('/final/:jobId', [
       aggregationMethod = 'wsm', 
       strategyProfile = 'balanced',
       owaWeights: customOwaWeights = null, 
-      alphaCutThreshold = 0.5 
+      quantifier = null,
+      orness = null,
+      alphaCutThreshold = 0.5,
+      fuzzySpread = 0.1,
+      fouScale = DEFAULT_FOU_SCALE
     } = req.body;
     
-    // Normalize and default stage weights if not provided
-    const finalStageWeights = {
-      phoneScreen: stageWeights.phoneScreen || 0.3,
-      codingInterview: stageWeights.codingInterview || 0.4,
-      onsiteInterview: stageWeights.onsiteInterview || 0.3
-    };
-    
-    // Normalize weights to sum to 1
-    const totalWeight = Object.values(finalStageWeights).reduce((sum, w) => sum + w, 0);
-    if (totalWeight !== 1) {
-      Object.keys(finalStageWeights).forEach(key => {
-        finalStageWeights[key] = finalStageWeights[key] / totalWeight;
-      });
-    }
-    
     // Get job and candidates
     const job = await Job.findById(jobId);
     if (!job) {
       return res.status(404).json({ message: 'Job not found' });
     }
     
+    const pipeline = pipelineFromJob(job);
+    const invalidStages = unknownStages(pipeline, stageWeights);
+    if (invalidStages.length > 0) {
+      return res.status(400).json({ message: 'Stage weights name stages that are not part of the job pipeline', invalidStages, pipeline: stageKeys(pipeline) });
+    }
+    
+    // Normalize and default stage weights from the job's pipeline if not provided
+    const finalStageWeights = resolveStageWeights(stageWeights, pipeline);
+    
     // Get candidates with required data
     const candidates = await Candidate.find({ 
       jobId, 
@@ -547,126 +887,102 @@ router.post('/final/:jobId', [
       return res.status(404).json({ message: 'No candidates found for this job' });
     }
     
-    // Prepare OWA weights if using OWA aggregation
-    let owaWeights = null;
-    if (aggregationMethod === 'owa') {
-      if (strategyProfile === 'custom' && Array.isArray(customOwaWeights)) {
-        // Use custom weights
-        owaWeights = customOwaWeights;
-      } else {
-        // Calculate based on strategy
-        const stageCount = Object.keys(finalStageWeights).length;
-        
-        switch(strategyProfile) {
-          case 'optimistic':
-            // More weight on highest scores (descending weights)
-            owaWeights = Array(stageCount).fill(0).map((_, i) => 
-              (stageCount - i) / ((stageCount * (stageCount + 1)) / 2)
-            );
-            break;
-          case 'pessimistic':
-            // More weight on lowest scores (ascending weights)
-            owaWeights = Array(stageCount).fill(0).map((_, i) => 
-              (i + 1) / ((stageCount * (stageCount + 1)) / 2)
-            );
-            break;
-          case 'balanced':
-          default:
-            // Equal weights
-            owaWeights = Array(stageCount).fill(1 / stageCount);
-            break;
-        }
-      }
-      
-      // Normalize OWA weights to sum to 1
-      const totalOwaWeight = owaWeights.reduce((sum, w) => sum + w, 0);
-      if (totalOwaWeight !== 1) {
-        owaWeights = owaWeights.map(w => w / totalOwaWeight);
-      }
-    }
+    // Prepare OWA weights if using OWA aggregation (a quantifier or orness replaces the strategy profile)
+    const owaWeights = aggregationMethod === 'owa'
+      ? resolveOwaWeights(strategyProfile, Object.keys(finalStageWeights).length, customOwaWeights, { quantifier, orness })
+      : null;
+    
+    // Calculate final score for each candidate (TOPSIS methods score against the whole pool)
+    const results = scoreFinalPool(candidates, {
+      stageWeights: finalStageWeights,
+      aggregationMethod,
+      strategyProfile,
+      owaWeights,
+      quantifier,
+      orness,
+      alphaCutThreshold,
+      fuzzySpread,
+      fouScale
+    });
     
-    // Calculate final score for each candidate
     const updatedCandidates = await Promise.all(
-      candidates.map(async candidate => {
-        // Collect stage scores
-        const stageScores = {
-          phoneScreen: candidate.stages.phoneScreen.score || 0,
-          codingInterview: candidate.stages.codingInterview.score || 0,
-          onsiteInterview: candidate.stages.onsiteInterview.score || 0
-        };
-        
-        // Collect confidence scores for each stage
-        const stageConfidences = {
-          phoneScreen: candidate.stages.phoneScreen.confidence || 1.0,
-          codingInterview: candidate.stages.codingInterview.confidence || 1.0,
-          onsiteInterview: candidate.stages.onsiteInterview.confidence || 1.0
-        };
-        
-        // Apply alpha-cut if needed (filter out low-confidence scores)
-        if (alphaCutThreshold > 0) {
-          for (const stage in stageScores) {
-            if (stageConfidences[stage] < alphaCutThreshold) {
-              // Zero out the weight for this stage due to low confidence
-              delete stageScores[stage];
-            }
-          }
-        }
-        
-        let finalScore, confidenceScore;
-        
-        // Use the selected aggregation method
-        if (aggregationMethod === 'owa' && owaWeights) {
-          // Apply OWA with the configured weights
-          finalScore = applyOWA(stageScores, finalStageWeights, owaWeights);
-          
-          // For OWA, calculate avg confidence separately
-          const usedStages = Object.keys(stageScores);
-          confidenceScore = usedStages.length > 0 
-            ? usedStages.reduce((sum, stage) => sum + stageConfidences[stage], 0) / usedStages.length 
-            : 0.5;
-        } else {
-          // Use traditional WSM with confidence weighting
-          const result = aggregateStageScores(stageScores, finalStageWeights, stageConfidences);
-          finalScore = result.score;
-          confidenceScore = result.confidence;
-        }
+      candidates.map(async (candidate, index) => {
+        const result = results[index];
         
-        // Update candidate with final score and confidence
+        // Update candidate with final score, confidence and breakdown
         return await Candidate.findByIdAndUpdate(
           candidate._id,
           { 
-            finalScore: finalScore, 
-            confidenceScore: confidenceScore,
-            aggregationMethod: aggregationMethod
+            finalScore: result.score, 
+            confidenceScore: result.confidence,
+            'scoreBreakdown.final': result.breakdown
           },
           { new: true }
         );
       })
     );
     
-    // Rank candidates by final score with confidence as tiebreaker
-    const rankedCandidates = rankCandidates(updatedCandidates);
+    // Rank candidates by final score with confidence as tiebreaker (interval scores tie unless one dominates)
+    const useIntervals = aggregationMethod === 'it2';
+    const appliesAlphaCut = !NO_ALPHA_CUT_METHODS.includes(aggregationMethod);
+    const rank = useIntervals ? rankCandidatesByInterval : rankCandidates;
+    const rankedCandidates = rank(updatedCandidates.map((c, index) => ({
+      ...c.toObject(),
+      confidence: c.confidenceScore ?? 1.0,
+      scoreInterval: results[index].interval
+    })));
+    
+    // Keep a snapshot of this run for auditing
+    const scoringRun = await recordScoringRun(job, 'final', {
+      stageWeights,
+      aggregationMethod,
+      strategyProfile,
+      owaWeights: aggregationMethod === 'owa' ? owaWeights : null,
+      quantifier: aggregationMethod === 'owa' ? quantifier : null,
+      orness: aggregationMethod === 'owa' ? orness : null,
+      alphaCutThreshold: appliesAlphaCut ? alphaCutThreshold : null,
+      fuzzySpread: aggregationMethod === 'fuzzy-topsis' ? fuzzySpread : null,
+      fouScale: useIntervals ? fouScale : null
+    }, finalStageWeights, rankedCandidates, 'finalScore');
     
     res.json({
       jobId,
       jobTitle: job.title,
+      scoringRunId: scoringRun._id,
       fuzzyLogicSettings: {
         aggregationMethod,
         strategyProfile,
         stageWeights: finalStageWeights,
         owaWeights: aggregationMethod === 'owa' ? owaWeights : null,
-        alphaCutThreshold
+        owa: aggregationMethod === 'owa' ? describeOwaWeights(owaWeights, { quantifier, orness }) : null,
+        alphaCutThreshold: appliesAlphaCut ? alphaCutThreshold : null,
+        fuzzySpread: aggregationMethod === 'fuzzy-topsis' ? fuzzySpread : null,
+        fouScale: useIntervals ? fouScale : null
       },
       totalCandidates: candidates.length,
-      rankedCandidates: rankedCandidates.map(c => ({
-        id: c._id,
-        name: `${c.firstName} ${c.lastName}`,
-        finalScore: c.finalScore,
-        confidenceScore: c.confidenceScore || 1.0,
-        rank: c.rank,
-        percentile: c.percentile,
-        status: c.status
-      }))
+      rankedCandidates: rankedCandidates.map(c => {
+        const ranked = {
+          id: c._id,
+          name: `${c.firstName} ${c.lastName}`,
+          finalScore: c.finalScore,
+          confidenceScore: c.confidenceScore ?? 1.0,
+          rank: c.rank,
+          percentile: c.percentile,
+          status: c.status
+        };
+        // TOPSIS methods also report each candidate's distances to the pool's ideals
+        const breakdown = c.scoreBreakdown && c.scoreBreakdown.final;
+        if (breakdown && breakdown.distanceToIdeal !== undefined) {
+          ranked.distanceToIdeal = breakdown.distanceToIdeal;
+          ranked.distanceToAntiIdeal = breakdown.distanceToAntiIdeal;
+        }
+        // Interval type-2 scores report the interval; candidates with the same tieGroup are tied
+        if (useIntervals) {
+          ranked.interval = c.scoreInterval;
+          ranked.tieGroup = c.tieGroup;
+        }
+        return ranked;
+      })
     });
   } catch (error) {
     console.error(error);
@@ -674,6 +990,434 @@ router.post('/final/:jobId', [
   }
 });
 
+// Dry run of initial scoring: rank candidates in memory for a proposed parameter set
+router.post('/simulate/initial/:jobId', [
+  body('targetValues').optional().isObject().withMessage('Target values must be an object'),
+  body('fuzzyFactor').optional().isFloat({ min: 0, max: 1 }).withMessage('Fuzzy factor must be between 0 and 1'),
+  body('membershipType').optional().isIn(['simple', 'triangular', 'trapezoidal', 'gaussian']).withMessage('Invalid membership function type'),
+  body('confidenceWeights').optional().isObject().withMessage('Confidence weights must be an object if provided'),
+  body('weights').optional().isObject().withMessage('Weights must be an object if provided'),
+  body('weights.*').optional().isFloat({ min: 0, max: 1 }).withMessage('Each weight must be between 0 and 1'),
+  body('aggregationMethod').optional().isIn(INITIAL_AGGREGATION_METHODS).withMessage('Aggregation method must be wsm, owa, choquet or it2'),
+  body('fouScale').optional().isFloat({ min: 0, max: 1 }).withMessage('FOU scale must be between 0 and 1'),
+  body('strategyProfile').optional().isIn(['optimistic', 'balanced', 'pessimistic', 'custom']).withMessage('Strategy must be optimistic, balanced, pessimistic, or custom'),
+  body('owaWeights').optional().isArray().withMessage('OWA weights must be an array if using custom strategy'),
+  body('quantifier').optional().isIn(QUANTIFIER_NAMES).withMessage(`Quantifier must be one of: ${QUANTIFIER_NAMES.join(', ')}`),
+  body('orness').optional().isFloat({ min: 0, max: 1 }).withMessage('Orness must be between 0 and 1'),
+  body().custom(value => {
+    if (value.quantifier !== undefined && value.orness !== undefined) {
+      throw new Error('Provide either a quantifier or an orness, not both');
+    }
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { jobId } = req.params;
+    
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    // Parameters left out of the request default to those of the latest initial run
+    const { latestRun, parameters } = await resolveInitialParameters(jobId, req.body);
+    
+    if (!parameters.targetValues) {
+      return res.status(400).json({ message: 'Target values are required until the job has an initial scoring run' });
+    }
+    
+    const aggregation = resolveInitialAggregation(job, parameters.aggregationMethod);
+    if (aggregation.error) {
+      return res.status(400).json({ message: aggregation.error, jobId });
+    }
+    parameters.aggregationMethod = aggregation.method;
+    
+    const linguistic = await loadLinguisticLibrary();
+    const invalidTargets = linguistic.findInvalidReferences(parameters.targetValues);
+    if (invalidTargets.length > 0) {
+      return res.status(400).json({ message: 'Target values reference unknown linguistic terms', invalidTargets });
+    }
+    
+    // Proposed criteria weights, or the job's current weights
+    const weights = req.body.weights || toWeightsObject(job.finalWeights);
+    if (Object.keys(weights).length === 0) {
+      return res.status(400).json({ 
+        message: 'Job criteria weights are not defined. Please set weights for this job first.',
+        jobId
+      });
+    }
+    
+    const candidates = await Candidate.find({ jobId });
+    if (candidates.length === 0) {
+      return res.status(404).json({ message: 'No candidates found for this job' });
+    }
+    
+    const ontology = await loadSkillOntology();
+    
+    // Current ranking from stored initial scores
+    const currentRanking = rankScoredCandidates(candidates
+      .filter(c => c.initialScore !== undefined && c.initialScore !== null)
+      .map(c => ({ candidate: c, score: c.initialScore, confidence: c.confidenceScore ?? 1.0 })));
+    
+    // Simulated ranking (nothing is saved)
+    const simulatedRanking = rankScoredCandidates(candidates.map(candidate => {
+      const result = scoreInitial(candidate, weights, {
+        ...parameters,
+        ontology,
+        linguistic,
+        capacity: aggregation.capacity,
+        owa: aggregation.method === 'owa' ? parameters : null,
+        it2: aggregation.method === 'it2' ? parameters : null
+      });
+      return { candidate, score: result.score, confidence: result.confidence, interval: result.interval };
+    }));
+    
+    res.json({
+      jobId,
+      jobTitle: job.title,
+      dryRun: true,
+      baselineRunId: latestRun ? latestRun._id : null,
+      parameters: { ...parameters, weights },
+      totalCandidates: candidates.length,
+      ...formatSimulation(currentRanking, simulatedRanking)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Dry run of final scoring: rank candidates in memory for proposed stage weights and aggregation
+router.post('/simulate/final/:jobId', [
+  body('stageWeights').optional().isObject().withMessage('Stage weights must be an object'),
+  body('stageWeights.*').isFloat({ min: 0, max: 1 }).withMessage('Each stage weight must be between 0 and 1'),
+  body('aggregationMethod').optional().isIn(AGGREGATION_METHODS).withMessage('Aggregation method must be wsm, owa, topsis, fuzzy-topsis, or it2'),
+  body('fuzzySpread').optional().isFloat({ min: 0, max: 0.5 }).withMessage('Fuzzy spread must be between 0 and 0.5'),
+  body('fouScale').optional().isFloat({ min: 0, max: 1 }).withMessage('FOU scale must be between 0 and 1'),
+  body('strategyProfile').optional().isIn(['optimistic', 'balanced', 'pessimistic', 'custom']).withMessage('Strategy must be optimistic, balanced, pessimistic, or custom'),
+  body('owaWeights').optional().isArray().withMessage('OWA weights must be an array if using custom strategy'),
+  body('alphaCutThreshold').optional().isFloat({ min: 0, max: 1 }).withMessage('Alpha-cut threshold must be between 0 and 1'),
+  body('quantifier').optional().isIn(QUANTIFIER_NAMES).withMessage(`Quantifier must be one of: ${QUANTIFIER_NAMES.join(', ')}`),
+  body('orness').optional().isFloat({ min: 0, max: 1 }).withMessage('Orness must be between 0 and 1'),
+  body().custom(value => {
+    if (value.quantifier !== undefined && value.orness !== undefined) {
+      throw new Error('Provide either a quantifier or an orness, not both');
+    }
+    if (value.alphaCutThreshold !== undefined && NO_ALPHA_CUT_METHODS.includes(value.aggregationMethod)) {
+      throw new Error('The alpha-cut does not apply to topsis, fuzzy-topsis or it2; leave out alphaCutThreshold');
+    }
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { jobId } = req.params;
+    
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const pipeline = pipelineFromJob(job);
+    const invalidStages = unknownStages(pipeline, req.body.stageWeights);
+    if (invalidStages.length > 0) {
+      return res.status(400).json({ message: 'Stage weights name stages that are not part of the job pipeline', invalidStages, pipeline: stageKeys(pipeline) });
+    }
+    
+    // Parameters left out of the request default to those of the latest final run
+    const { latestRun, parameters, error: parameterError } = await resolveFinalParameters(jobId, req.body, pipeline);
+    if (parameterError) {
+      return res.status(400).json({ message: parameterError, jobId });
+    }
+    
+    const candidates = await Candidate.find({ 
+      jobId, 
+      passedThreshold: true 
+    });
+    
+    if (candidates.length === 0) {
+      return res.status(404).json({ message: 'No candidates found for this job' });
+    }
+    
+    // Current ranking from stored final scores
+    const currentRanking = rankScoredCandidates(candidates
+      .filter(c => c.finalScore !== undefined && c.finalScore !== null)
+      .map(c => ({ candidate: c, score: c.finalScore, confidence: c.confidenceScore ?? 1.0 })));
+    
+    // Simulated ranking (nothing is saved)
+    const results = scoreFinalPool(candidates, parameters);
+    const simulatedRanking = rankScoredCandidates(candidates.map((candidate, index) => ({
+      candidate,
+      ...results[index]
+    })));
+    
+    res.json({
+      jobId,
+      jobTitle: job.title,
+      dryRun: true,
+      baselineRunId: latestRun ? latestRun._id : null,
+      parameters,
+      owa: parameters.owaWeights ? describeOwaWeights(parameters.owaWeights, parameters) : null,
+      totalCandidates: candidates.length,
+      ...formatSimulation(currentRanking, simulatedRanking)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Sensitivity of the ranking to each criterion weight and each stage weight
+router.post('/sensitivity/:jobId', [
+  body('level').optional().isIn(['criteria', 'stages', 'both']).withMessage('Level must be criteria, stages, or both'),
+  body('range').optional().isFloat({ min: 0.01, max: 1 }).withMessage('Range must be between 0.01 and 1'),
+  body('steps').optional().isInt({ min: 1, max: 20 }).withMessage('Steps must be between 1 and 20'),
+  body('topN').optional().isInt({ min: 1 }).withMessage('Top N must be a positive integer'),
+  body('targetValues').optional().isObject().withMessage('Target values must be an object'),
+  body('fuzzyFactor').optional().isFloat({ min: 0, max: 1 }).withMessage('Fuzzy factor must be between 0 and 1'),
+  body('membershipType').optional().isIn(['simple', 'triangular', 'trapezoidal', 'gaussian']).withMessage('Invalid membership function type'),
+  body('stageWeights').optional().isObject().withMessage('Stage weights must be an object'),
+  body('stageWeights.*').isFloat({ min: 0, max: 1 }).withMessage('Each stage weight must be between 0 and 1'),
+  body('aggregationMethod').optional().isIn(AGGREGATION_METHODS).withMessage('Aggregation method must be wsm, owa, topsis, fuzzy-topsis, or it2'),
+  body('fuzzySpread').optional().isFloat({ min: 0, max: 0.5 }).withMessage('Fuzzy spread must be between 0 and 0.5'),
+  body('fouScale').optional().isFloat({ min: 0, max: 1 }).withMessage('FOU scale must be between 0 and 1'),
+  body('strategyProfile').optional().isIn(['optimistic', 'balanced', 'pessimistic', 'custom']).withMessage('Strategy must be optimistic, balanced, pessimistic, or custom'),
+  body('owaWeights').optional().isArray().withMessage('OWA weights must be an array if using custom strategy'),
+  body('alphaCutThreshold').optional().isFloat({ min: 0, max: 1 }).withMessage('Alpha-cut threshold must be between 0 and 1'),
+  body('quantifier').optional().isIn(QUANTIFIER_NAMES).withMessage(`Quantifier must be one of: ${QUANTIFIER_NAMES.join(', ')}`),
+  body('orness').optional().isFloat({ min: 0, max: 1 }).withMessage('Orness must be between 0 and 1'),
+  body().custom(value => {
+    if (value.quantifier !== undefined && value.orness !== undefined) {
+      throw new Error('Provide either a quantifier or an orness, not both');
+    }
+    if (value.alphaCutThreshold !== undefined && NO_ALPHA_CUT_METHODS.includes(value.aggregationMethod)) {
+      throw new Error('The alpha-cut does not apply to topsis, fuzzy-topsis or it2; leave out alphaCutThreshold');
+    }
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { jobId } = req.params;
+    const { level = 'both', range = 0.5, steps = 5, topN = 3 } = req.body;
+    const settings = { range, steps, topN };
+    
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const response = {
+      jobId,
+      jobTitle: job.title,
+      settings,
+      criteria: null,
+      stages: null,
+      skipped: []
+    };
+    
+    // Criterion weights: re-rank initial scores with WSM
+    if (level !== 'stages') {
+      const { parameters } = await resolveInitialParameters(jobId, req.body);
+      const weights = toWeightsObject(job.finalWeights);
+      const candidates = await Candidate.find({ jobId });
+      
+      let reason = null;
+      if (Object.keys(weights).length === 0) {
+        reason = 'Job criteria weights are not defined';
+      } else if (!parameters.targetValues) {
+        reason = 'Target values are required until the job has an initial scoring run';
+      } else if (candidates.length === 0) {
+        reason = 'No candidates found for this job';
+      }
+      
+      if (reason) {
+        if (level === 'criteria') {
+          return res.status(400).json({ message: reason });
+        }
+        response.skipped.push({ level: 'criteria', reason });
+      } else {
+        const ontology = await loadSkillOntology();
+        const linguistic = await loadLinguisticLibrary();
+        
+        // Fuzzy degrees do not depend on the weights, so compute them once
+        const scored = candidates.map(candidate => {
+          const result = scoreInitial(candidate, weights, { ...parameters, ontology, linguistic });
+          const degrees = {};
+          const confidences = {};
+          result.breakdown.criteria.filter(c => c.matched).forEach(c => {
+            degrees[c.criterion] = c.fuzzyDegree;
+            confidences[c.criterion] = c.confidence;
+          });
+          return { candidate, degrees, confidences };
+        });
+        
+        const rankWith = (perturbedWeights) => rankScoredCandidates(scored.map(({ candidate, degrees, confidences }) => {
+          const result = applyWSM(degrees, perturbedWeights, confidences);
+          return { candidate, score: result.score, confidence: result.confidence };
+        }));
+        
+        // Weight perturbation only applies to WSM, even for jobs scored with a Choquet capacity
+        response.criteria = {
+          method: 'wsm',
+          parameters: { ...parameters, aggregationMethod: 'wsm' },
+          ...analyzeWeightSensitivity(weights, rankWith, settings)
+        };
+      }
+    }
+    
+    // Stage weights: re-rank final scores with the configured WSM/OWA aggregation
+    if (level !== 'criteria') {
+      const { parameters, error: parameterError } = await resolveFinalParameters(jobId, req.body, pipelineFromJob(job));
+      if (parameterError) {
+        return res.status(400).json({ message: parameterError, jobId });
+      }
+      const candidates = await Candidate.find({ 
+        jobId, 
+        passedThreshold: true 
+      });
+      
+      if (candidates.length === 0) {
+        if (level === 'stages') {
+          return res.status(404).json({ message: 'No candidates found for this job' });
+        }
+        response.skipped.push({ level: 'stages', reason: 'No candidates found for this job' });
+      } else {
+        const rankWith = (perturbedWeights) => {
+          const results = scoreFinalPool(candidates, { ...parameters, stageWeights: perturbedWeights });
+          return rankScoredCandidates(candidates.map((candidate, index) => ({
+            candidate,
+            score: results[index].score,
+            confidence: results[index].confidence
+          })));
+        };
+        
+        response.stages = {
+          method: parameters.aggregationMethod,
+          parameters,
+          ...analyzeWeightSensitivity(parameters.stageWeights, rankWith, settings)
+        };
+      }
+    }
+    
+    res.json(response);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Score candidates through the job's fuzzy rule base (Mamdani or Takagi-Sugeno)
+router.post('/rules/:jobId', [
+  body('engine').optional().isIn(ENGINES).withMessage(`Engine must be one of: ${ENGINES.join(', ')}`),
+  body('defuzzifier').optional().custom((value, { req }) => {
+    const allowed = DEFUZZIFIERS[req.body.engine || 'mamdani'] || [];
+    if (!allowed.includes(value)) {
+      throw new Error(`Defuzzifier must be one of: ${allowed.join(', ')}`);
+    }
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { jobId } = req.params;
+    const { engine = 'mamdani' } = req.body;
+    const defuzzifier = req.body.defuzzifier || DEFUZZIFIERS[engine][0];
+    
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const ruleBase = ruleBaseFromJob(job);
+    if (!ruleBase) {
+      return res.status(400).json({ message: 'No fuzzy rule base defined for this job', jobId });
+    }
+    if (ruleBase.rules.length === 0) {
+      return res.status(400).json({ message: 'The fuzzy rule base has no rules', jobId });
+    }
+    
+    const candidates = await Candidate.find({ jobId });
+    if (candidates.length === 0) {
+      return res.status(404).json({ message: 'No candidates found for this job' });
+    }
+    
+    const evaluated = await Promise.all(candidates.map(async candidate => {
+      const { values, missing } = candidateInputs(candidate, ruleBase.inputs);
+      const result = evaluateRuleBase(ruleBase, values, { engine, defuzzifier });
+      const breakdown = {
+        engine,
+        defuzzifier,
+        output: result.output,
+        coverage: result.coverage,
+        fired: result.fired,
+        inputs: values,
+        missingInputs: missing,
+        fuzzified: result.fuzzified,
+        rules: result.rules,
+        computedAt: new Date()
+      };
+      
+      await Candidate.findByIdAndUpdate(candidate._id, {
+        $set: {
+          ruleBasedScore: result.score,
+          'scoreBreakdown.ruleBased': breakdown
+        }
+      });
+      
+      return { candidate, score: result.score, confidence: result.coverage, breakdown };
+    }));
+    
+    const byId = new Map(evaluated.map(entry => [String(entry.candidate._id), entry.breakdown]));
+    const ranking = rankScoredCandidates(evaluated);
+    
+    res.json({
+      jobId,
+      jobTitle: job.title,
+      totalCandidates: candidates.length,
+      engine,
+      defuzzifier,
+      output: ruleBase.output.name,
+      rankedCandidates: ranking.map(entry => {
+        const breakdown = byId.get(String(entry.candidateId));
+        return {
+          ...entry,
+          output: breakdown.output,
+          fired: breakdown.fired,
+          missingInputs: breakdown.missingInputs,
+          firingStrengths: breakdown.rules.map(rule => ({
+            ruleId: rule.ruleId,
+            index: rule.index,
+            description: rule.description,
+            evaluated: rule.evaluated,
+            strength: rule.strength
+          }))
+        };
+      })
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get ranked candidates for a job
 router.get('/ranking/:jobId', async (req, res) => {
   try {
@@ -699,7 +1443,7 @@ router.get('/ranking/:jobId', async (req, res) => {
     // Apply ranking with confidence as tiebreaker
     const rankedCandidates = rankCandidates(candidates.map(c => ({
       ...c.toObject(),
-      confidence: c.confidenceScore || 1.0
+      confidence: c.confidenceScore ?? 1.0
     })));
     
     res.json({
@@ -712,14 +1456,13 @@ router.get('/ranking/:jobId', async (req, res) => {
         name: `${c.firstName} ${c.lastName}`,
         email: c.email,
         finalScore: c.finalScore,
-        confidenceScore: c.confidenceScore || c.confidence || 1.0,
+        confidenceScore: c.confidenceScore ?? c.confidence ?? 1.0,
         percentile: c.percentile,
         status: c.status,
-        stages: {
-          phoneScreen: c.stages.phoneScreen.completed ? c.stages.phoneScreen.score : 'Not completed',
-          codingInterview: c.stages.codingInterview.completed ? c.stages.codingInterview.score : 'Not completed',
-          onsiteInterview: c.stages.onsiteInterview.completed ? c.stages.onsiteInterview.score : 'Not completed'
-        }
+        stages: Object.fromEntries(stageKeys(pipelineFromJob(job)).map(stage => {
+          const stageData = candidateStage(c, stage);
+          return [stage, stageData && stageData.completed ? stageData.score : 'Not completed'];
+        }))
       }))
     });
   } catch (error) {
@@ -728,17 +1471,40 @@ router.get('/ranking/:jobId', async (req, res) => {
   }
 });
 
-// Helper function to determine interview stage
-function getInterviewStage(candidate) {
-  if (candidate.stages.onsiteInterview.completed) {
-    return 'Completed all interviews';
-  } else if (candidate.stages.codingInterview.completed) {
-    return 'Onsite pending';
-  } else if (candidate.stages.phoneScreen.completed) {
-    return 'Coding interview pending';
-  } else {
-    return 'Phone screen pending';
+// Explain how a candidate's scores were computed
+router.get('/explain/:candidateId', async (req, res) => {
+  try {
+    const candidate = await Candidate.findById(req.params.candidateId).populate('jobId', 'title pipeline');
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+    
+    const breakdown = candidate.scoreBreakdown || {};
+    const stageBreakdowns = breakdown.stages instanceof Map ? Object.fromEntries(breakdown.stages) : breakdown.stages || {};
+    
+    res.json({
+      candidateId: candidate._id,
+      name: `${candidate.firstName} ${candidate.lastName}`,
+      jobId: candidate.jobId ? candidate.jobId._id : null,
+      jobTitle: candidate.jobId ? candidate.jobId.title : null,
+      initialScore: candidate.initialScore,
+      finalScore: candidate.finalScore,
+      ruleBasedScore: candidate.ruleBasedScore,
+      scoresStale: Boolean(candidate.scoresStale),
+      scoresStaleSince: candidate.scoresStaleSince || null,
+      confidenceScore: candidate.confidenceScore,
+      initial: breakdown.initial || null,
+      stages: Object.fromEntries(stageKeys(pipelineFromJob(candidate.jobId)).map(stage => [
+        stage,
+        stageBreakdowns[stage] || null
+      ])),
+      final: breakdown.final || null,
+      ruleBased: breakdown.ruleBased || null
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
   }
-}
+});
 
 module.exports = router; 
\ No newline at end of file
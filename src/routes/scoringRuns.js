@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const ScoringRun = require('../models/ScoringRun');
+const Job = require('../models/Job');
+const { compareRankings, diffValues } = require('../utils/rankingComparison');
+
+/**
+ * Convert a stored weight map to a plain object
+ * @param {Map|Object} weights - Weights from a run snapshot
+ * @returns {Object} - Plain weights object
+ */
+const toPlainWeights = (weights) => {
+  if (!weights) return {};
+  return weights instanceof Map ? Object.fromEntries(weights.entries()) : weights;
+};
+
+// List scoring runs for a job (newest first), optionally filtered by type
+router.get('/job/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { type } = req.query;
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const filter = { jobId };
+    if (type) {
+      if (!['initial', 'final'].includes(type)) {
+        return res.status(400).json({ message: 'Type must be either initial or final' });
+      }
+      filter.type = type;
+    }
+
+    const runs = await ScoringRun.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      jobId,
+      jobTitle: job.title,
+      totalRuns: runs.length,
+      runs: runs.map(run => {
+        const top = run.results.find(result => result.rank === 1);
+        return {
+          id: run._id,
+          type: run.type,
+          parameters: run.parameters,
+          totalCandidates: run.results.length,
+          topCandidate: top ? { candidateId: top.candidateId, name: top.name, score: top.score } : null,
+          createdAt: run.createdAt
+        };
+      })
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a single scoring run with its full results
+router.get('/:id', async (req, res) => {
+  try {
+    const run = await ScoringRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ message: 'Scoring run not found' });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Diff two scoring runs of the same job: rank movements, score deltas and changed parameters
+router.get('/:id/diff/:otherId', async (req, res) => {
+  try {
+    const [baseRun, compareRun] = await Promise.all([
+      ScoringRun.findById(req.params.id),
+      ScoringRun.findById(req.params.otherId)
+    ]);
+
+    if (!baseRun || !compareRun) {
+      return res.status(404).json({ message: 'Scoring run not found' });
+    }
+
+    if (String(baseRun.jobId) !== String(compareRun.jobId)) {
+      return res.status(400).json({ message: 'Scoring runs belong to different jobs' });
+    }
+
+    const { summary, changes } = compareRankings(baseRun.results, compareRun.results);
+
+    res.json({
+      jobId: baseRun.jobId,
+      baseRun: { id: baseRun._id, type: baseRun.type, createdAt: baseRun.createdAt },
+      compareRun: { id: compareRun._id, type: compareRun.type, createdAt: compareRun.createdAt },
+      parameterChanges: diffValues(baseRun.parameters, compareRun.parameters),
+      weightChanges: {
+        criteria: diffValues(
+          toPlainWeights(baseRun.weightSnapshot && baseRun.weightSnapshot.criteria),
+          toPlainWeights(compareRun.weightSnapshot && compareRun.weightSnapshot.criteria)
+        ),
+        stages: diffValues(
+          toPlainWeights(baseRun.weightSnapshot && baseRun.weightSnapshot.stages),
+          toPlainWeights(compareRun.weightSnapshot && compareRun.weightSnapshot.stages)
+        )
+      },
+      summary,
+      changes
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
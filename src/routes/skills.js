@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Skill = require('../models/Skill');
+const { DEFAULT_SKILLS, loadSkillOntology, invalidateSkillOntology } = require('../utils/skillOntology');
+
+// Get the full skill ontology (built-in and custom skills)
+router.get('/', async (req, res) => {
+  try {
+    const ontology = await loadSkillOntology();
+    const customSkills = await Skill.find().lean();
+    const customIds = new Set(customSkills.map(skill => skill.skillId));
+
+    res.json(ontology.getSkills().map(skill => ({
+      ...skill,
+      source: customIds.has(skill.id) ? 'custom' : 'built-in'
+    })));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Normalise raw skill names to canonical skills with their ancestors
+router.post('/normalize', [
+  body('skills').isArray().withMessage('Skills must be an array')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { skills } = req.body;
+    const ontology = await loadSkillOntology();
+
+    res.json({
+      skills: skills.map(raw => {
+        const canonical = ontology.normalize(raw);
+        return {
+          input: raw,
+          canonical,
+          name: canonical ? ontology.getSkill(canonical).name : null,
+          ancestors: canonical ? [...ontology.getAncestors(canonical).keys()] : []
+        };
+      })
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add or update a custom skill (overrides a built-in skill with the same id)
+router.put('/:skillId', [
+  body('name').notEmpty().withMessage('Skill name is required'),
+  body('aliases').optional().isArray().withMessage('Aliases must be an array'),
+  body('parents').optional().isArray().withMessage('Parents must be an array')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const skillId = req.params.skillId.toLowerCase();
+    const { name, aliases = [], parents = [] } = req.body;
+
+    // Parents must exist and must not create a cycle
+    const ontology = await loadSkillOntology();
+    const unknownParents = parents.filter(parent => !ontology.getSkill(parent.toLowerCase()));
+    if (unknownParents.length > 0) {
+      return res.status(400).json({ message: 'Unknown parent skills', parents: unknownParents });
+    }
+
+    const cyclic = parents.filter(parent =>
+      parent.toLowerCase() === skillId || ontology.getAncestors(parent.toLowerCase()).has(skillId)
+    );
+    if (cyclic.length > 0) {
+      return res.status(400).json({ message: 'Parent skills would create a cycle', parents: cyclic });
+    }
+
+    let skill = await Skill.findOne({ skillId });
+    if (skill) {
+      skill.name = name;
+      skill.aliases = aliases;
+      skill.parents = parents;
+    } else {
+      skill = new Skill({ skillId, name, aliases, parents });
+    }
+
+    await skill.save();
+    invalidateSkillOntology();
+
+    res.json(skill);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a custom skill; a custom skill that is still another skill's parent cannot be deleted
+router.delete('/:skillId', async (req, res) => {
+  try {
+    const skill = await Skill.findOne({ skillId: req.params.skillId.toLowerCase() });
+    if (!skill) {
+      return res.status(404).json({ message: 'Custom skill not found' });
+    }
+
+    // Deleting an override of a built-in skill reverts to the built-in one, so its children keep a parent
+    if (!DEFAULT_SKILLS.some(builtIn => builtIn.id === skill.skillId)) {
+      const children = await Skill.find({ parents: skill.skillId }, 'skillId');
+      if (children.length > 0) {
+        return res.status(409).json({
+          message: 'Skill is still the parent of other skills',
+          code: 'SKILL_IN_USE',
+          details: { skills: children.map(child => child.skillId) }
+        });
+      }
+    }
+
+    await skill.deleteOne();
+    invalidateSkillOntology();
+
+    res.json({ message: 'Skill removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for AHP weight elicitation and consistency checks
+ */
+const { expect } = require('chai');
+const {
+  DEFAULT_CR_THRESHOLD,
+  validatePairwiseMatrix,
+  principalEigenvector,
+  computeAhpWeights
+} = require('../../utils/ahp');
+
+// Perfectly consistent: a is twice as important as b, which is twice as important as c
+const consistent = [
+  [1, 2, 4],
+  [1 / 2, 1, 2],
+  [1 / 4, 1 / 2, 1]
+];
+
+describe('ahp', () => {
+  describe('validatePairwiseMatrix', () => {
+    it('accepts a reciprocal matrix on the Saaty scale', () => {
+      expect(validatePairwiseMatrix(consistent, 3)).to.deep.equal([]);
+    });
+
+    it('rejects matrices of the wrong size', () => {
+      expect(validatePairwiseMatrix([[1]], 2)).to.deep.equal(['Matrix must be 2x2, one row and column per criterion']);
+      expect(validatePairwiseMatrix([[1, 2], [1 / 2]], 2)).to.have.length(1);
+    });
+
+    it('reports entries that are not positive, off the scale, not reciprocal or off the diagonal', () => {
+      expect(validatePairwiseMatrix([[1, 12, 0], [1 / 12, 1, 1], ['x', 1, 1]], 3)).to.deep.equal([
+        'Entry [0][1] must be between 1/9 and 9',
+        'Entry [0][2] must be a positive number',
+        'Entry [1][0] must be between 1/9 and 9',
+        'Entry [2][0] must be a positive number'
+      ]);
+      expect(validatePairwiseMatrix([[1, 2], [0.4, 2]], 2)).to.deep.equal([
+        'Entries [0][1] and [1][0] must be reciprocal',
+        'Diagonal entry [1][1] must be 1'
+      ]);
+    });
+  });
+
+  describe('principalEigenvector', () => {
+    it('returns the normalised weights and lambda max of a consistent matrix', () => {
+      const { vector, lambdaMax } = principalEigenvector(consistent);
+      expect(vector[0]).to.be.closeTo(4 / 7, 1e-9);
+      expect(vector[1]).to.be.closeTo(2 / 7, 1e-9);
+      expect(vector[2]).to.be.closeTo(1 / 7, 1e-9);
+      expect(lambdaMax).to.be.closeTo(3, 1e-9);
+    });
+  });
+
+  describe('computeAhpWeights', () => {
+    it('gives a consistent matrix a ratio of 0 and pairs that match the weights', () => {
+      const result = computeAhpWeights(consistent, ['skills', 'experience', 'education']);
+      expect(result.weights.skills).to.be.closeTo(4 / 7, 1e-9);
+      expect(result.consistencyRatio).to.be.closeTo(0, 1e-9);
+      expect(result.randomIndex).to.equal(0.58);
+      result.inconsistentPairs.forEach(pair => {
+        expect(pair.deviation).to.be.closeTo(1, 1e-9);
+        expect(pair.suggested).to.equal(pair.given);
+      });
+    });
+
+    it('treats 2x2 matrices as always consistent', () => {
+      const result = computeAhpWeights([[1, 3], [1 / 3, 1]], ['skills', 'experience']);
+      expect(result.weights.skills).to.be.closeTo(0.75, 1e-9);
+      expect(result.consistencyIndex).to.equal(0);
+      expect(result.consistencyRatio).to.equal(0);
+    });
+
+    it('flags an inconsistent matrix and ranks the contradicting judgement first', () => {
+      // The chain a > b > c > d implies a is 8 times d, but a was rated 1/5 of d
+      const result = computeAhpWeights([
+        [1, 2, 4, 1 / 5],
+        [1 / 2, 1, 2, 4],
+        [1 / 4, 1 / 2, 1, 2],
+        [5, 1 / 4, 1 / 2, 1]
+      ], ['a', 'b', 'c', 'd']);
+
+      expect(result.consistencyRatio).to.be.above(DEFAULT_CR_THRESHOLD);
+      expect(result.consistencyIndex).to.be.closeTo((result.lambdaMax - 4) / 3, 1e-12);
+      expect(result.inconsistentPairs).to.have.length(6);
+      expect(result.inconsistentPairs[0]).to.include({ given: 1 / 5, suggested: 1 });
+      expect(result.inconsistentPairs[0].criteria).to.deep.equal(['a', 'd']);
+      expect(result.inconsistentPairs[0].deviation).to.be.above(result.inconsistentPairs[1].deviation);
+    });
+  });
+});
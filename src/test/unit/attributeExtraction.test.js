@@ -0,0 +1,143 @@
+/**
+ * Unit tests for the resume-to-attributes mapping engine
+ */
+const { expect } = require('chai');
+const {
+  resolveAttributeConfig,
+  validateAttributeConfig,
+  extractContactInfo,
+  extractAttributes,
+  scoreAttributes,
+  buildCandidateFromResume
+} = require('../../utils/attributeExtraction');
+
+const resume = {
+  Name: 'Ada King Lovelace',
+  Email: 'ada@example.com',
+  Skills: ['React', 'ReactJS', 'Python', 'Golang', 'Google Cloud', 'AWS Lambda', 'PostgreSQL'],
+  'Total Estimated Years of Experience': '4.5',
+  'Experience Details': [
+    { Roles: 'Full Stack Developer' },
+    { Roles: 'Software Engineer Intern' },
+    { Roles: 'Full-time Engineer' }
+  ],
+  'Education Details': [{ 'education level': 'Master of Science', 'field of study': 'Computer Science' }]
+};
+
+const job = {
+  criteria: [{ name: 'Years of Experience' }, { name: 'Education' }, { name: 'python', targetValue: true }],
+  finalWeights: new Map([['Years of Experience', 0.5], ['Education', 0.3], ['python', 0.2]])
+};
+
+describe('attributeExtraction', () => {
+  describe('extractContactInfo', () => {
+    it('splits the name at the first space', () => {
+      expect(extractContactInfo(resume)).to.deep.equal({
+        firstName: 'Ada',
+        lastName: 'King Lovelace',
+        email: 'ada@example.com',
+        phone: ''
+      });
+    });
+  });
+
+  describe('extractAttributes', () => {
+    const attributes = extractAttributes(resume);
+
+    it('stores skills once under their canonical id', () => {
+      expect(attributes.get('skills')).to.deep.equal(['react', 'python', 'go', 'google_cloud', 'aws_lambda', 'postgresql']);
+      expect(attributes.get('react')).to.equal(true);
+    });
+
+    it('counts skill categories by canonical id and whole words', () => {
+      // "Google Cloud" is not the go language, "AWS Lambda" still counts as aws
+      expect(attributes.get('programming_languages_count')).to.equal(2);
+      expect(attributes.get('cloud_services_count')).to.equal(2);
+      expect(attributes.get('web_frameworks_count')).to.equal(1);
+      expect(attributes.get('databases_count')).to.equal(1);
+    });
+
+    it('counts role types and only counts a role whose prerequisite matched', () => {
+      expect(attributes.get('developer_experience')).to.equal(1);
+      expect(attributes.get('engineer_experience')).to.equal(2);
+      expect(attributes.get('intern_experience')).to.equal(1);
+      // "Full-time Engineer" is not a developer role, so it is not full-stack
+      expect(attributes.get('fullstack_experience')).to.equal(1);
+    });
+
+    it('reads years of experience, education level and field of study', () => {
+      expect(attributes.get('yearsOfExperience')).to.equal(4.5);
+      expect(attributes.get('has_masters')).to.equal(true);
+      expect(attributes.has('has_phd')).to.equal(false);
+      expect(attributes.get('has_cs_degree')).to.equal(true);
+    });
+
+    it('uses the job overrides on top of the defaults', () => {
+      const config = resolveAttributeConfig({ attributeConfig: { skillCategories: { ml: ['pytorch'] }, educationLevels: [] } });
+      expect(config.skillCategories.ml).to.deep.equal(['pytorch']);
+      expect(config.skillCategories.databases).to.include('postgresql');
+      expect(config.educationLevels.map(level => level.name)).to.deep.equal(['bachelors', 'masters', 'phd']);
+
+      expect(extractAttributes({ Skills: ['PyTorch'] }, config).get('ml_count')).to.equal(1);
+    });
+  });
+
+  describe('validateAttributeConfig', () => {
+    it('reports every malformed section', () => {
+      expect(validateAttributeConfig({
+        skillCategories: { ml: 'pytorch' },
+        roleTypes: { lead: {} },
+        educationLevels: [{ name: 'mba', keywords: ['mba'], score: 2 }],
+        degreeFields: { maths: [1] },
+        criterionMappings: { leadership: {}, projects: { attribute: 'projects', scale: 0 } }
+      })).to.deep.equal([
+        'Skill category ml must be an array of keywords',
+        'Role type lead must have an array of keywords',
+        'Education level 0 must have a name, keywords and a score between 0 and 1',
+        'Degree field maths must be an array of keywords',
+        'Criterion mapping leadership must reference an attribute or the educationLevel source',
+        'Criterion mapping projects scale must be a positive number'
+      ]);
+      expect(validateAttributeConfig([])).to.deep.equal(['Attribute config must be an object']);
+    });
+  });
+
+  describe('scoreAttributes', () => {
+    it('scores direct and mapped criteria with the weighted sum', () => {
+      const { initialScore, scoreBreakdown } = scoreAttributes(extractAttributes(resume), job);
+      const criteria = Object.fromEntries(scoreBreakdown.criteria.map(entry => [entry.criterion, entry]));
+
+      expect(scoreBreakdown.method).to.equal('wsm');
+      expect(criteria['Years of Experience']).to.include({ source: 'mapped', rawValue: 4.5, fuzzyDegree: 0.45, membershipFunction: 'linear(0-10)' });
+      expect(criteria.Education).to.include({ source: 'mapped', rawValue: 0.8, fuzzyDegree: 0.8 });
+      expect(criteria.python).to.include({ source: 'direct', fuzzyDegree: 1, confidence: 1 });
+      // Confidence-weighted: (0.5 * 0.8 * 0.45 + 0.3 * 0.8 * 0.8 + 0.2 * 1) / (0.5 * 0.8 + 0.3 * 0.8 + 0.2)
+      expect(initialScore).to.be.closeTo(0.572 / 0.84, 1e-9);
+    });
+
+    it('assigns a neutral score when no criterion matches', () => {
+      const result = scoreAttributes(new Map(), { criteria: [{ name: 'Leadership' }], finalWeights: { Leadership: 1 } });
+      expect(result).to.include({ initialScore: 0.5, confidenceScore: 0.5 });
+      expect(result.scoreBreakdown.method).to.equal('fallback');
+    });
+
+    it('does not score a job without weights', () => {
+      expect(scoreAttributes(new Map(), { criteria: [], finalWeights: new Map() })).to.deep.equal({
+        initialScore: null,
+        confidenceScore: null,
+        scoreBreakdown: null
+      });
+    });
+  });
+
+  describe('buildCandidateFromResume', () => {
+    it('returns the contact info, attributes and score together', () => {
+      const candidate = buildCandidateFromResume(resume, job);
+      expect(candidate).to.include({ firstName: 'Ada', email: 'ada@example.com' });
+      // Only directly matched criteria annotate the attributes with their fuzzy score
+      expect(candidate.attributes.get('python_fuzzyScore')).to.equal(1);
+      expect(candidate.attributes.has('yearsOfExperience_fuzzyScore')).to.equal(false);
+      expect(candidate.initialScore).to.be.closeTo(0.572 / 0.84, 1e-9);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Unit tests for interviewer calibration
+ */
+const { expect } = require('chai');
+const {
+  collectObservations,
+  describeDistribution,
+  fitZScore,
+  fitRasch,
+  adjustScore,
+  calibrateScorecards,
+  buildCalibration
+} = require('../../utils/calibration');
+
+// Two interviewers rating the same candidates, one a fixed amount above the other
+const pairedRatings = (count, offset) => {
+  const observations = [];
+  for (let i = 0; i < count; i++) {
+    const base = 0.3 + (i % 5) * 0.1;
+    const date = new Date(2024, 0, i + 1);
+    observations.push({ interviewer: 'strict', candidateId: `c${i}`, jobId: 'j1', stage: 'technical', item: 'technical.coding', value: base, date });
+    observations.push({ interviewer: 'lenient', candidateId: `c${i}`, jobId: 'j1', stage: 'technical', item: 'technical.coding', value: base + offset, date });
+  }
+  return observations;
+};
+
+describe('calibration', () => {
+  describe('collectObservations', () => {
+    it('takes scorecard scores, else the stage interviewer\'s dimension scores', () => {
+      const observations = collectObservations([{
+        _id: 'i1',
+        candidateId: 'c1',
+        jobId: 'j1',
+        scheduledDate: '2024-01-01',
+        stages: new Map([
+          ['technical', { scorecards: [{ interviewer: 'ana', scores: new Map([['coding', 0.8], ['notes', 'n/a']]) }] }],
+          ['culture', { interviewer: 'ben', dimensions: { teamwork: 0.6 } }],
+          ['final', null]
+        ])
+      }]);
+      expect(observations.map(o => [o.interviewer, o.item, o.value])).to.deep.equal([
+        ['ana', 'technical.coding', 0.8],
+        ['ben', 'culture.teamwork', 0.6]
+      ]);
+      expect(observations[0].candidateId).to.equal('c1');
+    });
+  });
+
+  describe('describeDistribution', () => {
+    it('reports the median and bins 1 into the top bin', () => {
+      const summary = describeDistribution([0.1, 1, 0.5, 0.3]);
+      expect(summary.median).to.be.closeTo(0.4, 1e-9);
+      expect(summary.min).to.equal(0.1);
+      expect(summary.max).to.equal(1);
+      expect(summary.histogram.map(bin => bin.count)).to.deep.equal([1, 1, 1, 0, 1]);
+    });
+
+    it('returns nulls for no values', () => {
+      expect(describeDistribution([])).to.include({ count: 0, mean: 0, sd: 0, min: null, median: null, max: null });
+    });
+  });
+
+  describe('fitZScore', () => {
+    it('shrinks interviewer means towards the pool mean', () => {
+      const { global, interviewers } = fitZScore(pairedRatings(5, 0.2), 5);
+      expect(global.mean).to.be.closeTo(0.6, 1e-9);
+      expect(interviewers.lenient.mean).to.be.closeTo(0.65, 1e-9);
+      expect(interviewers.strict.mean).to.be.closeTo(0.55, 1e-9);
+    });
+  });
+
+  describe('fitRasch', () => {
+    it('gives the lenient interviewer the lower severity, centred on 0', () => {
+      const { severity } = fitRasch(pairedRatings(10, 0.2));
+      expect(severity.lenient).to.be.below(0);
+      expect(severity.lenient + severity.strict).to.be.closeTo(0, 1e-9);
+    });
+  });
+
+  describe('adjustScore', () => {
+    const calibration = {
+      method: 'zscore',
+      global: { mean: 0.5, sd: 0.2 },
+      interviewers: [
+        { interviewer: 'ana', calibrated: true, mean: 0.7, sd: 0.1 },
+        { interviewer: 'ben', calibrated: true, mean: 0.6, sd: 0 },
+        { interviewer: 'cy', calibrated: false, mean: 0.9, sd: 0.1 }
+      ]
+    };
+
+    it('rescales to the pool mean and spread', () => {
+      const result = adjustScore(calibration, 'ana', 0.8);
+      expect(result.adjusted).to.equal(true);
+      expect(result.value).to.be.closeTo(0.7, 1e-9);
+    });
+
+    it('shifts by the mean when the interviewer has no spread', () => {
+      expect(adjustScore(calibration, 'ben', 0.6).value).to.be.closeTo(0.5, 1e-9);
+    });
+
+    it('leaves uncalibrated and unknown interviewers alone', () => {
+      expect(adjustScore(calibration, 'cy', 0.9)).to.deep.equal({ value: 0.9, adjusted: false });
+      expect(adjustScore(calibration, 'dee', 0.9)).to.deep.equal({ value: 0.9, adjusted: false });
+    });
+
+    it('removes the Rasch severity on the logit scale', () => {
+      const rasch = { method: 'rasch', interviewers: [{ interviewer: 'ana', calibrated: true, severity: 0 }] };
+      expect(adjustScore(rasch, 'ana', 0.7).value).to.be.closeTo(0.7, 1e-9);
+    });
+  });
+
+  describe('calibrateScorecards', () => {
+    it('adjusts each scorecard and reports the raw and adjusted scores', () => {
+      const calibration = {
+        method: 'zscore',
+        global: { mean: 0.5, sd: 0.2 },
+        interviewers: [{ interviewer: 'ana', calibrated: true, mean: 0.7, sd: 0.1, leniency: 0.2 }]
+      };
+      const { scorecards, interviewers } = calibrateScorecards(calibration, [
+        { interviewer: 'ana', scores: { coding: 0.8 }, rubricVersion: 2 },
+        { interviewer: 'ben', scores: { coding: 0.4 } }
+      ]);
+      expect(scorecards[0].scores.coding).to.be.closeTo(0.7, 1e-9);
+      expect(scorecards[0].rubricVersion).to.equal(2);
+      expect(scorecards[1].scores).to.deep.equal({ coding: 0.4 });
+      expect(interviewers.map(i => [i.interviewer, i.adjusted, i.leniency])).to.deep.equal([
+        ['ana', true, 0.2],
+        ['ben', false, null]
+      ]);
+    });
+  });
+
+  describe('buildCalibration', () => {
+    it('measures leniency against other interviewers\' ratings of the same candidates', () => {
+      const result = buildCalibration(pairedRatings(6, 0.2));
+      const [lenient, strict] = result.interviewers;
+      expect(lenient.interviewer).to.equal('lenient');
+      expect(lenient.leniency).to.be.closeTo(0.2, 1e-9);
+      expect(strict.leniency).to.be.closeTo(-0.2, 1e-9);
+      expect(lenient.calibrated).to.equal(true);
+      expect(result.global).to.include({ observations: 12, interviewers: 2 });
+    });
+
+    it('does not calibrate interviewers below the minimum number of ratings', () => {
+      const result = buildCalibration(pairedRatings(3, 0.2));
+      result.interviewers.forEach(stats => expect(stats.calibrated).to.equal(false));
+    });
+
+    it('flags an interviewer whose recent ratings drift', () => {
+      const observations = pairedRatings(10, 0).map(o => (
+        o.interviewer === 'lenient' && o.date >= new Date(2024, 0, 6) ? { ...o, value: o.value + 0.3 } : o
+      ));
+      const result = buildCalibration(observations, { driftWindow: 5 });
+      expect(result.flagged.map(f => [f.interviewer, f.direction])).to.deep.equal([
+        ['lenient', 'more lenient'],
+        ['strict', 'more severe']
+      ]);
+    });
+
+    it('reports item difficulties and iterations for Rasch', () => {
+      const result = buildCalibration(pairedRatings(6, 0.2), { method: 'rasch' });
+      expect(result.items.map(item => item.item)).to.deep.equal(['technical.coding']);
+      expect(result.iterations).to.be.above(0);
+      expect(result.interviewers[0].severity).to.be.below(0);
+    });
+  });
+});
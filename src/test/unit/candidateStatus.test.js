@@ -0,0 +1,112 @@
+/**
+ * Unit tests for the candidate status state machine
+ */
+const { expect } = require('chai');
+const {
+  STATUSES,
+  TERMINAL_STATUSES,
+  TRANSITIONS,
+  CandidateStatusError,
+  allowedTransitions,
+  checkTransition,
+  transitionCandidate
+} = require('../../utils/candidateStatus');
+
+const pipeline = { stages: [{ key: 'phoneScreen' }, { key: 'onsite' }] };
+const context = { pipeline, interviewCount: 1, acceptedOfferCount: 1 };
+
+describe('candidateStatus', () => {
+  describe('TRANSITIONS', () => {
+    it('covers every status and only leads to known statuses', () => {
+      expect(Object.keys(TRANSITIONS)).to.have.members(STATUSES);
+      Object.values(TRANSITIONS).forEach(targets => expect(STATUSES).to.include.members(targets));
+    });
+
+    it('has no way out of a final status', () => {
+      TERMINAL_STATUSES.forEach(status => expect(TRANSITIONS[status]).to.deep.equal([]));
+    });
+  });
+
+  describe('allowedTransitions', () => {
+    it('treats a candidate without a status as applied', () => {
+      expect(allowedTransitions({})).to.deep.equal(TRANSITIONS.applied);
+    });
+
+    it('lets a candidate on hold go back to their previous status only', () => {
+      expect(allowedTransitions({ status: 'on-hold', previousStatus: 'interviewing' }))
+        .to.deep.equal(['interviewing', 'rejected', 'withdrawn']);
+      expect(allowedTransitions({ status: 'on-hold', previousStatus: 'rejected' }))
+        .to.deep.equal(['rejected', 'withdrawn']);
+    });
+  });
+
+  describe('checkTransition', () => {
+    it('allows a move whose guard is met', () => {
+      expect(checkTransition({ status: 'applied' }, 'screening', context))
+        .to.deep.equal({ allowed: true, code: null, unmet: [] });
+    });
+
+    it('rejects unknown statuses and moves the machine does not allow', () => {
+      expect(checkTransition({ status: 'applied' }, 'promoted', context).code).to.equal('UNKNOWN_STATUS');
+      expect(checkTransition({ status: 'applied' }, 'offer', context)).to.deep.equal({
+        allowed: false,
+        code: 'INVALID_TRANSITION',
+        unmet: ['Cannot move from applied to offer']
+      });
+      expect(checkTransition({ status: 'hired' }, 'rejected', context).unmet).to.deep.equal(['hired is a final status']);
+    });
+
+    it('checks the threshold filter before screening', () => {
+      const result = checkTransition({ status: 'applied', passedThreshold: false }, 'screening', context);
+      expect(result.code).to.equal('GUARD_FAILED');
+      expect(result.unmet).to.deep.equal(['Candidate did not pass the job\'s threshold filter']);
+    });
+
+    it('needs a scheduled interview before interviewing', () => {
+      expect(checkTransition({ status: 'screening' }, 'interviewing', { ...context, interviewCount: 0 }).unmet)
+        .to.deep.equal(['No interview has been scheduled']);
+    });
+
+    it('needs every pipeline stage completed before an offer', () => {
+      const candidate = { status: 'interviewing', stages: new Map([['phoneScreen', { completed: true }]]) };
+      expect(checkTransition(candidate, 'offer', context).unmet).to.deep.equal(['Interview stages not completed: onsite']);
+      candidate.stages.set('onsite', { completed: true });
+      expect(checkTransition(candidate, 'offer', context).allowed).to.equal(true);
+    });
+
+    it('needs an accepted offer before hiring', () => {
+      expect(checkTransition({ status: 'offer' }, 'hired', { ...context, acceptedOfferCount: 0 }).unmet)
+        .to.deep.equal(['No offer has been accepted']);
+    });
+
+    it('does not guard rejection, withdrawal or hold', () => {
+      ['rejected', 'withdrawn', 'on-hold'].forEach(status => {
+        expect(checkTransition({ status: 'applied', passedThreshold: false }, status, context).allowed).to.equal(true);
+      });
+    });
+  });
+
+  describe('transitionCandidate', () => {
+    it('requires a reason before touching the candidate', async () => {
+      let caught;
+      try {
+        await transitionCandidate({ status: 'applied' }, 'screening', { reason: '  ', context });
+      } catch (error) {
+        caught = error;
+      }
+      expect(caught).to.be.instanceOf(CandidateStatusError);
+      expect(caught).to.include({ code: 'REASON_REQUIRED', statusCode: 409 });
+    });
+
+    it('rejects a move that is not allowed with its code and unmet conditions', async () => {
+      let caught;
+      try {
+        await transitionCandidate({ status: 'applied' }, 'hired', { reason: 'Skip ahead', context });
+      } catch (error) {
+        caught = error;
+      }
+      expect(caught.code).to.equal('INVALID_TRANSITION');
+      expect(caught.details).to.deep.equal({ from: 'applied', to: 'hired', unmet: ['Cannot move from applied to hired'] });
+    });
+  });
+});
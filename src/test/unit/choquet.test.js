@@ -0,0 +1,115 @@
+/**
+ * Unit tests for the Choquet integral
+ */
+const { expect } = require('chai');
+const {
+  validateCapacity,
+  isFiniteCapacity,
+  normalizeCapacity,
+  shapleyValues,
+  explainChoquet,
+  choquetIntegral,
+  learnCapacity
+} = require('../../utils/choquet');
+
+const criteria = ['a', 'b', 'c'];
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('choquet', () => {
+  describe('validateCapacity', () => {
+    it('accepts a monotone capacity', () => {
+      expect(validateCapacity({
+        singletons: { a: 0.4, b: 0.4, c: 0.2 },
+        interactions: [{ criteria: ['a', 'b'], value: -0.2 }]
+      }, criteria)).to.deep.equal([]);
+    });
+
+    it('rejects redundancies larger than the weight they reduce', () => {
+      expect(validateCapacity({
+        singletons: { a: 0.1, b: 0.6, c: 0.3 },
+        interactions: [{ criteria: ['a', 'b'], value: -0.2 }]
+      }, criteria)).to.deep.equal([
+        'Redundant (negative) interactions of "a" outweigh its own weight, so the capacity is not monotone'
+      ]);
+    });
+
+    it('rejects unknown criteria, repeated pairs and negative weights', () => {
+      expect(validateCapacity({
+        singletons: { a: -1, d: 0.5 },
+        interactions: [{ criteria: ['a', 'b'], value: 0.1 }, { criteria: ['b', 'a'], value: 0.1 }]
+      }, criteria)).to.deep.equal([
+        'Weight of "a" must be a non-negative number',
+        'Unknown criterion "d"',
+        'Interaction between "b" and "a" is given more than once'
+      ]);
+    });
+  });
+
+  describe('choquetIntegral', () => {
+    it('is the weighted sum without interactions', () => {
+      const capacity = { singletons: { a: 2, b: 1, c: 1 }, interactions: [] };
+      expect(choquetIntegral({ a: 1, b: 0.5, c: 0 }, capacity)).to.be.closeTo(0.625, 1e-9);
+    });
+
+    it('rewards complementary criteria only when both are high', () => {
+      const capacity = { singletons: { a: 0.3, b: 0.3 }, interactions: [{ criteria: ['a', 'b'], value: 0.4 }] };
+      expect(choquetIntegral({ a: 1, b: 0 }, capacity)).to.be.closeTo(0.3, 1e-9);
+      expect(choquetIntegral({ a: 1, b: 1 }, capacity)).to.be.closeTo(1, 1e-9);
+    });
+
+    it('restricts the capacity to the criteria with a value', () => {
+      const capacity = { singletons: { a: 0.5, b: 0.5 }, interactions: [] };
+      expect(choquetIntegral({ a: 0.8 }, capacity)).to.be.closeTo(0.8, 1e-9);
+    });
+
+    it('splits interactions so the contributions add up to the score', () => {
+      const capacity = { singletons: { a: 0.4, b: 0.4, c: 0.4 }, interactions: [{ criteria: ['a', 'c'], value: -0.2 }] };
+      const result = explainChoquet({ a: 0.9, b: 0.2, c: 0.6 }, capacity);
+      expect(sum(result.breakdown.map(item => item.contribution))).to.be.closeTo(result.score, 1e-9);
+    });
+  });
+
+  describe('shapleyValues', () => {
+    it('adds half of each interaction and sums to the normalised total', () => {
+      const shapley = shapleyValues(normalizeCapacity({
+        singletons: { a: 0.3, b: 0.3, c: 0.2 },
+        interactions: [{ criteria: ['a', 'b'], value: 0.2 }]
+      }));
+      expect(shapley.a).to.be.closeTo(0.4, 1e-9);
+      expect(sum(Object.values(shapley))).to.be.closeTo(1, 1e-9);
+    });
+  });
+
+  describe('learnCapacity', () => {
+    [
+      [{ a: 1, b: 0, c: 0.5 }, { a: 0, b: 1, c: 0.5 }, { a: 0.5, b: 0.5, c: 0 }],
+      [{ a: 1, b: 1, c: 0 }, { a: 1, b: 0, c: 1 }, { a: 0, b: 1, c: 1 }]
+    ].forEach((examples, index) => {
+      it(`learns a finite, monotone capacity that reproduces the ranking (${index + 1})`, () => {
+        const learned = learnCapacity(examples, criteria);
+        expect(isFiniteCapacity(learned.capacity)).to.equal(true);
+        expect(validateCapacity(learned.capacity, criteria)).to.deep.equal([]);
+        expect(learned.satisfiedPreferences).to.equal(learned.totalPreferences);
+        expect(learned.scores[0]).to.be.above(learned.scores[1]);
+        expect(learned.scores[1]).to.be.above(learned.scores[2]);
+      });
+    });
+
+    it('learns an interaction when the ranking needs one', () => {
+      // Only candidates strong on both a and b are preferred, which a weighted sum cannot express
+      const learned = learnCapacity([
+        { a: 0.5, b: 0.5 },
+        { a: 1, b: 0.2 },
+        { a: 0.2, b: 1 }
+      ], ['a', 'b'], { iterations: 2000 });
+      expect(learned.violations).to.deep.equal([]);
+      expect(learned.capacity.interactions[0].value).to.be.above(0);
+    });
+
+    it('keeps the starting weights without preferences', () => {
+      const learned = learnCapacity([{ a: 0.5, b: 0.5 }, { a: 0.5, b: 0.5 }], ['a', 'b'], { initialWeights: { a: 3, b: 1 } });
+      expect(learned.totalPreferences).to.equal(0);
+      expect(learned.capacity.singletons).to.deep.equal({ a: 0.75, b: 0.25 });
+    });
+  });
+});
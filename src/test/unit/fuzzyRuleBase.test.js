@@ -0,0 +1,132 @@
+/**
+ * Unit tests for the fuzzy rule base
+ */
+const { expect } = require('chai');
+const {
+  membershipDegree,
+  validateRuleBase,
+  candidateInputs,
+  fuzzifyInputs,
+  evaluateRules,
+  evaluateRuleBase
+} = require('../../utils/fuzzyRuleBase');
+
+const levels = (min, max) => {
+  const mid = (min + max) / 2;
+  return [
+    { name: 'low', type: 'triangular', a: min, b: min, c: mid },
+    { name: 'medium', type: 'triangular', a: min, b: mid, c: max },
+    { name: 'high', type: 'triangular', a: mid, b: max, c: max }
+  ];
+};
+
+const ruleBase = {
+  inputs: [
+    { name: 'experience', source: 'attribute', key: 'years_of_experience', min: 0, max: 10, terms: levels(0, 10) },
+    { name: 'coding', source: 'stage', key: 'codingInterview', min: 0, max: 1, terms: levels(0, 1) }
+  ],
+  output: { name: 'suitability', min: 0, max: 1, terms: levels(0, 1) },
+  rules: [
+    { if: [{ variable: 'experience', is: 'high' }, { variable: 'coding', is: 'high' }], operator: 'and', then: { is: 'high' } },
+    { if: [{ variable: 'experience', is: 'low', not: true }], then: { is: 'medium' } },
+    { if: [{ variable: 'coding', is: 'low' }], then: { is: 'low' } }
+  ]
+};
+
+describe('fuzzyRuleBase', () => {
+  describe('membershipDegree', () => {
+    it('reaches 1 at the peak and at shoulder edges', () => {
+      expect(membershipDegree({ type: 'triangular', a: 0, b: 5, c: 10 }, 5)).to.equal(1);
+      expect(membershipDegree({ type: 'triangular', a: 0, b: 0, c: 5 }, 0)).to.equal(1);
+      expect(membershipDegree({ type: 'trapezoidal', a: 0, b: 2, c: 4, d: 6 }, 3)).to.equal(1);
+      expect(membershipDegree({ type: 'gaussian', mean: 3, sigma: 1 }, 3)).to.be.closeTo(1, 1e-9);
+    });
+  });
+
+  describe('validateRuleBase', () => {
+    it('accepts a consistent rule base', () => {
+      expect(validateRuleBase(ruleBase)).to.deep.equal([]);
+    });
+
+    it('reports rules naming unknown terms', () => {
+      const broken = { ...ruleBase, rules: [{ if: [{ variable: 'experience', is: 'expert' }], then: { is: 'high' } }] };
+      expect(validateRuleBase(broken)).to.deep.equal(['Rule 1: "experience" has no term "expert"']);
+    });
+
+    it('reports invalid term parameters with the variable they belong to', () => {
+      const broken = {
+        ...ruleBase,
+        output: {
+          ...ruleBase.output,
+          terms: [
+            ...levels(0, 1),
+            { name: 'flat', type: 'gaussian', mean: 0.5, sigma: 0 },
+            { name: 'bell', type: 'generalized-bell', center: 0.5, width: 1, slope: 1 }
+          ]
+        }
+      };
+      expect(validateRuleBase(broken)).to.deep.equal([
+        'Output "suitability" term "flat": sigma must be positive',
+        'Output "suitability" term "bell": type must be one of triangular, trapezoidal, gaussian'
+      ]);
+    });
+  });
+
+  describe('candidateInputs', () => {
+    it('reads attributes and stage scores and lists what is missing', () => {
+      const candidate = { attributes: new Map([['years_of_experience', 6]]), stages: {} };
+      expect(candidateInputs(candidate, ruleBase.inputs)).to.deep.equal({
+        values: { experience: 6 },
+        missing: ['coding']
+      });
+    });
+  });
+
+  describe('evaluateRules', () => {
+    it('combines conditions with min and negates with the complement', () => {
+      const fuzzified = fuzzifyInputs({ experience: 7.5, coding: 1 }, ruleBase.inputs);
+      const [both, notLow] = evaluateRules(fuzzified, ruleBase.rules);
+      expect(both.strength).to.be.closeTo(0.5, 1e-9);
+      expect(notLow.strength).to.equal(1);
+    });
+
+    it('does not fire a negated condition on a missing input', () => {
+      const [, notLow] = evaluateRules(fuzzifyInputs({}, ruleBase.inputs), ruleBase.rules);
+      expect(notLow.conditions[0].degree).to.equal(0);
+      expect(notLow.strength).to.equal(0);
+      expect(notLow.evaluated).to.equal(false);
+      expect(notLow.missingInputs).to.deep.equal(['experience']);
+    });
+  });
+
+  describe('evaluateRuleBase', () => {
+    it('scores a candidate whose inputs fire the rules', () => {
+      const result = evaluateRuleBase(ruleBase, { experience: 10, coding: 1 });
+      expect(result.fired).to.equal(true);
+      expect(result.score).to.be.above(0.5);
+    });
+
+    it('does not fire any rule without inputs', () => {
+      ['mamdani', 'sugeno'].forEach(engine => {
+        const result = evaluateRuleBase(ruleBase, {}, { engine });
+        expect(result.fired).to.equal(false);
+        expect(result.score).to.equal(0);
+        expect(result.coverage).to.equal(0);
+      });
+    });
+
+    it('skips a Sugeno rule whose coefficients read a missing input', () => {
+      const sugeno = {
+        ...ruleBase,
+        rules: [
+          { if: [{ variable: 'experience', is: 'high' }], then: { constant: 0.2, coefficients: { coding: 0.5 } } },
+          { if: [{ variable: 'experience', is: 'high' }], then: { constant: 0.9 } }
+        ]
+      };
+      const result = evaluateRuleBase(sugeno, { experience: 10 }, { engine: 'sugeno' });
+      expect(result.rules[0].evaluated).to.equal(false);
+      expect(result.rules[0].consequent).to.equal(null);
+      expect(result.output).to.be.closeTo(0.9, 1e-9);
+    });
+  });
+});
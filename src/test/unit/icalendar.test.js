@@ -0,0 +1,74 @@
+/**
+ * Unit tests for the iCalendar export
+ */
+const { expect } = require('chai');
+const {
+  escapeText,
+  formatDateTime,
+  bookingUid,
+  buildEvent,
+  buildCalendar
+} = require('../../utils/icalendar');
+
+const event = {
+  uid: bookingUid('i1', 'onsite'),
+  start: new Date('2024-07-01T09:00:00Z'),
+  end: new Date('2024-07-01T10:00:00Z'),
+  updatedAt: new Date('2024-06-20T08:30:00Z'),
+  summary: 'Onsite: Ada Lovelace (Engineer)',
+  sequence: 2,
+  attendees: [{ name: 'Ada "The Countess" Lovelace', email: 'ada@example.com' }, { name: 'No email' }]
+};
+
+describe('icalendar', () => {
+  it('escapes text values', () => {
+    expect(escapeText('a;b,c\\d\ne')).to.equal('a\\;b\\,c\\\\d\\ne');
+  });
+
+  it('formats instants as UTC date-times', () => {
+    expect(formatDateTime(new Date('2024-05-02T12:00:00.123Z'))).to.equal('20240502T120000Z');
+  });
+
+  it('keeps the UID of a stage booking stable', () => {
+    expect(bookingUid('i1', 'onsite')).to.equal('i1-onsite@candidate-scoring-system');
+  });
+
+  describe('buildEvent', () => {
+    it('exports the slot, sequence and attendees with an email', () => {
+      const lines = buildEvent(event);
+      expect(lines).to.include.members([
+        'UID:i1-onsite@candidate-scoring-system',
+        'DTSTAMP:20240620T083000Z',
+        'DTSTART:20240701T090000Z',
+        'DTEND:20240701T100000Z',
+        'SEQUENCE:2',
+        'STATUS:CONFIRMED',
+        'SUMMARY:Onsite: Ada Lovelace (Engineer)',
+        'ATTENDEE;CN="Ada The Countess Lovelace";ROLE=REQ-PARTICIPANT:mailto:ada@example.com'
+      ]);
+      expect(lines.filter(line => line.startsWith('ATTENDEE'))).to.have.length(1);
+    });
+
+    it('marks cancelled bookings', () => {
+      expect(buildEvent({ ...event, cancelled: true })).to.include('STATUS:CANCELLED');
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('wraps events in a calendar with CRLF line endings', () => {
+      const text = buildCalendar([event], { name: 'Interviews', method: 'REQUEST' });
+      const lines = text.split('\r\n');
+      expect(lines[0]).to.equal('BEGIN:VCALENDAR');
+      expect(lines).to.include('METHOD:REQUEST');
+      expect(lines).to.include('X-WR-CALNAME:Interviews');
+      expect(text.endsWith('END:VCALENDAR\r\n')).to.equal(true);
+    });
+
+    it('folds long lines to 75 octets', () => {
+      const text = buildCalendar([{ ...event, description: 'x'.repeat(200) }]);
+      const lines = text.split('\r\n');
+      lines.forEach(line => expect(Buffer.byteLength(line)).to.be.at.most(75));
+      expect(text.replace(/\r\n /g, '')).to.include(`DESCRIPTION:${'x'.repeat(200)}`);
+    });
+  });
+});
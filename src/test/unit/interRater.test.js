@@ -0,0 +1,75 @@
+/**
+ * Unit tests for inter-rater scoring
+ */
+const { expect } = require('chai');
+const {
+  SINGLE_RATER_CONFIDENCE,
+  krippendorffAlpha,
+  intraclassCorrelation,
+  fuzzyConsensus,
+  scoreScorecards
+} = require('../../utils/interRater');
+
+describe('interRater', () => {
+  describe('krippendorffAlpha', () => {
+    it('is 1 when the raters agree on items that differ', () => {
+      expect(krippendorffAlpha([[0.2, 0.2], [0.8, 0.8]])).to.be.closeTo(1, 1e-9);
+    });
+
+    it('is undefined for a single item or items with equal means', () => {
+      expect(krippendorffAlpha([[0.8, 0.7]])).to.equal(null);
+      expect(krippendorffAlpha([[0.4, 0.6], [0.6, 0.4]])).to.equal(null);
+      expect(krippendorffAlpha([[0.5]])).to.equal(null);
+    });
+  });
+
+  describe('intraclassCorrelation', () => {
+    it('is 1 for perfect agreement and undefined without between-item variance', () => {
+      expect(intraclassCorrelation([[0.2, 0.2], [0.8, 0.8]])).to.be.closeTo(1, 1e-9);
+      expect(intraclassCorrelation([[0.8, 0.7]])).to.equal(null);
+      expect(intraclassCorrelation([[0.4, 0.6], [0.6, 0.4]])).to.equal(null);
+    });
+  });
+
+  describe('fuzzyConsensus', () => {
+    it('pulls the consensus away from an outlying rating', () => {
+      const result = fuzzyConsensus([0.8, 0.8, 0.2]);
+      expect(result.value).to.be.above(0.6);
+      expect(result.weights.reduce((sum, w) => sum + w, 0)).to.be.closeTo(1, 1e-9);
+      expect(result.disagreement).to.be.closeTo(1 - result.consensusDegree, 1e-9);
+    });
+
+    it('fully agrees with a single rating', () => {
+      expect(fuzzyConsensus([0.4])).to.deep.equal({ value: 0.4, consensusDegree: 1, disagreement: 0, weights: [1] });
+    });
+  });
+
+  describe('scoreScorecards', () => {
+    it('falls back to the consensus degree when two raters score one item', () => {
+      const result = scoreScorecards([
+        { interviewer: 'ana', scores: { problemSolving: 0.8 } },
+        { interviewer: 'ben', scores: { problemSolving: 0.7 } }
+      ]);
+      expect(result.reliability.krippendorffAlpha).to.equal(null);
+      expect(result.reliability.confidenceSource).to.equal('consensus');
+      expect(result.confidence).to.be.closeTo(0.9, 1e-9);
+      expect(result.confidence).to.be.above(0.5);
+    });
+
+    it('uses the measured reliability over several items', () => {
+      const result = scoreScorecards([
+        { interviewer: 'ana', scores: new Map([['a', 0.2], ['b', 0.9]]) },
+        { interviewer: 'ben', scores: new Map([['a', 0.3], ['b', 0.8]]) }
+      ], { reliabilityMethod: 'krippendorff' });
+      expect(result.reliability.confidenceSource).to.equal('krippendorff');
+      expect(result.confidence).to.be.closeTo(result.reliability.krippendorffAlpha, 1e-9);
+      expect(result.score).to.be.closeTo(0.55, 1e-9);
+    });
+
+    it('gives a single interviewer without linguistic ratings the single-rater confidence', () => {
+      const result = scoreScorecards([{ interviewer: 'ana', scores: { a: 0.6 } }]);
+      expect(result.confidence).to.equal(SINGLE_RATER_CONFIDENCE);
+      expect(result.reliability.confidenceSource).to.equal('single-rater');
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for interval type-2 fuzzy scoring
+ */
+const { expect } = require('chai');
+const {
+  intervalDegree,
+  karnikMendel,
+  explainIntervalType2,
+  intervalDominates,
+  rankCandidatesByInterval
+} = require('../../utils/intervalType2');
+
+describe('intervalType2', () => {
+  describe('intervalDegree', () => {
+    it('collapses to the degree when confident and in agreement', () => {
+      expect(intervalDegree(0.6)).to.deep.equal({ lower: 0.6, upper: 0.6 });
+    });
+
+    it('widens with low confidence and disagreement, clipped to 0-1', () => {
+      const { lower, upper } = intervalDegree(0.5, { confidence: 0.5, disagreement: 0.2, fouScale: 0.4 });
+      expect(lower).to.be.closeTo(0.3, 1e-9);
+      expect(upper).to.be.closeTo(0.7, 1e-9);
+      expect(intervalDegree(0.9, { confidence: 0 })).to.deep.equal({ lower: 0.65, upper: 1 });
+    });
+  });
+
+  describe('karnikMendel', () => {
+    it('gives the plain weighted average when the weights are crisp', () => {
+      const points = [{ x: 0.2, weightLower: 1, weightUpper: 1 }, { x: 0.8, weightLower: 3, weightUpper: 3 }];
+      expect(karnikMendel(points, 'left').y).to.be.closeTo(0.65, 1e-9);
+      expect(karnikMendel(points, 'right').y).to.be.closeTo(0.65, 1e-9);
+    });
+
+    it('weights low values up for the left end and high values up for the right end', () => {
+      const points = [{ x: 0.2, weightLower: 0.5, weightUpper: 1 }, { x: 0.8, weightLower: 0.5, weightUpper: 1 }];
+      const left = karnikMendel(points, 'left');
+      const right = karnikMendel(points, 'right');
+      expect(left.weights).to.deep.equal([1, 0.5]);
+      expect(right.weights).to.deep.equal([0.5, 1]);
+      expect(left.y).to.be.closeTo(0.4, 1e-9);
+      expect(right.y).to.be.closeTo(0.6, 1e-9);
+    });
+  });
+
+  describe('explainIntervalType2', () => {
+    it('returns a degenerate interval for confident values', () => {
+      const result = explainIntervalType2({ a: 0.4, b: 0.8 }, { a: 0.5, b: 0.5 });
+      expect(result.score).to.be.closeTo(0.6, 1e-9);
+      expect(result.interval.width).to.be.closeTo(0, 1e-9);
+      expect(result.confidence).to.equal(1);
+    });
+
+    it('widens the interval with disagreement and keeps contributions summing to the centroid', () => {
+      const result = explainIntervalType2({ a: 0.4, b: 0.8 }, { a: 0.5, b: 0.5 }, {
+        confidences: { a: 0.6 },
+        disagreements: { b: 0.3 }
+      });
+      expect(result.interval.lower).to.be.below(result.interval.upper);
+      const total = result.breakdown.reduce((sum, item) => sum + item.contribution, 0);
+      expect(total).to.be.closeTo(result.score, 1e-9);
+    });
+
+    it('skips keys without a value and scores 0 when nothing is left', () => {
+      expect(explainIntervalType2({ a: 0.5 }, { a: 1, b: 1 }).confidence).to.equal(0.5);
+      expect(explainIntervalType2({}, { a: 1 }).score).to.equal(0);
+    });
+  });
+
+  describe('rankCandidatesByInterval', () => {
+    it('ties candidates whose intervals overlap the leader of their group', () => {
+      const ranked = rankCandidatesByInterval([
+        { id: 'c', finalScore: 0.3, scoreInterval: { lower: 0.25, upper: 0.35 } },
+        { id: 'a', finalScore: 0.8, scoreInterval: { lower: 0.7, upper: 0.9 } },
+        { id: 'b', finalScore: 0.75, scoreInterval: { lower: 0.65, upper: 0.85 } }
+      ]);
+      expect(ranked.map(c => [c.id, c.rank])).to.deep.equal([['a', 1], ['b', 1], ['c', 3]]);
+      expect(ranked.map(c => c.tieGroup)).to.deep.equal([1, 1, 2]);
+    });
+
+    it('keeps a confidence of 0 instead of treating it as full confidence', () => {
+      const ranked = rankCandidatesByInterval([
+        { id: 'a', finalScore: 0.5, confidence: 0, scoreInterval: { lower: 0.4, upper: 0.6 } },
+        { id: 'b', finalScore: 0.5, scoreInterval: { lower: 0.4, upper: 0.6 } }
+      ]);
+      expect(ranked.map(c => [c.id, c.confidenceScore])).to.deep.equal([['b', 1], ['a', 0]]);
+    });
+
+    it('needs a strict gap for dominance', () => {
+      expect(intervalDominates({ lower: 0.5, upper: 0.6 }, { lower: 0.4, upper: 0.5 })).to.equal(false);
+      expect(intervalDominates({ lower: 0.51, upper: 0.6 }, { lower: 0.4, upper: 0.5 })).to.equal(true);
+    });
+  });
+});
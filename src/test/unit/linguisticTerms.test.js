@@ -0,0 +1,169 @@
+/**
+ * Unit tests for linguistic term shapes and variable validation
+ */
+const { expect } = require('chai');
+const {
+  DEFAULT_VARIABLES,
+  membershipDegree,
+  validateTerm,
+  validateLinguisticVariable,
+  analyzeVariable,
+  createLinguisticLibrary
+} = require('../../utils/linguisticTerms');
+
+const variable = (terms, domain = { min: 0, max: 10 }) => ({ name: 'score', domain, terms });
+
+describe('linguisticTerms', () => {
+  describe('membershipDegree', () => {
+    it('evaluates triangles and trapezoids, including shoulders', () => {
+      const triangle = { shape: 'triangular', a: 0, b: 4, c: 8 };
+      expect(membershipDegree(triangle, 2)).to.equal(0.5);
+      expect(membershipDegree(triangle, 4)).to.equal(1);
+      expect(membershipDegree(triangle, 7)).to.equal(0.25);
+      expect(membershipDegree(triangle, 9)).to.equal(0);
+
+      const leftShoulder = { shape: 'trapezoidal', a: 0, b: 0, c: 2, d: 4 };
+      expect(membershipDegree(leftShoulder, 0)).to.equal(1);
+      expect(membershipDegree(leftShoulder, 3)).to.equal(0.5);
+      expect(membershipDegree({ shape: 'triangular', a: 6, b: 10, c: 10 }, 10)).to.equal(1);
+    });
+
+    it('evaluates the smooth shapes', () => {
+      expect(membershipDegree({ shape: 'gaussian', mean: 5, sigma: 2 }, 7)).to.be.closeTo(Math.exp(-0.5), 1e-12);
+      expect(membershipDegree({ shape: 'generalized-bell', center: 5, width: 2, slope: 1 }, 7)).to.equal(0.5);
+      expect(membershipDegree({ shape: 'sigmoid', center: 5, slope: 2 }, 5)).to.equal(0.5);
+      expect(membershipDegree({ shape: 'sigmoid', center: 5, slope: -2 }, 10)).to.be.below(0.001);
+    });
+
+    it('interpolates piecewise-linear points and holds the end values', () => {
+      const term = { shape: 'piecewise-linear', points: [{ x: 2, y: 0.2 }, { x: 4, y: 1 }, { x: 8, y: 0.6 }] };
+      expect(membershipDegree(term, 0)).to.equal(0.2);
+      expect(membershipDegree(term, 3)).to.be.closeTo(0.6, 1e-12);
+      expect(membershipDegree(term, 6)).to.be.closeTo(0.8, 1e-12);
+      expect(membershipDegree(term, 9)).to.equal(0.6);
+    });
+
+    it('is 0 for unknown shapes', () => {
+      expect(membershipDegree({ shape: 'cosine' }, 1)).to.equal(0);
+    });
+  });
+
+  describe('validateTerm', () => {
+    it('accepts well-formed terms of every shape', () => {
+      [
+        { name: 't', shape: 'triangular', a: 0, b: 0, c: 5 },
+        { name: 't', shape: 'trapezoidal', a: 0, b: 2, c: 4, d: 6 },
+        { name: 't', shape: 'gaussian', mean: 5, sigma: 1 },
+        { name: 't', shape: 'generalized-bell', center: 5, width: 1, slope: 2 },
+        { name: 't', shape: 'sigmoid', center: 5, slope: -1 },
+        { name: 't', shape: 'piecewise-linear', points: [{ x: 0, y: 0 }, { x: 5, y: 1 }] }
+      ].forEach(term => expect(validateTerm(term), term.shape).to.deep.equal([]));
+    });
+
+    it('reports missing names, unknown shapes and missing parameters', () => {
+      expect(validateTerm({ shape: 'gaussian' })).to.deep.equal(['Every term needs a name']);
+      expect(validateTerm({ name: 'x', shape: 'cosine' })[0]).to.match(/^Term "x": shape must be one of triangular/);
+      expect(validateTerm({ name: 'x', shape: 'trapezoidal', a: 0, b: 1 })).to.deep.equal(['Term "x": c, d must be numbers']);
+    });
+
+    it('rejects parameters that do not describe the shape', () => {
+      expect(validateTerm({ name: 'x', shape: 'triangular', a: 4, b: 2, c: 6 })).to.deep.equal(['Term "x": points must be ascending and span a range']);
+      expect(validateTerm({ name: 'x', shape: 'triangular', a: 3, b: 3, c: 3 })).to.deep.equal(['Term "x": points must be ascending and span a range']);
+      expect(validateTerm({ name: 'x', shape: 'gaussian', mean: 0, sigma: 0 })).to.deep.equal(['Term "x": sigma must be positive']);
+      expect(validateTerm({ name: 'x', shape: 'generalized-bell', center: 0, width: 1, slope: 0 })).to.deep.equal(['Term "x": width and slope must be positive']);
+      expect(validateTerm({ name: 'x', shape: 'sigmoid', center: 0, slope: 0 })).to.deep.equal(['Term "x": slope must not be 0']);
+      expect(validateTerm({ name: 'x', shape: 'piecewise-linear', points: [{ x: 2, y: 0 }, { x: 1, y: 1.5 }] })).to.deep.equal([
+        'Term "x": point x values must be ascending',
+        'Term "x": point y values must be between 0 and 1'
+      ]);
+    });
+  });
+
+  describe('validateLinguisticVariable', () => {
+    it('accepts the built-in variables', () => {
+      DEFAULT_VARIABLES.forEach(definition => {
+        const result = validateLinguisticVariable(definition);
+        expect(result.errors).to.deep.equal([]);
+        expect(result.analysis.coverage.gaps).to.deep.equal([]);
+      });
+    });
+
+    it('reports ranges of the domain that no term covers', () => {
+      const { errors, analysis } = validateLinguisticVariable(variable([
+        { name: 'low', shape: 'trapezoidal', a: 0, b: 0, c: 2, d: 3.05 },
+        { name: 'high', shape: 'trapezoidal', a: 6.95, b: 7.95, c: 10, d: 10 }
+      ]));
+      expect(analysis.coverage.minMembership).to.equal(0);
+      expect(analysis.coverage.gaps).to.have.length(1);
+      expect(analysis.coverage.gaps[0].from).to.be.closeTo(2.96, 1e-9);
+      expect(analysis.coverage.gaps[0].to).to.be.closeTo(7.04, 1e-9);
+      expect(errors).to.deep.equal(['No term covers 2.96-7.04 to at least 0.1']);
+    });
+
+    it('rejects neighbouring terms that overlap too much', () => {
+      const { errors } = validateLinguisticVariable(variable([
+        { name: 'low', shape: 'triangular', a: 0, b: 0, c: 10 },
+        { name: 'lowish', shape: 'triangular', a: 0, b: 1, c: 10 },
+        { name: 'high', shape: 'triangular', a: 0, b: 10, c: 10 }
+      ]));
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.match(/^Terms "low" and "lowish" overlap too much to tell apart \(0\.9\d\)$/);
+    });
+
+    it('warns about neighbours that meet without overlapping', () => {
+      const result = validateLinguisticVariable(variable([
+        { name: 'low', shape: 'trapezoidal', a: 0, b: 0, c: 5, d: 5 },
+        { name: 'high', shape: 'trapezoidal', a: 5.01, b: 5.01, c: 10, d: 10 }
+      ]));
+      expect(result.errors).to.deep.equal([]);
+      expect(result.warnings).to.deep.equal(['Terms "low" and "high" do not overlap, so the transition between them is crisp']);
+    });
+
+    it('orders neighbours by the centre of their core', () => {
+      const { overlaps } = analyzeVariable(variable([
+        { name: 'high', shape: 'triangular', a: 4, b: 10, c: 10 },
+        { name: 'low', shape: 'triangular', a: 0, b: 0, c: 6 }
+      ]));
+      expect(overlaps.map(overlap => overlap.terms)).to.deep.equal([['low', 'high']]);
+      expect(overlaps[0].crossover).to.be.closeTo(1 / 6, 1e-9);
+    });
+
+    it('stops at invalid domains, duplicate names and invalid terms', () => {
+      const result = validateLinguisticVariable(variable([
+        { name: 'low', shape: 'gaussian', mean: 0, sigma: -1 },
+        { name: 'low', shape: 'gaussian', mean: 5, sigma: 1 }
+      ], { min: 5, max: 5 }));
+      expect(result.errors).to.deep.equal([
+        'Domain min must be below max',
+        'Term names must be unique',
+        'Term "low": sigma must be positive'
+      ]);
+      expect(result.analysis).to.equal(null);
+      expect(validateLinguisticVariable(variable([])).errors).to.deep.equal(['At least one term is required']);
+    });
+  });
+
+  describe('createLinguisticLibrary', () => {
+    const library = createLinguisticLibrary(DEFAULT_VARIABLES);
+
+    it('clamps values to the domain and reads booleans as 1/0', () => {
+      expect(library.membership(45, { variable: 'experience', is: 'senior' })).to.equal(1);
+      expect(library.membership(-2, { variable: 'experience', is: 'junior' })).to.equal(1);
+      expect(library.membership(true, { variable: 'experience', is: 'junior' })).to.equal(1);
+      expect(library.membership('ten', { variable: 'experience', is: 'junior' })).to.equal(0);
+      expect(library.fuzzify('experience', 2)).to.deep.equal({ junior: 0.5, mid: 1 / 3, senior: 0 });
+    });
+
+    it('lists references to unknown variables or terms', () => {
+      expect(library.findInvalidReferences({
+        years: { variable: 'experience', is: 'senior' },
+        level: { variable: 'experience', is: 'principal' },
+        degree: { variable: 'education', is: 'phd' },
+        minimum: 3
+      })).to.deep.equal([
+        { key: 'level', variable: 'experience', is: 'principal' },
+        { key: 'degree', variable: 'education', is: 'phd' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for offer management
+ */
+const { expect } = require('chai');
+const {
+  OfferError,
+  validateTerms,
+  summarizeCompensation,
+  assertAction,
+  expireIfDue,
+  reviseOffer,
+  submitOffer,
+  decideApproval,
+  acceptanceReport
+} = require('../../utils/offers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2024-07-01T12:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * DAY);
+
+// A plain offer with the fields the helpers touch
+const draftOffer = (approvers = []) => ({
+  status: 'draft',
+  version: 1,
+  compensation: [{ type: 'base', amount: 100000 }],
+  revisions: [{ version: 1, source: 'employer' }],
+  approvals: approvers.map(approver => ({ approver, decision: 'pending' })),
+  events: []
+});
+
+describe('offers', () => {
+  describe('validateTerms', () => {
+    it('accepts complete terms', () => {
+      expect(validateTerms({
+        compensation: [{ type: 'base', amount: 90000, currency: 'eur', frequency: 'annual' }],
+        startDate: '2024-09-01'
+      })).to.deep.equal([]);
+    });
+
+    it('reports every invalid component and date', () => {
+      expect(validateTerms({
+        compensation: [{ type: 'perks', amount: -1, frequency: 'weekly', currency: 'euro' }],
+        expiresAt: 'someday'
+      })).to.deep.equal([
+        'Compensation 0: type must be one of base, bonus, equity, signing, allowance, other',
+        'Compensation 0: amount must be a non-negative number',
+        'Compensation 0: frequency must be one of annual, monthly, hourly, one-time',
+        'Compensation 0: currency must be a three-letter code',
+        'expiresAt must be a date'
+      ]);
+    });
+
+    it('requires compensation unless told otherwise', () => {
+      expect(validateTerms({})).to.deep.equal(['Compensation is required']);
+      expect(validateTerms({}, { requireCompensation: false })).to.deep.equal([]);
+      expect(validateTerms({ compensation: [] }, { requireCompensation: false }))
+        .to.deep.equal(['Compensation must be a non-empty array of components']);
+    });
+  });
+
+  describe('summarizeCompensation', () => {
+    it('annualises recurring pay per currency and keeps one-time payments apart', () => {
+      expect(summarizeCompensation([
+        { amount: 100000 },
+        { amount: 1000, frequency: 'monthly' },
+        { amount: 50, frequency: 'hourly', currency: 'eur' },
+        { amount: 5000, frequency: 'one-time' }
+      ])).to.deep.equal({
+        recurring: { USD: 112000, EUR: 104000 },
+        oneTime: { USD: 5000 }
+      });
+    });
+  });
+
+  describe('assertAction', () => {
+    it('throws an OfferError for an action the status does not allow', () => {
+      expect(() => assertAction({ status: 'sent' }, 'accept')).not.to.throw();
+      expect(() => assertAction({ status: 'draft' }, 'accept')).to.throw(OfferError, 'Cannot accept an offer that is draft');
+    });
+  });
+
+  describe('expireIfDue', () => {
+    it('expires sent offers past their expiry only', () => {
+      const overdue = { ...draftOffer(), status: 'sent', expiresAt: daysAgo(1) };
+      expect(expireIfDue(overdue, now)).to.equal(true);
+      expect(overdue.status).to.equal('expired');
+      expect(overdue.respondedAt).to.equal(overdue.expiresAt);
+      expect(overdue.events.map(event => event.action)).to.deep.equal(['expired']);
+
+      expect(expireIfDue({ ...draftOffer(), status: 'sent', expiresAt: new Date(now.getTime() + DAY) }, now)).to.equal(false);
+      expect(expireIfDue({ ...draftOffer(), status: 'accepted', expiresAt: daysAgo(1) }, now)).to.equal(false);
+    });
+  });
+
+  describe('approval chain', () => {
+    it('approves in order and returns to draft on a rejection', () => {
+      const offer = draftOffer(['lead', 'director']);
+      submitOffer(offer);
+      expect(offer.status).to.equal('pending-approval');
+      expect(() => decideApproval(offer, { approver: 'director', decision: 'approved' }))
+        .to.throw(OfferError, 'It is not director\'s turn to approve this offer');
+
+      decideApproval(offer, { approver: 'lead', decision: 'approved' });
+      expect(offer.status).to.equal('pending-approval');
+      decideApproval(offer, { approver: 'director', decision: 'rejected', comment: 'Too high' });
+      expect(offer.status).to.equal('draft');
+    });
+
+    it('approves an offer without approvers when it is submitted', () => {
+      const offer = draftOffer();
+      submitOffer(offer);
+      expect(offer.status).to.equal('approved');
+    });
+  });
+
+  describe('reviseOffer', () => {
+    it('sends an employer revision back through approval', () => {
+      const offer = { ...draftOffer(['lead']), status: 'approved' };
+      offer.approvals[0].decision = 'approved';
+      const revision = reviseOffer(offer, { compensation: [{ type: 'base', amount: 110000 }] }, { reason: 'Match' });
+      expect(revision.version).to.equal(2);
+      expect(offer).to.include({ status: 'draft', version: 2 });
+      expect(offer.compensation[0].amount).to.equal(110000);
+      expect(offer.approvals[0].decision).to.equal('pending');
+    });
+
+    it('keeps a candidate\'s counter next to the current terms', () => {
+      const offer = { ...draftOffer(), status: 'sent' };
+      reviseOffer(offer, { compensation: [{ type: 'base', amount: 120000 }] }, { source: 'candidate' });
+      expect(offer).to.include({ status: 'countered', version: 1 });
+      expect(offer.compensation[0].amount).to.equal(100000);
+      expect(offer.revisions[1]).to.include({ version: 2, source: 'candidate' });
+    });
+  });
+
+  describe('acceptanceReport', () => {
+    it('counts decided offers per job, with overdue offers as expired', () => {
+      const sentAt = daysAgo(10);
+      const [row] = acceptanceReport([
+        { jobId: 'j1', status: 'accepted', sentAt, respondedAt: daysAgo(8) },
+        { jobId: 'j1', status: 'declined', sentAt, respondedAt: daysAgo(6), events: [{ action: 'countered' }] },
+        { jobId: 'j1', status: 'sent', sentAt, expiresAt: daysAgo(1) },
+        { jobId: 'j1', status: 'countered', sentAt, expiresAt: new Date(now.getTime() + DAY) },
+        { jobId: 'j1', status: 'rescinded', sentAt },
+        { jobId: 'j1', status: 'draft' }
+      ], now);
+      expect(row).to.deep.equal({
+        jobId: 'j1',
+        total: 6,
+        sent: 5,
+        accepted: 1,
+        declined: 1,
+        expired: 1,
+        rescinded: 1,
+        outstanding: 1,
+        countered: 1,
+        acceptanceRate: 1 / 3,
+        averageDaysToRespond: 3
+      });
+    });
+
+    it('groups populated jobs by ID and leaves rates empty without decisions', () => {
+      const report = acceptanceReport([
+        { jobId: { _id: 'j1', title: 'Engineer' }, status: 'draft' },
+        { jobId: 'j2', status: 'sent', sentAt: daysAgo(1) }
+      ], now);
+      expect(report.map(row => [row.jobId, row.acceptanceRate, row.averageDaysToRespond])).to.deep.equal([
+        ['j1', null, null],
+        ['j2', null, null]
+      ]);
+    });
+  });
+});
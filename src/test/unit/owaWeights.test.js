@@ -0,0 +1,130 @@
+/**
+ * Unit tests for OWA weight generation
+ */
+const { expect } = require('chai');
+const {
+  QUANTIFIER_NAMES,
+  quantifierWeights,
+  maxEntropyWeights,
+  owaOrness,
+  owaDispersion,
+  generateOwaWeights,
+  describeOwaWeights
+} = require('../../utils/owaWeights');
+
+const sum = (weights) => weights.reduce((total, w) => total + w, 0);
+
+describe('owaWeights', () => {
+  describe('quantifierWeights', () => {
+    it('produces weights summing to 1 for every quantifier', () => {
+      QUANTIFIER_NAMES.forEach(quantifier => {
+        expect(sum(quantifierWeights(quantifier, 4))).to.be.closeTo(1, 1e-9);
+      });
+    });
+
+    it('puts all weight on the highest value for there-exists and on the lowest for all', () => {
+      expect(quantifierWeights('there-exists', 3)).to.deep.equal([1, 0, 0]);
+      expect(quantifierWeights('all', 3)).to.deep.equal([0, 0, 1]);
+    });
+
+    it('spreads at-least-half over the upper half', () => {
+      const weights = quantifierWeights('at-least-half', 4);
+      expect(weights[0]).to.be.closeTo(0.5, 1e-9);
+      expect(weights[1]).to.be.closeTo(0.5, 1e-9);
+      expect(weights[2]).to.equal(0);
+      expect(weights[3]).to.equal(0);
+    });
+
+    it('spreads most over the middle values', () => {
+      const weights = quantifierWeights('most', 5);
+      [0, 0.2, 0.4, 0.4, 0].forEach((expected, i) => expect(weights[i]).to.be.closeTo(expected, 1e-9));
+    });
+
+    it('orders the quantifiers from or-like to and-like', () => {
+      const orness = QUANTIFIER_NAMES.map(quantifier => owaOrness(quantifierWeights(quantifier, 5)));
+      expect(orness[0]).to.equal(1);
+      expect(orness[orness.length - 1]).to.equal(0);
+      orness.slice(1).forEach((value, i) => expect(value).to.be.below(orness[i]));
+    });
+  });
+
+  describe('owaOrness', () => {
+    it('is 1 for max, 0 for min and 0.5 for the mean', () => {
+      expect(owaOrness([1, 0, 0])).to.equal(1);
+      expect(owaOrness([0, 0, 1])).to.equal(0);
+      expect(owaOrness([1 / 3, 1 / 3, 1 / 3])).to.be.closeTo(0.5, 1e-9);
+    });
+
+    it('is 0.5 for a single weight', () => {
+      expect(owaOrness([1])).to.equal(0.5);
+    });
+  });
+
+  describe('owaDispersion', () => {
+    it('is ln(n) for equal weights and 0 for a single active weight', () => {
+      expect(owaDispersion([0.25, 0.25, 0.25, 0.25])).to.be.closeTo(Math.log(4), 1e-9);
+      expect(owaDispersion([0, 1, 0])).to.equal(0);
+    });
+  });
+
+  describe('maxEntropyWeights', () => {
+    it('reaches the target orness with weights summing to 1', () => {
+      [0.2, 0.5, 0.7, 0.9].forEach(orness => {
+        const weights = maxEntropyWeights(5, orness);
+        expect(sum(weights)).to.be.closeTo(1, 1e-9);
+        expect(owaOrness(weights)).to.be.closeTo(orness, 1e-6);
+      });
+    });
+
+    it('gives equal weights for an orness of 0.5', () => {
+      maxEntropyWeights(4, 0.5).forEach(w => expect(w).to.be.closeTo(0.25, 1e-6));
+    });
+
+    it('degenerates to max and min at the ends', () => {
+      expect(maxEntropyWeights(3, 1)).to.deep.equal([1, 0, 0]);
+      expect(maxEntropyWeights(3, 0)).to.deep.equal([0, 0, 1]);
+      expect(maxEntropyWeights(1, 0.3)).to.deep.equal([1]);
+    });
+
+    it('falls geometrically from the highest value when the orness is above 0.5', () => {
+      const weights = maxEntropyWeights(4, 0.7);
+      const ratios = weights.slice(1).map((w, i) => w / weights[i]);
+      ratios.forEach(ratio => {
+        expect(ratio).to.be.below(1);
+        expect(ratio).to.be.closeTo(ratios[0], 1e-9);
+      });
+    });
+
+    it('is more dispersed than quantifier weights of the same orness', () => {
+      const quantified = quantifierWeights('most', 5);
+      const weights = maxEntropyWeights(5, owaOrness(quantified));
+      expect(owaOrness(weights)).to.be.closeTo(owaOrness(quantified), 1e-6);
+      expect(owaDispersion(weights)).to.be.above(owaDispersion(quantified));
+    });
+  });
+
+  describe('generateOwaWeights', () => {
+    it('uses the quantifier, then the orness, else returns null', () => {
+      expect(generateOwaWeights({ quantifier: 'all' }, 2)).to.deep.equal([0, 1]);
+      expect(owaOrness(generateOwaWeights({ orness: 0.8 }, 3))).to.be.closeTo(0.8, 1e-6);
+      expect(generateOwaWeights({}, 3)).to.equal(null);
+    });
+
+    it('prefers the quantifier when both are given', () => {
+      expect(generateOwaWeights({ quantifier: 'there-exists', orness: 0.2 }, 3)).to.deep.equal([1, 0, 0]);
+    });
+  });
+
+  describe('describeOwaWeights', () => {
+    it('reports the target orness only when the weights came from an orness', () => {
+      const weights = maxEntropyWeights(3, 0.7);
+      expect(describeOwaWeights(weights, { orness: 0.7 }).targetOrness).to.equal(0.7);
+      expect(describeOwaWeights([1, 0, 0], { quantifier: 'there-exists' })).to.include({
+        quantifier: 'there-exists',
+        targetOrness: null,
+        orness: 1,
+        dispersion: 0
+      });
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Unit tests for the resume parser adapters
+ * Remote calls go to a stubbed axios.post instead of the network.
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { expect } = require('chai');
+const {
+  ResumeParserError,
+  validateParsedResume,
+  createCircuitBreaker,
+  createRemoteParserAdapter,
+  registerParserAdapter,
+  getParserAdapter,
+  listParserAdapters,
+  resetParserAdapters,
+  parseResume
+} = require('../../utils/parserAdapters');
+
+const file = { buffer: Buffer.from('resume'), originalname: 'cv.pdf', mimetype: 'application/pdf' };
+const resume = { Name: 'Ada Lovelace', Email: 'ada@example.com', Skills: ['Python'] };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// An axios error with the given response status, or a network error without one
+const httpError = (status) => Object.assign(new Error(status ? `Request failed with status code ${status}` : 'socket hang up'),
+  status ? { response: { status } } : {});
+
+// Expect an async call to fail with a ResumeParserError of the given code and status
+const expectParserError = async (promise, code, statusCode) => {
+  let caught;
+  try {
+    await promise;
+  } catch (error) {
+    caught = error;
+  }
+  expect(caught).to.be.instanceOf(ResumeParserError);
+  expect(caught.code).to.equal(code);
+  expect(caught.statusCode).to.equal(statusCode);
+  return caught;
+};
+
+describe('parserAdapters', () => {
+  afterEach(() => {
+    resetParserAdapters();
+  });
+
+  describe('validateParsedResume', () => {
+    it('accepts the parsed resume shape', () => {
+      expect(validateParsedResume({ ...resume, 'Total Estimated Years of Experience': '3.5' })).to.deep.equal([]);
+    });
+
+    it('lists every field that does not match the schema', () => {
+      expect(validateParsedResume({ Name: 'Ada', Email: ' ', Skills: 'Python', 'Experience Details': [null] })).to.deep.equal([
+        'Email must be a non-empty string',
+        'Skills must be an array of strings',
+        'Experience Details must be an array of objects'
+      ]);
+      expect(validateParsedResume([])).to.deep.equal(['Parser response must be an object']);
+    });
+  });
+
+  describe('adapter registry', () => {
+    it('runs a registered adapter by name and validates its output', async () => {
+      registerParserAdapter('local', { parse: async () => resume });
+      expect(await parseResume(file, { mode: 'local' })).to.deep.equal({ resumeData: resume, parser: 'local' });
+
+      registerParserAdapter('local', { parse: async () => ({ Name: 'Ada' }) });
+      const error = await expectParserError(parseResume(file, { mode: 'local' }), 'PARSER_INVALID_RESPONSE', 502);
+      expect(error.details).to.deep.equal({ parser: 'local', errors: ['Email must be a non-empty string'] });
+    });
+
+    it('falls back to the remote adapter only when asked to', async () => {
+      registerParserAdapter('local', { parse: async () => { throw new Error('boom'); } });
+      registerParserAdapter('remote', { parse: async () => resume });
+      expect((await parseResume(file, { mode: 'local', fallbackToRemote: true })).parser).to.equal('remote');
+
+      let caught;
+      await parseResume(file, { mode: 'local', fallbackToRemote: false }).catch(error => { caught = error; });
+      expect(caught.message).to.equal('boom');
+    });
+
+    it('rejects adapters without parse and unknown adapter names', async () => {
+      expect(() => registerParserAdapter('broken', {})).to.throw('Parser adapter must implement parse(file)');
+      registerParserAdapter('stub', { parse: async () => resume });
+      expect(listParserAdapters()).to.deep.equal(['local', 'remote', 'stub']);
+      await expectParserError(parseResume(file, { mode: 'missing' }), 'PARSER_NOT_REGISTERED', 502);
+
+      resetParserAdapters();
+      expect(getParserAdapter('stub')).to.equal(undefined);
+    });
+
+    it('answers a local resume without an email with a 422', async () => {
+      const upload = {
+        buffer: fs.readFileSync(path.join(__dirname, '../fixtures/resume-no-email.docx')),
+        originalname: 'resume-no-email.docx',
+        mimetype: ''
+      };
+      await expectParserError(parseResume(upload, { mode: 'local' }), 'RESUME_MISSING_EMAIL', 422);
+    });
+  });
+
+  describe('createCircuitBreaker', () => {
+    const failing = async () => { throw new ResumeParserError('down', 'PARSER_UNAVAILABLE'); };
+
+    it('opens after consecutive failures and fails fast while open', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000 });
+      await expectParserError(breaker.exec(failing), 'PARSER_UNAVAILABLE', 502);
+      expect(breaker.getState()).to.equal('closed');
+      await expectParserError(breaker.exec(failing), 'PARSER_UNAVAILABLE', 502);
+      expect(breaker.getState()).to.equal('open');
+
+      let called = false;
+      const error = await expectParserError(breaker.exec(async () => { called = true; }), 'PARSER_CIRCUIT_OPEN', 502);
+      expect(called).to.equal(false);
+      expect(error.details.retryAfterMs).to.be.above(0);
+    });
+
+    it('lets a single trial call through once the reset timeout has passed', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 10 });
+      await breaker.exec(failing).catch(() => {});
+      await sleep(20);
+
+      let release;
+      const trial = breaker.exec(() => new Promise(resolve => { release = resolve; }));
+      expect(breaker.getState()).to.equal('half-open');
+      await expectParserError(breaker.exec(async () => resume), 'PARSER_CIRCUIT_OPEN', 502);
+
+      // A successful trial closes the circuit again
+      release(resume);
+      expect(await trial).to.equal(resume);
+      expect(breaker.getState()).to.equal('closed');
+    });
+
+    it('reopens when the trial call fails', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 10 });
+      for (let i = 0; i < 3; i++) {
+        await breaker.exec(failing).catch(() => {});
+      }
+      await sleep(20);
+      await expectParserError(breaker.exec(failing), 'PARSER_UNAVAILABLE', 502);
+      expect(breaker.getState()).to.equal('open');
+    });
+
+    it('does not count rejected input as a failure', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+      const rejected = async () => { throw new ResumeParserError('bad file', 'RESUME_UNREADABLE', {}, 422); };
+      await expectParserError(breaker.exec(rejected), 'RESUME_UNREADABLE', 422);
+      expect(breaker.getState()).to.equal('closed');
+    });
+  });
+
+  describe('remote parser adapter', () => {
+    const originalPost = axios.post;
+    let responses;
+    let calls;
+
+    beforeEach(() => {
+      calls = 0;
+      axios.post = async () => {
+        const next = responses[Math.min(calls, responses.length - 1)];
+        calls += 1;
+        if (next instanceof Error) throw next;
+        return { data: next };
+      };
+    });
+
+    afterEach(() => {
+      axios.post = originalPost;
+    });
+
+    const adapter = (config = {}) => createRemoteParserAdapter({
+      url: 'http://parser.test/parse',
+      retries: 2,
+      backoffMs: 1,
+      failureThreshold: 2,
+      resetTimeoutMs: 1000,
+      ...config
+    });
+
+    it('retries timeouts and 5xx responses until a call succeeds', async () => {
+      responses = [httpError(), httpError(503), resume];
+      expect(await adapter().parse(file)).to.equal(resume);
+      expect(calls).to.equal(3);
+    });
+
+    it('gives up after the configured retries with a 502', async () => {
+      responses = [httpError(500)];
+      const remote = adapter();
+      const error = await expectParserError(remote.parse(file), 'PARSER_UNAVAILABLE', 502);
+      expect(calls).to.equal(3);
+      expect(error.details).to.include({ attempts: 3, status: 500 });
+      expect(remote.breaker.getState()).to.equal('closed');
+
+      // The second exhausted call opens the circuit, after which the service is not called
+      await remote.parse(file).catch(() => {});
+      expect(remote.breaker.getState()).to.equal('open');
+      await expectParserError(remote.parse(file), 'PARSER_CIRCUIT_OPEN', 502);
+      expect(calls).to.equal(6);
+    });
+
+    it('does not retry a file the service rejected and answers it with a 422', async () => {
+      responses = [httpError(400)];
+      const remote = adapter();
+      await expectParserError(remote.parse(file), 'RESUME_UNREADABLE', 422);
+      expect(calls).to.equal(1);
+      expect(remote.breaker.getState()).to.equal('closed');
+    });
+
+    it('answers a rate-limited call as unavailable rather than as a rejected file', async () => {
+      responses = [httpError(429), resume];
+      await expectParserError(adapter().parse(file), 'PARSER_UNAVAILABLE', 502);
+      expect(calls).to.equal(1);
+    });
+  });
+});
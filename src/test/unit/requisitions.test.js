@@ -0,0 +1,98 @@
+/**
+ * Unit tests for the job requisition lifecycle
+ */
+const { expect } = require('chai');
+const {
+  JOB_STATUSES,
+  JOB_TRANSITIONS,
+  RequisitionError,
+  checkJobTransition,
+  transitionJob,
+  assertJobOpen,
+  criteriaSignature
+} = require('../../utils/requisitions');
+
+const criteria = [{ name: 'python', weight: 0.6, targetValue: 5 }, { name: 'sql', weight: 0.4 }];
+const job = (fields) => ({ status: 'open', headcount: 2, filledCount: 0, criteria, ...fields });
+
+describe('requisitions', () => {
+  describe('JOB_TRANSITIONS', () => {
+    it('covers every job status and only leads to known statuses', () => {
+      expect(Object.keys(JOB_TRANSITIONS)).to.have.members(JOB_STATUSES);
+      Object.values(JOB_TRANSITIONS).forEach(targets => expect(JOB_STATUSES).to.include.members(targets));
+    });
+  });
+
+  describe('checkJobTransition', () => {
+    it('allows moves the lifecycle allows', () => {
+      expect(checkJobTransition(job(), 'on-hold')).to.deep.equal({ allowed: true, code: null, unmet: [] });
+      expect(checkJobTransition(job({ status: 'closed' }), 'open').allowed).to.equal(true);
+    });
+
+    it('treats a job without a status as open', () => {
+      expect(checkJobTransition(job({ status: undefined }), 'closed').allowed).to.equal(true);
+    });
+
+    it('rejects moves the lifecycle does not allow', () => {
+      expect(checkJobTransition(job({ status: 'draft' }), 'filled')).to.deep.equal({
+        allowed: false,
+        code: 'INVALID_TRANSITION',
+        unmet: ['Cannot move a job from draft to filled']
+      });
+    });
+
+    it('rejects every move of a deleted job', () => {
+      expect(checkJobTransition(job({ deletedAt: new Date() }), 'closed').code).to.equal('JOB_DELETED');
+    });
+
+    it('fills a job only when every opening is filled', () => {
+      expect(checkJobTransition(job({ filledCount: 1 }), 'filled').unmet).to.deep.equal(['1 of 2 openings are filled']);
+      expect(checkJobTransition(job({ filledCount: 2 }), 'filled').allowed).to.equal(true);
+    });
+
+    it('opens a job only with unfilled openings and criteria', () => {
+      const result = checkJobTransition(job({ status: 'closed', filledCount: 2, criteria: [] }), 'open');
+      expect(result.code).to.equal('GUARD_FAILED');
+      expect(result.unmet).to.deep.equal([
+        'All 2 openings are filled; raise the headcount first',
+        'Job has no criteria to score candidates against'
+      ]);
+    });
+  });
+
+  describe('transitionJob', () => {
+    it('requires a reason', async () => {
+      let caught;
+      try {
+        await transitionJob(job(), 'closed', { reason: '' });
+      } catch (error) {
+        caught = error;
+      }
+      expect(caught).to.be.instanceOf(RequisitionError);
+      expect(caught).to.include({ code: 'REASON_REQUIRED', statusCode: 409 });
+    });
+  });
+
+  describe('assertJobOpen', () => {
+    it('lets open jobs and jobs without a status through', () => {
+      expect(() => assertJobOpen(job())).not.to.throw();
+      expect(() => assertJobOpen(job({ status: undefined }))).not.to.throw();
+    });
+
+    it('rejects deleted and other jobs with their code', () => {
+      expect(() => assertJobOpen(job({ deletedAt: new Date() }))).to.throw(RequisitionError, 'Job is deleted');
+      expect(() => assertJobOpen(job({ status: 'filled' })))
+        .to.throw(RequisitionError, 'Job is filled')
+        .with.property('code', 'JOB_NOT_OPEN');
+    });
+  });
+
+  describe('criteriaSignature', () => {
+    it('changes with the scored fields only', () => {
+      const signature = criteriaSignature(criteria);
+      expect(criteriaSignature(criteria.map(criterion => ({ ...criterion, description: 'Ignored' })))).to.equal(signature);
+      expect(criteriaSignature([{ ...criteria[0], weight: 0.5 }, criteria[1]])).not.to.equal(signature);
+      expect(criteriaSignature(undefined)).to.equal('[]');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for the in-process resume parser and its error mapping
+ */
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { isSupportedResumeFile, parseResumeText, parseResumeLocally } = require('../../utils/resumeParser');
+const {
+  ResumeParserError,
+  createLocalParserAdapter,
+  registerParserAdapter,
+  resetParserAdapters,
+  parseResume
+} = require('../../utils/parserAdapters');
+
+const fixture = (name, mimetype = '') => ({
+  buffer: fs.readFileSync(path.join(__dirname, '../fixtures', name)),
+  originalname: name,
+  mimetype
+});
+
+// Expect an async call to fail with a ResumeParserError of the given code and status
+const expectParserError = async (promise, code, statusCode) => {
+  let caught;
+  try {
+    await promise;
+  } catch (error) {
+    caught = error;
+  }
+  expect(caught).to.be.instanceOf(ResumeParserError);
+  expect(caught.code).to.equal(code);
+  expect(caught.statusCode).to.equal(statusCode);
+  return caught;
+};
+
+describe('resumeParser', () => {
+  describe('isSupportedResumeFile', () => {
+    it('accepts PDF and DOCX by extension or MIME type', () => {
+      expect(isSupportedResumeFile('cv.PDF')).to.equal(true);
+      expect(isSupportedResumeFile('cv.docx')).to.equal(true);
+      expect(isSupportedResumeFile('upload', 'application/pdf')).to.equal(true);
+    });
+
+    it('rejects legacy DOC and other files', () => {
+      expect(isSupportedResumeFile('cv.doc', 'application/msword')).to.equal(false);
+      expect(isSupportedResumeFile('cv.txt', 'text/plain')).to.equal(false);
+    });
+  });
+
+  describe('parseResumeText', () => {
+    it('reads the header, skills, education and experience sections', () => {
+      const parsed = parseResumeText([
+        'Alan Turing',
+        'alan@example.com | +44 161 496 0000',
+        'Skills:',
+        'Languages: Python, Go',
+        'Education',
+        'Bachelor of Arts in Mathematics, King\'s College, 1934',
+        'Experience',
+        'Research Scientist at NPL (2015 - 2017)',
+        'Engineer at Bletchley (2016 - 2019)'
+      ].join('\n'));
+
+      expect(parsed.Name).to.equal('Alan Turing');
+      expect(parsed.Email).to.equal('alan@example.com');
+      expect(parsed.Phone).to.equal('+44 161 496 0000');
+      expect(parsed.Skills).to.deep.equal(['Python', 'Go']);
+      expect(parsed['Education Details']).to.deep.equal([{
+        'date completed': '1934',
+        'education level': 'Bachelor of Arts',
+        'field of study': 'Mathematics',
+        'institution': 'King\'s College'
+      }]);
+      expect(parsed['Experience Details'].map(entry => entry.Roles)).to.deep.equal(['Research Scientist', 'Engineer']);
+      // Overlapping periods are counted once
+      expect(parsed['Total Estimated Years of Experience']).to.equal('4');
+    });
+
+    it('falls back to known skill keywords without a skills section', () => {
+      expect(parseResumeText('Jane Doe\nBuilt services in Node.js and PostgreSQL on AWS').Skills)
+        .to.deep.equal(['node.js', 'postgresql', 'aws']);
+    });
+  });
+
+  describe('parseResumeLocally', () => {
+    it('parses a PDF resume', async () => {
+      const parsed = await parseResumeLocally(fixture('resume.pdf', 'application/pdf'));
+      expect(parsed).to.include({ Name: 'Ada Lovelace', Email: 'ada@example.com', Phone: '+44 20 7946 0958' });
+      expect(parsed.Skills).to.deep.equal(['Python', 'SQL', 'Docker']);
+      expect(parsed['Experience Details']).to.deep.equal([{ 'Industry Name': 'Acme', 'Roles': 'Software Engineer' }]);
+      expect(parsed['Total Estimated Years of Experience']).to.equal('3');
+    });
+
+    it('parses a DOCX resume', async () => {
+      const parsed = await parseResumeLocally(fixture('resume.docx'));
+      expect(parsed).to.include({ Name: 'Grace Hopper', Email: 'grace@example.com' });
+      expect(parsed.Skills).to.deep.equal(['COBOL', 'Fortran']);
+      expect(parsed['Education Details'][0]).to.include({ 'education level': 'Master of Science', 'institution': 'Yale University' });
+    });
+  });
+
+  describe('local parser adapter', () => {
+    const adapter = createLocalParserAdapter();
+
+    it('rejects legacy DOC files with a 415', async () => {
+      const file = { buffer: Buffer.from('DOC'), originalname: 'cv.doc', mimetype: 'application/msword' };
+      const error = await expectParserError(adapter.parse(file), 'UNSUPPORTED_FILE_TYPE', 415);
+      expect(error.details).to.include({ parser: 'local', filename: 'cv.doc' });
+    });
+
+    it('rejects a corrupt PDF with a 422', async () => {
+      const file = { buffer: Buffer.from('not a pdf'), originalname: 'cv.pdf', mimetype: 'application/pdf' };
+      await expectParserError(adapter.parse(file), 'RESUME_UNREADABLE', 422);
+    });
+  });
+
+  describe('parseResume with a DOC file', () => {
+    const file = { buffer: Buffer.from('DOC'), originalname: 'cv.doc', mimetype: 'application/msword' };
+
+    beforeEach(() => {
+      registerParserAdapter('remote', { parse: async () => ({ Name: 'Ada Lovelace', Email: 'ada@example.com' }) });
+    });
+
+    afterEach(() => {
+      resetParserAdapters();
+    });
+
+    it('is parsed by the remote parser when selected or as a fallback', async () => {
+      expect((await parseResume(file, { mode: 'remote' })).parser).to.equal('remote');
+      expect((await parseResume(file, { mode: 'local', fallbackToRemote: true })).parser).to.equal('remote');
+    });
+
+    it('keeps the local parser\'s 415 without a fallback', async () => {
+      await expectParserError(parseResume(file, { mode: 'local', fallbackToRemote: false }), 'UNSUPPORTED_FILE_TYPE', 415);
+    });
+  });
+});
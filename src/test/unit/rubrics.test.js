@@ -0,0 +1,140 @@
+/**
+ * Unit tests for structured interview rubrics
+ */
+const { expect } = require('chai');
+const {
+  DEFAULT_RATING_SCALE,
+  defuzzifyRating,
+  ratingConfidence,
+  validateRubric,
+  invalidRatings,
+  ratingScores,
+  scoreRubric,
+  describeRubric,
+  versionRubrics
+} = require('../../utils/rubrics');
+
+const stage = {
+  key: 'codingInterview',
+  name: 'Coding Interview',
+  dimensions: [
+    { key: 'problemSolving', name: 'Problem solving', weight: 2, anchors: [{ level: 'strong', description: 'Finds an optimal solution' }] },
+    { key: 'codeQuality', name: 'Code quality', weight: 1 },
+    { key: 'communication', name: 'Communication', weight: 1 }
+  ]
+};
+
+const withScale = (scale, dimensions = stage.dimensions) => ({ ...stage, dimensions, rubric: { scale } });
+
+describe('rubrics', () => {
+  describe('defuzzifyRating and ratingConfidence', () => {
+    it('uses the centroid and loses confidence with the support width', () => {
+      expect(defuzzifyRating([0.25, 0.5, 0.75])).to.equal(0.5);
+      expect(ratingConfidence([0.25, 0.5, 0.75])).to.equal(0.75);
+      expect(ratingConfidence([0.6, 0.6, 0.6])).to.equal(1);
+    });
+
+    it('rates every default level above the one below it', () => {
+      const values = DEFAULT_RATING_SCALE.map(level => defuzzifyRating(level.fuzzy));
+      values.slice(1).forEach((value, i) => expect(value).to.be.above(values[i]));
+    });
+  });
+
+  describe('validateRubric', () => {
+    it('accepts the default scale with anchors on its levels', () => {
+      expect(validateRubric(stage, 'Stage')).to.deep.equal([]);
+    });
+
+    it('rejects malformed levels and fuzzy numbers', () => {
+      expect(validateRubric(withScale([{ level: '1x', fuzzy: [0, 0, 1] }]), 'Stage')).to.deep.equal([
+        'Stage: rating level "1x" must start with a letter and contain only letters, digits, - or _'
+      ]);
+      expect(validateRubric(withScale([{ level: 'lo', fuzzy: [0, 0.5, 0.4] }, { level: 'hi', fuzzy: [0, 0.5] }]), 'Stage')).to.deep.equal([
+        'Stage: rating level "lo" must satisfy 0 <= l <= m <= u <= 1',
+        'Stage: rating level "hi" needs a triangular fuzzy number [l, m, u]'
+      ]);
+    });
+
+    it('rejects duplicate or unordered levels and anchors for levels the scale lacks', () => {
+      const scale = [
+        { level: 'hi', fuzzy: [0.5, 1, 1] },
+        { level: 'lo', fuzzy: [0, 0, 0.5] },
+        { level: 'lo', fuzzy: [0.6, 1, 1] }
+      ];
+      const dimensions = [{ key: 'design', anchors: [{ level: 'meets' }, { level: 'hi' }, { level: 'hi' }] }];
+      expect(validateRubric(withScale(scale, dimensions), 'Stage')).to.deep.equal([
+        'Stage: rating levels must be unique',
+        'Stage: rating level "lo" must be rated higher than "hi"',
+        'Stage: competency "design" has an anchor for unknown rating level "meets"',
+        'Stage: competency "design" has more than one anchor for a rating level'
+      ]);
+    });
+  });
+
+  describe('invalidRatings and ratingScores', () => {
+    it('lists unknown competencies and levels', () => {
+      expect(invalidRatings(stage, { problemSolving: 'great', design: 'strong', codeQuality: 'meets' })).to.deep.equal([
+        { competency: 'problemSolving', rating: 'great', reason: 'unknown rating level' },
+        { competency: 'design', rating: 'strong', reason: 'unknown competency' }
+      ]);
+    });
+
+    it('scores ratings with the centroid of their level', () => {
+      expect(ratingScores(stage, { problemSolving: 'strong', codeQuality: 'meets' })).to.deep.equal({
+        problemSolving: 0.75,
+        codeQuality: 0.5
+      });
+    });
+  });
+
+  describe('scoreRubric', () => {
+    it('mixes linguistic ratings and crisp scores with confidence-adjusted weights', () => {
+      const result = scoreRubric(stage, {
+        ratings: new Map([['problemSolving', 'strong']]),
+        dimensions: { codeQuality: 0.6 }
+      });
+
+      // problemSolving counts 2 * 0.75 (its confidence), codeQuality 1 * 1
+      expect(result.score).to.be.closeTo(0.6 * 0.75 + 0.4 * 0.6, 1e-9);
+      [0.54, 0.69, 0.84].forEach((expected, i) => expect(result.fuzzyScore[i]).to.be.closeTo(expected, 1e-9));
+      expect(result.competencies.problemSolving).to.include({ source: 'rating', rating: 'strong', anchor: 'Finds an optimal solution' });
+      expect(result.competencies.codeQuality).to.include({ source: 'score', rating: null, confidence: 1 });
+      expect(result.competencies).to.not.have.property('communication');
+      expect(result.rubricVersion).to.equal(1);
+    });
+
+    it('loses confidence for competencies left unrated', () => {
+      const partial = scoreRubric(stage, { ratings: { problemSolving: 'meets', codeQuality: 'meets' } });
+      const complete = scoreRubric(stage, { ratings: { problemSolving: 'meets', codeQuality: 'meets', communication: 'meets' } });
+      expect(partial.score).to.be.closeTo(complete.score, 1e-9);
+      expect(partial.confidence).to.be.below(complete.confidence);
+    });
+  });
+
+  describe('describeRubric', () => {
+    it('adds the value and confidence of each level and defaults the weights', () => {
+      const rubric = describeRubric({ ...stage, dimensions: [{ key: 'design', name: 'Design' }] });
+      expect(rubric).to.include({ stage: 'codingInterview', version: 1 });
+      expect(rubric.scale[2]).to.include({ level: 'meets', value: 0.5, confidence: 0.75 });
+      expect(rubric.competencies).to.deep.equal([{ key: 'design', name: 'Design', weight: 1, anchors: [] }]);
+    });
+  });
+
+  describe('versionRubrics', () => {
+    const previous = [{ ...stage, rubric: { version: 2 } }];
+
+    it('keeps the version of unchanged rubrics and starts new stages at 1', () => {
+      const versioned = versionRubrics(previous, [stage, { ...stage, key: 'systemDesign' }]);
+      expect(versioned.map(item => item.rubric.version)).to.deep.equal([2, 1]);
+    });
+
+    it('raises the version when a weight or anchor changes', () => {
+      const reweighted = stage.dimensions.map((dimension, i) => (i === 0 ? { ...dimension, weight: 3 } : dimension));
+      const reanchored = stage.dimensions.map((dimension, i) => (
+        i === 1 ? { ...dimension, anchors: [{ level: 'meets', description: 'Readable and tested' }] } : dimension
+      ));
+      expect(versionRubrics(previous, [{ ...stage, dimensions: reweighted }])[0].rubric.version).to.equal(3);
+      expect(versionRubrics(previous, [{ ...stage, dimensions: reanchored }])[0].rubric.version).to.equal(3);
+    });
+  });
+});
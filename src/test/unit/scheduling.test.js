@@ -0,0 +1,141 @@
+/**
+ * Unit tests for interview scheduling
+ */
+const { expect } = require('chai');
+const {
+  isValidTimeZone,
+  timeZoneOffset,
+  parseZonedDate,
+  formatInTimeZone,
+  validateAvailability,
+  availableWindows,
+  isAvailable,
+  findOverlaps,
+  freeSlots
+} = require('../../utils/scheduling');
+
+// Monday to Friday, 09:00-17:00 in Berlin
+const availability = {
+  timeZone: 'Europe/Berlin',
+  weeklyHours: [1, 2, 3, 4, 5].map(day => ({ day, start: '09:00', end: '17:00' })),
+  windows: [{ start: '2024-07-06T10:00', end: '2024-07-06T12:00' }],
+  blackouts: [{ start: '2024-07-02T12:00', end: '2024-07-02T13:00' }]
+};
+
+const slot = (stage, interviewer, start, end) => ({
+  stage,
+  interviewer,
+  candidateId: 'c1',
+  start: new Date(start),
+  end: new Date(end)
+});
+
+describe('scheduling', () => {
+  describe('time zones', () => {
+    it('recognises IANA time zones only', () => {
+      expect(isValidTimeZone('Europe/Berlin')).to.equal(true);
+      expect(isValidTimeZone('Mars/Olympus')).to.equal(false);
+      expect(isValidTimeZone('')).to.equal(false);
+    });
+
+    it('follows daylight saving time', () => {
+      expect(timeZoneOffset(new Date('2024-01-15T12:00:00Z'), 'Europe/Berlin')).to.equal(60);
+      expect(timeZoneOffset(new Date('2024-07-15T12:00:00Z'), 'Europe/Berlin')).to.equal(120);
+    });
+  });
+
+  describe('parseZonedDate', () => {
+    it('takes dates with an offset as given and reads others in the time zone', () => {
+      expect(parseZonedDate('2024-07-01T09:00:00+02:00', 'America/New_York').toISOString()).to.equal('2024-07-01T07:00:00.000Z');
+      expect(parseZonedDate('2024-07-01T09:00', 'Europe/Berlin').toISOString()).to.equal('2024-07-01T07:00:00.000Z');
+      expect(parseZonedDate('2024-01-01T09:00').toISOString()).to.equal('2024-01-01T09:00:00.000Z');
+    });
+
+    it('moves times skipped by a daylight-saving change forward', () => {
+      expect(parseZonedDate('2024-03-31T02:30', 'Europe/Berlin').toISOString()).to.equal('2024-03-31T01:30:00.000Z');
+    });
+
+    it('returns null for values that are not dates', () => {
+      expect(parseZonedDate('next tuesday')).to.equal(null);
+      expect(parseZonedDate(42)).to.equal(null);
+    });
+  });
+
+  describe('formatInTimeZone', () => {
+    it('formats local time with its offset', () => {
+      expect(formatInTimeZone(new Date('2024-07-01T07:00:00Z'), 'Europe/Berlin')).to.equal('2024-07-01T09:00:00+02:00');
+      expect(formatInTimeZone(new Date('2024-01-01T15:30:00Z'), 'America/New_York')).to.equal('2024-01-01T10:30:00-05:00');
+    });
+  });
+
+  describe('validateAvailability', () => {
+    it('accepts a consistent availability', () => {
+      expect(validateAvailability(availability)).to.deep.equal([]);
+    });
+
+    it('reports bad days, times and intervals', () => {
+      expect(validateAvailability({
+        timeZone: 'Nowhere',
+        weeklyHours: [{ day: 7, start: '09:00', end: '17:00' }, { day: 1, start: '17:00', end: '09:00' }],
+        blackouts: [{ start: 'soon', end: '2024-07-01T10:00' }]
+      })).to.deep.equal([
+        'Unknown time zone "Nowhere"',
+        'weeklyHours[0]: day must be 0 (Sunday) to 6 (Saturday)',
+        'weeklyHours[1]: start must be before end',
+        'blackouts[0]: start and end must be dates'
+      ]);
+    });
+  });
+
+  describe('availableWindows', () => {
+    it('combines weekly hours and windows and cuts out blackouts', () => {
+      const windows = availableWindows(availability, new Date('2024-07-02T00:00:00Z'), new Date('2024-07-03T00:00:00Z'));
+      expect(windows.map(window => [window.start.toISOString(), window.end.toISOString()])).to.deep.equal([
+        ['2024-07-02T07:00:00.000Z', '2024-07-02T10:00:00.000Z'],
+        ['2024-07-02T11:00:00.000Z', '2024-07-02T15:00:00.000Z']
+      ]);
+    });
+
+    it('opens one-off windows on days without weekly hours', () => {
+      expect(isAvailable(availability, new Date('2024-07-06T08:00:00Z'), new Date('2024-07-06T09:00:00Z'))).to.equal(true);
+      expect(isAvailable(availability, new Date('2024-07-07T08:00:00Z'), new Date('2024-07-07T09:00:00Z'))).to.equal(false);
+    });
+
+    it('needs one window to cover the whole slot', () => {
+      expect(isAvailable(availability, new Date('2024-07-02T09:30:00Z'), new Date('2024-07-02T10:30:00Z'))).to.equal(false);
+    });
+  });
+
+  describe('freeSlots', () => {
+    it('cuts free time around booked slots into slots of the given length', () => {
+      const booked = [{ start: new Date('2024-07-01T08:00:00Z'), end: new Date('2024-07-01T14:00:00Z') }];
+      const slots = freeSlots(availability, booked, new Date('2024-07-01T00:00:00Z'), new Date('2024-07-02T00:00:00Z'), 45);
+      expect(slots.map(free => free.start.toISOString())).to.deep.equal([
+        '2024-07-01T07:00:00.000Z',
+        '2024-07-01T14:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('findOverlaps', () => {
+    it('reports new slots that overlap for the same interviewer before the same candidate', () => {
+      const overlaps = findOverlaps([
+        slot('phoneScreen', 'ana', '2024-07-01T09:00:00Z', '2024-07-01T10:00:00Z'),
+        slot('codingInterview', 'ana', '2024-07-01T09:30:00Z', '2024-07-01T10:30:00Z'),
+        slot('onsite', 'ben', '2024-07-01T10:15:00Z', '2024-07-01T11:00:00Z')
+      ]);
+      expect(overlaps.map(({ slot: first, other, reason }) => [first.stage, other.stage, reason])).to.deep.equal([
+        ['phoneScreen', 'codingInterview', 'interviewer'],
+        ['codingInterview', 'onsite', 'candidate']
+      ]);
+    });
+
+    it('lets back-to-back slots and other people\'s slots through', () => {
+      expect(findOverlaps([
+        slot('phoneScreen', 'ana', '2024-07-01T09:00:00Z', '2024-07-01T10:00:00Z'),
+        slot('codingInterview', 'ana', '2024-07-01T10:00:00Z', '2024-07-01T11:00:00Z'),
+        { ...slot('onsite', 'ben', '2024-07-01T09:00:00Z', '2024-07-01T10:00:00Z'), candidateId: 'c2' }
+      ])).to.deep.equal([]);
+    });
+  });
+});
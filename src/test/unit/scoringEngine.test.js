@@ -0,0 +1,68 @@
+/**
+ * Unit tests for the scoring engine
+ */
+const { expect } = require('chai');
+const { scoreScorecards } = require('../../utils/interRater');
+const { scoreInitial, resolveOwaWeights, getStageValues, scoreFinal } = require('../../utils/scoringEngine');
+
+const stageWeights = { phoneScreen: 0.5, codingInterview: 0.5 };
+
+describe('scoringEngine', () => {
+  describe('scoreInitial', () => {
+    it('counts a criterion the candidate has no value for as unmet under OWA', () => {
+      const candidate = { attributes: new Map([['python', true], ['years', 6]]) };
+      const result = scoreInitial(candidate, { python: 0.5, years: 0.3, sql: 0.2 }, {
+        targetValues: { python: true, years: 6, sql: true },
+        owa: { quantifier: 'all' }
+      });
+
+      // "all" takes the lowest value, which is the missing sql criterion
+      expect(result.score).to.equal(0);
+      expect(result.breakdown.method).to.equal('owa');
+      expect(result.breakdown.settings).to.include({ quantifier: 'all', orness: 0 });
+      expect(result.breakdown.criteria.find(criterion => criterion.criterion === 'sql')).to.include({ matched: false, source: 'missing' });
+    });
+  });
+
+  describe('resolveOwaWeights', () => {
+    it('builds and normalises the strategy profile weights', () => {
+      const optimistic = resolveOwaWeights('optimistic', 3);
+      [3 / 6, 2 / 6, 1 / 6].forEach((expected, i) => expect(optimistic[i]).to.be.closeTo(expected, 1e-9));
+      expect(resolveOwaWeights('custom', 2, [2, 2])).to.deep.equal([0.5, 0.5]);
+    });
+
+    it('lets a quantifier or target orness override the strategy profile', () => {
+      expect(resolveOwaWeights('pessimistic', 3, null, { quantifier: 'there-exists' })).to.deep.equal([1, 0, 0]);
+      resolveOwaWeights('pessimistic', 3, null, { orness: 0.5 }).forEach(w => expect(w).to.be.closeTo(1 / 3, 1e-6));
+    });
+  });
+
+  describe('getStageValues', () => {
+    it('keeps a confidence of 0 and defaults only missing confidences to 1', () => {
+      const { stageConfidences } = getStageValues({
+        stages: { phoneScreen: { score: 0.8, confidence: 0 }, codingInterview: { score: 0.6 } }
+      }, ['phoneScreen', 'codingInterview', 'onsite']);
+      expect(stageConfidences).to.deep.equal({ phoneScreen: 0, codingInterview: 1, onsite: 1 });
+    });
+
+    it('keeps the zero confidence of interviewers who disagree', () => {
+      const stage = scoreScorecards([
+        { interviewer: 'ana', scores: { x: 0.9, y: 0.1, z: 0.5 } },
+        { interviewer: 'ben', scores: { x: 0.1, y: 0.9, z: 0.6 } }
+      ]);
+      expect(stage.confidence).to.equal(0);
+      const { stageConfidences } = getStageValues({ stages: { phoneScreen: stage } }, ['phoneScreen']);
+      expect(stageConfidences.phoneScreen).to.equal(0);
+    });
+  });
+
+  describe('scoreFinal', () => {
+    it('drops a zero-confidence stage at the alpha-cut', () => {
+      const result = scoreFinal({
+        stages: { phoneScreen: { score: 0.2, confidence: 0 }, codingInterview: { score: 0.9, confidence: 0.8 } }
+      }, { stageWeights });
+      expect(result.score).to.be.closeTo(0.9, 1e-9);
+      expect(result.breakdown.stages.find(stage => stage.stage === 'phoneScreen').excluded).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for the weight sensitivity analysis
+ */
+const { expect } = require('chai');
+const {
+  perturbWeight,
+  findFlipPoint,
+  analyzeWeightSensitivity
+} = require('../../utils/sensitivityAnalysis');
+
+const candidates = [
+  { candidateId: 'a', name: 'Ada', scores: { x: 0.9, y: 0.3 } },
+  { candidateId: 'b', name: 'Brian', scores: { x: 0.4, y: 0.7 } },
+  { candidateId: 'c', name: 'Cleo', scores: { x: 0.2, y: 0.2 } }
+];
+
+// Weighted sum ranking of the candidates above
+const rankWith = (weights) => {
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  return candidates
+    .map(({ candidateId, name, scores }) => ({
+      candidateId,
+      name,
+      score: Object.keys(weights).reduce((sum, key) => sum + weights[key] * scores[key], 0) / total
+    }))
+    .sort((a, b) => b.score - a.score)
+    .map((result, index) => ({ ...result, rank: index + 1 }));
+};
+
+describe('sensitivityAnalysis', () => {
+  describe('perturbWeight', () => {
+    it('rescales the other weights to keep the total', () => {
+      const perturbed = perturbWeight({ x: 0.5, y: 0.3, z: 0.2 }, 'x', 0.7);
+      expect(perturbed.x).to.equal(0.7);
+      expect(perturbed.y).to.be.closeTo(0.18, 1e-12);
+      expect(perturbed.z).to.be.closeTo(0.12, 1e-12);
+    });
+
+    it('spreads the remainder evenly when the other weights are all 0', () => {
+      expect(perturbWeight({ x: 1, y: 0, z: 0 }, 'x', 0.4)).to.deep.equal({ x: 0.4, y: 0.3, z: 0.3 });
+    });
+
+    it('clamps the new weight between 0 and the total', () => {
+      expect(perturbWeight({ x: 0.5, y: 0.5 }, 'x', 2)).to.deep.equal({ x: 1, y: 0 });
+      expect(perturbWeight({ x: 0.5, y: 0.5 }, 'x', -1)).to.deep.equal({ x: 0, y: 1 });
+    });
+  });
+
+  describe('findFlipPoint', () => {
+    // Ada leads until x drops below 4/9, where 0.9x + 0.3(1 - x) = 0.4x + 0.7(1 - x)
+    it('locates the weight at which the top candidate changes', () => {
+      const flip = findFlipPoint({ x: 0.5, y: 0.5 }, 'x', 0, rankWith, 'a');
+      expect(flip.weight).to.be.closeTo(4 / 9, 1e-3);
+      expect(flip.change).to.be.closeTo(4 / 9 - 0.5, 1e-3);
+      expect(flip.relativeChange).to.be.closeTo((4 / 9 - 0.5) / 0.5, 1e-3);
+      expect(flip.newTopCandidate).to.deep.equal({ candidateId: 'b', name: 'Brian' });
+    });
+
+    it('returns null when no weight in that direction changes the top candidate', () => {
+      expect(findFlipPoint({ x: 0.5, y: 0.5 }, 'x', 1, rankWith, 'a')).to.equal(null);
+      expect(findFlipPoint({ x: 1, y: 0 }, 'x', 1, rankWith, 'a')).to.equal(null);
+    });
+  });
+
+  describe('analyzeWeightSensitivity', () => {
+    const result = analyzeWeightSensitivity({ x: 0.5, y: 0.5 }, rankWith, { topN: 2 });
+    const byKey = Object.fromEntries(result.weights.map(weight => [weight.key, weight]));
+
+    it('tries each weight on both sides of its base value', () => {
+      expect(byKey.x.scenarios).to.have.length(10);
+      expect(byKey.x.scenarios.map(scenario => scenario.change)).to.include.members([-0.5, 0.5]);
+      expect(byKey.x.tornado).to.include({ lowWeight: 0.25, highWeight: 0.75, topCandidateScoreAtBase: 0.6 });
+    });
+
+    it('reports whether the top candidate and top group survive the changes', () => {
+      expect(byKey.x.topCandidateStable).to.equal(false);
+      expect(byKey.x.topNStable).to.equal(true);
+      expect(byKey.x.maxRankChange).to.equal(1);
+      expect(byKey.x.flipPoint.increase).to.equal(null);
+      expect(byKey.y.flipPoint.increase.weight).to.be.closeTo(5 / 9, 1e-3);
+      expect(byKey.y.flipPoint.decrease).to.equal(null);
+    });
+
+    it('orders the tornado by the swing in the top candidate score', () => {
+      const swings = result.tornado.map(bar => bar.swing);
+      expect(swings).to.deep.equal([...swings].sort((a, b) => b - a));
+      expect(swings[0]).to.be.closeTo(0.3, 1e-9);
+    });
+
+    it('summarises the ranks each candidate reached', () => {
+      const [ada, , cleo] = result.candidateStability;
+      expect(ada).to.include({ candidateId: 'a', baseRank: 1, bestRank: 1, worstRank: 2, stability: 0.6 });
+      expect(cleo).to.include({ baseRank: 3, bestRank: 3, worstRank: 3, rankStdDev: 0, stability: 1 });
+    });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Unit tests for interview and candidate stage synchronisation
+ * The model queries are replaced by an in-memory set of interviews and candidates.
+ */
+const { expect } = require('chai');
+const Interview = require('../../models/Interview');
+const Candidate = require('../../models/Candidate');
+const {
+  StageSyncError,
+  hasResults,
+  projectStage,
+  diffStage,
+  assertWritable,
+  writeInterviewStage,
+  reconcileCandidates
+} = require('../../utils/stageSync');
+
+const interviewDoc = (_id, stages, fields = {}) => ({
+  _id,
+  candidateId: 'c1',
+  status: 'scheduled',
+  stages: new Map(Object.entries(stages)),
+  ...fields
+});
+const candidateDoc = (_id, stages) => ({ _id, firstName: 'Ada', lastName: 'Lovelace', stages: new Map(Object.entries(stages)) });
+
+// Expect an async call to fail with a StageSyncError of the given code
+const expectConflict = async (promise, code) => {
+  let caught;
+  try {
+    await promise;
+  } catch (error) {
+    caught = error;
+  }
+  expect(caught).to.be.instanceOf(StageSyncError);
+  expect(caught.code).to.equal(code);
+  return caught;
+};
+
+describe('stageSync', () => {
+  const originals = {};
+  let store;
+  let writes;
+
+  beforeEach(() => {
+    store = { interviews: [], candidates: [], updated: null };
+    writes = { interviews: [], candidates: [] };
+    originals.find = Interview.find;
+    originals.findOneAndUpdate = Interview.findOneAndUpdate;
+    originals.findById = Candidate.findById;
+    originals.findByIdAndUpdate = Candidate.findByIdAndUpdate;
+
+    // Interviews come back newest first, as stored
+    Interview.find = (filter) => ({
+      sort: async () => store.interviews.filter(interview =>
+        interview.candidateId === filter.candidateId && interview.status !== 'cancelled')
+    });
+    Interview.findOneAndUpdate = async (filter, update) => {
+      writes.interviews.push({ filter, update });
+      return store.updated;
+    };
+    Candidate.findById = async (id) => store.candidates.find(candidate => candidate._id === id) || null;
+    Candidate.findByIdAndUpdate = async (id, update) => {
+      writes.candidates.push({ id, update });
+      return store.candidates.find(candidate => candidate._id === id);
+    };
+  });
+
+  afterEach(() => {
+    Interview.find = originals.find;
+    Interview.findOneAndUpdate = originals.findOneAndUpdate;
+    Candidate.findById = originals.findById;
+    Candidate.findByIdAndUpdate = originals.findByIdAndUpdate;
+  });
+
+  describe('hasResults and diffStage', () => {
+    it('counts completion, scores and scorecards as results', () => {
+      expect(hasResults({ completed: true })).to.equal(true);
+      expect(hasResults({ dimensions: new Map([['depth', 0.5]]) })).to.equal(true);
+      expect(hasResults({ scorecards: [{ interviewer: 'ana' }] })).to.equal(true);
+      expect(hasResults({ scheduled: true, date: new Date() })).to.equal(false);
+      expect(hasResults(undefined)).to.equal(false);
+    });
+
+    it('lists the synced fields that differ', () => {
+      expect(projectStage(undefined)).to.deep.equal({ completed: false, dimensions: {}, ratings: {}, rubricVersion: null, notes: null });
+      expect(diffStage(
+        { completed: true, dimensions: { depth: 0.4 }, score: 0.9 },
+        { completed: true, dimensions: new Map([['depth', 0.6]]) }
+      )).to.deep.equal([{ field: 'dimensions', candidate: { depth: 0.4 }, interview: { depth: 0.6 } }]);
+    });
+  });
+
+  describe('assertWritable', () => {
+    it('accepts a write at the current revision', async () => {
+      const interview = interviewDoc('i1', { onsite: { completed: true, revision: 2 } });
+      store.interviews = [interview];
+      await assertWritable(interview, 'onsite', { expectedRevision: 2, scores: true });
+    });
+
+    it('rejects writes to a cancelled interview', async () => {
+      await expectConflict(assertWritable(interviewDoc('i1', {}, { status: 'cancelled' }), 'onsite'), 'INTERVIEW_CANCELLED');
+    });
+
+    it('rejects a write based on an outdated revision', async () => {
+      const interview = interviewDoc('i1', { onsite: { completed: true, revision: 3 } });
+      const error = await expectConflict(assertWritable(interview, 'onsite', { expectedRevision: 2 }), 'REVISION_CONFLICT');
+      expect(error.details).to.deep.equal({ expectedRevision: 2, revision: 3 });
+    });
+
+    it('treats a stage without a revision as revision 0', async () => {
+      const interview = interviewDoc('i1', {});
+      store.interviews = [interview];
+      await assertWritable(interview, 'onsite', { expectedRevision: 0 });
+      await expectConflict(assertWritable(interview, 'onsite', { expectedRevision: 1 }), 'REVISION_CONFLICT');
+    });
+
+    it('rejects plain scores on a stage scored from scorecards', async () => {
+      const interview = interviewDoc('i1', { onsite: { scorecards: [{ interviewer: 'ana' }] } });
+      store.interviews = [interview];
+      await assertWritable(interview, 'onsite', { scores: false });
+      await expectConflict(assertWritable(interview, 'onsite', { scores: true }), 'SCORECARD_OWNED');
+    });
+
+    it('rejects a write when another interview holds the stage\'s results', async () => {
+      const holder = interviewDoc('i0', { onsite: { completed: true } });
+      const interview = interviewDoc('i1', { onsite: {} });
+      store.interviews = [holder, interview];
+      const error = await expectConflict(assertWritable(interview, 'onsite'), 'STAGE_HELD_ELSEWHERE');
+      expect(error.details).to.deep.equal({ interviewId: 'i0' });
+    });
+  });
+
+  describe('writeInterviewStage', () => {
+    it('bumps the revision only if the stage is still at the revision it was read at', async () => {
+      const interview = interviewDoc('i1', { onsite: { completed: true, revision: 4 } });
+      const updated = interviewDoc('i1', { onsite: { completed: true, dimensions: { depth: 0.7 }, revision: 5 } });
+      store.interviews = [updated];
+      store.candidates = [candidateDoc('c1', {})];
+      store.updated = updated;
+
+      const result = await writeInterviewStage(interview, 'onsite', { $set: { 'stages.onsite.dimensions.depth': 0.7 } });
+      expect(writes.interviews[0].filter).to.deep.equal({ _id: 'i1', 'stages.onsite.revision': 4 });
+      expect(writes.interviews[0].update.$set).to.deep.equal({
+        'stages.onsite.dimensions.depth': 0.7,
+        'stages.onsite.revision': 5
+      });
+      expect(result.interview).to.equal(updated);
+
+      // The candidate gets a copy of the new results and revision
+      const copy = writes.candidates[0].update.$set;
+      expect(copy['stages.onsite.dimensions']).to.deep.equal({ depth: 0.7 });
+      expect(copy['stages.onsite.revision']).to.equal(5);
+      expect(copy['stages.onsite.syncedFrom']).to.include({ interviewId: 'i1', revision: 5 });
+    });
+
+    it('matches stages that were never written as revision 0', async () => {
+      store.updated = interviewDoc('i1', { onsite: { completed: true, revision: 1 } });
+      store.interviews = [store.updated];
+      store.candidates = [candidateDoc('c1', {})];
+      await writeInterviewStage(interviewDoc('i1', { onsite: { completed: true } }), 'onsite', { $set: {} });
+      expect(writes.interviews[0].filter['stages.onsite.revision']).to.deep.equal({ $in: [0, null] });
+    });
+
+    it('rejects the write when another request changed the stage in between', async () => {
+      store.updated = null;
+      await expectConflict(
+        writeInterviewStage(interviewDoc('i1', { onsite: { completed: true, revision: 2 } }), 'onsite', { $set: {} }),
+        'REVISION_CONFLICT'
+      );
+      expect(writes.candidates).to.deep.equal([]);
+    });
+
+    it('adopts results recorded only on the candidate into an empty interview stage', async () => {
+      store.candidates = [candidateDoc('c1', { onsite: { completed: true, dimensions: { depth: 0.3, breadth: 0.8 } } })];
+      store.updated = interviewDoc('i1', { onsite: { completed: true, revision: 1 } });
+      store.interviews = [store.updated];
+      await writeInterviewStage(interviewDoc('i1', { onsite: {} }), 'onsite', { $set: { 'stages.onsite.dimensions.depth': 0.9 } });
+      expect(writes.interviews[0].update.$set).to.deep.equal({
+        'stages.onsite.completed': true,
+        'stages.onsite.dimensions.breadth': 0.8,
+        'stages.onsite.dimensions.depth': 0.9,
+        'stages.onsite.revision': 1
+      });
+    });
+  });
+
+  describe('reconcileCandidates', () => {
+    const stagesOf = () => ['onsite'];
+
+    it('reports each kind of drift without repairing it', async () => {
+      store.interviews = [interviewDoc('i1', { onsite: { completed: true, dimensions: { depth: 0.6 } } })];
+      const candidates = [
+        candidateDoc('c1', { onsite: { completed: true, dimensions: { depth: 0.4 }, syncedFrom: { interviewId: 'i1' } } }),
+        candidateDoc('c2', { onsite: { completed: true, syncedFrom: { interviewId: 'i9' } } }),
+        candidateDoc('c3', { onsite: { completed: true } }),
+        candidateDoc('c4', { onsite: { completed: true } })
+      ];
+      store.interviews.push(interviewDoc('i2', { onsite: {} }, { candidateId: 'c2' }));
+      store.interviews.push(interviewDoc('i3', { onsite: {} }, { candidateId: 'c3' }));
+
+      const report = await reconcileCandidates(candidates, stagesOf);
+      expect(report).to.include({ checked: 4, drifted: 4, repaired: 0 });
+      expect(report.issues.map(issue => [issue.candidateId, issue.kind, issue.interviewId])).to.deep.equal([
+        ['c1', 'mismatch', 'i1'],
+        ['c2', 'stale', 'i2'],
+        ['c3', 'unlinked', 'i3'],
+        ['c4', 'candidate-only', null]
+      ]);
+      expect(writes.interviews).to.deep.equal([]);
+      expect(writes.candidates).to.deep.equal([]);
+    });
+
+    it('skips stages whose copy matches the interview', async () => {
+      store.interviews = [interviewDoc('i1', { onsite: { completed: true, dimensions: { depth: 0.6 } } })];
+      const report = await reconcileCandidates([
+        candidateDoc('c1', { onsite: { completed: true, dimensions: { depth: 0.6 }, score: 0.6, syncedFrom: { interviewId: 'i1' } } })
+      ], stagesOf);
+      expect(report).to.include({ checked: 1, drifted: 0 });
+    });
+
+    it('repairs a mismatch by copying the interview to the candidate', async () => {
+      store.interviews = [interviewDoc('i1', { onsite: { completed: true, dimensions: { depth: 0.6 }, revision: 2 } })];
+      store.candidates = [candidateDoc('c1', { onsite: { completed: false, syncedFrom: { interviewId: 'i1' } } })];
+      const report = await reconcileCandidates(store.candidates, stagesOf, true);
+      expect(report.repaired).to.equal(1);
+      expect(writes.candidates[0].update.$set['stages.onsite.dimensions']).to.deep.equal({ depth: 0.6 });
+    });
+  });
+});
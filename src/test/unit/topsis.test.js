@@ -0,0 +1,99 @@
+/**
+ * Unit tests for TOPSIS and fuzzy TOPSIS
+ */
+const { expect } = require('chai');
+const {
+  toTriangularFuzzyNumber,
+  fuzzyDistance,
+  applyTOPSIS,
+  applyFuzzyTOPSIS
+} = require('../../utils/topsis');
+
+const expectClose = (actual, expected) => {
+  expect(actual).to.have.length(expected.length);
+  actual.forEach((value, i) => expect(value).to.be.closeTo(expected[i], 1e-9));
+};
+
+describe('topsis', () => {
+  describe('toTriangularFuzzyNumber', () => {
+    it('widens the spread as confidence drops and stays within 0-1', () => {
+      expectClose(toTriangularFuzzyNumber(0.5), [0.4, 0.5, 0.6]);
+      expectClose(toTriangularFuzzyNumber(0.5, 0), [0.3, 0.5, 0.7]);
+      expectClose(toTriangularFuzzyNumber(0.95, 1, 0.1), [0.85, 0.95, 1]);
+      expectClose(toTriangularFuzzyNumber(0, 0.5, 0.2), [0, 0, 0.3]);
+    });
+  });
+
+  describe('fuzzyDistance', () => {
+    it('is the root mean square of the vertex differences', () => {
+      expect(fuzzyDistance([0.1, 0.2, 0.3], [0.1, 0.2, 0.3])).to.equal(0);
+      expect(fuzzyDistance([0, 0, 0], [0.3, 0.3, 0.3])).to.be.closeTo(0.3, 1e-12);
+      expect(fuzzyDistance([0, 0.5, 1], [0, 0.2, 1])).to.be.closeTo(Math.sqrt(0.03), 1e-12);
+    });
+  });
+
+  describe('applyTOPSIS', () => {
+    it('normalises by column, weights and measures the distances to both ideals', () => {
+      // Normalised by the column norm 5: A = (0.36, 0.32), B = (0.48, 0.24)
+      const { results, ideal, antiIdeal } = applyTOPSIS([
+        { values: { skills: 3, experience: 4 } },
+        { values: { skills: 4, experience: 3 } }
+      ], { skills: 0.6, experience: 0.4 });
+
+      expect(ideal.skills).to.be.closeTo(0.48, 1e-9);
+      expect(antiIdeal.experience).to.be.closeTo(0.24, 1e-9);
+      expect(results[0].distanceToIdeal).to.be.closeTo(0.12, 1e-9);
+      expect(results[0].distanceToAntiIdeal).to.be.closeTo(0.08, 1e-9);
+      expect(results[0].closeness).to.be.closeTo(0.4, 1e-9);
+      expect(results[1].closeness).to.be.closeTo(0.6, 1e-9);
+    });
+
+    it('puts a dominating candidate at 1 and a dominated one at 0', () => {
+      const { results } = applyTOPSIS([
+        { values: { skills: 0.9, experience: 0.8 } },
+        { values: { skills: 0.5, experience: 0.6 } },
+        { values: { skills: 0.2, experience: 0.1 } }
+      ], { skills: 0.5, experience: 0.5 });
+
+      expect(results[0].closeness).to.equal(1);
+      expect(results[1].closeness).to.be.within(0, 1);
+      expect(results[2].closeness).to.equal(0);
+    });
+
+    it('scores a missing value as 0 and an all-equal pool as ideal', () => {
+      const { results } = applyTOPSIS([{ values: { skills: 0.4 } }, { values: {} }], { skills: 1 });
+      expect(results.map(result => result.closeness)).to.deep.equal([1, 0]);
+
+      const tied = applyTOPSIS([{ values: { skills: 0.4 } }, { values: { skills: 0.4 } }], { skills: 1 });
+      expect(tied.results.map(result => result.closeness)).to.deep.equal([1, 1]);
+    });
+  });
+
+  describe('applyFuzzyTOPSIS', () => {
+    it('builds the fuzzy ideals from the weighted, normalised pool', () => {
+      const { results, ideal, antiIdeal } = applyFuzzyTOPSIS([
+        { values: { skills: 0.8 } },
+        { values: { skills: 0.4 } }
+      ], { skills: 0.5 });
+
+      // Normalised by the largest upper bound 0.9, then weighted by 0.5
+      expectClose(ideal.skills, [0.7 / 1.8, 0.8 / 1.8, 0.5]);
+      expectClose(antiIdeal.skills, [0.3 / 1.8, 0.4 / 1.8, 0.5 / 1.8]);
+      expect(results[0].closeness).to.equal(1);
+      expect(results[1].closeness).to.equal(0);
+    });
+
+    it('uses each score confidence for its spread', () => {
+      const { results } = applyFuzzyTOPSIS([
+        { values: { skills: 0.8 }, confidences: { skills: 1 } },
+        { values: { skills: 0.8 }, confidences: { skills: 0 } }
+      ], { skills: 1 }, { spread: 0.1 });
+
+      expectClose(results[0].weightedValues.skills, [0.7, 0.8, 0.9]);
+      expectClose(results[1].weightedValues.skills, [0.6, 0.8, 1]);
+      // Neither is better at every vertex, so both sit halfway between the ideals
+      expect(results[0].closeness).to.be.closeTo(0.5, 1e-9);
+      expect(results[1].closeness).to.be.closeTo(0.5, 1e-9);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Analytic Hierarchy Process
+ * Derives criteria weights from a pairwise comparison matrix (Saaty 1-9 scale)
+ * and checks how consistent the judgements are.
+ */
+
+// Saaty's random consistency index by matrix size (index = n)
+const RANDOM_INDEX = [0, 0, 0, 0.58, 0.90, 1.12, 1.24, 1.32, 1.41, 1.45, 1.49, 1.51, 1.48, 1.56, 1.57, 1.59];
+
+// Matrices with a consistency ratio above this are usually revised
+const DEFAULT_CR_THRESHOLD = 0.1;
+
+const SAATY_SCALE = [1 / 9, 1 / 8, 1 / 7, 1 / 6, 1 / 5, 1 / 4, 1 / 3, 1 / 2, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+const POWER_ITERATIONS = 100;
+const POWER_TOLERANCE = 1e-10;
+const RECIPROCAL_TOLERANCE = 0.01;
+
+/**
+ * Validate a pairwise comparison matrix
+ * @param {Array} matrix - Square matrix of positive judgements
+ * @param {Number} size - Expected number of criteria
+ * @returns {Array} - List of validation error messages (empty when valid)
+ */
+const validatePairwiseMatrix = (matrix, size) => {
+  if (!Array.isArray(matrix) || matrix.length !== size ||
+      matrix.some(row => !Array.isArray(row) || row.length !== size)) {
+    return [`Matrix must be ${size}x${size}, one row and column per criterion`];
+  }
+
+  const errors = [];
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) {
+      const value = matrix[i][j];
+      if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+        errors.push(`Entry [${i}][${j}] must be a positive number`);
+      } else if (i === j && value !== 1) {
+        errors.push(`Diagonal entry [${i}][${i}] must be 1`);
+      } else if (value < 1 / 9 - 1e-9 || value > 9 + 1e-9) {
+        errors.push(`Entry [${i}][${j}] must be between 1/9 and 9`);
+      } else if (i < j && Math.abs(value * matrix[j][i] - 1) > RECIPROCAL_TOLERANCE) {
+        errors.push(`Entries [${i}][${j}] and [${j}][${i}] must be reciprocal`);
+      }
+    }
+  }
+  return errors;
+};
+
+/**
+ * Principal eigenvector of a positive matrix by power iteration
+ * @param {Array} matrix - Pairwise comparison matrix
+ * @returns {Object} - Normalised eigenvector (weights) and principal eigenvalue
+ */
+const principalEigenvector = (matrix) => {
+  const n = matrix.length;
+  let vector = Array(n).fill(1 / n);
+
+  for (let iteration = 0; iteration < POWER_ITERATIONS; iteration++) {
+    const product = matrix.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+    const total = product.reduce((sum, value) => sum + value, 0);
+    const next = product.map(value => value / total);
+    const change = next.reduce((max, value, i) => Math.max(max, Math.abs(value - vector[i])), 0);
+    vector = next;
+    if (change < POWER_TOLERANCE) break;
+  }
+
+  // lambda_max = average of (A w)_i / w_i
+  const product = matrix.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+  const lambdaMax = product.reduce((sum, value, i) => sum + value / vector[i], 0) / n;
+
+  return { vector, lambdaMax };
+};
+
+/**
+ * Closest value on the Saaty 1-9 scale (compared on a log scale)
+ * @param {Number} value - Ratio
+ * @returns {Number} - Saaty scale value
+ */
+const nearestSaatyValue = (value) => SAATY_SCALE.reduce((best, candidate) =>
+  Math.abs(Math.log(candidate) - Math.log(value)) < Math.abs(Math.log(best) - Math.log(value)) ? candidate : best
+);
+
+/**
+ * Rank criterion pairs by how far the judgement is from the ratio implied by the weights
+ * @param {Array} matrix - Pairwise comparison matrix
+ * @param {Array} weights - Priority vector
+ * @param {Array} criteria - Criterion names in matrix order
+ * @returns {Array} - Pairs, most inconsistent first, with a suggested judgement
+ */
+const findInconsistentPairs = (matrix, weights, criteria) => {
+  const pairs = [];
+  for (let i = 0; i < matrix.length; i++) {
+    for (let j = i + 1; j < matrix.length; j++) {
+      const implied = weights[i] / weights[j];
+      const ratio = matrix[i][j] / implied;
+      pairs.push({
+        criteria: [criteria[i], criteria[j]],
+        given: matrix[i][j],
+        implied,
+        suggested: nearestSaatyValue(implied),
+        // 1 means the judgement agrees with the weights; larger is worse in either direction
+        deviation: Math.max(ratio, 1 / ratio)
+      });
+    }
+  }
+  return pairs.sort((a, b) => b.deviation - a.deviation);
+};
+
+/**
+ * Compute AHP weights and consistency for a pairwise comparison matrix
+ * @param {Array} matrix - Pairwise comparison matrix (validated)
+ * @param {Array} criteria - Criterion names in matrix order
+ * @returns {Object} - Weights by criterion, lambda max, CI, CR and the pairs ranked by inconsistency
+ */
+const computeAhpWeights = (matrix, criteria) => {
+  const n = matrix.length;
+  const { vector, lambdaMax } = principalEigenvector(matrix);
+
+  const consistencyIndex = n > 2 ? (lambdaMax - n) / (n - 1) : 0;
+  const randomIndex = n < RANDOM_INDEX.length ? RANDOM_INDEX[n] : RANDOM_INDEX[RANDOM_INDEX.length - 1];
+  // Matrices of size 1 and 2 are always consistent
+  const consistencyRatio = randomIndex > 0 ? Math.max(0, consistencyIndex) / randomIndex : 0;
+
+  const weights = {};
+  criteria.forEach((criterion, i) => {
+    weights[criterion] = vector[i];
+  });
+
+  return {
+    weights,
+    lambdaMax,
+    consistencyIndex,
+    randomIndex,
+    consistencyRatio,
+    inconsistentPairs: findInconsistentPairs(matrix, vector, criteria)
+  };
+};
+
+module.exports = {
+  DEFAULT_CR_THRESHOLD,
+  RANDOM_INDEX,
+  validatePairwiseMatrix,
+  principalEigenvector,
+  computeAhpWeights
+};
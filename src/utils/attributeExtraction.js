@@ -0,0 +1,470 @@
+/**
+ * Resume-to-attributes mapping engine
+ * Turns parsed resume data into candidate attributes and an initial WSM score.
+ * Skill taxonomies, role keywords, education scale and criterion mappings come
+ * from DEFAULT_ATTRIBUTE_CONFIG, overridden per job by `job.attributeConfig`.
+ */
+const { calculateFuzzyScore, explainWSM } = require('./scoring');
+const { capacityFromJob, explainChoquet } = require('./choquet');
+const { defaultOntology } = require('./skillOntology');
+const { membershipLabel } = require('./linguisticTerms');
+const { buildCriteriaBreakdown } = require('./scoreExplanation');
+
+const DEFAULT_ATTRIBUTE_CONFIG = {
+  // Skill categories counted as `<category>_count` attributes
+  skillCategories: {
+    'programming_languages': ['java', 'python', 'javascript', 'typescript', 'c++', 'c#', 'go', 'ruby', 'php', 'swift', 'kotlin'],
+    'web_frameworks': ['react', 'angular', 'vue', 'next', 'django', 'flask', 'express', 'spring', 'laravel'],
+    'databases': ['sql', 'mysql', 'postgresql', 'mongodb', 'dynamodb', 'oracle', 'cassandra', 'redis'],
+    'cloud_services': ['aws', 'azure', 'gcp', 'google cloud', 'firebase', 'heroku', 'vercel']
+  },
+  // Role types counted as `<role>_experience` attributes; `requires` limits a role to entries already matching another
+  roleTypes: {
+    developer: { keywords: ['developer', 'dev'] },
+    engineer: { keywords: ['engineer'] },
+    intern: { keywords: ['intern'] },
+    designer: { keywords: ['design'] },
+    fullstack: { keywords: ['full', 'fullstack', 'full-stack'], requires: 'developer' }
+  },
+  // Education levels, first match sets `has_<name>`; score is used by the education criterion
+  educationLevels: [
+    { name: 'bachelors', keywords: ['bachelor'], score: 0.6 },
+    { name: 'masters', keywords: ['master'], score: 0.8 },
+    { name: 'phd', keywords: ['phd', 'doctor'], score: 1.0 }
+  ],
+  // Fields of study flagged as `has_<name>` attributes
+  degreeFields: {
+    cs_degree: ['computer', 'software', 'it']
+  },
+  // Criteria whose sanitized name contains the keyword are scored from an attribute.
+  // `source: 'educationLevel'` uses the education level score, `scale` normalises raw values when no target is set
+  criterionMappings: {
+    education: { source: 'educationLevel' },
+    degree: { attribute: 'has_cs_degree' },
+    experience: { attribute: 'yearsOfExperience', scale: 10 },
+    programming: { attribute: 'programming_languages_count', scale: 5 },
+    languages: { attribute: 'programming_languages_count', scale: 5 },
+    frameworks: { attribute: 'web_frameworks_count', scale: 5 },
+    database: { attribute: 'databases_count', scale: 5 },
+    cloud: { attribute: 'cloud_services_count', scale: 5 }
+  }
+};
+
+/**
+ * Sanitize a key for use in a MongoDB Map
+ * @param {String} key - Raw key
+ * @returns {String} - Lowercase key without dots or whitespace
+ */
+const sanitizeKey = (key) => String(key).toLowerCase().replace(/\./g, '_').replace(/\s+/g, '_');
+
+/**
+ * Convert a Mongoose subdocument or Map into a plain object
+ * @param {*} value - Value to convert
+ * @returns {*} - Plain value
+ */
+const toPlain = (value) => {
+  if (value instanceof Map) return Object.fromEntries(value.entries());
+  if (value && typeof value.toObject === 'function') return value.toObject();
+  return value;
+};
+
+/**
+ * Merge a job's attribute configuration over the defaults
+ * @param {Object} job - Job document (optional)
+ * @returns {Object} - Resolved attribute configuration
+ */
+const resolveAttributeConfig = (job) => {
+  const overrides = toPlain(job && job.attributeConfig) || {};
+
+  return {
+    skillCategories: { ...DEFAULT_ATTRIBUTE_CONFIG.skillCategories, ...(toPlain(overrides.skillCategories) || {}) },
+    roleTypes: { ...DEFAULT_ATTRIBUTE_CONFIG.roleTypes, ...(toPlain(overrides.roleTypes) || {}) },
+    educationLevels: Array.isArray(overrides.educationLevels) && overrides.educationLevels.length > 0
+      ? overrides.educationLevels
+      : DEFAULT_ATTRIBUTE_CONFIG.educationLevels,
+    degreeFields: { ...DEFAULT_ATTRIBUTE_CONFIG.degreeFields, ...(toPlain(overrides.degreeFields) || {}) },
+    criterionMappings: { ...DEFAULT_ATTRIBUTE_CONFIG.criterionMappings, ...(toPlain(overrides.criterionMappings) || {}) }
+  };
+};
+
+/**
+ * Validate an attribute configuration supplied for a job
+ * @param {Object} config - Attribute configuration overrides
+ * @returns {Array} - List of validation error messages (empty when valid)
+ */
+const validateAttributeConfig = (config) => {
+  const errors = [];
+  const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['Attribute config must be an object'];
+  }
+
+  Object.entries(config.skillCategories || {}).forEach(([category, keywords]) => {
+    if (!isStringArray(keywords)) {
+      errors.push(`Skill category ${category} must be an array of keywords`);
+    }
+  });
+
+  Object.entries(config.roleTypes || {}).forEach(([role, definition]) => {
+    const keywords = Array.isArray(definition) ? definition : definition && definition.keywords;
+    if (!isStringArray(keywords)) {
+      errors.push(`Role type ${role} must have an array of keywords`);
+    }
+  });
+
+  if (config.educationLevels !== undefined) {
+    if (!Array.isArray(config.educationLevels)) {
+      errors.push('Education levels must be an array');
+    } else {
+      config.educationLevels.forEach((level, index) => {
+        if (!level || typeof level.name !== 'string' || !isStringArray(level.keywords) ||
+            typeof level.score !== 'number' || level.score < 0 || level.score > 1) {
+          errors.push(`Education level ${index} must have a name, keywords and a score between 0 and 1`);
+        }
+      });
+    }
+  }
+
+  Object.entries(config.degreeFields || {}).forEach(([field, keywords]) => {
+    if (!isStringArray(keywords)) {
+      errors.push(`Degree field ${field} must be an array of keywords`);
+    }
+  });
+
+  Object.entries(config.criterionMappings || {}).forEach(([keyword, mapping]) => {
+    if (!mapping || (mapping.source !== 'educationLevel' && typeof mapping.attribute !== 'string')) {
+      errors.push(`Criterion mapping ${keyword} must reference an attribute or the educationLevel source`);
+    } else if (mapping.scale !== undefined && (typeof mapping.scale !== 'number' || mapping.scale <= 0)) {
+      errors.push(`Criterion mapping ${keyword} scale must be a positive number`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Extract basic contact information from parsed resume data
+ * @param {Object} resumeData - Parsed resume data
+ * @returns {Object} - First name, last name, email and phone
+ */
+const extractContactInfo = (resumeData) => ({
+  firstName: resumeData.Name ? resumeData.Name.split(' ')[0] : '',
+  lastName: resumeData.Name ? resumeData.Name.split(' ').slice(1).join(' ') : '',
+  email: resumeData.Email || '',
+  phone: resumeData.Phone || ''
+});
+
+/**
+ * Check whether a resume skill belongs to a skill category keyword
+ * Known skills are compared by canonical id, so "Golang" matches "go" but "Google Cloud" does not.
+ * Unknown skills match keywords on whole words of their sanitized name ("aws_lambda" matches "aws").
+ * @param {Object} skill - Skill entry with raw name and canonical id
+ * @param {String} keyword - Category keyword
+ * @param {Object} ontology - Skill ontology
+ * @returns {Boolean} - True if the skill falls under the keyword
+ */
+const skillMatchesKeyword = (skill, keyword, ontology) => {
+  const keywordId = ontology.normalize(keyword);
+  if (skill.canonical && keywordId) {
+    return skill.canonical === keywordId;
+  }
+
+  const escaped = sanitizeKey(keyword).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|_)${escaped}(_|$)`).test(sanitizeKey(skill.raw));
+};
+
+/**
+ * Map parsed resume data to candidate attributes
+ * @param {Object} resumeData - Parsed resume data
+ * @param {Object} config - Resolved attribute configuration
+ * @param {Object} ontology - Skill ontology used to normalise skill names
+ * @returns {Map} - Candidate attributes
+ */
+const extractAttributes = (resumeData, config = resolveAttributeConfig(), ontology = defaultOntology) => {
+  const attributes = new Map();
+
+  // Normalise skills to canonical ids, dropping duplicate spellings (React, ReactJS, react.js)
+  const skills = [];
+  (Array.isArray(resumeData.Skills) ? resumeData.Skills : []).forEach(raw => {
+    const canonical = ontology.normalize(raw);
+    const key = canonical || sanitizeKey(raw);
+    if (key && !skills.some(skill => skill.key === key)) {
+      skills.push({ raw, canonical, key });
+    }
+  });
+
+  // Add skills
+  skills.forEach(skill => {
+    attributes.set(skill.key, true);
+  });
+  if (skills.length > 0) {
+    attributes.set('skills', skills.map(skill => skill.key));
+  }
+
+  // Add years of experience
+  if (resumeData['Total Estimated Years of Experience']) {
+    attributes.set('yearsOfExperience', parseFloat(resumeData['Total Estimated Years of Experience']) || 0);
+  }
+
+  // Count experience entries by role type (developer, engineer, etc.)
+  if (Array.isArray(resumeData['Experience Details'])) {
+    const roleCounts = {};
+    Object.keys(config.roleTypes).forEach(role => { roleCounts[role] = 0; });
+
+    resumeData['Experience Details'].forEach(exp => {
+      const role = exp.Roles ? String(exp.Roles).toLowerCase() : '';
+      const matched = new Set();
+
+      // Roles without a prerequisite first, so `requires` can see them
+      const orderedRoles = Object.entries(config.roleTypes)
+        .sort(([, a], [, b]) => (a && a.requires ? 1 : 0) - (b && b.requires ? 1 : 0));
+
+      orderedRoles.forEach(([roleType, definition]) => {
+        const keywords = Array.isArray(definition) ? definition : definition.keywords;
+        const requires = Array.isArray(definition) ? null : definition.requires;
+
+        if (requires && !matched.has(requires)) return;
+        if (keywords.some(keyword => role.includes(keyword.toLowerCase()))) {
+          matched.add(roleType);
+          roleCounts[roleType] += 1;
+        }
+      });
+    });
+
+    // Add role counts as attributes
+    Object.entries(roleCounts).forEach(([role, count]) => {
+      if (count > 0) {
+        attributes.set(`${role}_experience`, count);
+      }
+    });
+  }
+
+  // Add education level and field of study flags
+  if (Array.isArray(resumeData['Education Details']) && resumeData['Education Details'].length > 0) {
+    const education = resumeData['Education Details'][0];
+
+    if (education['education level']) {
+      const level = education['education level'].toLowerCase();
+      attributes.set('education_level', level);
+
+      const matchedLevel = config.educationLevels.find(educationLevel =>
+        educationLevel.keywords.some(keyword => level.includes(keyword.toLowerCase()))
+      );
+      if (matchedLevel) {
+        attributes.set(`has_${matchedLevel.name}`, true);
+      }
+    }
+
+    if (education['field of study']) {
+      const field = education['field of study'].toLowerCase();
+      attributes.set('field_of_study', field);
+
+      Object.entries(config.degreeFields).forEach(([flag, keywords]) => {
+        if (keywords.some(keyword => field.includes(keyword.toLowerCase()))) {
+          attributes.set(`has_${flag}`, true);
+        }
+      });
+    }
+  }
+
+  // Count skills by category
+  Object.entries(config.skillCategories).forEach(([category, keywords]) => {
+    const count = skills.filter(skill =>
+      keywords.some(keyword => skillMatchesKeyword(skill, keyword, ontology))
+    ).length;
+
+    if (count > 0) {
+      attributes.set(`${sanitizeKey(category)}_count`, count);
+    }
+  });
+
+  return attributes;
+};
+
+/**
+ * Resolve the raw value of a mapped criterion from candidate attributes
+ * @param {Object} mapping - Criterion mapping definition
+ * @param {Map} attributes - Candidate attributes
+ * @param {Object} config - Resolved attribute configuration
+ * @returns {Number} - Raw criterion value
+ */
+const resolveMappedValue = (mapping, attributes, config) => {
+  if (mapping.source === 'educationLevel') {
+    // Highest scoring education level the candidate holds
+    return config.educationLevels.reduce((best, level) =>
+      attributes.get(`has_${level.name}`) ? Math.max(best, level.score) : best, 0);
+  }
+
+  const value = attributes.get(mapping.attribute);
+  if (typeof value === 'boolean') return value ? 1.0 : 0;
+  return value || 0;
+};
+
+/**
+ * Score candidate attributes against a job's criteria and weights
+ * Adds `<attribute>_fuzzyScore` and `<attribute>_membershipFunction` entries to the attributes map.
+ * @param {Map} attributes - Candidate attributes
+ * @param {Object} job - Job document with criteria and finalWeights
+ * @param {Object} options - Scoring options
+ * @param {Number} options.fuzzyFactor - Fuzzy factor for membership functions
+ * @param {String} options.membershipType - Membership function type
+ * @param {Object} options.config - Resolved attribute configuration (defaults to the job's)
+ * @param {Object} options.ontology - Skill ontology for partial credit on skill lists
+ * @param {Object} options.linguistic - Linguistic library for criteria whose target references a term
+ * @returns {Object} - Initial score, confidence and per-criterion breakdown (null when the job has no weights)
+ */
+const scoreAttributes = (attributes, job, options = {}) => {
+  const {
+    fuzzyFactor = 0.2,
+    membershipType = 'simple',
+    config = resolveAttributeConfig(job),
+    ontology = defaultOntology,
+    linguistic
+  } = options;
+
+  if (!job.finalWeights || !(job.finalWeights.size > 0 || Object.keys(job.finalWeights || {}).length > 0)) {
+    return { initialScore: null, confidenceScore: null, scoreBreakdown: null };
+  }
+
+  // Get weights in the right format
+  const weights = job.finalWeights instanceof Map ?
+    Object.fromEntries(job.finalWeights.entries()) : job.finalWeights;
+
+  const scoredAttributes = {};
+  const attributeConfidences = {};
+  const criterionDetails = {};
+
+  // First, try direct matching between attributes and criteria. Names must match exactly: a
+  // partial match would pair e.g. the `skills` list with a numeric `skills_count` criterion
+  for (const [key, value] of [...attributes.entries()]) {
+    const criterion = job.criteria.find(c => sanitizeKey(c.name) === key);
+
+    if (criterion && criterion.targetValue !== undefined) {
+      const fuzzyScore = calculateFuzzyScore(value, criterion.targetValue, fuzzyFactor, membershipType, { ontology, linguistic });
+      const membershipFunction = membershipLabel(criterion.targetValue, membershipType);
+
+      // Store for WSM calculation
+      scoredAttributes[criterion.name] = fuzzyScore;
+      attributeConfidences[criterion.name] = 1.0; // Default confidence
+      criterionDetails[criterion.name] = {
+        attribute: key,
+        source: 'direct',
+        rawValue: value,
+        targetValue: criterion.targetValue,
+        membershipFunction
+      };
+
+      // Add fuzzy score to attributes
+      attributes.set(`${key}_fuzzyScore`, fuzzyScore);
+      attributes.set(`${key}_membershipFunction`, membershipFunction);
+    }
+  }
+
+  // Apply configured mappings for unmatched criteria
+  for (const criterion of job.criteria) {
+    // Skip already matched criteria
+    if (scoredAttributes[criterion.name]) continue;
+
+    for (const [keyword, mapping] of Object.entries(config.criterionMappings)) {
+      if (!sanitizeKey(criterion.name).includes(sanitizeKey(keyword))) continue;
+
+      const rawValue = resolveMappedValue(mapping, attributes, config);
+      let fuzzyScore;
+      let membershipFunction;
+
+      if (criterion.targetValue !== undefined) {
+        // If the criterion has a target value, use fuzzy matching
+        fuzzyScore = calculateFuzzyScore(rawValue, criterion.targetValue, fuzzyFactor, membershipType, { linguistic });
+        membershipFunction = membershipLabel(criterion.targetValue, membershipType);
+      } else if (mapping.scale) {
+        // Otherwise, normalize the value based on the configured range
+        fuzzyScore = Math.min(rawValue / mapping.scale, 1);
+        membershipFunction = `linear(0-${mapping.scale})`;
+      } else {
+        fuzzyScore = rawValue;
+        membershipFunction = 'identity';
+      }
+
+      // Store for WSM calculation
+      scoredAttributes[criterion.name] = fuzzyScore;
+      attributeConfidences[criterion.name] = 0.8; // Lower confidence for mapped attributes
+      criterionDetails[criterion.name] = {
+        attribute: mapping.attribute || mapping.source,
+        source: 'mapped',
+        rawValue,
+        targetValue: criterion.targetValue,
+        membershipFunction
+      };
+      break;
+    }
+  }
+
+  // If we have attributes to score and weights
+  if (Object.keys(scoredAttributes).length > 0 && Object.keys(weights).length > 0) {
+    // Use the job's Choquet capacity when it has one, otherwise the weighted sum model
+    const capacity = capacityFromJob(job);
+    const scoreResult = capacity
+      ? explainChoquet(scoredAttributes, capacity, attributeConfidences)
+      : explainWSM(scoredAttributes, weights, attributeConfidences);
+    return {
+      initialScore: scoreResult.score,
+      confidenceScore: scoreResult.confidence,
+      scoreBreakdown: buildCriteriaBreakdown(scoreResult, {
+        method: capacity ? 'choquet' : 'wsm',
+        details: criterionDetails,
+        weights: capacity ? capacity.singletons : weights,
+        settings: { fuzzyFactor, membershipType }
+      })
+    };
+  }
+
+  // Fallback scoring if no criteria matched
+  return {
+    initialScore: 0.5, // Neutral score
+    confidenceScore: 0.5, // Low confidence
+    scoreBreakdown: {
+      method: 'fallback',
+      settings: { fuzzyFactor, membershipType },
+      score: 0.5,
+      confidence: 0.5,
+      criteria: [],
+      note: 'No job criteria matched the resume attributes; a neutral score was assigned',
+      computedAt: new Date()
+    }
+  };
+};
+
+/**
+ * Build candidate fields from parsed resume data for a job
+ * Entry point for every resume ingestion path.
+ * @param {Object} resumeData - Parsed resume data
+ * @param {Object} job - Job document
+ * @param {Object} options - Scoring options (fuzzyFactor, membershipType, ontology, linguistic)
+ * @returns {Object} - Contact info, attributes, initial score, confidence and score breakdown
+ */
+const buildCandidateFromResume = (resumeData, job, options = {}) => {
+  const { ontology = defaultOntology } = options;
+  const config = resolveAttributeConfig(job);
+  const attributes = extractAttributes(resumeData, config, ontology);
+  const { initialScore, confidenceScore, scoreBreakdown } = scoreAttributes(attributes, job, { ...options, config, ontology });
+
+  return {
+    ...extractContactInfo(resumeData),
+    attributes,
+    initialScore,
+    confidenceScore,
+    scoreBreakdown
+  };
+};
+
+module.exports = {
+  DEFAULT_ATTRIBUTE_CONFIG,
+  sanitizeKey,
+  resolveAttributeConfig,
+  validateAttributeConfig,
+  extractContactInfo,
+  extractAttributes,
+  scoreAttributes,
+  buildCandidateFromResume
+};
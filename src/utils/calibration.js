@@ -0,0 +1,421 @@
+/**
+ * Interviewer calibration
+ * Collects every interviewer's ratings across interviews (stage dimension scores and scorecard
+ * scores) and estimates how lenient or severe each interviewer is, either by z-score
+ * normalisation against the pool of all ratings or with a many-facet Rasch model on the logit
+ * scale (candidate ability, interviewer severity, rubric item difficulty). A calibration can
+ * adjust an interviewer's scores before they are aggregated, and flags interviewers whose
+ * leniency has drifted between their earlier and most recent ratings.
+ */
+
+const Calibration = require('../models/Calibration');
+
+const CALIBRATION_METHODS = ['zscore', 'rasch'];
+
+// Interviewers with fewer ratings are reported but their scores are not adjusted
+const DEFAULT_MIN_OBSERVATIONS = 5;
+// Number of most recent ratings compared with the earlier ones for drift
+const DEFAULT_DRIFT_WINDOW = 10;
+// Change in leniency (on the 0-1 score scale) that flags an interviewer as drifting
+const DEFAULT_DRIFT_THRESHOLD = 0.1;
+
+// Ratings are kept away from 0 and 1 before taking logits
+const LOGIT_EPSILON = 0.01;
+const RASCH_MAX_ITERATIONS = 200;
+const RASCH_TOLERANCE = 1e-6;
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / (values.length - 1));
+};
+const logit = (value) => {
+  const p = Math.max(LOGIT_EPSILON, Math.min(1 - LOGIT_EPSILON, value));
+  return Math.log(p / (1 - p));
+};
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+const toObject = (map) => (map instanceof Map ? Object.fromEntries(map) : { ...(map || {}) });
+
+/**
+ * Every interviewer rating recorded on a set of interviews
+ * Scorecards give one rating per rubric item; stages without scorecards give the stage
+ * interviewer's dimension scores.
+ * @param {Array} interviews - Interview documents or plain objects
+ * @returns {Array} - Ratings { interviewer, interviewId, candidateId, jobId, stage, item, value, date }
+ */
+const collectObservations = (interviews) => {
+  const observations = [];
+  interviews.forEach(interview => {
+    const stages = interview.stages instanceof Map ? [...interview.stages.entries()] : Object.entries(interview.stages || {});
+    stages.forEach(([stage, data]) => {
+      if (!data) return;
+      const base = {
+        interviewId: interview._id,
+        candidateId: String(interview.candidateId),
+        jobId: String(interview.jobId),
+        stage
+      };
+      const scorecards = data.scorecards || [];
+      if (scorecards.length > 0) {
+        scorecards.forEach(card => {
+          Object.entries(toObject(card.scores)).forEach(([item, value]) => {
+            observations.push({
+              ...base,
+              interviewer: card.interviewer,
+              item: `${stage}.${item}`,
+              value,
+              date: new Date(card.submittedAt || interview.scheduledDate)
+            });
+          });
+        });
+      } else if (data.interviewer) {
+        Object.entries(toObject(data.dimensions)).forEach(([item, value]) => {
+          observations.push({
+            ...base,
+            interviewer: data.interviewer,
+            item: `${stage}.${item}`,
+            value,
+            date: new Date(data.date || interview.scheduledDate)
+          });
+        });
+      }
+    });
+  });
+  return observations.filter(observation => typeof observation.value === 'number');
+};
+
+/**
+ * Summary of a set of scores
+ * @param {Array} values - Scores between 0 and 1
+ * @returns {Object} - Count, mean, standard deviation, min, median, max and a five-bin histogram
+ */
+const describeDistribution = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const histogram = [0, 0, 0, 0, 0];
+  sorted.forEach(value => {
+    histogram[Math.min(4, Math.floor(value * 5))] += 1;
+  });
+  return {
+    count: sorted.length,
+    mean: mean(sorted),
+    sd: standardDeviation(sorted),
+    min: sorted.length > 0 ? sorted[0] : null,
+    median: sorted.length === 0 ? null : (sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2),
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    histogram: histogram.map((count, bin) => ({ from: bin / 5, to: (bin + 1) / 5, count }))
+  };
+};
+
+/**
+ * Group ratings by interviewer
+ * @param {Array} observations - Ratings
+ * @returns {Map} - Interviewer -> ratings
+ */
+const byInterviewer = (observations) => {
+  const groups = new Map();
+  observations.forEach(observation => {
+    if (!groups.has(observation.interviewer)) groups.set(observation.interviewer, []);
+    groups.get(observation.interviewer).push(observation);
+  });
+  return groups;
+};
+
+/**
+ * Z-score model: each interviewer's ratings are rescaled to the pool's mean and spread
+ * Interviewer means and spreads are shrunk towards the pool's with weight n / (n + minObservations),
+ * so a handful of ratings cannot produce an extreme correction.
+ * @param {Array} observations - Ratings
+ * @param {Number} minObservations - Shrinkage strength
+ * @returns {Object} - { global: { mean, sd }, interviewers: { name: { mean, sd } } }
+ */
+const fitZScore = (observations, minObservations) => {
+  const values = observations.map(observation => observation.value);
+  const global = { mean: mean(values), sd: standardDeviation(values) };
+
+  const interviewers = {};
+  byInterviewer(observations).forEach((ratings, interviewer) => {
+    const own = ratings.map(rating => rating.value);
+    const shrink = own.length / (own.length + minObservations);
+    const ownSd = standardDeviation(own);
+    interviewers[interviewer] = {
+      mean: shrink * mean(own) + (1 - shrink) * global.mean,
+      sd: own.length >= 2 ? shrink * ownSd + (1 - shrink) * global.sd : global.sd
+    };
+  });
+
+  return { global, interviewers };
+};
+
+/**
+ * Many-facet Rasch model on the logit scale: logit(rating) = ability(candidate) - severity(interviewer)
+ * - difficulty(rubric item), fitted by alternating least squares. Severities and difficulties are
+ * centred on 0. Candidates seen by several interviewers (across stages too) are what separates
+ * interviewer severity from candidate ability.
+ * @param {Array} observations - Ratings
+ * @returns {Object} - Abilities, severities, difficulties, per-interviewer infit mean squares and iterations
+ */
+const fitRasch = (observations) => {
+  const data = observations.map(observation => ({ ...observation, logit: logit(observation.value) }));
+  const ability = new Map();
+  const severity = new Map();
+  const difficulty = new Map();
+  data.forEach(observation => {
+    ability.set(observation.candidateId, 0);
+    severity.set(observation.interviewer, 0);
+    difficulty.set(observation.item, 0);
+  });
+
+  // Mean of a facet's implied values over its ratings, centred unless it is the ability facet
+  const update = (facet, keyOf, implied, centre) => {
+    const sums = new Map();
+    data.forEach(observation => {
+      const key = keyOf(observation);
+      const entry = sums.get(key) || { sum: 0, count: 0 };
+      entry.sum += implied(observation);
+      entry.count += 1;
+      sums.set(key, entry);
+    });
+    let change = 0;
+    const values = new Map([...sums.entries()].map(([key, { sum, count }]) => [key, sum / count]));
+    const offset = centre ? mean([...values.values()]) : 0;
+    values.forEach((value, key) => {
+      change = Math.max(change, Math.abs(value - offset - facet.get(key)));
+      facet.set(key, value - offset);
+    });
+    return change;
+  };
+
+  let iterations = 0;
+  for (; iterations < RASCH_MAX_ITERATIONS; iterations++) {
+    const change = Math.max(
+      update(ability, o => o.candidateId, o => o.logit + severity.get(o.interviewer) + difficulty.get(o.item), false),
+      update(severity, o => o.interviewer, o => ability.get(o.candidateId) - difficulty.get(o.item) - o.logit, true),
+      update(difficulty, o => o.item, o => ability.get(o.candidateId) - severity.get(o.interviewer) - o.logit, true)
+    );
+    if (change < RASCH_TOLERANCE) break;
+  }
+
+  // Infit-style mean square: an interviewer's squared residuals relative to the pool's
+  const residual = (o) => o.logit - (ability.get(o.candidateId) - severity.get(o.interviewer) - difficulty.get(o.item));
+  const poolMeanSquare = mean(data.map(o => Math.pow(residual(o), 2)));
+  const infit = {};
+  byInterviewer(data).forEach((ratings, interviewer) => {
+    const meanSquare = mean(ratings.map(o => Math.pow(residual(o), 2)));
+    infit[interviewer] = poolMeanSquare > 0 ? meanSquare / poolMeanSquare : 1;
+  });
+
+  return {
+    ability: Object.fromEntries(ability),
+    severity: Object.fromEntries(severity),
+    difficulty: Object.fromEntries(difficulty),
+    infit,
+    iterations: iterations + 1
+  };
+};
+
+/**
+ * Calibrated score of one rating
+ * @param {Object} calibration - Calibration with method, global and interviewers
+ * @param {String} interviewer - Interviewer name
+ * @param {Number} value - Raw score between 0 and 1
+ * @returns {Object} - { value, adjusted } where adjusted is false when the interviewer is not calibrated
+ */
+const adjustScore = (calibration, interviewer, value) => {
+  const stats = (calibration.interviewers || []).find(item => item.interviewer === interviewer);
+  if (!stats || !stats.calibrated) {
+    return { value, adjusted: false };
+  }
+  if (calibration.method === 'rasch') {
+    return { value: clamp(sigmoid(logit(value) + stats.severity)), adjusted: true };
+  }
+  const { mean: poolMean, sd: poolSd } = calibration.global;
+  const standardised = stats.sd > 0 ? (value - stats.mean) / stats.sd : 0;
+  return {
+    value: clamp(stats.sd > 0 ? poolMean + poolSd * standardised : value - stats.mean + poolMean),
+    adjusted: true
+  };
+};
+
+/**
+ * Scorecards with each interviewer's scores calibrated
+ * @param {Object} calibration - Calibration with method, global and interviewers
+ * @param {Array} scorecards - Scorecards { interviewer, scores, ratings, rubricVersion }
+ * @returns {Object} - { scorecards, interviewers } where interviewers lists each rater's adjustment
+ */
+const calibrateScorecards = (calibration, scorecards) => {
+  const interviewers = [];
+  const calibrated = scorecards.map(card => {
+    const scores = toObject(card.scores);
+    const adjustedScores = {};
+    let adjusted = false;
+    Object.entries(scores).forEach(([item, value]) => {
+      const result = adjustScore(calibration, card.interviewer, value);
+      adjustedScores[item] = result.value;
+      adjusted = adjusted || result.adjusted;
+    });
+    const stats = (calibration.interviewers || []).find(item => item.interviewer === card.interviewer);
+    interviewers.push({
+      interviewer: card.interviewer,
+      adjusted,
+      leniency: stats ? stats.leniency : null,
+      rawScores: scores,
+      adjustedScores
+    });
+    return {
+      interviewer: card.interviewer,
+      scores: adjustedScores,
+      ratings: toObject(card.ratings),
+      rubricVersion: card.rubricVersion
+    };
+  });
+  return { scorecards: calibrated, interviewers };
+};
+
+/**
+ * Leniency drift between an interviewer's earlier and most recent ratings
+ * @param {Array} ratings - The interviewer's ratings with their leniency residual
+ * @param {Object} options - Drift options
+ * @returns {Object} - Earlier and recent leniency, change, direction and whether it is flagged
+ */
+const measureDrift = (ratings, { window, threshold, minObservations }) => {
+  const ordered = [...ratings].sort((a, b) => a.date - b.date);
+  const recent = ordered.slice(-window);
+  const earlier = ordered.slice(0, ordered.length - recent.length);
+  if (earlier.length < minObservations || recent.length < minObservations) {
+    return { measured: false, earlier: null, recent: null, change: null, flagged: false };
+  }
+
+  const earlierLeniency = mean(earlier.map(rating => rating.residual));
+  const recentLeniency = mean(recent.map(rating => rating.residual));
+  const change = recentLeniency - earlierLeniency;
+  return {
+    measured: true,
+    earlier: { leniency: earlierLeniency, count: earlier.length, from: earlier[0].date, to: earlier[earlier.length - 1].date },
+    recent: { leniency: recentLeniency, count: recent.length, from: recent[0].date, to: recent[recent.length - 1].date },
+    change,
+    direction: change > 0 ? 'more lenient' : 'more severe',
+    flagged: Math.abs(change) > threshold
+  };
+};
+
+/**
+ * Calibrate interviewers from their ratings
+ * Leniency is the mean amount by which an interviewer's ratings sit above other interviewers'
+ * ratings of the same candidates (z-score; the pool mean for candidates nobody else rated) or above
+ * what the Rasch model expects for the same candidate and rubric item (rasch), on the 0-1 score
+ * scale; negative values mean severity.
+ * @param {Array} observations - Ratings from collectObservations
+ * @param {Object} options - Calibration options
+ * @param {String} options.method - 'zscore' (default) or 'rasch'
+ * @param {Number} options.minObservations - Ratings needed before an interviewer is adjusted
+ * @param {Number} options.driftWindow - Number of recent ratings compared for drift
+ * @param {Number} options.driftThreshold - Leniency change that flags drift
+ * @returns {Object} - Method, parameters, pool summary, per-interviewer statistics and flagged interviewers
+ */
+const buildCalibration = (observations, options = {}) => {
+  const {
+    method = 'zscore',
+    minObservations = DEFAULT_MIN_OBSERVATIONS,
+    driftWindow = DEFAULT_DRIFT_WINDOW,
+    driftThreshold = DEFAULT_DRIFT_THRESHOLD
+  } = options;
+
+  const values = observations.map(observation => observation.value);
+  const groups = byInterviewer(observations);
+  const global = {
+    observations: observations.length,
+    interviewers: groups.size,
+    mean: mean(values),
+    sd: standardDeviation(values)
+  };
+
+  const zscore = method === 'zscore' ? fitZScore(observations, minObservations) : null;
+  const rasch = method === 'rasch' ? fitRasch(observations) : null;
+
+  // Other interviewers' ratings of each candidate, so a run of strong candidates does not read as leniency
+  const peerRatings = new Map();
+  observations.forEach(observation => {
+    const key = observation.candidateId;
+    if (!peerRatings.has(key)) peerRatings.set(key, []);
+    peerRatings.get(key).push(observation);
+  });
+  const peerMean = (observation) => {
+    const peers = peerRatings.get(observation.candidateId).filter(peer => peer.interviewer !== observation.interviewer);
+    return peers.length > 0 ? mean(peers.map(peer => peer.value)) : global.mean;
+  };
+
+  // Expected score of a rating with the interviewer's leniency taken out
+  const expected = (observation) => (rasch
+    ? sigmoid(rasch.ability[observation.candidateId] - rasch.difficulty[observation.item])
+    : peerMean(observation));
+
+  const interviewers = [...groups.entries()].map(([interviewer, ratings]) => {
+    const withResidual = ratings.map(rating => ({ ...rating, residual: rating.value - expected(rating) }));
+    const stats = {
+      interviewer,
+      observations: ratings.length,
+      calibrated: ratings.length >= minObservations,
+      distribution: describeDistribution(ratings.map(rating => rating.value)),
+      leniency: mean(withResidual.map(rating => rating.residual)),
+      stages: [...new Set(ratings.map(rating => rating.stage))],
+      jobs: [...new Set(ratings.map(rating => rating.jobId))].length,
+      drift: measureDrift(withResidual, { window: driftWindow, threshold: driftThreshold, minObservations })
+    };
+    if (zscore) {
+      stats.mean = zscore.interviewers[interviewer].mean;
+      stats.sd = zscore.interviewers[interviewer].sd;
+    }
+    if (rasch) {
+      stats.severity = rasch.severity[interviewer];
+      stats.infit = rasch.infit[interviewer];
+    }
+    return stats;
+  }).sort((a, b) => b.leniency - a.leniency);
+
+  return {
+    method,
+    parameters: { minObservations, driftWindow, driftThreshold },
+    global,
+    interviewers,
+    flagged: interviewers.filter(stats => stats.drift.flagged).map(stats => ({
+      interviewer: stats.interviewer,
+      change: stats.drift.change,
+      direction: stats.drift.direction
+    })),
+    ...(rasch ? {
+      items: Object.entries(rasch.difficulty).map(([item, difficulty]) => ({ item, difficulty })),
+      iterations: rasch.iterations
+    } : {})
+  };
+};
+
+/**
+ * Most recent calibration that applies to a job
+ * @param {String} jobId - Job ID
+ * @returns {Promise<Object|null>} - The job's latest calibration, else the latest one built from all interviews
+ */
+const loadLatestCalibration = async (jobId) => {
+  if (jobId) {
+    const forJob = await Calibration.findOne({ jobId }).sort({ createdAt: -1 });
+    if (forJob) return forJob;
+  }
+  return Calibration.findOne({ jobId: null }).sort({ createdAt: -1 });
+};
+
+module.exports = {
+  CALIBRATION_METHODS,
+  DEFAULT_MIN_OBSERVATIONS,
+  DEFAULT_DRIFT_WINDOW,
+  DEFAULT_DRIFT_THRESHOLD,
+  collectObservations,
+  describeDistribution,
+  fitZScore,
+  fitRasch,
+  adjustScore,
+  calibrateScorecards,
+  buildCalibration,
+  loadLatestCalibration
+};
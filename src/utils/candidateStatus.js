@@ -0,0 +1,193 @@
+/**
+ * Candidate status state machine
+ * A candidate moves through applied → screening → interviewing → offer → hired, and can be
+ * rejected, withdraw or be put on hold at any point before that. Hired, rejected and withdrawn
+ * are final. Every change names a reason and is appended to the candidate's status history;
+ * changes that the machine does not allow, or whose guard conditions are not met, are rejected.
+ */
+const Candidate = require('../models/Candidate');
+const Interview = require('../models/Interview');
+const Job = require('../models/Job');
+const Offer = require('../models/Offer');
+const { pipelineFromJob, stageKeys, candidateStage } = require('./pipelines');
+
+const STATUSES = Candidate.schema.path('status').enumValues;
+// Statuses a candidate cannot leave
+const TERMINAL_STATUSES = ['hired', 'rejected', 'withdrawn'];
+// Statuses the pipeline moves through, in order
+const PIPELINE_STATUSES = ['applied', 'screening', 'interviewing', 'offer', 'hired'];
+
+// Allowed moves; a candidate on hold can only go back to the status they were put on hold from
+const TRANSITIONS = {
+  applied: ['screening', 'rejected', 'withdrawn', 'on-hold'],
+  screening: ['interviewing', 'rejected', 'withdrawn', 'on-hold'],
+  interviewing: ['offer', 'rejected', 'withdrawn', 'on-hold'],
+  offer: ['hired', 'rejected', 'withdrawn', 'on-hold'],
+  'on-hold': ['rejected', 'withdrawn'],
+  hired: [],
+  rejected: [],
+  withdrawn: []
+};
+
+class CandidateStatusError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'CandidateStatusError';
+    this.code = code;
+    this.statusCode = 409;
+    this.details = details;
+  }
+}
+
+// Conditions a candidate must meet to enter a status; each returns the unmet conditions
+const GUARDS = {
+  screening: (candidate) => (
+    candidate.passedThreshold === false ? ['Candidate did not pass the job\'s threshold filter'] : []
+  ),
+  interviewing: (candidate, context) => (
+    context.interviewCount === 0 ? ['No interview has been scheduled'] : []
+  ),
+  offer: (candidate, context) => {
+    const pending = stageKeys(context.pipeline).filter(stage => {
+      const data = candidateStage(candidate, stage);
+      return !data || !data.completed;
+    });
+    return pending.length > 0 ? [`Interview stages not completed: ${pending.join(', ')}`] : [];
+  },
+  hired: (candidate, context) => (
+    context.acceptedOfferCount === 0 ? ['No offer has been accepted'] : []
+  )
+};
+
+/**
+ * Statuses a candidate can move to from their current status
+ * @param {Object} candidate - Candidate document or plain object
+ * @returns {Array} - Statuses
+ */
+const allowedTransitions = (candidate) => {
+  const status = candidate.status || 'applied';
+  const allowed = [...(TRANSITIONS[status] || [])];
+  if (status === 'on-hold' && candidate.previousStatus && !TERMINAL_STATUSES.includes(candidate.previousStatus)) {
+    allowed.unshift(candidate.previousStatus);
+  }
+  return allowed;
+};
+
+/**
+ * Load what the guards check: the job's pipeline, the candidate's interviews and accepted offers
+ * @param {Object} candidate - Candidate document
+ * @returns {Promise<Object>} - { pipeline, interviewCount, acceptedOfferCount }
+ */
+const loadStatusContext = async (candidate) => {
+  const job = candidate.jobId ? await Job.findById(candidate.jobId._id || candidate.jobId) : null;
+  const interviewCount = await Interview.countDocuments({ candidateId: candidate._id, status: { $ne: 'cancelled' } });
+  const acceptedOfferCount = await Offer.countDocuments({ candidateId: candidate._id, status: 'accepted' });
+  return { pipeline: pipelineFromJob(job), interviewCount, acceptedOfferCount };
+};
+
+/**
+ * Check whether a candidate can move to a status
+ * @param {Object} candidate - Candidate document or plain object
+ * @param {String} to - Target status
+ * @param {Object} context - As returned by loadStatusContext
+ * @returns {Object} - { allowed, code, unmet }
+ */
+const checkTransition = (candidate, to, context) => {
+  const from = candidate.status || 'applied';
+  if (!STATUSES.includes(to)) {
+    return { allowed: false, code: 'UNKNOWN_STATUS', unmet: [`Unknown status ${to}`] };
+  }
+  if (!allowedTransitions(candidate).includes(to)) {
+    const reason = TERMINAL_STATUSES.includes(from)
+      ? `${from} is a final status`
+      : `Cannot move from ${from} to ${to}`;
+    return { allowed: false, code: 'INVALID_TRANSITION', unmet: [reason] };
+  }
+  const unmet = GUARDS[to] ? GUARDS[to](candidate, context) : [];
+  return unmet.length > 0
+    ? { allowed: false, code: 'GUARD_FAILED', unmet }
+    : { allowed: true, code: null, unmet: [] };
+};
+
+/**
+ * Move a candidate to a status and append the change to their status history
+ * The write only applies while the candidate still has the status it was checked against, so two
+ * concurrent changes cannot both succeed.
+ * @param {Object} candidate - Candidate document
+ * @param {String} to - Target status
+ * @param {Object} options - Change options
+ * @param {String} options.reason - Why the status changes (required)
+ * @param {String} options.changedBy - Who changes it (optional)
+ * @param {Object} options.context - Guard context, loaded when not given (optional)
+ * @returns {Promise<Object>} - Updated candidate
+ */
+const transitionCandidate = async (candidate, to, { reason, changedBy, context } = {}) => {
+  if (!reason || !String(reason).trim()) {
+    throw new CandidateStatusError('A reason is required to change the status', 'REASON_REQUIRED');
+  }
+
+  const from = candidate.status || 'applied';
+  const check = checkTransition(candidate, to, context || await loadStatusContext(candidate));
+  if (!check.allowed) {
+    throw new CandidateStatusError(check.unmet[0], check.code, { from, to, unmet: check.unmet });
+  }
+
+  const entry = { from, to, reason: String(reason).trim(), changedBy, changedAt: new Date() };
+  const update = { $set: { status: to, updatedAt: new Date() }, $push: { statusHistory: entry } };
+  if (to === 'on-hold') {
+    update.$set.previousStatus = from;
+  } else {
+    update.$unset = { previousStatus: '' };
+  }
+
+  const updated = await Candidate.findOneAndUpdate({ _id: candidate._id, status: candidate.status }, update, { new: true });
+  if (!updated) {
+    throw new CandidateStatusError('The candidate\'s status changed in the meantime', 'STATUS_CHANGED', { from, to });
+  }
+  return updated;
+};
+
+/**
+ * Move a candidate forward along the pipeline as a side effect of another action
+ * (shortlisting, scheduling an interview). Steps through the statuses in between, and stops
+ * without error where a step is not allowed, so candidates who are further along, on hold or
+ * out of the process are left alone.
+ * @param {Object} candidate - Candidate document
+ * @param {String} to - Pipeline status to reach
+ * @param {Object} options - { reason, changedBy }
+ * @returns {Promise<Object>} - Candidate after the steps that were taken
+ */
+const advanceCandidate = async (candidate, to, { reason, changedBy } = {}) => {
+  const target = PIPELINE_STATUSES.indexOf(to);
+  let current = candidate;
+  let position = PIPELINE_STATUSES.indexOf(current.status || 'applied');
+  if (target === -1 || position === -1 || position >= target) {
+    return current;
+  }
+
+  const context = await loadStatusContext(current);
+  while (position < target) {
+    const next = PIPELINE_STATUSES[position + 1];
+    if (!checkTransition(current, next, context).allowed) break;
+    try {
+      current = await transitionCandidate(current, next, { reason, changedBy, context });
+    } catch (error) {
+      if (error instanceof CandidateStatusError) break;
+      throw error;
+    }
+    position += 1;
+  }
+  return current;
+};
+
+module.exports = {
+  STATUSES,
+  TERMINAL_STATUSES,
+  TRANSITIONS,
+  CandidateStatusError,
+  allowedTransitions,
+  loadStatusContext,
+  checkTransition,
+  transitionCandidate,
+  advanceCandidate
+};
@@ -0,0 +1,434 @@
+/**
+ * Choquet integral
+ * Aggregates criteria that interact, using a 2-additive capacity (fuzzy measure) in its
+ * Möbius representation: a weight per criterion plus an interaction term per criterion pair.
+ * Positive interactions mark complementary criteria (both are needed), negative ones mark
+ * redundant criteria (they partly measure the same thing).
+ *
+ *   C(x) = sum_i m_i * x_i + sum_{i<j} m_ij * min(x_i, x_j)
+ */
+
+const TOLERANCE = 1e-6;
+
+// Interactions smaller than this (after normalisation) are reported as independent
+const INTERACTION_THRESHOLD = 0.01;
+
+/**
+ * Canonical key for a criterion pair (order-independent)
+ * @param {Array} pair - Two criterion names
+ * @returns {String} - Pair key
+ */
+const pairKey = (pair) => [...pair].sort().join('|');
+
+/**
+ * Convert a stored or requested capacity to a plain object
+ * @param {Object} capacity - Capacity with `singletons` (Map or object) and `interactions`
+ * @returns {Object} - { singletons, interactions } with plain values
+ */
+const toPlainCapacity = (capacity) => {
+  const singletons = capacity.singletons instanceof Map
+    ? Object.fromEntries(capacity.singletons.entries())
+    : { ...(capacity.singletons || {}) };
+  const interactions = (capacity.interactions || []).map(interaction => ({
+    criteria: [...interaction.criteria],
+    value: interaction.value
+  }));
+  return { singletons, interactions };
+};
+
+/**
+ * Read a job's capacity
+ * @param {Object} job - Job document
+ * @returns {Object|null} - Plain capacity, or null when the job has none
+ */
+const capacityFromJob = (job) => {
+  if (!job.choquet || !job.choquet.singletons) return null;
+  const capacity = toPlainCapacity(job.choquet);
+  return Object.keys(capacity.singletons).length > 0 ? capacity : null;
+};
+
+/**
+ * Criteria covered by a capacity
+ * @param {Object} capacity - Plain capacity
+ * @returns {Array} - Criterion names
+ */
+const capacityCriteria = (capacity) => {
+  const criteria = new Set(Object.keys(capacity.singletons));
+  capacity.interactions.forEach(interaction => interaction.criteria.forEach(c => criteria.add(c)));
+  return [...criteria];
+};
+
+/**
+ * Total of all Möbius masses, i.e. the capacity of the full criteria set
+ * @param {Object} capacity - Plain capacity
+ * @returns {Number} - Capacity of the full set
+ */
+const capacityTotal = (capacity) =>
+  Object.values(capacity.singletons).reduce((sum, m) => sum + m, 0) +
+  capacity.interactions.reduce((sum, interaction) => sum + interaction.value, 0);
+
+/**
+ * Check monotonicity of a 2-additive capacity: each criterion's weight must cover
+ * every negative (redundant) interaction it takes part in
+ * @param {Object} capacity - Plain capacity
+ * @returns {Array} - Criteria that break monotonicity
+ */
+const findMonotonicityViolations = (capacity) => capacityCriteria(capacity).filter(criterion => {
+  const negative = capacity.interactions
+    .filter(interaction => interaction.criteria.includes(criterion))
+    .reduce((sum, interaction) => sum + Math.min(0, interaction.value), 0);
+  return (capacity.singletons[criterion] || 0) + negative < -TOLERANCE;
+});
+
+/**
+ * Check that every Möbius mass of a capacity is a finite number
+ * @param {Object} capacity - Plain capacity
+ * @returns {Boolean} - Whether the capacity can be used for scoring
+ */
+const isFiniteCapacity = (capacity) =>
+  Object.values(capacity.singletons).every(value => Number.isFinite(value)) &&
+  capacity.interactions.every(interaction => Number.isFinite(interaction.value));
+
+/**
+ * Validate a 2-additive capacity in Möbius form
+ * @param {Object} capacity - Requested capacity ({ singletons, interactions })
+ * @param {Array} criteria - Criterion names of the job
+ * @returns {Array} - List of validation error messages (empty when valid)
+ */
+const validateCapacity = (capacity, criteria) => {
+  if (!capacity || typeof capacity.singletons !== 'object' || capacity.singletons === null || Array.isArray(capacity.singletons)) {
+    return ['Capacity must have a singletons object with one Möbius weight per criterion'];
+  }
+  if (capacity.interactions !== undefined && !Array.isArray(capacity.interactions)) {
+    return ['Capacity interactions must be an array'];
+  }
+
+  const errors = [];
+  Object.entries(capacity.singletons).forEach(([criterion, value]) => {
+    if (!criteria.includes(criterion)) {
+      errors.push(`Unknown criterion "${criterion}"`);
+    } else if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+      errors.push(`Weight of "${criterion}" must be a non-negative number`);
+    }
+  });
+
+  const seen = new Set();
+  (capacity.interactions || []).forEach((interaction, index) => {
+    const pair = interaction && interaction.criteria;
+    if (!Array.isArray(pair) || pair.length !== 2 || pair[0] === pair[1]) {
+      errors.push(`Interaction ${index} must name two different criteria`);
+      return;
+    }
+    pair.filter(criterion => !criteria.includes(criterion))
+      .forEach(criterion => errors.push(`Unknown criterion "${criterion}" in interaction ${index}`));
+    if (typeof interaction.value !== 'number' || !isFinite(interaction.value)) {
+      errors.push(`Interaction ${index} must have a numeric value`);
+    }
+    if (seen.has(pairKey(pair))) {
+      errors.push(`Interaction between "${pair[0]}" and "${pair[1]}" is given more than once`);
+    }
+    seen.add(pairKey(pair));
+  });
+  if (errors.length > 0) return errors;
+
+  const plain = toPlainCapacity(capacity);
+  if (capacityTotal(plain) <= 0) {
+    return ['Capacity weights and interactions must add up to a positive total'];
+  }
+  findMonotonicityViolations(plain).forEach(criterion => {
+    errors.push(`Redundant (negative) interactions of "${criterion}" outweigh its own weight, so the capacity is not monotone`);
+  });
+  return errors;
+};
+
+/**
+ * Scale a capacity so the full criteria set has capacity 1
+ * @param {Object} capacity - Plain capacity
+ * @returns {Object} - Normalised capacity
+ */
+const normalizeCapacity = (capacity) => {
+  const total = capacityTotal(capacity);
+  const singletons = {};
+  Object.entries(capacity.singletons).forEach(([criterion, value]) => {
+    singletons[criterion] = value / total;
+  });
+  return {
+    singletons,
+    interactions: capacity.interactions
+      .filter(interaction => interaction.value !== 0)
+      .map(interaction => ({ criteria: interaction.criteria, value: interaction.value / total }))
+  };
+};
+
+/**
+ * Shapley importance of each criterion: its own weight plus half of each interaction it takes part in
+ * @param {Object} capacity - Plain capacity
+ * @returns {Object} - Shapley value per criterion (sums to the capacity total)
+ */
+const shapleyValues = (capacity) => {
+  const shapley = {};
+  capacityCriteria(capacity).forEach(criterion => {
+    shapley[criterion] = capacity.singletons[criterion] || 0;
+  });
+  capacity.interactions.forEach(interaction => {
+    interaction.criteria.forEach(criterion => {
+      shapley[criterion] += interaction.value / 2;
+    });
+  });
+  return shapley;
+};
+
+/**
+ * Interaction indices between criterion pairs (equal to the Möbius pair masses for a 2-additive capacity)
+ * @param {Object} capacity - Plain capacity
+ * @returns {Array} - Pairs, strongest interaction first, labelled complementary, redundant or independent
+ */
+const interactionIndices = (capacity) => capacity.interactions
+  .map(interaction => ({
+    criteria: interaction.criteria,
+    index: interaction.value,
+    type: interaction.value > INTERACTION_THRESHOLD
+      ? 'complementary'
+      : interaction.value < -INTERACTION_THRESHOLD ? 'redundant' : 'independent'
+  }))
+  .sort((a, b) => Math.abs(b.index) - Math.abs(a.index));
+
+/**
+ * Summarise a capacity for recruiters
+ * @param {Object} capacity - Plain capacity
+ * @returns {Object} - Normalised capacity with Shapley importances and interaction indices
+ */
+const describeCapacity = (capacity) => {
+  const normalized = normalizeCapacity(capacity);
+  return {
+    capacity: normalized,
+    shapley: shapleyValues(normalized),
+    interactions: interactionIndices(normalized)
+  };
+};
+
+/**
+ * Choquet integral with a per-criterion and per-interaction breakdown
+ * Criteria without a value are left out and the capacity is restricted to the rest, the way
+ * WSM renormalises over the attributes a candidate has.
+ * @param {Object} values - Criterion values between 0 and 1
+ * @param {Object} capacity - Plain capacity
+ * @param {Object} confidenceScores - Confidence in each value (optional)
+ * @returns {Object} - Score, Shapley-weighted confidence, per-criterion breakdown and interaction terms
+ */
+const explainChoquet = (values, capacity, confidenceScores = {}) => {
+  const normalized = normalizeCapacity(capacity);
+  const shapley = shapleyValues(normalized);
+  const criteria = capacityCriteria(normalized);
+  const present = criteria.filter(criterion => values[criterion] !== undefined);
+  const interactions = normalized.interactions.filter(interaction =>
+    interaction.criteria.every(criterion => values[criterion] !== undefined));
+
+  // Capacity of the criteria the candidate has values for
+  const total = present.reduce((sum, criterion) => sum + (normalized.singletons[criterion] || 0), 0) +
+    interactions.reduce((sum, interaction) => sum + interaction.value, 0);
+
+  const breakdown = present.map(criterion => ({
+    key: criterion,
+    value: values[criterion],
+    weight: normalized.singletons[criterion] || 0,
+    shapley: shapley[criterion],
+    confidence: confidenceScores[criterion] ?? 1.0,
+    normalizedWeight: total > 0 ? (normalized.singletons[criterion] || 0) / total : 0,
+    contribution: total > 0 ? (normalized.singletons[criterion] || 0) * values[criterion] / total : 0
+  }));
+  const byKey = new Map(breakdown.map(item => [item.key, item]));
+
+  const interactionTerms = interactions.map(interaction => {
+    const [a, b] = interaction.criteria;
+    const contribution = total > 0 ? interaction.value * Math.min(values[a], values[b]) / total : 0;
+
+    // Split each interaction term evenly so per-criterion contributions still sum to the score
+    [a, b].forEach(criterion => {
+      const item = byKey.get(criterion);
+      item.normalizedWeight += total > 0 ? interaction.value / 2 / total : 0;
+      item.contribution += contribution / 2;
+    });
+
+    return {
+      criteria: interaction.criteria,
+      interaction: interaction.value,
+      minValue: Math.min(values[a], values[b]),
+      contribution
+    };
+  });
+
+  // Confidence weighted by importance; criteria without a value count as no confidence
+  const confidence = criteria.reduce((sum, criterion) =>
+    sum + shapley[criterion] * (values[criterion] !== undefined ? (confidenceScores[criterion] ?? 1.0) : 0), 0);
+
+  return {
+    score: breakdown.reduce((sum, item) => sum + item.contribution, 0),
+    confidence,
+    breakdown,
+    interactions: interactionTerms
+  };
+};
+
+/**
+ * Choquet integral of criterion values
+ * @param {Object} values - Criterion values between 0 and 1
+ * @param {Object} capacity - Plain capacity
+ * @returns {Number} - Aggregated score
+ */
+const choquetIntegral = (values, capacity) => explainChoquet(values, capacity).score;
+
+/**
+ * Repair a capacity after a gradient step: non-negative weights, redundancies no larger than
+ * the weights they reduce, full set normalised to 1
+ * @param {Object} capacity - Plain capacity
+ * @returns {Object|null} - Repaired capacity (null if nothing is left)
+ */
+const projectCapacity = (capacity) => {
+  const singletons = {};
+  Object.entries(capacity.singletons).forEach(([criterion, value]) => {
+    singletons[criterion] = Math.max(0, value);
+  });
+  const interactions = capacity.interactions.map(interaction => ({ ...interaction }));
+
+  Object.keys(singletons).forEach(criterion => {
+    const involved = interactions.filter(interaction =>
+      interaction.criteria.includes(criterion) && interaction.value < 0);
+    const negative = involved.reduce((sum, interaction) => sum + interaction.value, 0);
+    if (singletons[criterion] + negative < 0) {
+      const scale = singletons[criterion] / -negative;
+      involved.forEach(interaction => {
+        interaction.value *= scale;
+      });
+    }
+  });
+
+  const repaired = { singletons, interactions };
+  return capacityTotal(repaired) > 0 ? normalizeCapacity(repaired) : null;
+};
+
+/**
+ * Learn a 2-additive capacity from an example ranking
+ * Minimises a hinge loss over every ordered pair of examples (the better one must score at
+ * least `margin` higher), with an L2 penalty that keeps the capacity close to the starting
+ * weights, by projected subgradient descent.
+ * @param {Array} examples - Criterion values per example, best first
+ * @param {Array} criteria - Criterion names
+ * @param {Object} options - Learning options
+ * @param {Object} options.initialWeights - Starting weights (additive capacity); equal weights by default
+ * @param {Number} options.margin - Required score gap between consecutive preferences
+ * @param {Number} options.regularization - Pull towards the starting weights
+ * @param {Number} options.iterations - Number of descent steps
+ * @param {Number} options.learningRate - Initial step size
+ * @returns {Object} - Learned capacity and how many example preferences it reproduces
+ */
+const learnCapacity = (examples, criteria, options = {}) => {
+  const {
+    initialWeights = {},
+    margin = 0.02,
+    regularization = 0.01,
+    iterations = 500,
+    learningRate = 0.05
+  } = options;
+
+  const pairs = [];
+  for (let i = 0; i < criteria.length; i++) {
+    for (let j = i + 1; j < criteria.length; j++) {
+      pairs.push([criteria[i], criteria[j]]);
+    }
+  }
+
+  // Features are linear in the Möbius masses: x_i for weights, min(x_i, x_j) for interactions
+  const features = examples.map(values => [
+    ...criteria.map(c => values[c] || 0),
+    ...pairs.map(([a, b]) => Math.min(values[a] || 0, values[b] || 0))
+  ]);
+
+  const toCapacity = (params) => ({
+    singletons: Object.fromEntries(criteria.map((c, i) => [c, params[i]])),
+    interactions: pairs.map((pair, k) => ({ criteria: pair, value: params[criteria.length + k] }))
+  });
+  // Interactions are looked up by pair, since normalising drops the ones that are 0
+  const toParams = (capacity) => {
+    const interactions = new Map(capacity.interactions.map(interaction => [pairKey(interaction.criteria), interaction.value]));
+    return [
+      ...criteria.map(c => capacity.singletons[c] || 0),
+      ...pairs.map(pair => interactions.get(pairKey(pair)) || 0)
+    ];
+  };
+
+  const initialTotal = criteria.reduce((sum, c) => sum + (initialWeights[c] || 0), 0);
+  const start = [
+    ...criteria.map(c => initialTotal > 0 ? (initialWeights[c] || 0) / initialTotal : 1 / criteria.length),
+    ...pairs.map(() => 0)
+  ];
+
+  // Ordered preferences between examples that differ on at least one criterion
+  const preferences = [];
+  for (let better = 0; better < examples.length; better++) {
+    for (let worse = better + 1; worse < examples.length; worse++) {
+      const difference = features[better].map((f, k) => f - features[worse][k]);
+      if (difference.some(d => Math.abs(d) > TOLERANCE)) {
+        preferences.push({ better, worse, difference });
+      }
+    }
+  }
+
+  const evaluate = (params) => {
+    let loss = params.reduce((sum, p, k) => sum + regularization * Math.pow(p - start[k], 2), 0);
+    const gradient = params.map((p, k) => 2 * regularization * (p - start[k]));
+    preferences.forEach(({ difference }) => {
+      const gap = difference.reduce((sum, d, k) => sum + d * params[k], 0);
+      if (gap < margin) {
+        loss += (margin - gap) / preferences.length;
+        difference.forEach((d, k) => { gradient[k] -= d / preferences.length; });
+      }
+    });
+    return { loss, gradient };
+  };
+
+  let params = start;
+  let best = { params, ...evaluate(params) };
+  for (let iteration = 0; iteration < iterations && preferences.length > 0; iteration++) {
+    const { gradient } = evaluate(params);
+    const step = learningRate / Math.sqrt(1 + iteration / 50);
+    const projected = projectCapacity(toCapacity(params.map((p, k) => p - step * gradient[k])));
+    if (!projected) break;
+    params = toParams(projected);
+
+    const current = evaluate(params);
+    if (current.loss < best.loss) {
+      best = { params, ...current };
+    }
+  }
+
+  const capacity = normalizeCapacity(toCapacity(best.params));
+  const scores = examples.map(values => choquetIntegral(values, capacity));
+  // Example preferences the learned capacity does not reproduce (ranked the wrong way round or tied)
+  const violations = preferences
+    .filter(({ better, worse }) => scores[better] <= scores[worse] + TOLERANCE)
+    .map(({ better, worse }) => ({ better, worse }));
+
+  return {
+    capacity,
+    scores,
+    satisfiedPreferences: preferences.length - violations.length,
+    totalPreferences: preferences.length,
+    violations
+  };
+};
+
+module.exports = {
+  capacityFromJob,
+  toPlainCapacity,
+  capacityCriteria,
+  validateCapacity,
+  isFiniteCapacity,
+  normalizeCapacity,
+  shapleyValues,
+  interactionIndices,
+  describeCapacity,
+  explainChoquet,
+  choquetIntegral,
+  learnCapacity
+};
@@ -0,0 +1,135 @@
+/**
+ * Delphi panel
+ * Round statistics for the multi-round Delphi weight elicitation: anonymised
+ * per-criterion feedback (median, IQR, MAD outliers) and the coefficient of
+ * variation used to decide when the panel has reached consensus.
+ */
+const { removeFuzzyOutliers, calculateMedian, applyDelphiTechnique } = require('./scoring');
+
+/**
+ * Normalise a member's weights so they sum to 1 (members may use different scales)
+ * @param {Object} weights - Criterion weights
+ * @returns {Object} - Normalised weights
+ */
+const normalizeSubmission = (weights) => {
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  const normalized = {};
+  Object.entries(weights).forEach(([criterion, weight]) => {
+    normalized[criterion] = total > 0 ? weight / total : 0;
+  });
+  return normalized;
+};
+
+/**
+ * Quantile with linear interpolation
+ * @param {Array} sorted - Values sorted ascending
+ * @param {Number} q - Quantile between 0 and 1
+ * @returns {Number} - Quantile value
+ */
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Flag the values removeFuzzyOutliers would drop
+ * @param {Array} values - Weights given for one criterion
+ * @returns {Array} - Boolean outlier flag per value
+ */
+const flagOutliers = (values) => {
+  const kept = removeFuzzyOutliers(values);
+  const remaining = new Map();
+  kept.forEach(value => remaining.set(value, (remaining.get(value) || 0) + 1));
+
+  return values.map(value => {
+    const count = remaining.get(value) || 0;
+    if (count > 0) {
+      remaining.set(value, count - 1);
+      return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * Summarise one round of submissions
+ * @param {Array} submissions - Weight objects, one per member
+ * @param {Array} criteria - Criterion names
+ * @returns {Object} - Per-criterion statistics and the round's consensus measures
+ */
+const summarizeRound = (submissions, criteria) => {
+  const normalized = submissions.map(normalizeSubmission);
+  const stats = {};
+
+  criteria.forEach(criterion => {
+    const values = normalized.map(weights => weights[criterion] || 0);
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const stdDev = Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+
+    stats[criterion] = {
+      responses: values.length,
+      median: calculateMedian(values),
+      q1,
+      q3,
+      iqr: q3 - q1,
+      mean,
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      // Coefficient of variation: spread relative to the mean weight
+      coefficientOfVariation: mean > 0 ? stdDev / mean : 0,
+      outliers: flagOutliers(values).filter(Boolean).length
+    };
+  });
+
+  const cvs = Object.values(stats).map(stat => stat.coefficientOfVariation);
+  return {
+    criteria: stats,
+    maxCoefficientOfVariation: cvs.length > 0 ? Math.max(...cvs) : 0,
+    meanCoefficientOfVariation: cvs.length > 0 ? cvs.reduce((sum, cv) => sum + cv, 0) / cvs.length : 0
+  };
+};
+
+/**
+ * Feedback for one member: their own weights against the anonymised panel statistics
+ * @param {Array} submissions - Weight objects, one per member
+ * @param {Number} index - Index of the member's submission
+ * @param {Object} summary - Result of summarizeRound
+ * @returns {Object} - Per-criterion own weight, distance from the median and outlier flag
+ */
+const memberFeedback = (submissions, index, summary) => {
+  const normalized = submissions.map(normalizeSubmission);
+  const feedback = {};
+
+  Object.keys(summary.criteria).forEach(criterion => {
+    const values = normalized.map(weights => weights[criterion] || 0);
+    const own = values[index];
+    const stat = summary.criteria[criterion];
+    feedback[criterion] = {
+      yourWeight: own,
+      deviationFromMedian: own - stat.median,
+      outsideIqr: own < stat.q1 || own > stat.q3,
+      outlier: flagOutliers(values)[index]
+    };
+  });
+
+  return feedback;
+};
+
+/**
+ * Consensus weights from the final round (MAD outliers removed, averaged and normalised)
+ * @param {Array} submissions - Weight objects, one per member
+ * @returns {Object} - Final criterion weights
+ */
+const consensusWeights = (submissions) => applyDelphiTechnique(submissions.map(normalizeSubmission));
+
+module.exports = {
+  normalizeSubmission,
+  summarizeRound,
+  memberFeedback,
+  consensusWeights
+};
@@ -331,7 +331,7 @@ const applyWSM = (attributes, weights, confidenceScores = {}) => {
   for (const [key, weight] of Object.entries(weights)) {
     if (attributes[key] !== undefined) {
       const attributeValue = attributes[key];
-      const confidence = confidenceScores[key] || 1.0;
+      const confidence = confidenceScores[key] ?? 1.0;
       
       // Apply confidence-adjusted weight
       const adjustedWeight = weight * confidence;
@@ -367,7 +367,7 @@ const aggregateStageScores = (stageScores, stageWeights, stageConfidences = {})
   for (const [stage, score] of Object.entries(stageScores)) {
     if (stageWeights[stage]) {
       const weight = stageWeights[stage];
-      const confidence = stageConfidences[stage] || 1.0;
+      const confidence = stageConfidences[stage] ?? 1.0;
       
       // Apply confidence-adjusted weight
       const adjustedWeight = weight * confidence;
@@ -400,7 +400,7 @@ const rankCandidates = (candidates) => {
     // Ensure there's a finalScore property
     finalScore: candidate.finalScore || 0,
     // Add confidence as a factor if available
-    confidenceScore: candidate.confidence || 1.0
+    confidenceScore: candidate.confidence ?? 1.0
   }));
   
   // Sort primarily by finalScore, but use confidence as a tiebreaker
@@ -546,7 +546,7 @@ const applyFuzzyRules = (inputs, rules) => {
 /**
  * Defuzzify using center of gravity method
  * @param {Array} fuzzyOutputs - Fuzzy rule outputs
- * @param {Object} outputMFs - Output membership functions
+ * @param {Object} outputMFs - Output membership functions (parameter objects or functions of x)
  * @param {Number} min - Minimum value in output range
  * @param {Number} max - Maximum value in output range
  * @param {Number} steps - Number of discretization steps
@@ -568,7 +568,9 @@ const defuzzifyCOG = (fuzzyOutputs, outputMFs, min, max, steps = 100) => {
       const mf = outputMFs[output.outputValue];
       let membership = 0;
       
-      if (mf.type === 'triangular') {
+      if (typeof mf === 'function') {
+        membership = mf(x);
+      } else if (mf.type === 'triangular') {
         membership = triangularMF(x, mf.a, mf.b, mf.c);
       } else if (mf.type === 'trapezoidal') {
         membership = trapezoidalMF(x, mf.a, mf.b, mf.c, mf.d);
@@ -597,6 +599,8 @@ const defuzzifyCOG = (fuzzyOutputs, outputMFs, min, max, steps = 100) => {
  * @returns {Number} - Membership degree (0-1)
  */
 const gaussianMF = (x, mean, sigma) => {
+  // A zero-width gaussian is a crisp singleton
+  if (!(sigma > 0)) return x === mean ? 1 : 0;
   return Math.exp(-0.5 * Math.pow((x - mean) / sigma, 2));
 };
 
@@ -757,7 +761,7 @@ const applyAlphaCut = (attributes, confidenceScores, alphaCutThreshold = 0.5) =>
   const filteredAttributes = {};
   
   for (const [key, value] of Object.entries(attributes)) {
-    const confidence = confidenceScores[key] || 1.0;
+    const confidence = confidenceScores[key] ?? 1.0;
     if (confidence >= alphaCutThreshold) {
       filteredAttributes[key] = value;
     }
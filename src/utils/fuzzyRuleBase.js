@@ -0,0 +1,416 @@
+/**
+ * Fuzzy rule base
+ * Evaluates a job's stored rule base (linguistic input variables, an output variable and
+ * IF-THEN rules) with Mamdani or Takagi-Sugeno inference, on top of the term shapes in
+ * linguisticTerms and the defuzzifiers in enhancedScoring.
+ */
+const { defuzzifyCOG, defuzzifyMOM, defuzzifyFOM } = require('./enhancedScoring');
+const { membershipDegree: shapeDegree, validateTerm: validateShape } = require('./linguisticTerms');
+const { candidateStage, stageDimensions } = require('./pipelines');
+
+const MEMBERSHIP_TYPES = ['triangular', 'trapezoidal', 'gaussian'];
+const INPUT_SOURCES = ['attribute', 'stage', 'score'];
+const ENGINES = ['mamdani', 'sugeno'];
+
+// Defuzzifiers per engine; the first one is the default
+const DEFUZZIFIERS = {
+  mamdani: ['centroid', 'mom', 'fom'],
+  sugeno: ['weighted-average', 'weighted-sum']
+};
+
+// Sampling resolution of the output universe for Mamdani defuzzification
+const OUTPUT_STEPS = 200;
+
+// Rule-base terms store their shape as `type`
+const asShapedTerm = (term) => ({ ...term, shape: term.type });
+
+/**
+ * Membership degree of a crisp value in a linguistic term
+ * Shoulder terms (a = b or c = d) reach 1 at the edge of the universe.
+ * @param {Object} term - Term with type and parameters (a, b, c[, d]) or (mean, sigma)
+ * @param {Number} x - Crisp value
+ * @returns {Number} - Membership degree (0-1)
+ */
+const membershipDegree = (term, x) =>
+  (MEMBERSHIP_TYPES.includes(term.type) ? shapeDegree(asShapedTerm(term), x) : 0);
+
+/**
+ * Representative crisp value of a term (its peak), used as a zero-order Sugeno consequent
+ * @param {Object} term - Linguistic term
+ * @returns {Number} - Peak of the term
+ */
+const termPeak = (term) => {
+  if (term.type === 'triangular') return term.b;
+  if (term.type === 'trapezoidal') return (term.b + term.c) / 2;
+  return term.mean;
+};
+
+/**
+ * Validate a linguistic term's parameters
+ * @param {Object} term - Linguistic term
+ * @param {String} label - Where the term is used, for error messages
+ * @returns {Array} - Validation errors
+ */
+const validateTerm = (term, label) => {
+  if (!term || !term.name) return [`${label}: every term needs a name`];
+  if (!MEMBERSHIP_TYPES.includes(term.type)) {
+    return [`${label} term "${term.name}": type must be one of ${MEMBERSHIP_TYPES.join(', ')}`];
+  }
+  // The parameters are checked like those of a linguistic term of the same shape
+  return validateShape(asShapedTerm(term)).map(message => `${label} ${message.replace(/^Term/, 'term')}`);
+};
+
+/**
+ * Validate a linguistic variable
+ * @param {Object} variable - Variable with name, range and terms
+ * @param {String} label - Variable role for error messages
+ * @returns {Array} - Validation errors
+ */
+const validateVariable = (variable, label) => {
+  const errors = [];
+  if (typeof variable.min !== 'number' || typeof variable.max !== 'number' || variable.min >= variable.max) {
+    errors.push(`${label} "${variable.name}": min must be below max`);
+  }
+  const names = (variable.terms || []).map(term => term && term.name);
+  if (new Set(names).size !== names.length) {
+    errors.push(`${label} "${variable.name}": term names must be unique`);
+  }
+  (variable.terms || []).forEach(term => errors.push(...validateTerm(term, `${label} "${variable.name}"`)));
+  return errors;
+};
+
+/**
+ * Validate a complete rule base
+ * @param {Object} ruleBase - { inputs, output, rules }
+ * @returns {Array} - Validation errors (empty when valid)
+ */
+const validateRuleBase = (ruleBase) => {
+  const errors = [];
+  const inputs = ruleBase.inputs || [];
+  const output = ruleBase.output;
+
+  if (inputs.length === 0) errors.push('At least one input variable is required');
+  if (!output || !output.name) return [...errors, 'An output variable is required'];
+
+  const inputNames = inputs.map(variable => variable.name);
+  if (inputNames.some(name => !name) || new Set(inputNames).size !== inputNames.length) {
+    errors.push('Input variables need unique names');
+  }
+  inputs.forEach(variable => {
+    if (!INPUT_SOURCES.includes(variable.source) || !variable.key) {
+      errors.push(`Input "${variable.name}": source must be one of ${INPUT_SOURCES.join(', ')} with a key`);
+    }
+    if (!variable.terms || variable.terms.length === 0) {
+      errors.push(`Input "${variable.name}": at least one term is required`);
+    }
+    errors.push(...validateVariable(variable, 'Input'));
+  });
+  errors.push(...validateVariable(output, 'Output'));
+
+  (ruleBase.rules || []).forEach((rule, index) => errors.push(...validateRule(rule, ruleBase, index)));
+  return errors;
+};
+
+/**
+ * Validate one rule against the rule base's variables and terms
+ * @param {Object} rule - Rule with if, operator, then and weight
+ * @param {Object} ruleBase - Rule base the rule belongs to
+ * @param {Number} index - Rule position, for error messages
+ * @returns {Array} - Validation errors
+ */
+const validateRule = (rule, ruleBase, index) => {
+  const label = `Rule ${index + 1}`;
+  const errors = [];
+
+  if (!Array.isArray(rule.if) || rule.if.length === 0) {
+    return [`${label}: at least one condition is required`];
+  }
+  rule.if.forEach(condition => {
+    const variable = (ruleBase.inputs || []).find(v => v.name === condition.variable);
+    if (!variable) {
+      errors.push(`${label}: unknown input variable "${condition.variable}"`);
+    } else if (!variable.terms.some(term => term.name === condition.is)) {
+      errors.push(`${label}: "${condition.variable}" has no term "${condition.is}"`);
+    }
+  });
+
+  if (rule.operator && !['and', 'or'].includes(rule.operator)) {
+    errors.push(`${label}: operator must be "and" or "or"`);
+  }
+  if (rule.weight !== undefined && (typeof rule.weight !== 'number' || rule.weight < 0 || rule.weight > 1)) {
+    errors.push(`${label}: weight must be between 0 and 1`);
+  }
+
+  const then = rule.then || {};
+  const hasTerm = then.is !== undefined && then.is !== null;
+  const hasFunction = typeof then.constant === 'number' || (then.coefficients && Object.keys(then.coefficients).length > 0);
+  if (!hasTerm && !hasFunction) {
+    errors.push(`${label}: the consequent needs an output term (Mamdani) or a constant/coefficients (Sugeno)`);
+  }
+  if (hasTerm && !((ruleBase.output && ruleBase.output.terms) || []).some(term => term.name === then.is)) {
+    errors.push(`${label}: output has no term "${then.is}"`);
+  }
+  Object.keys(then.coefficients || {}).forEach(name => {
+    if (!(ruleBase.inputs || []).some(v => v.name === name)) {
+      errors.push(`${label}: coefficient for unknown input variable "${name}"`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Read a job's rule base
+ * @param {Object} job - Job document
+ * @returns {Object|null} - Plain rule base (rule ids as strings), or null when the job has none
+ */
+const ruleBaseFromJob = (job) => {
+  if (!job.ruleBase || !job.ruleBase.output || !job.ruleBase.output.name) return null;
+  const ruleBase = typeof job.ruleBase.toObject === 'function'
+    ? job.ruleBase.toObject({ flattenMaps: true })
+    : job.ruleBase;
+  return {
+    inputs: ruleBase.inputs || [],
+    output: ruleBase.output,
+    rules: (ruleBase.rules || []).map(rule => ({ ...rule, _id: rule._id ? String(rule._id) : undefined }))
+  };
+};
+
+/**
+ * Read the crisp input values for a candidate
+ * @param {Object} candidate - Candidate document or plain object
+ * @param {Array} inputs - Input variable definitions
+ * @returns {Object} - Crisp value per variable and the variables the candidate has no value for
+ */
+const candidateInputs = (candidate, inputs) => {
+  const values = {};
+  const missing = [];
+
+  inputs.forEach(variable => {
+    let value;
+    if (variable.source === 'attribute') {
+      value = candidate.attributes instanceof Map
+        ? candidate.attributes.get(variable.key)
+        : (candidate.attributes || {})[variable.key];
+    } else if (variable.source === 'stage') {
+      // "codingInterview" reads the stage score; "codingInterview.problemSolving" one of its dimensions
+      // ("codingInterview.confidence" still reads a field of the stage itself)
+      const [stage, field = 'score'] = variable.key.split('.');
+      const data = candidateStage(candidate, stage);
+      const dimensions = stageDimensions(data);
+      value = data && (dimensions[field] !== undefined ? dimensions[field] : data[field]);
+    } else {
+      value = candidate[variable.key];
+    }
+
+    if (typeof value === 'boolean') value = value ? 1 : 0;
+    if (typeof value === 'number' && isFinite(value)) {
+      values[variable.name] = value;
+    } else {
+      missing.push(variable.name);
+    }
+  });
+
+  return { values, missing };
+};
+
+/**
+ * Fuzzify crisp inputs into membership degrees per term
+ * @param {Object} crispInputs - Crisp value per variable
+ * @param {Array} inputs - Input variable definitions
+ * @returns {Object} - { variable: { term: degree } } (variables without a value are left out)
+ */
+const fuzzifyInputs = (crispInputs, inputs) => {
+  const fuzzified = {};
+  inputs.forEach(variable => {
+    if (crispInputs[variable.name] === undefined) return;
+    const x = Math.min(variable.max, Math.max(variable.min, crispInputs[variable.name]));
+    fuzzified[variable.name] = {};
+    variable.terms.forEach(term => {
+      fuzzified[variable.name][term.name] = membershipDegree(term, x);
+    });
+  });
+  return fuzzified;
+};
+
+/**
+ * Input variables a rule reads: those in its conditions and, for Sugeno, its coefficients
+ * @param {Object} rule - Rule
+ * @param {String} engine - mamdani or sugeno
+ * @returns {Array} - Variable names
+ */
+const ruleVariables = (rule, engine) => [...new Set([
+  ...rule.if.map(condition => condition.variable),
+  ...(engine === 'sugeno' ? Object.keys((rule.then && rule.then.coefficients) || {}) : [])
+])];
+
+/**
+ * Firing strength of every rule (AND = min, OR = max, NOT = complement, scaled by the rule weight)
+ * A rule that reads an input the candidate has no value for is not evaluated: it does not fire,
+ * and its conditions on the missing inputs have degree 0 even when negated.
+ * @param {Object} fuzzified - Result of fuzzifyInputs
+ * @param {Array} rules - Rules
+ * @param {Object} options - { engine }; Sugeno rules also read the inputs of their coefficients
+ * @returns {Array} - One entry per rule with its condition degrees, firing strength and missing inputs
+ */
+const evaluateRules = (fuzzified, rules, { engine = 'mamdani' } = {}) => rules.map((rule, index) => {
+  const missingInputs = ruleVariables(rule, engine).filter(variable => fuzzified[variable] === undefined);
+  const conditions = rule.if.map(condition => {
+    const known = fuzzified[condition.variable] !== undefined;
+    const degree = known ? fuzzified[condition.variable][condition.is] || 0 : 0;
+    return {
+      variable: condition.variable,
+      is: condition.is,
+      not: Boolean(condition.not),
+      degree: known && condition.not ? 1 - degree : degree
+    };
+  });
+  const degrees = conditions.map(condition => condition.degree);
+  const combined = rule.operator === 'or' ? Math.max(...degrees) : Math.min(...degrees);
+  const weight = rule.weight !== undefined ? rule.weight : 1;
+  const evaluated = missingInputs.length === 0;
+
+  return {
+    ruleId: rule._id,
+    index: index + 1,
+    description: rule.description,
+    conditions,
+    weight,
+    evaluated,
+    missingInputs,
+    strength: evaluated ? combined * weight : 0
+  };
+});
+
+/**
+ * Mamdani inference: clip each output term at its strongest rule, aggregate with max, defuzzify
+ * @param {Object} ruleBase - Rule base
+ * @param {Array} firing - Result of evaluateRules
+ * @param {String} defuzzifier - centroid, mom or fom
+ * @returns {Object} - Crisp output and the activation of each output term
+ */
+const inferMamdani = (ruleBase, firing, defuzzifier) => {
+  const { output } = ruleBase;
+  const activation = {};
+  firing.forEach((result, index) => {
+    const term = ruleBase.rules[index].then.is;
+    if (term !== undefined && term !== null && result.strength > 0) {
+      activation[term] = Math.max(activation[term] || 0, result.strength);
+    }
+  });
+
+  if (Object.keys(activation).length === 0) {
+    return { value: null, activation };
+  }
+
+  const outputMFs = {};
+  output.terms.forEach(term => {
+    outputMFs[term.name] = (x) => membershipDegree(term, x);
+  });
+
+  let value;
+  if (defuzzifier === 'mom') {
+    value = defuzzifyMOM(activation, outputMFs, output.min, output.max, OUTPUT_STEPS);
+  } else if (defuzzifier === 'fom') {
+    value = defuzzifyFOM(activation, outputMFs, output.min, output.max, OUTPUT_STEPS);
+  } else {
+    const clipped = Object.entries(activation).map(([term, strength]) => ({ outputValue: term, strength }));
+    value = defuzzifyCOG(clipped, outputMFs, output.min, output.max, OUTPUT_STEPS);
+  }
+  return { value, activation };
+};
+
+/**
+ * Takagi-Sugeno inference: each rule outputs constant + sum(coefficient * input); rules that
+ * name an output term instead use the term's peak (zero-order)
+ * @param {Object} ruleBase - Rule base
+ * @param {Array} firing - Result of evaluateRules
+ * @param {Object} crispInputs - Crisp value per variable
+ * @param {String} defuzzifier - weighted-average or weighted-sum
+ * @returns {Object} - Crisp output and each rule's consequent value
+ */
+const inferSugeno = (ruleBase, firing, crispInputs, defuzzifier) => {
+  const consequents = ruleBase.rules.map(rule => {
+    const then = rule.then;
+    const hasFunction = typeof then.constant === 'number' || (then.coefficients && Object.keys(then.coefficients).length > 0);
+    if (!hasFunction) {
+      const term = ruleBase.output.terms.find(t => t.name === then.is);
+      return termPeak(term);
+    }
+    // A consequent that reads a missing input has no value; its rule does not fire (see evaluateRules)
+    if (Object.keys(then.coefficients || {}).some(variable => crispInputs[variable] === undefined)) {
+      return null;
+    }
+    return Object.entries(then.coefficients || {}).reduce(
+      (sum, [variable, coefficient]) => sum + coefficient * crispInputs[variable],
+      then.constant || 0
+    );
+  });
+
+  const totalStrength = firing.reduce((sum, result) => sum + result.strength, 0);
+  if (totalStrength === 0) {
+    return { value: null, consequents };
+  }
+
+  const weightedSum = firing.reduce((sum, result, index) => (
+    result.strength > 0 ? sum + result.strength * consequents[index] : sum
+  ), 0);
+  return {
+    value: defuzzifier === 'weighted-sum' ? weightedSum : weightedSum / totalStrength,
+    consequents
+  };
+};
+
+/**
+ * Evaluate a rule base for one set of crisp inputs
+ * @param {Object} ruleBase - Rule base (plain object)
+ * @param {Object} crispInputs - Crisp value per input variable
+ * @param {Object} options - Inference options
+ * @param {String} options.engine - mamdani or sugeno
+ * @param {String} options.defuzzifier - Defuzzifier for the engine (see DEFUZZIFIERS)
+ * @returns {Object} - Crisp output, score scaled to 0-1, coverage and per-rule firing strengths
+ */
+const evaluateRuleBase = (ruleBase, crispInputs, options = {}) => {
+  const { engine = 'mamdani', defuzzifier = DEFUZZIFIERS[engine][0] } = options;
+  const fuzzified = fuzzifyInputs(crispInputs, ruleBase.inputs);
+  const firing = evaluateRules(fuzzified, ruleBase.rules, { engine });
+
+  const inference = engine === 'sugeno'
+    ? inferSugeno(ruleBase, firing, crispInputs, defuzzifier)
+    : inferMamdani(ruleBase, firing, defuzzifier);
+
+  const { min, max } = ruleBase.output;
+  const fired = inference.value !== null;
+  const rules = firing.map((result, index) => (engine === 'sugeno'
+    ? { ...result, consequent: inference.consequents[index] }
+    : { ...result, outputTerm: ruleBase.rules[index].then.is }));
+
+  return {
+    engine,
+    defuzzifier,
+    output: fired ? inference.value : null,
+    // Output rescaled to 0-1 so it can be ranked like the other scores; 0 when no rule fires
+    score: fired ? Math.min(1, Math.max(0, (inference.value - min) / (max - min))) : 0,
+    // How well the rule base covers these inputs: the strongest firing strength
+    coverage: firing.length > 0 ? Math.max(...firing.map(result => result.strength)) : 0,
+    fired,
+    inputs: crispInputs,
+    fuzzified,
+    outputActivation: engine === 'mamdani' ? inference.activation : undefined,
+    rules
+  };
+};
+
+module.exports = {
+  MEMBERSHIP_TYPES,
+  INPUT_SOURCES,
+  ENGINES,
+  DEFUZZIFIERS,
+  membershipDegree,
+  ruleBaseFromJob,
+  validateRuleBase,
+  validateRule,
+  candidateInputs,
+  fuzzifyInputs,
+  evaluateRules,
+  evaluateRuleBase
+};
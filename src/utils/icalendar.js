@@ -0,0 +1,122 @@
+/**
+ * iCalendar (RFC 5545) export of interview bookings
+ * Every booked stage is one event whose UID stays the same across reschedules, so calendar
+ * clients update the event in place; SEQUENCE goes up on every change and cancelled bookings
+ * are exported with STATUS:CANCELLED.
+ */
+
+const PRODUCT_ID = '-//Candidate Scoring System//Interview Scheduling//EN';
+const UID_DOMAIN = 'candidate-scoring-system';
+
+/**
+ * Escape a text value
+ * @param {String} value - Text
+ * @returns {String} - Text with backslashes, semicolons, commas and newlines escaped
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets, continuation lines starting with a space
+ * @param {String} line - Content line
+ * @returns {String} - Folded line
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const character of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + character) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += character;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Format an instant as an iCalendar UTC date-time
+ * @param {Date} date - Instant
+ * @returns {String} - e.g. '20240502T120000Z'
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Stable UID of a stage booking
+ * @param {String} interviewId - Interview ID
+ * @param {String} stage - Stage key
+ * @returns {String} - UID
+ */
+const bookingUid = (interviewId, stage) => `${interviewId}-${stage}@${UID_DOMAIN}`;
+
+/**
+ * Build a VEVENT
+ * @param {Object} event - Event
+ * @param {String} event.uid - Stable UID
+ * @param {Date} event.start - Start
+ * @param {Date} event.end - End
+ * @param {String} event.summary - Title
+ * @param {String} event.description - Description (optional)
+ * @param {String} event.location - Location (optional)
+ * @param {Number} event.sequence - Revision number (optional)
+ * @param {Boolean} event.cancelled - Whether the booking was cancelled (optional)
+ * @param {Array} event.attendees - { name, email } (optional)
+ * @param {Date} event.updatedAt - Last change (optional)
+ * @returns {Array} - Content lines
+ */
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  (event.attendees || []).filter(attendee => attendee.email).forEach(attendee => {
+    // Parameter values are quoted rather than escaped, and cannot contain quotes
+    const name = String(attendee.name || attendee.email).replace(/"/g, '');
+    lines.push(`ATTENDEE;CN="${name}";ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+  });
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build an iCalendar file
+ * @param {Array} events - Events as accepted by buildEvent
+ * @param {Object} options - Calendar options
+ * @param {String} options.name - Calendar name shown by clients (optional)
+ * @param {String} options.method - 'PUBLISH' for feeds (default), 'REQUEST' or 'CANCEL' for a single invitation
+ * @returns {String} - iCalendar text with CRLF line endings
+ */
+const buildCalendar = (events, { name, method = 'PUBLISH' } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  events.forEach(event => lines.push(...buildEvent(event)));
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  bookingUid,
+  buildEvent,
+  buildCalendar
+};
@@ -0,0 +1,258 @@
+/**
+ * Inter-rater scoring
+ * Aggregates several interviewers' scorecards for one interview stage with a fuzzy consensus
+ * operator and measures inter-rater reliability (Krippendorff's alpha or ICC) over the rubric
+ * items they all rated. The reliability becomes the stage's confidence.
+ */
+const { explainWSM } = require('./scoring');
+const { buildCriteriaBreakdown } = require('./scoreExplanation');
+const { scoreRubric } = require('./rubrics');
+
+const RELIABILITY_METHODS = ['krippendorff', 'icc'];
+
+// Confidence of a stage scored by a single interviewer (nothing to check the rating against)
+const SINGLE_RATER_CONFIDENCE = 0.5;
+// Item means closer than this count as equal
+const VARIANCE_TOLERANCE = 1e-12;
+
+/**
+ * Whether the rated items differ at all
+ * Reliability compares the disagreement between raters with the spread between items; with a
+ * single item, or items whose mean ratings are equal, there is no spread and it is undefined.
+ * @param {Array} units - One array of ratings per rated item
+ * @returns {Boolean} - True with at least two items whose mean ratings differ
+ */
+const hasItemVariance = (units) => {
+  const means = units
+    .filter(ratings => ratings.length > 0)
+    .map(ratings => ratings.reduce((sum, v) => sum + v, 0) / ratings.length);
+  return means.length >= 2 && means.some(mean => Math.abs(mean - means[0]) > VARIANCE_TOLERANCE);
+};
+
+/**
+ * Krippendorff's alpha for interval data
+ * @param {Array} units - One array of ratings per rated item (missing ratings left out)
+ * @returns {Number|null} - Alpha (1 = perfect agreement, 0 = chance, < 0 = systematic disagreement),
+ *   or null when there is no variation between items to measure agreement against
+ */
+const krippendorffAlpha = (units) => {
+  // Only items rated by at least two raters are pairable
+  const pairable = units.filter(ratings => ratings.length >= 2);
+  if (!hasItemVariance(pairable)) return null;
+  const values = pairable.flat();
+  const n = values.length;
+
+  // Observed disagreement within items
+  let observed = 0;
+  pairable.forEach(ratings => {
+    let sum = 0;
+    ratings.forEach((a, i) => ratings.forEach((b, j) => {
+      if (i !== j) sum += Math.pow(a - b, 2);
+    }));
+    observed += sum / (ratings.length - 1);
+  });
+  observed /= n;
+
+  // Expected disagreement across all pairable ratings
+  let expected = 0;
+  values.forEach((a, i) => values.forEach((b, j) => {
+    if (i !== j) expected += Math.pow(a - b, 2);
+  }));
+  expected /= n * (n - 1);
+
+  return expected > 0 ? 1 - observed / expected : null;
+};
+
+/**
+ * Intraclass correlation ICC(2,1): two-way random effects, absolute agreement, single rater
+ * @param {Array} matrix - One row per rated item, one column per rater (no missing ratings)
+ * @returns {Number|null} - ICC, or null with fewer than two raters or no variance between items
+ */
+const intraclassCorrelation = (matrix) => {
+  const n = matrix.length;
+  const k = n > 0 ? matrix[0].length : 0;
+  if (k < 2 || !hasItemVariance(matrix)) return null;
+
+  const grandMean = matrix.flat().reduce((sum, v) => sum + v, 0) / (n * k);
+  const rowMeans = matrix.map(row => row.reduce((sum, v) => sum + v, 0) / k);
+  const columnMeans = Array.from({ length: k }, (_, j) => matrix.reduce((sum, row) => sum + row[j], 0) / n);
+
+  const ssRows = k * rowMeans.reduce((sum, mean) => sum + Math.pow(mean - grandMean, 2), 0);
+  const ssColumns = n * columnMeans.reduce((sum, mean) => sum + Math.pow(mean - grandMean, 2), 0);
+  const ssTotal = matrix.flat().reduce((sum, v) => sum + Math.pow(v - grandMean, 2), 0);
+  const ssError = ssTotal - ssRows - ssColumns;
+
+  const msRows = ssRows / (n - 1);
+  const msColumns = ssColumns / (k - 1);
+  const msError = ssError / ((n - 1) * (k - 1));
+
+  const denominator = msRows + (k - 1) * msError + k * (msColumns - msError) / n;
+  return denominator > 0 ? (msRows - msError) / denominator : null;
+};
+
+/**
+ * Fuzzy consensus of several ratings (similarity aggregation method)
+ * Each rating is weighted by its average similarity (1 - |difference|) to the other ratings,
+ * so a rating far from the rest of the panel pulls the consensus less than a plain mean would.
+ * @param {Array} ratings - Ratings between 0 and 1
+ * @returns {Object} - Consensus value, consensus degree (mean pairwise similarity), disagreement
+ *   (1 - consensus degree) and the weight given to each rating
+ */
+const fuzzyConsensus = (ratings) => {
+  if (ratings.length === 0) {
+    return { value: 0, consensusDegree: 0, disagreement: 0, weights: [] };
+  }
+  if (ratings.length === 1) {
+    return { value: ratings[0], consensusDegree: 1, disagreement: 0, weights: [1] };
+  }
+
+  const agreement = ratings.map((a, i) => ratings.reduce((sum, b, j) => (
+    i === j ? sum : sum + (1 - Math.abs(a - b))
+  ), 0) / (ratings.length - 1));
+  const totalAgreement = agreement.reduce((sum, a) => sum + a, 0);
+
+  // Ratings that disagree completely with each other share the weight equally
+  const weights = totalAgreement > 0
+    ? agreement.map(a => a / totalAgreement)
+    : ratings.map(() => 1 / ratings.length);
+  const consensusDegree = totalAgreement / ratings.length;
+
+  return {
+    value: ratings.reduce((sum, rating, i) => sum + rating * weights[i], 0),
+    consensusDegree,
+    disagreement: 1 - consensusDegree,
+    weights
+  };
+};
+
+/**
+ * Score a stage from its scorecards
+ * Each rubric item's ratings are combined with fuzzyConsensus and the items are weighted by the
+ * stage rubric's competency weights (equally without a rubric).
+ * The stage confidence is the inter-rater reliability over the rubric items (clamped to 0-1);
+ * when it is undefined (one rubric item, items with equal mean ratings, no variation) the mean
+ * consensus degree is used.
+ * A stage with a single interviewer takes its confidence from the rubric when the scorecard has
+ * linguistic ratings, and gets SINGLE_RATER_CONFIDENCE otherwise.
+ * @param {Array} scorecards - Scorecards with interviewer, scores (rubric item -> 0-1) and
+ *   optionally the linguistic ratings behind them
+ * @param {Object} options - Scoring options
+ * @param {String} options.reliabilityMethod - 'krippendorff' (default) or 'icc'
+ * @param {Object} options.stage - Stage definition with the rubric (optional)
+ * @returns {Object} - Score, confidence, disagreement, reliability, per-item consensus, the
+ *   rubric versions of the scorecards and the explainWSM result behind the score
+ */
+const scoreScorecards = (scorecards, { reliabilityMethod = 'krippendorff', stage = null } = {}) => {
+  const toObject = (map) => (map instanceof Map ? Object.fromEntries(map) : { ...(map || {}) });
+  const cards = scorecards.map(card => ({
+    interviewer: card.interviewer,
+    scores: toObject(card.scores),
+    ratings: toObject(card.ratings),
+    rubricVersion: card.rubricVersion
+  }));
+  const itemNames = [...new Set(cards.flatMap(card => Object.keys(card.scores)))];
+
+  const items = {};
+  itemNames.forEach(name => {
+    const ratings = cards
+      .filter(card => card.scores[name] !== undefined && card.scores[name] !== null)
+      .map(card => ({
+        interviewer: card.interviewer,
+        value: card.scores[name],
+        ...(card.ratings[name] !== undefined ? { rating: card.ratings[name] } : {})
+      }));
+    const consensus = fuzzyConsensus(ratings.map(rating => rating.value));
+    items[name] = {
+      ratings: ratings.map((rating, i) => ({ ...rating, consensusWeight: consensus.weights[i] })),
+      consensus: consensus.value,
+      consensusDegree: consensus.consensusDegree,
+      disagreement: consensus.disagreement
+    };
+  });
+
+  // Rubric items count with their competency weight (equally without a rubric)
+  const competencyWeights = new Map(((stage && stage.dimensions) || []).map(dimension => [
+    dimension.key,
+    dimension.weight !== undefined ? dimension.weight : 1
+  ]));
+  const attributes = {};
+  const weights = {};
+  itemNames.forEach(name => {
+    attributes[name] = items[name].consensus;
+    weights[name] = competencyWeights.has(name) ? competencyWeights.get(name) : 1;
+  });
+  const explained = explainWSM(attributes, weights);
+
+  // Reliability over the items rated by every interviewer (ICC) or by at least two (alpha)
+  const alpha = krippendorffAlpha(itemNames.map(name => items[name].ratings.map(rating => rating.value)));
+  const completeItems = itemNames.filter(name => items[name].ratings.length === cards.length);
+  const icc = intraclassCorrelation(completeItems.map(name => items[name].ratings.map(rating => rating.value)));
+  const measured = reliabilityMethod === 'icc' ? icc : alpha;
+
+  const degrees = itemNames.map(name => items[name].consensusDegree);
+  const meanConsensus = degrees.length > 0 ? degrees.reduce((sum, d) => sum + d, 0) / degrees.length : 0;
+
+  let confidence;
+  let confidenceSource;
+  if (cards.length === 1 && stage && Object.keys(cards[0].ratings).length > 0) {
+    confidence = scoreRubric(stage, { ratings: cards[0].ratings, dimensions: cards[0].scores }).confidence;
+    confidenceSource = 'rubric';
+  } else if (cards.length < 2) {
+    confidence = SINGLE_RATER_CONFIDENCE;
+    confidenceSource = 'single-rater';
+  } else if (measured !== null) {
+    confidence = Math.max(0, Math.min(1, measured));
+    confidenceSource = reliabilityMethod;
+  } else {
+    confidence = meanConsensus;
+    confidenceSource = 'consensus';
+  }
+
+  return {
+    score: explained.score,
+    confidence,
+    disagreement: 1 - meanConsensus,
+    reliability: {
+      method: reliabilityMethod,
+      krippendorffAlpha: alpha,
+      icc,
+      confidenceSource,
+      raters: cards.length,
+      items: itemNames.length
+    },
+    items,
+    weights,
+    rubricVersions: [...new Set(cards.map(card => card.rubricVersion).filter(version => version !== undefined))].sort((a, b) => a - b),
+    explained
+  };
+};
+
+/**
+ * Per-rubric-item breakdown of a scorecard-based stage score (see scoreExplanation)
+ * @param {Object} result - Result of scoreScorecards
+ * @param {String} stage - Interview stage
+ * @returns {Object} - Breakdown persisted in scoreBreakdown.stages
+ */
+const buildScorecardBreakdown = (result, stage) => {
+  // The stage confidence comes from the raters' reliability, not from the rubric items
+  return buildCriteriaBreakdown({ ...result.explained, confidence: result.confidence }, {
+    details: Object.fromEntries(Object.entries(result.items).map(([name, item]) => [name, {
+      attribute: name,
+      source: 'scorecards',
+      rawValue: item.ratings,
+      membershipFunction: 'fuzzy-consensus'
+    }])),
+    weights: result.weights,
+    settings: { stage, reliability: result.reliability, disagreement: result.disagreement, rubricVersions: result.rubricVersions }
+  });
+};
+
+module.exports = {
+  RELIABILITY_METHODS,
+  SINGLE_RATER_CONFIDENCE,
+  krippendorffAlpha,
+  intraclassCorrelation,
+  fuzzyConsensus,
+  scoreScorecards,
+  buildScorecardBreakdown
+};
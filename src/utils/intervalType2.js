@@ -0,0 +1,185 @@
+/**
+ * Interval type-2 fuzzy scoring
+ * Each degree becomes an interval [lower, upper] (its footprint of uncertainty) that widens with
+ * parser uncertainty (low confidence) and interviewer disagreement. Less confident criteria also
+ * get an interval weight [weight * confidence, weight]. The interval weighted average is
+ * type-reduced with the Karnik-Mendel algorithm and defuzzified to the interval's centroid.
+ */
+
+// How far a fully unconfident degree is widened by default (total width of its interval)
+const DEFAULT_FOU_SCALE = 0.5;
+const KM_TOLERANCE = 1e-9;
+
+/**
+ * Footprint of uncertainty of a degree
+ * @param {Number} degree - Type-1 degree (0-1)
+ * @param {Object} uncertainty - Sources of uncertainty
+ * @param {Number} uncertainty.confidence - Confidence in the degree (0-1), e.g. from the parser
+ * @param {Number} uncertainty.disagreement - Spread between interviewers' ratings (0-1)
+ * @param {Number} uncertainty.fouScale - Interval width of a degree with no confidence at all
+ * @returns {Object} - { lower, upper } membership
+ */
+const intervalDegree = (degree, { confidence = 1, disagreement = 0, fouScale = DEFAULT_FOU_SCALE } = {}) => {
+  const width = Math.min(1, fouScale * (1 - confidence) + disagreement);
+  return {
+    lower: Math.max(0, degree - width / 2),
+    upper: Math.min(1, degree + width / 2)
+  };
+};
+
+/**
+ * Karnik-Mendel switch point search for one end of an interval weighted average
+ * For the left end, the smallest values take their upper weight and the rest their lower weight;
+ * the right end is the mirror image. The switch point is found iteratively.
+ * @param {Array} points - { x, weightLower, weightUpper } (any order)
+ * @param {String} side - 'left' or 'right'
+ * @returns {Object} - End point y and the weight chosen for each point (input order)
+ */
+const karnikMendel = (points, side) => {
+  const order = points.map((_, i) => i).sort((i, j) => points[i].x - points[j].x);
+  const sorted = order.map(i => points[i]);
+  const average = (theta) => {
+    const total = theta.reduce((sum, t) => sum + t, 0);
+    return total > 0 ? sorted.reduce((sum, p, i) => sum + p.x * theta[i], 0) / total : 0;
+  };
+
+  let theta = sorted.map(p => (p.weightLower + p.weightUpper) / 2);
+  let y = average(theta);
+
+  for (let iteration = 0; iteration <= sorted.length; iteration++) {
+    // Switch point k: x_k <= y < x_(k+1)
+    let k = sorted.findIndex((p, i) => i === sorted.length - 1 || (p.x <= y && y < sorted[i + 1].x));
+    if (k < 0) k = 0;
+
+    theta = sorted.map((p, i) => {
+      const beforeSwitch = i <= k;
+      return (side === 'left') === beforeSwitch ? p.weightUpper : p.weightLower;
+    });
+    const next = average(theta);
+    if (Math.abs(next - y) < KM_TOLERANCE) {
+      y = next;
+      break;
+    }
+    y = next;
+  }
+
+  const weights = Array(points.length);
+  order.forEach((original, i) => {
+    weights[original] = theta[i];
+  });
+  return { y, weights };
+};
+
+/**
+ * Interval type-2 weighted aggregation with a per-item explanation
+ * @param {Object} values - Type-1 degree per key (criteria or stages)
+ * @param {Object} weights - Weight per key; keys without a value are skipped
+ * @param {Object} options - Uncertainty inputs
+ * @param {Object} options.confidences - Confidence per key (default 1)
+ * @param {Object} options.disagreements - Interviewer disagreement per key (default 0)
+ * @param {Number} options.fouScale - Interval width of a degree with no confidence at all
+ * @returns {Object} - Centroid score, interval, confidence and per-item breakdown
+ */
+const explainIntervalType2 = (values, weights, options = {}) => {
+  const { confidences = {}, disagreements = {}, fouScale = DEFAULT_FOU_SCALE } = options;
+
+  const items = Object.entries(weights)
+    .filter(([key, weight]) => values[key] !== undefined && weight > 0)
+    .map(([key, weight]) => {
+      const confidence = confidences[key] !== undefined ? confidences[key] : 1.0;
+      const disagreement = disagreements[key] || 0;
+      return {
+        key,
+        value: values[key],
+        ...intervalDegree(values[key], { confidence, disagreement, fouScale }),
+        weight,
+        weightLower: weight * confidence,
+        confidence,
+        disagreement
+      };
+    });
+
+  if (items.length === 0) {
+    return {
+      score: 0,
+      confidence: 0,
+      interval: { lower: 0, upper: 0, centroid: 0, width: 0 },
+      breakdown: []
+    };
+  }
+
+  const left = karnikMendel(items.map(item => ({ x: item.lower, weightLower: item.weightLower, weightUpper: item.weight })), 'left');
+  const right = karnikMendel(items.map(item => ({ x: item.upper, weightLower: item.weightLower, weightUpper: item.weight })), 'right');
+  const leftTotal = left.weights.reduce((sum, w) => sum + w, 0);
+  const rightTotal = right.weights.reduce((sum, w) => sum + w, 0);
+  const centroid = (left.y + right.y) / 2;
+
+  // Each item's share of the two end points; contributions add up to the centroid
+  const breakdown = items.map((item, i) => {
+    const leftShare = leftTotal > 0 ? left.weights[i] / leftTotal : 0;
+    const rightShare = rightTotal > 0 ? right.weights[i] / rightTotal : 0;
+    return {
+      ...item,
+      normalizedWeight: (leftShare + rightShare) / 2,
+      contribution: (item.lower * leftShare + item.upper * rightShare) / 2
+    };
+  });
+
+  // Average confidence over all weighted keys, as in explainWSM (missing keys count as 0)
+  return {
+    score: centroid,
+    confidence: items.reduce((sum, item) => sum + item.confidence, 0) / Object.keys(weights).length,
+    interval: { lower: left.y, upper: right.y, centroid, width: right.y - left.y, fouScale },
+    breakdown
+  };
+};
+
+/**
+ * Whether one interval score dominates another (its lower end is above the other's upper end)
+ * @param {Object} a - { lower, upper }
+ * @param {Object} b - { lower, upper }
+ * @returns {Boolean} - True when a is better than b for every value in the two intervals
+ */
+const intervalDominates = (a, b) => a.lower > b.upper;
+
+/**
+ * Rank candidates by interval score
+ * Candidates are ordered by centroid (confidence breaks exact ties). A candidate whose interval is
+ * not dominated by the best candidate of the group above it is tied with that group and shares its
+ * rank, so ties follow the scores' uncertainty instead of a fixed window.
+ * @param {Array} candidates - Items with finalScore (centroid), confidence and scoreInterval { lower, upper }
+ * @returns {Array} - Copies with confidenceScore, rank, tieGroup and percentile (descending order)
+ */
+const rankCandidatesByInterval = (candidates) => {
+  const ranked = candidates.map(candidate => ({
+    ...candidate,
+    finalScore: candidate.finalScore || 0,
+    confidenceScore: candidate.confidence ?? 1.0
+  }));
+
+  ranked.sort((a, b) => (b.finalScore - a.finalScore) || (b.confidenceScore - a.confidenceScore));
+
+  let leader = null;
+  let tieGroup = 0;
+  ranked.forEach((candidate, index) => {
+    if (!leader || intervalDominates(leader.scoreInterval, candidate.scoreInterval)) {
+      leader = candidate;
+      leader.rank = index + 1;
+      tieGroup += 1;
+    }
+    candidate.rank = leader.rank;
+    candidate.tieGroup = tieGroup;
+    candidate.percentile = 100 * (1 - ((candidate.rank - 1) / ranked.length));
+  });
+
+  return ranked;
+};
+
+module.exports = {
+  DEFAULT_FOU_SCALE,
+  intervalDegree,
+  karnikMendel,
+  explainIntervalType2,
+  intervalDominates,
+  rankCandidatesByInterval
+};
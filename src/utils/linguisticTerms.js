@@ -0,0 +1,316 @@
+/**
+ * Linguistic terms
+ * Term shapes, validation and the in-memory library over linguistic variables. Nothing here
+ * touches the database, so the scoring functions can use it; utils/linguisticVariables loads
+ * the library with the stored variables.
+ */
+const SHAPES = ['triangular', 'trapezoidal', 'gaussian', 'generalized-bell', 'sigmoid', 'piecewise-linear'];
+
+// Every point of the domain must belong to some term to at least this degree (epsilon-completeness)
+const COVERAGE_THRESHOLD = 0.1;
+// Neighbouring terms overlapping above this degree cannot be told apart
+const MAX_OVERLAP = 0.8;
+// Sampling resolution of the domain for coverage and overlap checks
+const SAMPLE_POINTS = 500;
+
+// Built-in variables; stored variables with the same name replace them
+const DEFAULT_VARIABLES = [
+  {
+    name: 'experience',
+    description: 'Years of professional experience',
+    unit: 'years',
+    domain: { min: 0, max: 30 },
+    terms: [
+      { name: 'junior', shape: 'trapezoidal', a: 0, b: 0, c: 1, d: 3 },
+      { name: 'mid', shape: 'triangular', a: 1, b: 4, c: 7 },
+      { name: 'senior', shape: 'trapezoidal', a: 5, b: 8, c: 30, d: 30 }
+    ]
+  }
+];
+
+// Parameters each shape needs
+const SHAPE_PARAMETERS = {
+  'triangular': ['a', 'b', 'c'],
+  'trapezoidal': ['a', 'b', 'c', 'd'],
+  'gaussian': ['mean', 'sigma'],
+  'generalized-bell': ['center', 'width', 'slope'],
+  'sigmoid': ['center', 'slope'],
+  'piecewise-linear': ['points']
+};
+
+/**
+ * Membership degree of a crisp value in a term
+ * Triangles and trapezoids with a vertical edge (a = b or c = d) are shoulders.
+ * @param {Object} term - Term with a shape and its parameters
+ * @param {Number} x - Crisp value
+ * @returns {Number} - Membership degree (0-1)
+ */
+const membershipDegree = (term, x) => {
+  switch (term.shape) {
+    case 'triangular':
+      if (x < term.a || x > term.c) return 0;
+      if (x === term.b) return 1;
+      return x < term.b ? (x - term.a) / (term.b - term.a) : (term.c - x) / (term.c - term.b);
+    case 'trapezoidal':
+      if (x < term.a || x > term.d) return 0;
+      if (x >= term.b && x <= term.c) return 1;
+      return x < term.b ? (x - term.a) / (term.b - term.a) : (term.d - x) / (term.d - term.c);
+    case 'gaussian':
+      return Math.exp(-0.5 * Math.pow((x - term.mean) / term.sigma, 2));
+    case 'generalized-bell':
+      return 1 / (1 + Math.pow(Math.abs((x - term.center) / term.width), 2 * term.slope));
+    case 'sigmoid':
+      return 1 / (1 + Math.exp(-term.slope * (x - term.center)));
+    case 'piecewise-linear': {
+      const points = term.points;
+      if (x <= points[0].x) return points[0].y;
+      if (x >= points[points.length - 1].x) return points[points.length - 1].y;
+      const right = points.findIndex(point => point.x >= x);
+      const left = points[right - 1];
+      const span = points[right].x - left.x;
+      return span === 0 ? points[right].y : left.y + (points[right].y - left.y) * (x - left.x) / span;
+    }
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Validate one term's shape and parameters
+ * @param {Object} term - Term definition
+ * @returns {Array} - Validation errors
+ */
+const validateTerm = (term) => {
+  if (!term || !term.name) return ['Every term needs a name'];
+  const label = `Term "${term.name}"`;
+  if (!SHAPES.includes(term.shape)) {
+    return [`${label}: shape must be one of ${SHAPES.join(', ')}`];
+  }
+
+  if (term.shape === 'piecewise-linear') {
+    const points = term.points;
+    if (!Array.isArray(points) || points.length < 2) {
+      return [`${label}: at least two points are required`];
+    }
+    const errors = [];
+    if (points.some(point => !point || typeof point.x !== 'number' || typeof point.y !== 'number')) {
+      return [`${label}: points need numeric x and y`];
+    }
+    if (points.some((point, i) => i > 0 && point.x < points[i - 1].x)) {
+      errors.push(`${label}: point x values must be ascending`);
+    }
+    if (points.some(point => point.y < 0 || point.y > 1)) {
+      errors.push(`${label}: point y values must be between 0 and 1`);
+    }
+    return errors;
+  }
+
+  const missing = SHAPE_PARAMETERS[term.shape].filter(key => typeof term[key] !== 'number' || !isFinite(term[key]));
+  if (missing.length > 0) {
+    return [`${label}: ${missing.join(', ')} must be numbers`];
+  }
+
+  switch (term.shape) {
+    case 'triangular':
+    case 'trapezoidal': {
+      const points = SHAPE_PARAMETERS[term.shape].map(key => term[key]);
+      const ascending = points.every((p, i) => i === 0 || points[i - 1] <= p);
+      return ascending && points[0] < points[points.length - 1]
+        ? []
+        : [`${label}: points must be ascending and span a range`];
+    }
+    case 'gaussian':
+      return term.sigma > 0 ? [] : [`${label}: sigma must be positive`];
+    case 'generalized-bell':
+      return term.width > 0 && term.slope > 0 ? [] : [`${label}: width and slope must be positive`];
+    default:
+      return term.slope !== 0 ? [] : [`${label}: slope must not be 0`];
+  }
+};
+
+/**
+ * Sample the domain of a variable
+ * @param {Object} domain - { min, max }
+ * @returns {Array} - Evenly spaced points including both ends
+ */
+const samplePoints = ({ min, max }) =>
+  Array(SAMPLE_POINTS + 1).fill(0).map((_, i) => min + (max - min) * i / SAMPLE_POINTS);
+
+/**
+ * Check how well a variable's terms cover its domain and how much neighbouring terms overlap
+ * Terms are ordered by the centre of their core (where membership is highest).
+ * @param {Object} variable - Variable with domain and valid terms
+ * @returns {Object} - Coverage (lowest membership and uncovered ranges) and neighbour overlaps
+ */
+const analyzeVariable = (variable) => {
+  const xs = samplePoints(variable.domain);
+  const degrees = variable.terms.map(term => xs.map(x => membershipDegree(term, x)));
+
+  // Uncovered ranges: consecutive samples where no term reaches the coverage threshold
+  const gaps = [];
+  let minMembership = 1;
+  xs.forEach((x, i) => {
+    const best = Math.max(...degrees.map(row => row[i]));
+    minMembership = Math.min(minMembership, best);
+    if (best >= COVERAGE_THRESHOLD) return;
+    const last = gaps[gaps.length - 1];
+    if (last && last.to === xs[i - 1]) {
+      last.to = x;
+    } else {
+      gaps.push({ from: x, to: x });
+    }
+  });
+
+  const cores = degrees.map(row => {
+    const peak = Math.max(...row);
+    const atPeak = xs.filter((x, i) => row[i] >= peak - 1e-9);
+    return atPeak.reduce((sum, x) => sum + x, 0) / atPeak.length;
+  });
+  const order = variable.terms.map((_, i) => i).sort((i, j) => cores[i] - cores[j]);
+
+  // Crossover height of neighbouring terms: the highest degree both terms share
+  const overlaps = order.slice(1).map((index, k) => {
+    const previous = order[k];
+    const crossover = Math.max(...xs.map((_, i) => Math.min(degrees[previous][i], degrees[index][i])));
+    return { terms: [variable.terms[previous].name, variable.terms[index].name], crossover };
+  });
+
+  return {
+    coverage: { threshold: COVERAGE_THRESHOLD, minMembership, gaps },
+    overlaps
+  };
+};
+
+/**
+ * Validate a linguistic variable: term shapes, unique names, domain coverage and overlap
+ * @param {Object} variable - { name, domain, terms }
+ * @returns {Object} - Errors (reject), warnings (accept) and the coverage/overlap analysis when terms are valid
+ */
+const validateLinguisticVariable = (variable) => {
+  const errors = [];
+  const warnings = [];
+  const { domain, terms } = variable;
+
+  if (!domain || typeof domain.min !== 'number' || typeof domain.max !== 'number' || domain.min >= domain.max) {
+    errors.push('Domain min must be below max');
+  }
+  if (!Array.isArray(terms) || terms.length === 0) {
+    errors.push('At least one term is required');
+    return { errors, warnings, analysis: null };
+  }
+  const names = terms.map(term => term && term.name);
+  if (new Set(names).size !== names.length) {
+    errors.push('Term names must be unique');
+  }
+  terms.forEach(term => errors.push(...validateTerm(term)));
+  if (errors.length > 0) {
+    return { errors, warnings, analysis: null };
+  }
+
+  const analysis = analyzeVariable(variable);
+  analysis.coverage.gaps.forEach(gap => {
+    errors.push(`No term covers ${+gap.from.toFixed(4)}-${+gap.to.toFixed(4)} to at least ${COVERAGE_THRESHOLD}`);
+  });
+  analysis.overlaps.forEach(({ terms: pair, crossover }) => {
+    if (crossover > MAX_OVERLAP) {
+      errors.push(`Terms "${pair[0]}" and "${pair[1]}" overlap too much to tell apart (${crossover.toFixed(2)})`);
+    } else if (crossover === 0) {
+      warnings.push(`Terms "${pair[0]}" and "${pair[1]}" do not overlap, so the transition between them is crisp`);
+    }
+  });
+
+  return { errors, warnings, analysis };
+};
+
+/**
+ * Whether a target value references a linguistic term
+ * @param {*} targetValue - Criterion target value
+ * @returns {Boolean} - True for { variable, is }
+ */
+const isTermReference = (targetValue) =>
+  Boolean(targetValue) && typeof targetValue === 'object' && !Array.isArray(targetValue) &&
+  typeof targetValue.variable === 'string' && typeof targetValue.is === 'string';
+
+/**
+ * Label for the membership function used to score a target value
+ * @param {*} targetValue - Criterion target value
+ * @param {String} membershipType - Membership type used for bare targets
+ * @returns {String} - e.g. "experience IS senior" or the membership type
+ */
+const membershipLabel = (targetValue, membershipType) =>
+  (isTermReference(targetValue) ? `${targetValue.variable} IS ${targetValue.is}` : membershipType);
+
+/**
+ * Build a lookup over linguistic variables
+ * @param {Array} variables - Variable definitions
+ * @returns {Object} - Library with getVariable, getTerm, membership, fuzzify and findInvalidReferences
+ */
+const createLinguisticLibrary = (variables) => {
+  const byName = new Map(variables.map(variable => [variable.name, variable]));
+
+  const getVariable = (name) => byName.get(name) || null;
+
+  const getTerm = (reference) => {
+    const variable = getVariable(reference.variable);
+    return variable ? variable.terms.find(term => term.name === reference.is) || null : null;
+  };
+
+  // Values outside the domain are clamped to it, so shoulders keep their meaning
+  const clamp = (variable, value) => Math.min(variable.domain.max, Math.max(variable.domain.min, value));
+
+  return {
+    getVariables: () => [...byName.values()],
+    getVariable,
+    getTerm,
+
+    /**
+     * Degree to which a value IS the referenced term
+     * @param {*} value - Candidate value (numbers and booleans)
+     * @param {Object} reference - { variable, is }
+     * @returns {Number} - Membership degree, 0 for unknown terms or non-numeric values
+     */
+    membership: (value, reference) => {
+      const term = getTerm(reference);
+      if (typeof value === 'boolean') value = value ? 1 : 0;
+      if (!term || typeof value !== 'number' || !isFinite(value)) return 0;
+      return membershipDegree(term, clamp(getVariable(reference.variable), value));
+    },
+
+    /**
+     * Membership of a value in every term of a variable
+     * @param {String} name - Variable name
+     * @param {Number} value - Crisp value
+     * @returns {Object|null} - Degree per term, or null for an unknown variable
+     */
+    fuzzify: (name, value) => {
+      const variable = getVariable(name);
+      if (!variable) return null;
+      const degrees = {};
+      variable.terms.forEach(term => {
+        degrees[term.name] = membershipDegree(term, clamp(variable, value));
+      });
+      return degrees;
+    },
+
+    /**
+     * Term references that do not resolve in this library
+     * @param {Object} targets - Target value per key
+     * @returns {Array} - Keys with an unknown variable or term
+     */
+    findInvalidReferences: (targets) => Object.entries(targets || {})
+      .filter(([, target]) => isTermReference(target) && !getTerm(target))
+      .map(([key, target]) => ({ key, variable: target.variable, is: target.is }))
+  };
+};
+
+module.exports = {
+  SHAPES,
+  DEFAULT_VARIABLES,
+  membershipDegree,
+  validateTerm,
+  validateLinguisticVariable,
+  analyzeVariable,
+  isTermReference,
+  membershipLabel,
+  createLinguisticLibrary
+};
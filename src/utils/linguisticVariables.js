@@ -0,0 +1,64 @@
+/**
+ * Linguistic variables
+ * Named variables (e.g. experience) over an absolute domain, each with explicitly shaped
+ * terms (junior, mid, senior). Criteria reference a term with a target value of the form
+ * { variable: 'experience', is: 'senior' } instead of a bare number.
+ * This module loads the library from the built-in and stored variables; the term shapes and the
+ * library itself live in utils/linguisticTerms, which the scoring functions use without the database.
+ */
+const LinguisticVariable = require('../models/LinguisticVariable');
+const {
+  SHAPES,
+  DEFAULT_VARIABLES,
+  membershipDegree,
+  validateLinguisticVariable,
+  analyzeVariable,
+  isTermReference,
+  membershipLabel,
+  createLinguisticLibrary
+} = require('./linguisticTerms');
+
+let cachedLibrary = null;
+
+/**
+ * Load the linguistic variable library (built-in merged with stored variables), cached
+ * @returns {Promise<Object>} - Linguistic library
+ */
+const loadLinguisticLibrary = async () => {
+  if (cachedLibrary) return cachedLibrary;
+
+  const stored = await LinguisticVariable.find().lean();
+  const merged = new Map(DEFAULT_VARIABLES.map(variable => [variable.name, variable]));
+  stored.forEach(variable => {
+    merged.set(variable.name, {
+      name: variable.name,
+      description: variable.description,
+      unit: variable.unit,
+      domain: variable.domain,
+      terms: variable.terms
+    });
+  });
+
+  cachedLibrary = createLinguisticLibrary([...merged.values()]);
+  return cachedLibrary;
+};
+
+/**
+ * Drop the cached library so the next load picks up database changes
+ */
+const invalidateLinguisticLibrary = () => {
+  cachedLibrary = null;
+};
+
+module.exports = {
+  SHAPES,
+  DEFAULT_VARIABLES,
+  membershipDegree,
+  validateLinguisticVariable,
+  analyzeVariable,
+  isTermReference,
+  membershipLabel,
+  createLinguisticLibrary,
+  loadLinguisticLibrary,
+  invalidateLinguisticLibrary
+};
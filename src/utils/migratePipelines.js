@@ -0,0 +1,85 @@
+/**
+ * Interview pipeline migration
+ *
+ * Gives existing jobs the built-in three-stage pipeline template and moves the fixed stage
+ * score fields of candidates and interviews into the score dimensions of their stages.
+ * Rule-base inputs that read the old fields are pointed at the dimensions. Running it again
+ * changes nothing.
+ */
+
+const connectDB = require('./db');
+const Candidate = require('../models/Candidate');
+const Interview = require('../models/Interview');
+const Job = require('../models/Job');
+const { defaultPipeline } = require('./pipelines');
+require('dotenv').config();
+
+// Former score fields of each stage and the dimension of the three-stage template they map to
+const LEGACY_FIELDS = [
+  { stage: 'phoneScreen', candidate: 'communicationSkillScore', interview: 'communicationScore', dimension: 'communicationSkill' },
+  { stage: 'codingInterview', candidate: 'problemSolvingScore', interview: 'problemSolvingScore', dimension: 'problemSolving' },
+  { stage: 'onsiteInterview', candidate: 'systemDesignScore', interview: 'systemDesignScore', dimension: 'systemDesign' }
+];
+
+/**
+ * Rename a stage score field to its dimension in every document that still has it
+ * @param {Object} collection - Native MongoDB collection
+ * @param {String} stage - Stage key
+ * @param {String} field - Former score field
+ * @param {String} dimension - Dimension key
+ * @returns {Promise<Number>} - Number of documents updated
+ */
+const moveField = async (collection, stage, field, dimension) => {
+  const from = `stages.${stage}.${field}`;
+  const result = await collection.updateMany(
+    { [from]: { $exists: true } },
+    { $rename: { [from]: `stages.${stage}.dimensions.${dimension}` } }
+  );
+  return result.modifiedCount;
+};
+
+async function migratePipelines() {
+  try {
+    await connectDB();
+    
+    console.log('Connected to database');
+    
+    // The native collections are used so schema defaults do not hide missing pipelines or old fields
+    const jobs = await Job.collection.updateMany(
+      { $or: [{ pipeline: { $exists: false } }, { 'pipeline.stages.0': { $exists: false } }] },
+      { $set: { pipeline: defaultPipeline() } }
+    );
+    console.log(`Gave ${jobs.modifiedCount} jobs the three-stage pipeline`);
+    
+    for (const { stage, candidate, interview, dimension } of LEGACY_FIELDS) {
+      const candidates = await moveField(Candidate.collection, stage, candidate, dimension);
+      const interviews = await moveField(Interview.collection, stage, interview, dimension);
+      console.log(`${stage}: moved ${candidate} of ${candidates} candidates and ${interview} of ${interviews} interviews to ${dimension}`);
+    }
+    
+    // Rule-base inputs such as "codingInterview.problemSolvingScore" now read the dimension
+    const renamedKeys = Object.fromEntries(LEGACY_FIELDS.map(({ stage, candidate, dimension }) => [
+      `${stage}.${candidate}`,
+      `${stage}.${dimension}`
+    ]));
+    const ruleBaseJobs = await Job.find({ 'ruleBase.inputs.key': { $in: Object.keys(renamedKeys) } });
+    for (const job of ruleBaseJobs) {
+      job.ruleBase.inputs.forEach(input => {
+        if (input.source === 'stage' && renamedKeys[input.key]) {
+          input.key = renamedKeys[input.key];
+        }
+      });
+      await job.save();
+    }
+    console.log(`Updated the rule-base inputs of ${ruleBaseJobs.length} jobs`);
+    
+    console.log('Pipeline migration completed');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating pipelines:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migratePipelines();
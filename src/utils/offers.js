@@ -0,0 +1,333 @@
+/**
+ * Offer management
+ * An offer is drafted, approved by its approval chain in order and sent to the candidate, who
+ * accepts, declines or counters it. Every change of terms is kept as a numbered revision; a
+ * revision by the employer sends the offer back through approval. Sending an offer moves the
+ * candidate to `offer`, accepting it moves them to `hired` and, once the job is filled, can close
+ * the rest of the job's pipeline.
+ */
+const Offer = require('../models/Offer');
+const Candidate = require('../models/Candidate');
+const Interview = require('../models/Interview');
+const { cancelInterview } = require('./stageSync');
+const { TERMINAL_STATUSES, CandidateStatusError, transitionCandidate } = require('./candidateStatus');
+
+const COMPENSATION_TYPES = Offer.schema.path('compensation').schema.path('type').enumValues;
+const COMPENSATION_FREQUENCIES = Offer.schema.path('compensation').schema.path('frequency').enumValues;
+// Offers that can still change; at most one per candidate and job
+const OPEN_STATUSES = ['draft', 'pending-approval', 'approved', 'sent', 'countered'];
+// Hours a year used to annualise hourly pay
+const HOURS_PER_YEAR = 2080;
+
+// Statuses each action can be taken from
+const ACTIONS = {
+  revise: ['draft', 'pending-approval', 'approved', 'sent', 'countered'],
+  submit: ['draft'],
+  approve: ['pending-approval'],
+  send: ['approved'],
+  accept: ['sent'],
+  decline: ['sent', 'countered'],
+  counter: ['sent'],
+  rescind: OPEN_STATUSES
+};
+
+class OfferError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'OfferError';
+    this.code = code;
+    this.statusCode = 409;
+    this.details = details;
+  }
+}
+
+/**
+ * Check offer terms
+ * @param {Object} terms - { compensation, startDate, expiresAt }
+ * @param {Object} options - { requireCompensation }
+ * @returns {Array} - Error messages
+ */
+const validateTerms = ({ compensation, startDate, expiresAt }, { requireCompensation = true } = {}) => {
+  const errors = [];
+
+  if (compensation === undefined) {
+    if (requireCompensation) errors.push('Compensation is required');
+  } else if (!Array.isArray(compensation) || compensation.length === 0) {
+    errors.push('Compensation must be a non-empty array of components');
+  } else {
+    compensation.forEach((component, index) => {
+      if (!component || !COMPENSATION_TYPES.includes(component.type)) {
+        errors.push(`Compensation ${index}: type must be one of ${COMPENSATION_TYPES.join(', ')}`);
+      }
+      if (!component || typeof component.amount !== 'number' || !(component.amount >= 0)) {
+        errors.push(`Compensation ${index}: amount must be a non-negative number`);
+      }
+      if (component && component.frequency !== undefined && !COMPENSATION_FREQUENCIES.includes(component.frequency)) {
+        errors.push(`Compensation ${index}: frequency must be one of ${COMPENSATION_FREQUENCIES.join(', ')}`);
+      }
+      if (component && component.currency !== undefined && !/^[A-Za-z]{3}$/.test(component.currency)) {
+        errors.push(`Compensation ${index}: currency must be a three-letter code`);
+      }
+    });
+  }
+
+  [['startDate', startDate], ['expiresAt', expiresAt]].forEach(([field, value]) => {
+    if (value !== undefined && value !== null && isNaN(new Date(value).getTime())) {
+      errors.push(`${field} must be a date`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Annual value of a compensation package per currency
+ * @param {Array} compensation - Compensation components
+ * @returns {Object} - { recurring: { currency: annual amount }, oneTime: { currency: amount } }
+ */
+const summarizeCompensation = (compensation) => {
+  const summary = { recurring: {}, oneTime: {} };
+  (compensation || []).forEach(({ amount, currency = 'USD', frequency = 'annual' }) => {
+    const code = String(currency).toUpperCase();
+    if (frequency === 'one-time') {
+      summary.oneTime[code] = (summary.oneTime[code] || 0) + amount;
+      return;
+    }
+    const annual = frequency === 'monthly' ? amount * 12 : frequency === 'hourly' ? amount * HOURS_PER_YEAR : amount;
+    summary.recurring[code] = (summary.recurring[code] || 0) + annual;
+  });
+  return summary;
+};
+
+/**
+ * Check that an action can be taken on an offer in its current status
+ * @param {Object} offer - Offer document
+ * @param {String} action - Key of ACTIONS
+ * @throws {OfferError} - When the offer's status does not allow the action
+ */
+const assertAction = (offer, action) => {
+  if (!ACTIONS[action].includes(offer.status)) {
+    throw new OfferError(`Cannot ${action} an offer that is ${offer.status}`, 'INVALID_OFFER_STATE', {
+      status: offer.status,
+      allowedFrom: ACTIONS[action]
+    });
+  }
+};
+
+/**
+ * Append an event to the offer's history
+ * @param {Object} offer - Offer document
+ * @param {String} action - What happened
+ * @param {Object} options - { reason, changedBy }
+ */
+const recordEvent = (offer, action, { reason, changedBy } = {}) => {
+  offer.events.push({ action, version: offer.version, reason, changedBy, changedAt: new Date() });
+};
+
+/**
+ * Mark a sent offer as expired once its expiry has passed
+ * @param {Object} offer - Offer document
+ * @param {Date} now - Current time (optional)
+ * @returns {Boolean} - Whether the offer expired now (the caller saves it)
+ */
+const expireIfDue = (offer, now = new Date()) => {
+  if (!['sent', 'countered'].includes(offer.status) || !offer.expiresAt || offer.expiresAt > now) {
+    return false;
+  }
+  offer.status = 'expired';
+  offer.respondedAt = offer.expiresAt;
+  recordEvent(offer, 'expired', { reason: 'Offer expired without a response' });
+  return true;
+};
+
+/**
+ * Record a new version of the offer's terms
+ * Employer revisions replace the current terms and send the offer back through approval; a
+ * candidate's counter is kept as a revision next to the current terms.
+ * @param {Object} offer - Offer document
+ * @param {Object} terms - { compensation, startDate, expiresAt, notes }; missing terms are kept
+ * @param {Object} options - { source, reason, changedBy }
+ * @returns {Object} - The new revision
+ */
+const reviseOffer = (offer, terms, { source = 'employer', reason, changedBy } = {}) => {
+  const current = {
+    compensation: offer.compensation.map(component => component.toObject ? component.toObject() : component),
+    startDate: offer.startDate,
+    expiresAt: offer.expiresAt,
+    notes: offer.notes
+  };
+  const proposed = {
+    compensation: terms.compensation !== undefined ? terms.compensation : current.compensation,
+    startDate: terms.startDate !== undefined ? terms.startDate : current.startDate,
+    expiresAt: terms.expiresAt !== undefined ? terms.expiresAt : current.expiresAt,
+    notes: terms.notes !== undefined ? terms.notes : current.notes
+  };
+  const version = offer.revisions.reduce((latest, revision) => Math.max(latest, revision.version), 0) + 1;
+  offer.revisions.push({ version, source, ...proposed, reason, createdBy: changedBy, createdAt: new Date() });
+
+  if (source === 'employer') {
+    Object.assign(offer, proposed, { version });
+    offer.approvals.forEach(approval => {
+      approval.decision = 'pending';
+      approval.comment = undefined;
+      approval.decidedAt = undefined;
+    });
+    offer.status = 'draft';
+    recordEvent(offer, version === 1 ? 'created' : 'revised', { reason, changedBy });
+  } else {
+    offer.status = 'countered';
+    recordEvent(offer, 'countered', { reason, changedBy });
+  }
+  return offer.revisions[offer.revisions.length - 1];
+};
+
+/**
+ * Submit a draft for approval; an offer without approvers is approved straight away
+ * @param {Object} offer - Offer document
+ * @param {Object} options - { changedBy }
+ */
+const submitOffer = (offer, { changedBy } = {}) => {
+  assertAction(offer, 'submit');
+  offer.status = offer.approvals.length > 0 ? 'pending-approval' : 'approved';
+  recordEvent(offer, 'submitted', { changedBy });
+  if (offer.status === 'approved') {
+    recordEvent(offer, 'approved', { reason: 'No approvers required', changedBy });
+  }
+};
+
+/**
+ * Record an approver's decision; approvers decide in the order of the chain
+ * A rejection returns the offer to draft, the last approval approves it.
+ * @param {Object} offer - Offer document
+ * @param {Object} decision - { approver, decision: 'approved' | 'rejected', comment }
+ */
+const decideApproval = (offer, { approver, decision, comment }) => {
+  assertAction(offer, 'approve');
+  const next = offer.approvals.find(approval => approval.decision === 'pending');
+  if (!next || next.approver !== approver) {
+    throw new OfferError(`It is not ${approver}'s turn to approve this offer`, 'NOT_NEXT_APPROVER', {
+      nextApprover: next ? next.approver : null
+    });
+  }
+
+  next.decision = decision;
+  next.comment = comment;
+  next.decidedAt = new Date();
+
+  recordEvent(offer, `approval-${decision}`, { reason: comment, changedBy: approver });
+  if (decision === 'rejected') {
+    offer.status = 'draft';
+  } else if (offer.approvals.every(approval => approval.decision === 'approved')) {
+    offer.status = 'approved';
+    recordEvent(offer, 'approved', { changedBy: approver });
+  }
+};
+
+/**
+ * Close the rest of a job's pipeline once a candidate is hired: other active candidates are
+ * rejected, their open offers rescinded and their interviews that have not taken place cancelled
+ * @param {String} jobId - Job ID
+ * @param {String} hiredCandidateId - The hired candidate
+ * @param {Object} options - { reason, changedBy }
+ * @returns {Promise<Object>} - { rejected, skipped, rescindedOffers, cancelledInterviews }
+ */
+const closeJobPipeline = async (jobId, hiredCandidateId, { reason = 'Position filled', changedBy } = {}) => {
+  const others = { jobId, _id: { $ne: hiredCandidateId } };
+  const result = { rejected: [], skipped: [], rescindedOffers: [], cancelledInterviews: [] };
+
+  const offers = await Offer.find({ jobId, candidateId: { $ne: hiredCandidateId }, status: { $in: OPEN_STATUSES } });
+  for (const offer of offers) {
+    offer.status = 'rescinded';
+    recordEvent(offer, 'rescinded', { reason, changedBy });
+    await offer.save();
+    result.rescindedOffers.push(offer._id);
+  }
+
+  const interviews = await Interview.find({ jobId, candidateId: { $ne: hiredCandidateId }, status: { $in: ['scheduled', 'in-progress'] } });
+  for (const interview of interviews) {
+    await cancelInterview(interview, reason);
+    result.cancelledInterviews.push(interview._id);
+  }
+
+  const candidates = await Candidate.find({ ...others, status: { $nin: TERMINAL_STATUSES } });
+  for (const candidate of candidates) {
+    try {
+      await transitionCandidate(candidate, 'rejected', { reason, changedBy });
+      result.rejected.push(candidate._id);
+    } catch (error) {
+      if (!(error instanceof CandidateStatusError)) throw error;
+      result.skipped.push({ candidateId: candidate._id, code: error.code, message: error.message });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Offer acceptance per job
+ * The acceptance rate is accepted offers over offers the candidate decided on or let expire;
+ * offers that were never sent, are still outstanding or were rescinded do not count.
+ * @param {Array} offers - Offer documents or plain objects
+ * @param {Date} now - Current time, to count overdue offers as expired (optional)
+ * @returns {Array} - Per job: { jobId, total, sent, accepted, declined, expired, rescinded, outstanding, countered, acceptanceRate, averageDaysToRespond }
+ */
+const acceptanceReport = (offers, now = new Date()) => {
+  const jobs = new Map();
+  offers.forEach(offer => {
+    const key = String(offer.jobId && offer.jobId._id ? offer.jobId._id : offer.jobId);
+    if (!jobs.has(key)) {
+      jobs.set(key, {
+        jobId: key,
+        total: 0,
+        sent: 0,
+        accepted: 0,
+        declined: 0,
+        expired: 0,
+        rescinded: 0,
+        outstanding: 0,
+        countered: 0,
+        responseDays: []
+      });
+    }
+    const row = jobs.get(key);
+    const overdue = ['sent', 'countered'].includes(offer.status) && offer.expiresAt && new Date(offer.expiresAt) <= now;
+    const status = overdue ? 'expired' : offer.status;
+
+    row.total += 1;
+    if (offer.sentAt) row.sent += 1;
+    if ((offer.events || []).some(event => event.action === 'countered')) row.countered += 1;
+    if (['accepted', 'declined', 'expired', 'rescinded'].includes(status)) row[status] += 1;
+    if (['sent', 'countered'].includes(status)) row.outstanding += 1;
+    if (['accepted', 'declined'].includes(status) && offer.sentAt && offer.respondedAt) {
+      row.responseDays.push((new Date(offer.respondedAt) - new Date(offer.sentAt)) / (24 * 60 * 60 * 1000));
+    }
+  });
+
+  return [...jobs.values()].map(({ responseDays, ...row }) => {
+    const decided = row.accepted + row.declined + row.expired;
+    return {
+      ...row,
+      acceptanceRate: decided > 0 ? row.accepted / decided : null,
+      averageDaysToRespond: responseDays.length > 0
+        ? responseDays.reduce((sum, days) => sum + days, 0) / responseDays.length
+        : null
+    };
+  });
+};
+
+module.exports = {
+  COMPENSATION_TYPES,
+  COMPENSATION_FREQUENCIES,
+  OPEN_STATUSES,
+  OfferError,
+  validateTerms,
+  summarizeCompensation,
+  assertAction,
+  recordEvent,
+  expireIfDue,
+  reviseOffer,
+  submitOffer,
+  decideApproval,
+  closeJobPipeline,
+  acceptanceReport
+};
@@ -0,0 +1,134 @@
+/**
+ * OWA weight generation
+ * Builds OWA operator weights from regular increasing monotone (RIM) linguistic quantifiers
+ * (Yager) or from a target orness with maximum dispersion (O'Hagan), and measures the
+ * orness and dispersion of any OWA weight vector.
+ */
+
+// RIM quantifiers Q(r) = 0 below a, 1 above b, linear in between (Zadeh's parametrisation)
+const QUANTIFIERS = {
+  'there-exists': { a: 0, b: 0 },
+  'at-least-half': { a: 0, b: 0.5 },
+  'most': { a: 0.3, b: 0.8 },
+  'as-many-as-possible': { a: 0.5, b: 1 },
+  'all': { a: 1, b: 1 }
+};
+
+const QUANTIFIER_NAMES = Object.keys(QUANTIFIERS);
+
+const ORNESS_TOLERANCE = 1e-9;
+const BISECTION_ROUNDS = 200;
+
+/**
+ * Evaluate a RIM quantifier
+ * @param {Object} quantifier - Quantifier parameters { a, b }
+ * @param {Number} r - Proportion of criteria satisfied, between 0 and 1
+ * @returns {Number} - Degree to which the quantifier holds
+ */
+const evaluateQuantifier = ({ a, b }, r) => {
+  if (r <= a) return r === 1 && a === 1 ? 1 : 0;
+  if (r >= b) return 1;
+  return (r - a) / (b - a);
+};
+
+/**
+ * OWA weights from a linguistic quantifier: w_i = Q(i/n) - Q((i-1)/n)
+ * @param {String} quantifier - Quantifier name (see QUANTIFIER_NAMES)
+ * @param {Number} count - Number of values being aggregated
+ * @returns {Array} - OWA weights summing to 1, highest value first
+ */
+const quantifierWeights = (quantifier, count) => {
+  const q = QUANTIFIERS[quantifier];
+  return Array(count).fill(0).map((_, i) =>
+    evaluateQuantifier(q, (i + 1) / count) - evaluateQuantifier(q, i / count)
+  );
+};
+
+/**
+ * Orness (degree of "or"-likeness) of an OWA weight vector: 1 is max, 0.5 the mean, 0 is min
+ * @param {Array} weights - OWA weights, highest value first
+ * @returns {Number} - Orness between 0 and 1
+ */
+const owaOrness = (weights) => {
+  const n = weights.length;
+  if (n < 2) return 0.5;
+  return weights.reduce((sum, w, i) => sum + w * (n - 1 - i) / (n - 1), 0);
+};
+
+/**
+ * Dispersion (Shannon entropy) of an OWA weight vector: how many values really take part
+ * @param {Array} weights - OWA weights
+ * @returns {Number} - Dispersion between 0 and ln(n)
+ */
+const owaDispersion = (weights) => weights.reduce((sum, w) => (w > 0 ? sum - w * Math.log(w) : sum), 0);
+
+/**
+ * Maximum entropy OWA weights for a target orness (O'Hagan)
+ * The solution is geometric, w_i proportional to h^(i-1); h is found by bisection on ln h,
+ * since orness falls as h grows.
+ * @param {Number} count - Number of values being aggregated
+ * @param {Number} orness - Target orness between 0 and 1
+ * @returns {Array} - OWA weights summing to 1
+ */
+const maxEntropyWeights = (count, orness) => {
+  if (count === 1) return [1];
+  if (orness >= 1 - ORNESS_TOLERANCE) return Array(count).fill(0).map((_, i) => (i === 0 ? 1 : 0));
+  if (orness <= ORNESS_TOLERANCE) return Array(count).fill(0).map((_, i) => (i === count - 1 ? 1 : 0));
+
+  // Geometric weights for ln h = t, scaled by the largest term to avoid overflow
+  const geometricWeights = (t) => {
+    const largest = t > 0 ? t * (count - 1) : 0;
+    const terms = Array(count).fill(0).map((_, i) => Math.exp(t * i - largest));
+    const total = terms.reduce((sum, term) => sum + term, 0);
+    return terms.map(term => term / total);
+  };
+
+  let low = -50;
+  let high = 50;
+  for (let round = 0; round < BISECTION_ROUNDS; round++) {
+    const mid = (low + high) / 2;
+    if (owaOrness(geometricWeights(mid)) > orness) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+    if (high - low < ORNESS_TOLERANCE) break;
+  }
+
+  return geometricWeights((low + high) / 2);
+};
+
+/**
+ * Generate OWA weights from a quantifier or a target orness
+ * @param {Object} generator - { quantifier } or { orness }
+ * @param {Number} count - Number of values being aggregated
+ * @returns {Array|null} - OWA weights, or null when the generator names neither
+ */
+const generateOwaWeights = ({ quantifier, orness } = {}, count) => {
+  if (quantifier) return quantifierWeights(quantifier, count);
+  if (orness !== undefined && orness !== null) return maxEntropyWeights(count, orness);
+  return null;
+};
+
+/**
+ * Describe OWA weights for a response or score breakdown
+ * @param {Array} weights - OWA weights
+ * @param {Object} generator - Quantifier or target orness the weights came from (optional)
+ * @returns {Object} - Quantifier, target orness, achieved orness and dispersion
+ */
+const describeOwaWeights = (weights, { quantifier, orness } = {}) => ({
+  quantifier: quantifier || null,
+  targetOrness: quantifier || orness === undefined ? null : orness,
+  orness: owaOrness(weights),
+  dispersion: owaDispersion(weights)
+});
+
+module.exports = {
+  QUANTIFIER_NAMES,
+  quantifierWeights,
+  maxEntropyWeights,
+  owaOrness,
+  owaDispersion,
+  generateOwaWeights,
+  describeOwaWeights
+};
@@ -0,0 +1,363 @@
+/**
+ * Resume parser adapter layer
+ * Every parser (in-process or remote service) is registered as an adapter exposing
+ * `parse(file)`. Output is validated against the parsed resume schema before it
+ * reaches the candidate routes, and remote calls get timeouts, retries with
+ * exponential backoff and a circuit breaker.
+ */
+const axios = require('axios');
+const FormData = require('form-data');
+const { isSupportedResumeFile, parseResumeLocally } = require('./resumeParser');
+
+const DEFAULT_REMOTE_PARSER_URL = 'https://resume-parser-module.onrender.com/parse';
+
+/**
+ * Error raised when a parser fails or returns data that does not match the schema.
+ * Parser failures are upstream errors (502); a file the parsers cannot read is the
+ * client's (415 for an unsupported type, 422 for an unreadable file or one without
+ * an email address).
+ */
+class ResumeParserError extends Error {
+  constructor(message, code, details = {}, statusCode = 502) {
+    super(message);
+    this.name = 'ResumeParserError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Read the remote parser configuration from the environment
+ * @returns {Object} - Endpoint, timeout, retry and circuit breaker settings
+ */
+const getRemoteParserConfig = () => ({
+  url: process.env.RESUME_PARSER_URL || DEFAULT_REMOTE_PARSER_URL,
+  timeout: parseInt(process.env.RESUME_PARSER_TIMEOUT_MS, 10) || 15000,
+  retries: process.env.RESUME_PARSER_RETRIES !== undefined ? parseInt(process.env.RESUME_PARSER_RETRIES, 10) : 2,
+  backoffMs: parseInt(process.env.RESUME_PARSER_BACKOFF_MS, 10) || 500,
+  failureThreshold: parseInt(process.env.RESUME_PARSER_BREAKER_THRESHOLD, 10) || 5,
+  resetTimeoutMs: parseInt(process.env.RESUME_PARSER_BREAKER_RESET_MS, 10) || 30000
+});
+
+/**
+ * Validate parsed resume data against the schema consumed by from-parsed-resume
+ * @param {*} data - Parser output
+ * @returns {Array} - List of validation error messages (empty when valid)
+ */
+const validateParsedResume = (data) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Parser response must be an object'];
+  }
+
+  if (typeof data.Name !== 'string') {
+    errors.push('Name must be a string');
+  }
+
+  if (typeof data.Email !== 'string' || data.Email.trim().length === 0) {
+    errors.push('Email must be a non-empty string');
+  }
+
+  if (data.Phone !== undefined && data.Phone !== null && typeof data.Phone !== 'string') {
+    errors.push('Phone must be a string');
+  }
+
+  if (data.Skills !== undefined) {
+    if (!Array.isArray(data.Skills) || data.Skills.some(skill => typeof skill !== 'string')) {
+      errors.push('Skills must be an array of strings');
+    }
+  }
+
+  ['Education Details', 'Experience Details'].forEach(field => {
+    if (data[field] !== undefined) {
+      if (!Array.isArray(data[field]) || data[field].some(entry => !entry || typeof entry !== 'object')) {
+        errors.push(`${field} must be an array of objects`);
+      }
+    }
+  });
+
+  const years = data['Total Estimated Years of Experience'];
+  if (years !== undefined && years !== null && years !== '' && isNaN(parseFloat(years))) {
+    errors.push('Total Estimated Years of Experience must be numeric');
+  }
+
+  return errors;
+};
+
+/**
+ * Create a circuit breaker that stops calling a failing dependency for a while
+ * @param {Object} options - Breaker settings
+ * @param {Number} options.failureThreshold - Consecutive failures before the circuit opens
+ * @param {Number} options.resetTimeoutMs - Time the circuit stays open before a trial call
+ * @returns {Object} - Breaker with exec() and getState()
+ */
+const createCircuitBreaker = ({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+
+  return {
+    getState: () => state,
+    exec: async (fn) => {
+      // Only one trial call is let through while half-open; the rest fail fast until it settles
+      if (state === 'half-open') {
+        throw new ResumeParserError('Resume parser circuit is half-open', 'PARSER_CIRCUIT_OPEN', {
+          retryAfterMs: 0
+        });
+      }
+      if (state === 'open') {
+        if (Date.now() - openedAt < resetTimeoutMs) {
+          throw new ResumeParserError('Resume parser circuit is open', 'PARSER_CIRCUIT_OPEN', {
+            retryAfterMs: resetTimeoutMs - (Date.now() - openedAt)
+          });
+        }
+        // Allow a single trial call through
+        state = 'half-open';
+      }
+
+      try {
+        const result = await fn();
+        state = 'closed';
+        failures = 0;
+        return result;
+      } catch (error) {
+        // The dependency answered but rejected the input, which says nothing about its health
+        if (error.statusCode && error.statusCode < 500) {
+          state = 'closed';
+          failures = 0;
+          throw error;
+        }
+        failures += 1;
+        if (state === 'half-open' || failures >= failureThreshold) {
+          state = 'open';
+          openedAt = Date.now();
+        }
+        throw error;
+      }
+    }
+  };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Decide whether a failed remote call is worth retrying
+ * @param {Error} error - Axios error
+ * @returns {Boolean} - True for timeouts, network errors and 5xx responses
+ */
+const isRetryable = (error) => {
+  if (!error.response) return true;
+  return error.response.status >= 500;
+};
+
+/**
+ * Decide whether the remote parser rejected the file itself
+ * @param {Error} error - Axios error
+ * @returns {Boolean} - True for 4xx responses other than timeouts and rate limits
+ */
+const isRejectedFile = (error) => Boolean(error.response) &&
+  error.response.status >= 400 && error.response.status < 500 &&
+  ![408, 429].includes(error.response.status);
+
+/**
+ * Create an adapter for a remote resume parser service
+ * @param {Object} config - Overrides for the environment configuration
+ * @returns {Object} - Parser adapter
+ */
+const createRemoteParserAdapter = (config = {}) => {
+  const settings = { ...getRemoteParserConfig(), ...config };
+  const breaker = createCircuitBreaker(settings);
+
+  const callParser = async (file) => {
+    const formData = new FormData();
+
+    // Add the file buffer directly to the form data with a filename
+    formData.append('resume', file.buffer, {
+      filename: file.originalname,
+      contentType: file.mimetype
+    });
+
+    const response = await axios.post(settings.url, formData, {
+      headers: {
+        ...formData.getHeaders()
+      },
+      timeout: settings.timeout
+    });
+
+    return response.data;
+  };
+
+  return {
+    name: 'remote',
+    breaker,
+    parse: (file) => breaker.exec(async () => {
+      let lastError;
+
+      for (let attempt = 0; attempt <= settings.retries; attempt++) {
+        try {
+          return await callParser(file);
+        } catch (error) {
+          lastError = error;
+          if (attempt === settings.retries || !isRetryable(error)) break;
+
+          // Exponential backoff: backoffMs, 2 * backoffMs, 4 * backoffMs, ...
+          await sleep(settings.backoffMs * Math.pow(2, attempt));
+        }
+      }
+
+      if (isRejectedFile(lastError)) {
+        throw new ResumeParserError('Remote resume parser could not read the file', 'RESUME_UNREADABLE', {
+          parser: 'remote',
+          status: lastError.response.status
+        }, 422);
+      }
+
+      throw new ResumeParserError('Remote resume parser request failed', 'PARSER_UNAVAILABLE', {
+        url: settings.url,
+        attempts: settings.retries + 1,
+        status: lastError.response ? lastError.response.status : undefined,
+        reason: lastError.code === 'ECONNABORTED' ? 'timeout' : lastError.message
+      });
+    })
+  };
+};
+
+/**
+ * Create the in-process parser adapter
+ * @returns {Object} - Parser adapter
+ */
+const createLocalParserAdapter = () => ({
+  name: 'local',
+  parse: async (file) => {
+    if (!isSupportedResumeFile(file.originalname, file.mimetype)) {
+      throw new ResumeParserError('Only PDF and DOCX resumes can be parsed', 'UNSUPPORTED_FILE_TYPE', {
+        parser: 'local',
+        filename: file.originalname,
+        mimetype: file.mimetype
+      }, 415);
+    }
+
+    // The format is supported, so a failure means the file is corrupt or has no text
+    let resumeData;
+    try {
+      resumeData = await parseResumeLocally(file);
+    } catch (error) {
+      throw new ResumeParserError('Resume file could not be read', 'RESUME_UNREADABLE', {
+        parser: 'local',
+        reason: error.message
+      }, 422);
+    }
+
+    // Candidates are keyed by email, so a resume without one cannot be ingested
+    if (!resumeData.Email) {
+      throw new ResumeParserError('No email address was found in the resume', 'RESUME_MISSING_EMAIL', {
+        parser: 'local'
+      }, 422);
+    }
+    return resumeData;
+  }
+});
+
+// Registered adapters by name
+const adapters = new Map();
+
+/**
+ * Register (or replace) a parser adapter
+ * @param {String} name - Adapter name selected by the `parser` request option
+ * @param {Object} adapter - Object with an async parse(file) method
+ */
+const registerParserAdapter = (name, adapter) => {
+  if (!adapter || typeof adapter.parse !== 'function') {
+    throw new Error('Parser adapter must implement parse(file)');
+  }
+  adapters.set(name, adapter);
+};
+
+/**
+ * Get a registered parser adapter
+ * @param {String} name - Adapter name
+ * @returns {Object|undefined} - Parser adapter
+ */
+const getParserAdapter = (name) => adapters.get(name);
+
+/**
+ * Names of the registered parser adapters
+ * @returns {Array} - Adapter names
+ */
+const listParserAdapters = () => [...adapters.keys()];
+
+/**
+ * Restore the built-in local and remote adapters (drops any registered stubs)
+ */
+const resetParserAdapters = () => {
+  adapters.clear();
+  registerParserAdapter('local', createLocalParserAdapter());
+  registerParserAdapter('remote', createRemoteParserAdapter());
+};
+
+resetParserAdapters();
+
+/**
+ * Run one adapter and validate its output
+ * @param {String} name - Adapter name
+ * @param {Object} file - Uploaded file
+ * @returns {Promise<Object>} - Validated parsed resume data
+ */
+const runAdapter = async (name, file) => {
+  const adapter = getParserAdapter(name);
+  if (!adapter) {
+    throw new ResumeParserError(`Unknown resume parser '${name}'`, 'PARSER_NOT_REGISTERED');
+  }
+
+  const resumeData = await adapter.parse(file);
+
+  const validationErrors = validateParsedResume(resumeData);
+  if (validationErrors.length > 0) {
+    throw new ResumeParserError('Resume parser returned malformed data', 'PARSER_INVALID_RESPONSE', {
+      parser: name,
+      errors: validationErrors
+    });
+  }
+
+  return resumeData;
+};
+
+/**
+ * Parse a resume using the selected adapter, falling back to the remote parser only when requested
+ * @param {Object} file - Uploaded file with buffer, originalname and mimetype
+ * @param {Object} options - Parser options
+ * @param {String} options.mode - Adapter name (defaults to RESUME_PARSER_MODE, then 'local')
+ * @param {Boolean} options.fallbackToRemote - Retry with the remote adapter if the selected one fails
+ * @returns {Promise<Object>} - Parsed resume data and the parser that produced it
+ */
+const parseResume = async (file, options = {}) => {
+  const {
+    mode = process.env.RESUME_PARSER_MODE || 'local',
+    fallbackToRemote = process.env.RESUME_PARSER_FALLBACK === 'true'
+  } = options;
+
+  try {
+    return { resumeData: await runAdapter(mode, file), parser: mode };
+  } catch (error) {
+    if (!fallbackToRemote || mode === 'remote') {
+      throw error;
+    }
+    console.log(`Resume parser '${mode}' failed (${error.message}), falling back to remote parser`);
+    return { resumeData: await runAdapter('remote', file), parser: 'remote' };
+  }
+};
+
+module.exports = {
+  ResumeParserError,
+  validateParsedResume,
+  createCircuitBreaker,
+  createRemoteParserAdapter,
+  createLocalParserAdapter,
+  registerParserAdapter,
+  getParserAdapter,
+  listParserAdapters,
+  resetParserAdapters,
+  parseResume
+};
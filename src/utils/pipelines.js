@@ -0,0 +1,353 @@
+/**
+ * Interview pipelines
+ * A pipeline is the ordered list of interview stages a job uses, each with its own score
+ * dimensions, default stage weight and optional gating. Jobs keep their own copy of a pipeline
+ * (taken from a named template), and scheduling, score capture, stage scoring and final
+ * aggregation all read the stages from it.
+ */
+const PipelineTemplate = require('../models/PipelineTemplate');
+const { validateRubric } = require('./rubrics');
+
+// Template given to jobs that do not choose one (and to existing jobs by the pipeline migration)
+const DEFAULT_TEMPLATE_NAME = 'three-stage';
+
+// Stage and dimension keys are used in stored paths such as stages.<key>.dimensions.<key>
+const KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+// Built-in templates; stored templates with the same name replace them
+const DEFAULT_TEMPLATES = [
+  {
+    name: DEFAULT_TEMPLATE_NAME,
+    description: 'Phone screen, coding interview and onsite',
+    stages: [
+      {
+        key: 'phoneScreen',
+        name: 'Phone screen',
+        statusLabel: 'Initial Filtering',
+        defaultWeight: 0.3,
+        dimensions: [{
+          key: 'communicationSkill',
+          name: 'Communication skill',
+          weight: 1,
+          anchors: [
+            { level: 'weak', description: 'Answers are hard to follow; does not check understanding' },
+            { level: 'below', description: 'Gets the point across with prompting; rambles or omits context' },
+            { level: 'meets', description: 'Explains their work clearly and answers the question asked' },
+            { level: 'strong', description: 'Structures answers, adapts to the listener and asks good clarifying questions' },
+            { level: 'exceptional', description: 'Makes complex topics simple and steers the conversation productively' }
+          ]
+        }],
+        rubric: { version: 1 }
+      },
+      {
+        key: 'codingInterview',
+        name: 'Coding interview',
+        statusLabel: 'Detailed Scoring',
+        defaultWeight: 0.4,
+        dimensions: [{
+          key: 'problemSolving',
+          name: 'Problem solving',
+          weight: 1,
+          anchors: [
+            { level: 'weak', description: 'Cannot reach a working approach even with hints' },
+            { level: 'below', description: 'Reaches a partial solution with substantial hints' },
+            { level: 'meets', description: 'Solves the problem with minor hints and reasonable code' },
+            { level: 'strong', description: 'Solves it independently, discusses trade-offs and tests edge cases' },
+            { level: 'exceptional', description: 'Finds an optimal solution quickly and generalises it' }
+          ]
+        }],
+        rubric: { version: 1 }
+      },
+      {
+        key: 'onsiteInterview',
+        name: 'Onsite',
+        statusLabel: 'Soft Skills Evaluation',
+        defaultWeight: 0.3,
+        dimensions: [{
+          key: 'systemDesign',
+          name: 'System design',
+          weight: 1,
+          anchors: [
+            { level: 'weak', description: 'Cannot outline the main components of a system' },
+            { level: 'below', description: 'Outlines components but misses scaling or failure concerns' },
+            { level: 'meets', description: 'Produces a workable design and explains its main trade-offs' },
+            { level: 'strong', description: 'Designs for scale and failure and justifies each choice' },
+            { level: 'exceptional', description: 'Leads the discussion and anticipates operational concerns' }
+          ]
+        }],
+        rubric: { version: 1 }
+      }
+    ]
+  }
+];
+
+/**
+ * Check a pipeline's stages
+ * @param {Array} stages - Stage definitions in interview order
+ * @returns {Array} - Error messages (empty if valid)
+ */
+const validatePipeline = (stages) => {
+  const errors = [];
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return ['A pipeline needs at least one stage'];
+  }
+
+  const seen = new Set();
+  stages.forEach((stage, index) => {
+    const label = `Stage ${index + 1}`;
+    if (!stage || typeof stage.key !== 'string' || !KEY_PATTERN.test(stage.key)) {
+      errors.push(`${label}: key must start with a letter and contain only letters, digits, - or _`);
+      return;
+    }
+    if (seen.has(stage.key)) {
+      errors.push(`${label}: duplicate stage key "${stage.key}"`);
+    }
+    if (!stage.name) {
+      errors.push(`${label}: name is required`);
+    }
+    if (typeof stage.defaultWeight !== 'number' || stage.defaultWeight < 0 || stage.defaultWeight > 1) {
+      errors.push(`${label}: default weight must be between 0 and 1`);
+    }
+    const dimensions = stage.dimensions || [];
+    if (dimensions.length === 0) {
+      errors.push(`${label}: at least one score dimension is required`);
+    }
+    const dimensionKeys = dimensions.map(dimension => dimension && dimension.key);
+    dimensionKeys.forEach(key => {
+      if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+        errors.push(`${label}: dimension key "${key}" must start with a letter and contain only letters, digits, - or _`);
+      }
+    });
+    if (new Set(dimensionKeys).size !== dimensionKeys.length) {
+      errors.push(`${label}: dimension keys must be unique`);
+    }
+    dimensions.forEach(dimension => {
+      if (dimension && dimension.weight !== undefined && (typeof dimension.weight !== 'number' || dimension.weight < 0)) {
+        errors.push(`${label}: dimension "${dimension.key}" weight must be a non-negative number`);
+      }
+    });
+
+    errors.push(...validateRubric(stage, label));
+
+    // Gates can only wait on stages that come earlier in the pipeline
+    const gating = stage.gating || {};
+    (gating.after || []).forEach(previous => {
+      if (!seen.has(previous)) {
+        errors.push(`${label}: gate refers to "${previous}", which is not an earlier stage`);
+      }
+    });
+    ['minScore', 'minConfidence'].forEach(field => {
+      if (gating[field] !== undefined && gating[field] !== null && (gating[field] < 0 || gating[field] > 1)) {
+        errors.push(`${label}: gate ${field} must be between 0 and 1`);
+      }
+    });
+    if ((gating.minScore !== undefined || gating.minConfidence !== undefined) && !(gating.after || []).length) {
+      errors.push(`${label}: a gate with a minimum score or confidence needs the stages it applies to (after)`);
+    }
+
+    seen.add(stage.key);
+  });
+
+  return errors;
+};
+
+/**
+ * Copy a template's stages into a job pipeline
+ * @param {Object} template - Template with name and stages
+ * @returns {Object} - Pipeline { template, stages, updatedAt }
+ */
+const pipelineFromTemplate = (template) => ({
+  template: template.name,
+  stages: JSON.parse(JSON.stringify(template.stages)),
+  updatedAt: new Date()
+});
+
+/**
+ * Default pipeline (the built-in three-stage template)
+ * @returns {Object} - Pipeline { template, stages, updatedAt }
+ */
+const defaultPipeline = () => pipelineFromTemplate(DEFAULT_TEMPLATES[0]);
+
+/**
+ * A job's pipeline as a plain object, or the default pipeline when the job has none
+ * @param {Object} job - Job document or plain object (may be null)
+ * @returns {Object} - Pipeline { template, stages }
+ */
+const pipelineFromJob = (job) => {
+  const pipeline = job && job.pipeline;
+  if (!pipeline || !pipeline.stages || pipeline.stages.length === 0) {
+    return defaultPipeline();
+  }
+  return pipeline.toObject ? pipeline.toObject() : pipeline;
+};
+
+/**
+ * Stage keys of a pipeline in interview order
+ * @param {Object} pipeline - Pipeline
+ * @returns {Array} - Stage keys
+ */
+const stageKeys = (pipeline) => pipeline.stages.map(stage => stage.key);
+
+/**
+ * Find a stage definition
+ * @param {Object} pipeline - Pipeline
+ * @param {String} key - Stage key
+ * @returns {Object|null} - Stage definition
+ */
+const findStage = (pipeline, key) => pipeline.stages.find(stage => stage.key === key) || null;
+
+/**
+ * Default stage weights of a pipeline
+ * @param {Object} pipeline - Pipeline
+ * @returns {Object} - Weight per stage key
+ */
+const defaultStageWeights = (pipeline) => Object.fromEntries(
+  pipeline.stages.map(stage => [stage.key, stage.defaultWeight])
+);
+
+/**
+ * Keys of an object (stage weights, scheduled stages, ...) that are not stages of the pipeline
+ * @param {Object} pipeline - Pipeline
+ * @param {Object} byStage - Object keyed by stage
+ * @returns {Array} - Unknown keys
+ */
+const unknownStages = (pipeline, byStage = {}) => {
+  const keys = new Set(stageKeys(pipeline));
+  return Object.keys(byStage).filter(key => !keys.has(key));
+};
+
+/**
+ * Dimension keys given for a stage that the stage does not define
+ * @param {Object} stage - Stage definition
+ * @param {Object} dimensions - Dimension scores
+ * @returns {Array} - Unknown dimension keys
+ */
+const unknownDimensions = (stage, dimensions = {}) => {
+  const keys = new Set((stage.dimensions || []).map(dimension => dimension.key));
+  return Object.keys(dimensions).filter(key => !keys.has(key));
+};
+
+/**
+ * Read a candidate's (or interview's) data for one stage whether stages are a Map or a plain object
+ * @param {Object} owner - Candidate or interview document or plain object
+ * @param {String} key - Stage key
+ * @returns {Object|undefined} - Stage data
+ */
+const candidateStage = (owner, key) => {
+  if (!owner || !owner.stages) return undefined;
+  return owner.stages instanceof Map ? owner.stages.get(key) : owner.stages[key];
+};
+
+/**
+ * Dimension scores recorded for a stage as a plain object
+ * @param {Object} stageData - Stage data of a candidate or interview
+ * @returns {Object} - Score per dimension key
+ */
+const stageDimensions = (stageData) => {
+  if (!stageData || !stageData.dimensions) return {};
+  return stageData.dimensions instanceof Map ? Object.fromEntries(stageData.dimensions) : { ...stageData.dimensions };
+};
+
+/**
+ * Check whether a stage's gate is open for a candidate
+ * @param {Object} pipeline - Pipeline
+ * @param {String} key - Stage key
+ * @param {Object} candidate - Candidate document or plain object
+ * @returns {Object} - { open, unmet: [{ stage, reason }] }
+ */
+const checkStageGate = (pipeline, key, candidate) => {
+  const stage = findStage(pipeline, key);
+  const gating = (stage && stage.gating) || {};
+  const unmet = [];
+
+  (gating.after || []).forEach(previous => {
+    const data = candidateStage(candidate, previous);
+    if (!data || !data.completed) {
+      unmet.push({ stage: previous, reason: 'not completed' });
+    } else if (typeof gating.minScore === 'number' && !(data.score >= gating.minScore)) {
+      unmet.push({ stage: previous, reason: `score below ${gating.minScore}` });
+    } else if (typeof gating.minConfidence === 'number' && !(data.confidence >= gating.minConfidence)) {
+      unmet.push({ stage: previous, reason: `confidence below ${gating.minConfidence}` });
+    }
+  });
+
+  return { open: unmet.length === 0, unmet };
+};
+
+/**
+ * Where a candidate is in the pipeline, e.g. "Coding interview pending"
+ * @param {Object} pipeline - Pipeline
+ * @param {Object} candidate - Candidate document or plain object
+ * @returns {String} - Interview stage description
+ */
+const interviewStageLabel = (pipeline, candidate) => {
+  const next = pipeline.stages.find(stage => {
+    const data = candidateStage(candidate, stage.key);
+    return !data || !data.completed;
+  });
+  return next ? `${next.name} pending` : 'Completed all interviews';
+};
+
+/**
+ * Status label of the latest completed stage
+ * @param {Object} pipeline - Pipeline
+ * @param {Object} candidate - Candidate document or plain object
+ * @returns {String|null} - The stage's status label (or "<name> completed"), null before the first stage
+ */
+const latestStageStatus = (pipeline, candidate) => {
+  const completed = pipeline.stages.filter(stage => {
+    const data = candidateStage(candidate, stage.key);
+    return data && data.completed;
+  });
+  if (completed.length === 0) return null;
+  const latest = completed[completed.length - 1];
+  return latest.statusLabel || `${latest.name} completed`;
+};
+
+/**
+ * Find a template by name (stored templates take precedence over built-in ones)
+ * @param {String} name - Template name
+ * @returns {Promise<Object|null>} - Template { name, description, stages, source }
+ */
+const loadPipelineTemplate = async (name) => {
+  const stored = await PipelineTemplate.findOne({ name: name.toLowerCase() }).lean();
+  if (stored) {
+    return { name: stored.name, description: stored.description, stages: stored.stages, source: 'custom' };
+  }
+  const builtIn = DEFAULT_TEMPLATES.find(template => template.name === name.toLowerCase());
+  return builtIn ? { ...builtIn, source: 'built-in' } : null;
+};
+
+/**
+ * All templates (built-in merged with stored)
+ * @returns {Promise<Array>} - Templates with their source
+ */
+const listPipelineTemplates = async () => {
+  const stored = await PipelineTemplate.find().sort({ name: 1 }).lean();
+  const merged = new Map(DEFAULT_TEMPLATES.map(template => [template.name, { ...template, source: 'built-in' }]));
+  stored.forEach(template => {
+    merged.set(template.name, { name: template.name, description: template.description, stages: template.stages, source: 'custom' });
+  });
+  return [...merged.values()];
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE_NAME,
+  DEFAULT_TEMPLATES,
+  validatePipeline,
+  pipelineFromTemplate,
+  defaultPipeline,
+  pipelineFromJob,
+  stageKeys,
+  findStage,
+  defaultStageWeights,
+  unknownStages,
+  unknownDimensions,
+  candidateStage,
+  stageDimensions,
+  checkStageGate,
+  interviewStageLabel,
+  latestStageStatus,
+  loadPipelineTemplate,
+  listPipelineTemplates
+};
@@ -0,0 +1,94 @@
+/**
+ * Ranking comparison
+ * Compares two rankings of the same job's candidates (scoring runs, or a simulated
+ * ranking against the stored one) and reports rank movements and score deltas.
+ */
+
+/**
+ * Compare two rankings candidate by candidate
+ * @param {Array} baseResults - Earlier ranking ({ candidateId, name, score, confidence, rank })
+ * @param {Array} compareResults - Later ranking in the same shape
+ * @returns {Object} - Per-candidate changes (rankChange > 0 means the candidate moved up) and a summary
+ */
+const compareRankings = (baseResults, compareResults) => {
+  const base = new Map(baseResults.map(result => [String(result.candidateId), result]));
+  const compare = new Map(compareResults.map(result => [String(result.candidateId), result]));
+  const candidateIds = new Set([...base.keys(), ...compare.keys()]);
+
+  const changes = [...candidateIds].map(candidateId => {
+    const before = base.get(candidateId);
+    const after = compare.get(candidateId);
+
+    let movement;
+    if (!before) {
+      movement = 'added';
+    } else if (!after) {
+      movement = 'removed';
+    } else if (after.rank < before.rank) {
+      movement = 'up';
+    } else if (after.rank > before.rank) {
+      movement = 'down';
+    } else {
+      movement = 'unchanged';
+    }
+
+    return {
+      candidateId,
+      name: (after || before).name,
+      baseRank: before ? before.rank : null,
+      compareRank: after ? after.rank : null,
+      rankChange: before && after ? before.rank - after.rank : null,
+      baseScore: before ? before.score : null,
+      compareScore: after ? after.score : null,
+      scoreDelta: before && after ? after.score - before.score : null,
+      movement
+    };
+  });
+
+  // Order by the later ranking; candidates missing from it go last
+  changes.sort((a, b) => (a.compareRank || Infinity) - (b.compareRank || Infinity) ||
+    (a.baseRank || Infinity) - (b.baseRank || Infinity));
+
+  const count = (movement) => changes.filter(change => change.movement === movement).length;
+  const rankChanges = changes.filter(change => change.rankChange !== null).map(change => Math.abs(change.rankChange));
+  const topBefore = baseResults.find(result => result.rank === 1);
+  const topAfter = compareResults.find(result => result.rank === 1);
+
+  return {
+    summary: {
+      movedUp: count('up'),
+      movedDown: count('down'),
+      unchanged: count('unchanged'),
+      added: count('added'),
+      removed: count('removed'),
+      maxRankChange: rankChanges.length > 0 ? Math.max(...rankChanges) : 0,
+      topCandidateChanged: Boolean(topBefore && topAfter) &&
+        String(topBefore.candidateId) !== String(topAfter.candidateId)
+    },
+    changes
+  };
+};
+
+/**
+ * List the keys whose values differ between two flat objects
+ * @param {Object} before - Earlier values
+ * @param {Object} after - Later values
+ * @returns {Object} - Changed keys with their before and after values
+ */
+const diffValues = (before = {}, after = {}) => {
+  const changed = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changed[key] = {
+        before: before[key] !== undefined ? before[key] : null,
+        after: after[key] !== undefined ? after[key] : null
+      };
+    }
+  });
+  return changed;
+};
+
+module.exports = {
+  compareRankings,
+  diffValues
+};
@@ -0,0 +1,171 @@
+/**
+ * Job requisition lifecycle
+ * A job is drafted, opened for candidates, put on hold, closed or filled. It is filled when as many
+ * candidates have been hired as its headcount allows, and opens again when the headcount is raised.
+ * Every change names a reason and is appended to the job's status history. Deleting a job only
+ * marks it as deleted and closes it; the caller closes its pipeline.
+ */
+const Job = require('../models/Job');
+const Candidate = require('../models/Candidate');
+
+const JOB_STATUSES = Job.schema.path('status').enumValues;
+
+// Allowed moves; filled is entered and left as hires and the headcount change
+const JOB_TRANSITIONS = {
+  draft: ['open', 'closed'],
+  open: ['on-hold', 'closed', 'filled'],
+  'on-hold': ['open', 'closed'],
+  filled: ['open', 'closed'],
+  closed: ['open']
+};
+
+class RequisitionError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'RequisitionError';
+    this.code = code;
+    this.statusCode = 409;
+    this.details = details;
+  }
+}
+
+/**
+ * Check whether a job can move to a status
+ * @param {Object} job - Job document or plain object
+ * @param {String} to - Target status
+ * @returns {Object} - { allowed, code, unmet }
+ */
+const checkJobTransition = (job, to) => {
+  const from = job.status || 'open';
+  if (job.deletedAt) {
+    return { allowed: false, code: 'JOB_DELETED', unmet: ['Job is deleted; restore it first'] };
+  }
+  if (!(JOB_TRANSITIONS[from] || []).includes(to)) {
+    return { allowed: false, code: 'INVALID_TRANSITION', unmet: [`Cannot move a job from ${from} to ${to}`] };
+  }
+
+  const unmet = [];
+  const filledCount = job.filledCount || 0;
+  if (to === 'open' && filledCount >= job.headcount) {
+    unmet.push(`All ${job.headcount} openings are filled; raise the headcount first`);
+  }
+  if (to === 'open' && (!job.criteria || job.criteria.length === 0)) {
+    unmet.push('Job has no criteria to score candidates against');
+  }
+  if (to === 'filled' && filledCount < job.headcount) {
+    unmet.push(`${filledCount} of ${job.headcount} openings are filled`);
+  }
+  return unmet.length > 0
+    ? { allowed: false, code: 'GUARD_FAILED', unmet }
+    : { allowed: true, code: null, unmet: [] };
+};
+
+/**
+ * Move a job to a status and append the change to its status history
+ * The write only applies while the job still has the status it was checked against.
+ * @param {Object} job - Job document
+ * @param {String} to - Target status
+ * @param {Object} options - { reason (required), changedBy }
+ * @returns {Promise<Object>} - Updated job
+ */
+const transitionJob = async (job, to, { reason, changedBy } = {}) => {
+  if (!reason || !String(reason).trim()) {
+    throw new RequisitionError('A reason is required to change the job status', 'REASON_REQUIRED');
+  }
+
+  const from = job.status || 'open';
+  const check = checkJobTransition(job, to);
+  if (!check.allowed) {
+    throw new RequisitionError(check.unmet[0], check.code, { from, to, unmet: check.unmet });
+  }
+
+  // Jobs created before job statuses existed have no stored status and count as open
+  const now = new Date();
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, status: from === 'open' ? { $in: ['open', null] } : from },
+    {
+      $set: { status: to, updatedAt: now, ...(['closed', 'filled'].includes(to) ? { closedAt: now } : {}) },
+      ...(to === 'open' ? { $unset: { closedAt: '' } } : {}),
+      $push: { statusHistory: { from, to, reason: String(reason).trim(), changedBy, changedAt: now } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new RequisitionError('The job\'s status changed in the meantime', 'STATUS_CHANGED', { from, to });
+  }
+  return updated;
+};
+
+/**
+ * Recount a job's hires and fill or reopen it to match its headcount
+ * @param {String} jobId - Job ID
+ * @param {Object} options - { changedBy }
+ * @returns {Promise<Object|null>} - Updated job
+ */
+const refreshHeadcount = async (jobId, { changedBy } = {}) => {
+  const filledCount = await Candidate.countDocuments({ jobId, status: 'hired' });
+  let job = await Job.findByIdAndUpdate(jobId, { $set: { filledCount } }, { new: true });
+  if (!job || job.deletedAt) return job;
+
+  if (job.status === 'open' && filledCount >= job.headcount) {
+    job = await transitionJob(job, 'filled', { reason: `All ${job.headcount} openings filled`, changedBy });
+  } else if (job.status === 'filled' && filledCount < job.headcount) {
+    job = await transitionJob(job, 'open', { reason: `${job.headcount - filledCount} openings available`, changedBy });
+  }
+  return job;
+};
+
+/**
+ * Check that a job takes new candidates, interviews and offers
+ * @param {Object} job - Job document
+ * @throws {RequisitionError} - When the job is deleted or not open
+ */
+const assertJobOpen = (job) => {
+  if (job.deletedAt) {
+    throw new RequisitionError('Job is deleted', 'JOB_DELETED', { jobId: job._id });
+  }
+  const status = job.status || 'open';
+  if (status !== 'open') {
+    throw new RequisitionError(`Job is ${status}`, 'JOB_NOT_OPEN', { jobId: job._id, status });
+  }
+};
+
+/**
+ * Fields of the criteria that the scores depend on, for comparing two sets of criteria
+ * @param {Array} criteria - Job criteria
+ * @returns {String} - Canonical representation
+ */
+const criteriaSignature = (criteria) => JSON.stringify((criteria || []).map(criterion => ({
+  name: criterion.name,
+  weight: criterion.weight,
+  targetValue: criterion.targetValue === undefined ? null : criterion.targetValue
+})));
+
+/**
+ * Mark the scores of a job's candidates as stale after its criteria changed
+ * @param {String} jobId - Job ID
+ * @returns {Promise<Number>} - Number of candidates whose scores became stale
+ */
+const markScoresStale = async (jobId) => {
+  const result = await Candidate.updateMany(
+    {
+      jobId,
+      scoresStale: { $ne: true },
+      $or: [{ initialScore: { $ne: null } }, { finalScore: { $ne: null } }]
+    },
+    { $set: { scoresStale: true, scoresStaleSince: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  JOB_STATUSES,
+  JOB_TRANSITIONS,
+  RequisitionError,
+  checkJobTransition,
+  transitionJob,
+  refreshHeadcount,
+  assertJobOpen,
+  criteriaSignature,
+  markScoresStale
+};
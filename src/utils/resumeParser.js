@@ -0,0 +1,315 @@
+/**
+ * Resume parsing utilities
+ * Extracts text from uploaded resume buffers and builds the parsed resume shape
+ * consumed by the candidate ingestion routes (Name, Email, Phone, Skills,
+ * Education Details, Experience Details, Total Estimated Years of Experience)
+ */
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+
+// Section headings recognised in plain-text resumes
+const SECTION_HEADINGS = {
+  skills: ['skills', 'technical skills', 'core skills', 'key skills', 'technologies', 'tech stack', 'skills & tools'],
+  education: ['education', 'academic background', 'academics', 'qualifications', 'education & training'],
+  experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'internships'],
+  other: ['projects', 'certifications', 'awards', 'achievements', 'publications', 'interests', 'hobbies', 'languages', 'summary', 'profile', 'objective', 'references', 'activities', 'volunteering']
+};
+
+// Fallback skill keywords used when a resume has no explicit skills section
+const KNOWN_SKILLS = [
+  'java', 'python', 'javascript', 'typescript', 'c++', 'c#', 'go', 'golang', 'ruby', 'php', 'swift', 'kotlin', 'rust', 'scala',
+  'react', 'angular', 'vue', 'next.js', 'node.js', 'django', 'flask', 'express', 'spring', 'laravel',
+  'sql', 'mysql', 'postgresql', 'mongodb', 'dynamodb', 'oracle', 'cassandra', 'redis',
+  'aws', 'azure', 'gcp', 'google cloud', 'firebase', 'heroku', 'vercel', 'docker', 'kubernetes', 'git',
+  'html', 'css', 'tensorflow', 'pytorch', 'pandas', 'numpy', 'scikit-learn'
+];
+
+const DEGREE_PATTERN = /\b(bachelor|master|ph\.?d|doctor(ate)?|associate|diploma|b\.?\s?(sc|s|a|e|tech)\b|m\.?\s?(sc|s|a|e|tech|ba)\b|mba)/i;
+const INSTITUTION_PATTERN = /\b(university|college|institute|school|academy|polytechnic)\b/i;
+const ROLE_PATTERN = /\b(engineer|developer|dev|intern|designer|analyst|manager|consultant|architect|scientist|lead|administrator|specialist|programmer|assistant|associate)\b/i;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const PHONE_PATTERN = /(\+?\d[\d\s().-]{7,}\d)/;
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+const MONTH_YEAR = '(?:(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\\.?\\s+)?((?:19|20)\\d{2})';
+const DATE_RANGE_PATTERN = new RegExp(
+  `${MONTH_YEAR}\\s*(?:-|–|—|to)\\s*(?:${MONTH_YEAR}|(present|current|now|date))`,
+  'i'
+);
+
+/**
+ * Check whether the in-process parser can read a file
+ * @param {String} filename - Original file name
+ * @param {String} mimetype - MIME type reported by the upload (optional)
+ * @returns {Boolean} - True for PDF and DOCX files
+ */
+const isSupportedResumeFile = (filename = '', mimetype = '') => {
+  const extension = path.extname(filename).toLowerCase();
+  return ['.pdf', '.docx'].includes(extension) || [
+    'application/pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  ].includes(mimetype);
+};
+
+/**
+ * Extract plain text from a resume file buffer
+ * @param {Buffer} buffer - File contents (e.g. multer memory-storage buffer)
+ * @param {String} filename - Original file name, used to detect the format
+ * @param {String} mimetype - MIME type reported by the upload (optional)
+ * @returns {Promise<String>} - Extracted text
+ */
+const extractResumeText = async (buffer, filename = '', mimetype = '') => {
+  const extension = path.extname(filename).toLowerCase();
+
+  if (extension === '.pdf' || mimetype === 'application/pdf') {
+    const result = await pdfParse(buffer);
+    return result.text || '';
+  }
+
+  if (extension === '.docx' || mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+    const result = await mammoth.extractRawText({ buffer });
+    return result.value || '';
+  }
+
+  throw new Error(`Local resume parser does not support ${extension || mimetype || 'this file type'}`);
+};
+
+/**
+ * Split resume text into named sections based on heading lines
+ * @param {Array} lines - Non-empty trimmed lines of the resume
+ * @returns {Object} - Lines grouped by section (header, skills, education, experience, other)
+ */
+const splitSections = (lines) => {
+  const sections = { header: [], skills: [], education: [], experience: [], other: [] };
+  let current = 'header';
+
+  lines.forEach(line => {
+    const heading = line.toLowerCase().replace(/[:\s]+$/, '').trim();
+
+    // Headings are short lines that match one of the known section names
+    const section = heading.length <= 40
+      ? Object.keys(SECTION_HEADINGS).find(key => SECTION_HEADINGS[key].includes(heading))
+      : undefined;
+
+    if (section) {
+      current = section;
+    } else {
+      sections[current].push(line);
+    }
+  });
+
+  return sections;
+};
+
+/**
+ * Extract the candidate name from the resume header
+ * @param {Array} headerLines - Lines before the first section heading
+ * @returns {String} - Candidate name or empty string
+ */
+const extractName = (headerLines) => {
+  const nameLine = headerLines.find(line =>
+    !EMAIL_PATTERN.test(line) &&
+    !/\d{3}/.test(line) &&
+    /^[A-Za-z][A-Za-z.'-]*(\s+[A-Za-z][A-Za-z.'-]*){1,3}$/.test(line)
+  );
+  return nameLine ? nameLine.replace(/\s+/g, ' ') : '';
+};
+
+/**
+ * Extract skills from the skills section, or by keyword scan if there is none
+ * @param {Array} skillLines - Lines in the skills section
+ * @param {String} text - Full resume text
+ * @returns {Array} - Unique skill names
+ */
+const extractSkills = (skillLines, text) => {
+  let skills = [];
+
+  if (skillLines.length > 0) {
+    skills = skillLines
+      // Drop "Languages:" style labels at the start of a line
+      .map(line => line.replace(/^[^:]{1,30}:\s*/, ''))
+      .join(',')
+      .split(/[,;|•·●▪\n]/)
+      .map(skill => skill.replace(/^[-*\s]+/, '').trim())
+      .filter(skill => skill.length > 0 && skill.length <= 40);
+  } else {
+    const lowerText = text.toLowerCase();
+    skills = KNOWN_SKILLS.filter(skill => {
+      const escaped = skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^a-z0-9+#])${escaped}($|[^a-z0-9+#])`).test(lowerText);
+    });
+  }
+
+  // De-duplicate case-insensitively while keeping the first spelling
+  const seen = new Set();
+  return skills.filter(skill => {
+    const key = skill.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Extract education entries from the education section
+ * @param {Array} educationLines - Lines in the education section
+ * @returns {Array} - Education detail objects
+ */
+const extractEducation = (educationLines) => {
+  const entries = [];
+  let current = null;
+
+  educationLines.forEach(line => {
+    const degreeMatch = line.match(DEGREE_PATTERN);
+
+    if (degreeMatch) {
+      current = {
+        'date completed': '',
+        'education level': '',
+        'field of study': '',
+        'institution': ''
+      };
+      entries.push(current);
+
+      // "Bachelor of Science in Computer Science" -> level and field
+      const [levelPart, fieldPart] = line.split(/\s+in\s+/i);
+      current['education level'] = levelPart.replace(/[,|].*$/, '').trim();
+      if (fieldPart) {
+        current['field of study'] = fieldPart.replace(/[,|(].*$/, '').trim();
+      }
+    }
+
+    if (!current) return;
+
+    if (!current.institution && INSTITUTION_PATTERN.test(line)) {
+      const institution = line.split(/[,|–—]/).find(part => INSTITUTION_PATTERN.test(part));
+      current.institution = institution ? institution.trim() : line.trim();
+    }
+
+    if (!current['date completed']) {
+      const dateMatch = line.match(/((jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+)?(19|20)\d{2}(?!.*(19|20)\d{2})/i);
+      if (dateMatch) {
+        current['date completed'] = dateMatch[0].trim();
+      }
+    }
+  });
+
+  return entries;
+};
+
+/**
+ * Convert a month/year regex match to a fractional year
+ * @param {String} month - Month name (optional)
+ * @param {String} year - Four digit year
+ * @returns {Number} - Fractional year
+ */
+const toFractionalYear = (month, year) => {
+  const monthIndex = month ? MONTHS[month.toLowerCase().slice(0, 3)] : 0;
+  return parseInt(year, 10) + (monthIndex || 0) / 12;
+};
+
+/**
+ * Extract experience entries and the total years covered by their date ranges
+ * @param {Array} experienceLines - Lines in the experience section
+ * @returns {Object} - Experience details and estimated total years
+ */
+const extractExperience = (experienceLines) => {
+  const details = [];
+  const periods = [];
+  const now = new Date();
+  const currentYear = now.getFullYear() + now.getMonth() / 12;
+
+  experienceLines.forEach(line => {
+    const rangeMatch = line.match(DATE_RANGE_PATTERN);
+    if (rangeMatch) {
+      const start = toFractionalYear(rangeMatch[1], rangeMatch[2]);
+      const end = rangeMatch[5] ? currentYear : toFractionalYear(rangeMatch[3], rangeMatch[4]);
+      if (end >= start) {
+        periods.push([start, end]);
+      }
+    }
+
+    const withoutDates = line.replace(DATE_RANGE_PATTERN, '').replace(/[()]/g, '').trim();
+    if (!ROLE_PATTERN.test(withoutDates) || withoutDates.length > 100) return;
+
+    // "Software Engineer at Acme" or "Software Engineer | Acme" style lines
+    const parts = withoutDates.split(/\s+at\s+|\s*[|,–—]\s*|\s+-\s+/i).map(part => part.trim()).filter(Boolean);
+    const roleIndex = parts.findIndex(part => ROLE_PATTERN.test(part));
+    const role = parts[roleIndex];
+    const industry = parts.find((part, index) => index !== roleIndex) || '';
+
+    details.push({
+      'Industry Name': industry,
+      'Roles': role
+    });
+  });
+
+  // Merge overlapping periods so concurrent roles are not double counted
+  periods.sort((a, b) => a[0] - b[0]);
+  let totalYears = 0;
+  let mergedEnd = -Infinity;
+  periods.forEach(([start, end]) => {
+    if (start > mergedEnd) {
+      totalYears += end - start;
+      mergedEnd = end;
+    } else if (end > mergedEnd) {
+      totalYears += end - mergedEnd;
+      mergedEnd = end;
+    }
+  });
+
+  return {
+    details,
+    totalYears: Math.round(totalYears * 10) / 10
+  };
+};
+
+/**
+ * Build the parsed resume structure from plain resume text
+ * @param {String} text - Resume text
+ * @returns {Object} - Parsed resume data in the from-parsed-resume format
+ */
+const parseResumeText = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+
+  const sections = splitSections(lines);
+  const emailMatch = text.match(EMAIL_PATTERN);
+  const phoneMatch = sections.header.join('\n').match(PHONE_PATTERN) || text.match(PHONE_PATTERN);
+  const experience = extractExperience(sections.experience);
+
+  return {
+    'Name': extractName(sections.header.length > 0 ? sections.header : lines),
+    'Email': emailMatch ? emailMatch[0] : '',
+    'Phone': phoneMatch ? phoneMatch[1].trim() : '',
+    'Skills': extractSkills(sections.skills, text),
+    'Education Details': extractEducation(sections.education),
+    'Experience Details': experience.details,
+    'Total Estimated Years of Experience': String(experience.totalYears)
+  };
+};
+
+/**
+ * Parse a resume file in-process
+ * @param {Object} file - Uploaded file with buffer, originalname and mimetype
+ * @returns {Promise<Object>} - Parsed resume data
+ */
+const parseResumeLocally = async (file) => {
+  const text = await extractResumeText(file.buffer, file.originalname, file.mimetype);
+  if (!text.trim()) {
+    throw new Error('No text could be extracted from the resume');
+  }
+  return parseResumeText(text);
+};
+
+module.exports = {
+  isSupportedResumeFile,
+  extractResumeText,
+  parseResumeText,
+  parseResumeLocally
+};
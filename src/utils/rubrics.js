@@ -0,0 +1,271 @@
+/**
+ * Structured interview rubrics
+ * A stage's rubric is its competencies (the stage's score dimensions, each with a weight and a
+ * behavioural anchor per rating level) and a rating scale whose linguistic levels ("meets",
+ * "strong") are triangular fuzzy numbers. Ratings are scored with a confidence-weighted WSM over
+ * the competencies: a level counts with its centroid, and its confidence falls with the width of
+ * its fuzzy number, so the stage's score and confidence both come from the rubric.
+ */
+const { explainWSM } = require('./scoring');
+
+// Levels must be usable as keys of stored rating maps
+const LEVEL_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+// Rating scale of rubrics that do not define their own, lowest level first
+const DEFAULT_RATING_SCALE = [
+  { level: 'weak', name: 'Weak', fuzzy: [0, 0, 0.25] },
+  { level: 'below', name: 'Below expectations', fuzzy: [0, 0.25, 0.5] },
+  { level: 'meets', name: 'Meets expectations', fuzzy: [0.25, 0.5, 0.75] },
+  { level: 'strong', name: 'Strong', fuzzy: [0.5, 0.75, 1] },
+  { level: 'exceptional', name: 'Exceptional', fuzzy: [0.75, 1, 1] }
+];
+
+/**
+ * Centroid of a triangular fuzzy number
+ * @param {Array} fuzzy - Triangular fuzzy number [l, m, u]
+ * @returns {Number} - Crisp value
+ */
+const defuzzifyRating = (fuzzy) => (fuzzy[0] + fuzzy[1] + fuzzy[2]) / 3;
+
+/**
+ * Confidence carried by a fuzzy rating: 1 for a crisp value, falling with half the support width
+ * @param {Array} fuzzy - Triangular fuzzy number [l, m, u]
+ * @returns {Number} - Confidence between 0.5 and 1
+ */
+const ratingConfidence = (fuzzy) => 1 - (fuzzy[2] - fuzzy[0]) / 2;
+
+/**
+ * Rating scale of a stage
+ * @param {Object} stage - Stage definition
+ * @returns {Array} - Levels { level, name, fuzzy }, lowest first
+ */
+const ratingScale = (stage) => (
+  stage.rubric && stage.rubric.scale && stage.rubric.scale.length > 0 ? stage.rubric.scale : DEFAULT_RATING_SCALE
+);
+
+/**
+ * Version of a stage's rubric
+ * @param {Object} stage - Stage definition
+ * @returns {Number} - Version (1 for rubrics that were never changed)
+ */
+const rubricVersion = (stage) => (stage.rubric && stage.rubric.version) || 1;
+
+/**
+ * Check a stage's rating scale and behavioural anchors
+ * @param {Object} stage - Stage definition
+ * @param {String} label - Prefix for error messages
+ * @returns {Array} - Error messages (empty if valid)
+ */
+const validateRubric = (stage, label) => {
+  const errors = [];
+  const scale = (stage.rubric && stage.rubric.scale) || [];
+
+  scale.forEach(level => {
+    if (!level || typeof level.level !== 'string' || !LEVEL_PATTERN.test(level.level)) {
+      errors.push(`${label}: rating level "${level && level.level}" must start with a letter and contain only letters, digits, - or _`);
+      return;
+    }
+    const fuzzy = level.fuzzy;
+    if (!Array.isArray(fuzzy) || fuzzy.length !== 3 || fuzzy.some(value => typeof value !== 'number')) {
+      errors.push(`${label}: rating level "${level.level}" needs a triangular fuzzy number [l, m, u]`);
+    } else if (fuzzy[0] < 0 || fuzzy[2] > 1 || fuzzy[0] > fuzzy[1] || fuzzy[1] > fuzzy[2]) {
+      errors.push(`${label}: rating level "${level.level}" must satisfy 0 <= l <= m <= u <= 1`);
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  const levels = scale.map(level => level.level);
+  if (new Set(levels).size !== levels.length) {
+    errors.push(`${label}: rating levels must be unique`);
+  }
+  scale.forEach((level, index) => {
+    if (index > 0 && defuzzifyRating(level.fuzzy) <= defuzzifyRating(scale[index - 1].fuzzy)) {
+      errors.push(`${label}: rating level "${level.level}" must be rated higher than "${scale[index - 1].level}"`);
+    }
+  });
+
+  // Anchors describe the levels of this stage's scale
+  const known = new Set(ratingScale(stage).map(level => level.level));
+  (stage.dimensions || []).forEach(dimension => {
+    const anchored = (dimension && dimension.anchors || []).map(anchor => anchor && anchor.level);
+    anchored.forEach(level => {
+      if (!known.has(level)) {
+        errors.push(`${label}: competency "${dimension.key}" has an anchor for unknown rating level "${level}"`);
+      }
+    });
+    if (new Set(anchored).size !== anchored.length) {
+      errors.push(`${label}: competency "${dimension.key}" has more than one anchor for a rating level`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Ratings that name a competency the stage does not have or a level its scale does not have
+ * @param {Object} stage - Stage definition
+ * @param {Object} ratings - Linguistic rating per competency
+ * @returns {Array} - Invalid ratings { competency, rating, reason }
+ */
+const invalidRatings = (stage, ratings = {}) => {
+  const competencies = new Set((stage.dimensions || []).map(dimension => dimension.key));
+  const levels = new Set(ratingScale(stage).map(level => level.level));
+  const invalid = [];
+  Object.entries(ratings).forEach(([competency, rating]) => {
+    if (!competencies.has(competency)) {
+      invalid.push({ competency, rating, reason: 'unknown competency' });
+    } else if (!levels.has(rating)) {
+      invalid.push({ competency, rating, reason: 'unknown rating level' });
+    }
+  });
+  return invalid;
+};
+
+/**
+ * Crisp scores of linguistic ratings (the centroids of their fuzzy numbers)
+ * @param {Object} stage - Stage definition
+ * @param {Object} ratings - Valid linguistic rating per competency
+ * @returns {Object} - Score per competency
+ */
+const ratingScores = (stage, ratings = {}) => {
+  const scale = new Map(ratingScale(stage).map(level => [level.level, level.fuzzy]));
+  return Object.fromEntries(Object.entries(ratings).map(([competency, rating]) => [
+    competency,
+    defuzzifyRating(scale.get(rating))
+  ]));
+};
+
+/**
+ * Score a stage from its rubric
+ * Linguistic ratings count with their fuzzy number; competencies scored with a plain number
+ * count as crisp. Competencies without a rating lower the confidence, as in explainWSM.
+ * @param {Object} stage - Stage definition
+ * @param {Object} recorded - Recorded results
+ * @param {Object} recorded.ratings - Linguistic rating per competency (a Map or an object)
+ * @param {Object} recorded.dimensions - Crisp score per competency, used where there is no rating
+ * @returns {Object} - Score, confidence, fuzzy stage score, rubric version, per-competency
+ *   details and the explainWSM result behind the score
+ */
+const scoreRubric = (stage, { ratings = {}, dimensions = {} } = {}) => {
+  const rated = ratings instanceof Map ? Object.fromEntries(ratings) : { ...ratings };
+  const scale = new Map(ratingScale(stage).map(level => [level.level, level.fuzzy]));
+
+  const attributes = {};
+  const weights = {};
+  const confidences = {};
+  const competencies = {};
+  stage.dimensions.forEach(dimension => {
+    const key = dimension.key;
+    weights[key] = dimension.weight !== undefined ? dimension.weight : 1;
+
+    let fuzzy = null;
+    const fromRating = rated[key] !== undefined && scale.has(rated[key]);
+    if (fromRating) {
+      fuzzy = scale.get(rated[key]);
+    } else if (typeof dimensions[key] === 'number') {
+      fuzzy = [dimensions[key], dimensions[key], dimensions[key]];
+    }
+    if (!fuzzy) return;
+
+    attributes[key] = defuzzifyRating(fuzzy);
+    confidences[key] = ratingConfidence(fuzzy);
+    const anchor = fromRating ? (dimension.anchors || []).find(item => item.level === rated[key]) : null;
+    competencies[key] = {
+      source: fromRating ? 'rating' : 'score',
+      rating: fromRating ? rated[key] : null,
+      fuzzy,
+      value: attributes[key],
+      confidence: confidences[key],
+      anchor: anchor ? anchor.description : null
+    };
+  });
+
+  const explained = explainWSM(attributes, weights, confidences);
+
+  // Fuzzy stage score with the same confidence-adjusted weights; its centroid is the stage score
+  const fuzzyScore = [0, 1, 2].map(vertex => explained.breakdown.reduce((sum, item) => (
+    sum + competencies[item.key].fuzzy[vertex] * item.normalizedWeight
+  ), 0));
+
+  return {
+    score: explained.score,
+    confidence: explained.confidence,
+    fuzzyScore,
+    rubricVersion: rubricVersion(stage),
+    attributes,
+    weights,
+    confidences,
+    competencies,
+    explained
+  };
+};
+
+/**
+ * Rubric as returned by the API
+ * @param {Object} stage - Stage definition
+ * @returns {Object} - Version, rating scale and competencies with their weights and anchors
+ */
+const describeRubric = (stage) => ({
+  stage: stage.key,
+  name: stage.name,
+  version: rubricVersion(stage),
+  scale: ratingScale(stage).map(level => ({
+    ...level,
+    value: defuzzifyRating(level.fuzzy),
+    confidence: ratingConfidence(level.fuzzy)
+  })),
+  competencies: stage.dimensions.map(dimension => ({
+    key: dimension.key,
+    name: dimension.name,
+    weight: dimension.weight !== undefined ? dimension.weight : 1,
+    anchors: dimension.anchors || []
+  }))
+});
+
+/**
+ * What a rubric version covers: scale, competencies, their weights and anchors
+ * @param {Object} stage - Stage definition
+ * @returns {String} - Comparable signature
+ */
+const rubricSignature = (stage) => JSON.stringify({
+  scale: ratingScale(stage).map(level => [level.level, level.name || null, level.fuzzy.map(Number)]),
+  competencies: (stage.dimensions || []).map(dimension => [
+    dimension.key,
+    dimension.weight !== undefined ? Number(dimension.weight) : 1,
+    (dimension.anchors || []).map(anchor => [anchor.level, anchor.description || null])
+  ])
+});
+
+/**
+ * Carry rubric versions over from the stages being replaced
+ * A stage keeps its previous version when its rubric is unchanged and gets the next version
+ * when it changed; new stages keep the version they were given (1 by default).
+ * @param {Array} previousStages - Stages being replaced (may be empty)
+ * @param {Array} stages - New stages (plain objects)
+ * @returns {Array} - New stages with rubric versions set
+ */
+const versionRubrics = (previousStages = [], stages) => stages.map(stage => {
+  const previous = previousStages.find(item => item.key === stage.key);
+  const rubric = { ...(stage.rubric || {}) };
+  if (previous) {
+    const unchanged = rubricSignature(previous) === rubricSignature(stage);
+    rubric.version = rubricVersion(previous) + (unchanged ? 0 : 1);
+  } else {
+    rubric.version = rubricVersion(stage);
+  }
+  return { ...stage, rubric };
+});
+
+module.exports = {
+  DEFAULT_RATING_SCALE,
+  defuzzifyRating,
+  ratingConfidence,
+  ratingScale,
+  rubricVersion,
+  validateRubric,
+  invalidRatings,
+  ratingScores,
+  scoreRubric,
+  describeRubric,
+  versionRubrics
+};
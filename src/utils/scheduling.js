@@ -0,0 +1,374 @@
+/**
+ * Interview scheduling
+ * Dates are stored in UTC and shown in the interviewer's or candidate's time zone. Interviewer
+ * availability is a set of weekly working hours in the interviewer's time zone, plus one-off
+ * available windows and blackouts; a stage slot can only be booked inside it and must not
+ * overlap another booking of the same interviewer or candidate.
+ */
+const mongoose = require('mongoose');
+const Interview = require('../models/Interview');
+
+// Length of a booking made without an end or duration, and of stages booked before slots had an end
+const DEFAULT_DURATION_MINUTES = 60;
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// ISO 8601 date-time with an explicit offset or Z
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Check an IANA time zone name
+ * @param {String} timeZone - Time zone such as 'Europe/Berlin'
+ * @returns {Boolean} - Whether the runtime knows the time zone
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone
+ * @returns {Object} - { year, month, day, hour, minute, second, weekday } (month 1-12, weekday 0 = Sunday)
+ */
+const zonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone
+ * @returns {Number} - Offset in minutes (positive east of UTC)
+ */
+const timeZoneOffset = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / MINUTE);
+};
+
+/**
+ * Instant of a wall-clock time in a time zone
+ * Times skipped by a daylight-saving change move forward by the change.
+ * @param {Object} wallClock - { year, month, day, hour, minute }
+ * @param {String} timeZone - IANA time zone
+ * @returns {Date} - Instant
+ */
+const fromZonedParts = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = asUtc - timeZoneOffset(new Date(asUtc), timeZone) * MINUTE;
+  // Re-check the offset at the guessed instant in case a daylight-saving change lies in between
+  return new Date(asUtc - timeZoneOffset(new Date(guess), timeZone) * MINUTE);
+};
+
+/**
+ * Parse a date given with an offset, or as local time in a time zone
+ * @param {String} value - ISO 8601 date-time ('2024-05-02T14:00:00+02:00' or '2024-05-02T14:00')
+ * @param {String} timeZone - Time zone of values without an offset (defaults to UTC)
+ * @returns {Date|null} - Instant, or null if the value is not a date
+ */
+const parseZonedDate = (value, timeZone = 'UTC') => {
+  if (value instanceof Date) return value;
+  if (typeof value !== 'string') return null;
+  if (OFFSET_PATTERN.test(value)) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+  return fromZonedParts({
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second)
+  }, timeZone);
+};
+
+/**
+ * Format an instant as local ISO 8601 time with its offset
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone
+ * @returns {String} - e.g. '2024-05-02T14:00:00+02:00'
+ */
+const formatInTimeZone = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone);
+  const offset = timeZoneOffset(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  const sign = offset >= 0 ? '+' : '-';
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+/**
+ * Check an availability definition
+ * @param {Object} availability - { timeZone, weeklyHours, windows, blackouts }
+ * @returns {Array} - Error messages (empty if valid)
+ */
+const validateAvailability = ({ timeZone, weeklyHours = [], windows = [], blackouts = [] }) => {
+  const errors = [];
+  if (!isValidTimeZone(timeZone)) {
+    errors.push(`Unknown time zone "${timeZone}"`);
+  }
+  weeklyHours.forEach((hours, index) => {
+    if (!hours || !Number.isInteger(hours.day) || hours.day < 0 || hours.day > 6) {
+      errors.push(`weeklyHours[${index}]: day must be 0 (Sunday) to 6 (Saturday)`);
+    } else if (!TIME_PATTERN.test(hours.start) || !TIME_PATTERN.test(hours.end)) {
+      errors.push(`weeklyHours[${index}]: start and end must be HH:mm`);
+    } else if (hours.start >= hours.end) {
+      errors.push(`weeklyHours[${index}]: start must be before end`);
+    }
+  });
+  // Intervals are still checked against UTC when the time zone is unknown
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  [['windows', windows], ['blackouts', blackouts]].forEach(([name, intervals]) => {
+    intervals.forEach((interval, index) => {
+      const start = interval && parseZonedDate(interval.start, zone);
+      const end = interval && parseZonedDate(interval.end, zone);
+      if (!start || !end) {
+        errors.push(`${name}[${index}]: start and end must be dates`);
+      } else if (start >= end) {
+        errors.push(`${name}[${index}]: start must be before end`);
+      }
+    });
+  });
+  return errors;
+};
+
+/**
+ * Merge overlapping or touching intervals
+ * @param {Array} intervals - { start, end } with Date values
+ * @returns {Array} - Disjoint intervals in time order
+ */
+const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  return sorted.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = new Date(Math.max(last.end, interval.end));
+    } else {
+      merged.push({ start: new Date(interval.start), end: new Date(interval.end) });
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Remove intervals from a set of disjoint intervals
+ * @param {Array} intervals - Disjoint intervals in time order
+ * @param {Array} removed - Intervals to remove
+ * @returns {Array} - Remaining intervals
+ */
+const subtractIntervals = (intervals, removed) => removed.reduce((remaining, cut) => remaining.flatMap(interval => {
+  if (cut.end <= interval.start || cut.start >= interval.end) return [interval];
+  const pieces = [];
+  if (cut.start > interval.start) pieces.push({ start: interval.start, end: new Date(cut.start) });
+  if (cut.end < interval.end) pieces.push({ start: new Date(cut.end), end: interval.end });
+  return pieces;
+}), intervals);
+
+/**
+ * Times an interviewer is available between two instants
+ * @param {Object} availability - Availability document or { timeZone, weeklyHours, windows, blackouts }
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Array} - Disjoint available intervals { start, end } in time order
+ */
+const availableWindows = (availability, from, to) => {
+  const { timeZone, weeklyHours = [], windows = [], blackouts = [] } = availability;
+  const intervals = [];
+
+  // Weekly hours for every local day that touches the range
+  const first = zonedParts(new Date(from.getTime() - DAY), timeZone);
+  for (let day = Date.UTC(first.year, first.month - 1, first.day); day <= to.getTime() + DAY; day += DAY) {
+    const date = new Date(day);
+    const local = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    weeklyHours.filter(hours => hours.day === date.getUTCDay()).forEach(hours => {
+      const [startHour, startMinute] = hours.start.split(':').map(Number);
+      const [endHour, endMinute] = hours.end.split(':').map(Number);
+      intervals.push({
+        start: fromZonedParts({ ...local, hour: startHour, minute: startMinute }, timeZone),
+        end: fromZonedParts({ ...local, hour: endHour, minute: endMinute }, timeZone)
+      });
+    });
+  }
+  windows.forEach(window => intervals.push({
+    start: parseZonedDate(window.start, timeZone),
+    end: parseZonedDate(window.end, timeZone)
+  }));
+
+  const open = subtractIntervals(mergeIntervals(intervals), blackouts.map(blackout => ({
+    start: parseZonedDate(blackout.start, timeZone),
+    end: parseZonedDate(blackout.end, timeZone)
+  })));
+
+  return open
+    .map(interval => ({ start: new Date(Math.max(interval.start, from)), end: new Date(Math.min(interval.end, to)) }))
+    .filter(interval => interval.start < interval.end);
+};
+
+/**
+ * Check that a slot lies inside an interviewer's availability
+ * @param {Object} availability - Availability document
+ * @param {Date} start - Slot start
+ * @param {Date} end - Slot end
+ * @returns {Boolean} - Whether one available window covers the whole slot
+ */
+const isAvailable = (availability, start, end) => availableWindows(availability, start, end)
+  .some(window => window.start <= start && window.end >= end);
+
+/**
+ * Booked stage slots, one per interview stage with a date
+ * Cancelled bookings (of cancelled interviews, or slots cancelled on their own) are only returned
+ * with includeCancelled, at the time they were booked for, so calendar feeds can withdraw them.
+ * @param {Object} filter - Which slots to return
+ * @param {String} filter.interviewer - Only this interviewer's slots
+ * @param {String} filter.candidateId - Only this candidate's slots (with interviewer: slots of either)
+ * @param {Date} filter.from - Only slots ending after this instant
+ * @param {Date} filter.to - Only slots starting before this instant
+ * @param {Boolean} filter.includeCancelled - Include cancelled bookings (default false)
+ * @returns {Promise<Array>} - Slots { interviewId, candidateId, jobId, stage, interviewer, start, end, cancelled, ... }
+ */
+const findBookedSlots = async ({ interviewer, candidateId, from, to, includeCancelled = false } = {}) => {
+  const people = [];
+  if (interviewer) people.push({ 'stage.v.interviewer': interviewer });
+  if (candidateId) people.push({ candidateId: new mongoose.Types.ObjectId(String(candidateId)) });
+
+  const booked = { $eq: [{ $type: '$stage.v.date' }, 'date'] };
+  const timeRange = [];
+  if (to) timeRange.push({ $lt: ['$start', to] });
+  if (from) timeRange.push({ $gt: ['$end', from] });
+
+  const slots = await Interview.aggregate([
+    { $match: includeCancelled ? {} : { status: { $ne: 'cancelled' } } },
+    { $project: { candidateId: 1, jobId: 1, status: 1, updatedAt: 1, stage: { $objectToArray: '$stages' } } },
+    { $unwind: '$stage' },
+    { $match: people.length > 0 ? { $or: people } : {} },
+    { $addFields: { lastChange: { $last: { $ifNull: ['$stage.v.bookingHistory', []] } } } },
+    {
+      $addFields: {
+        start: { $cond: [booked, '$stage.v.date', '$lastChange.previousDate'] },
+        end: { $cond: [booked, '$stage.v.endDate', '$lastChange.previousEndDate'] },
+        slotCancelled: { $and: [{ $not: [booked] }, { $eq: ['$lastChange.action', 'cancelled'] }] }
+      }
+    },
+    { $match: includeCancelled ? { $or: [{ 'stage.v.date': { $type: 'date' } }, { slotCancelled: true }] } : { 'stage.v.date': { $type: 'date' } } },
+    { $addFields: { end: { $ifNull: ['$end', { $add: ['$start', DEFAULT_DURATION_MINUTES * MINUTE] }] } } },
+    ...(timeRange.length > 0 ? [{ $match: { $expr: { $and: timeRange } } }] : []),
+    { $sort: { start: 1 } }
+  ]);
+
+  return slots.map(slot => ({
+    interviewId: slot._id,
+    candidateId: slot.candidateId,
+    jobId: slot.jobId,
+    stage: slot.stage.k,
+    interviewer: slot.stage.v.interviewer || (slot.lastChange && slot.lastChange.interviewer),
+    start: slot.start,
+    end: slot.end,
+    timeZone: slot.stage.v.timeZone,
+    location: slot.stage.v.location,
+    completed: slot.stage.v.completed,
+    cancelled: slot.status === 'cancelled' || slot.slotCancelled,
+    sequence: slot.stage.v.sequence || 0,
+    updatedAt: (slot.lastChange && slot.lastChange.changedAt) || slot.updatedAt
+  }));
+};
+
+/**
+ * Bookings that overlap a slot for the same interviewer or the same candidate
+ * @param {Object} slot - { interviewId, stage, interviewer, candidateId, start, end }
+ * @returns {Promise<Array>} - Conflicting slots, each with the reason ('interviewer' or 'candidate')
+ */
+const findConflicts = async ({ interviewId, stage, interviewer, candidateId, start, end }) => {
+  const slots = await findBookedSlots({ interviewer, candidateId, from: start, to: end });
+  return slots
+    .filter(slot => !(String(slot.interviewId) === String(interviewId) && slot.stage === stage))
+    .map(slot => ({
+      ...slot,
+      reason: interviewer && slot.interviewer === interviewer ? 'interviewer' : 'candidate'
+    }));
+};
+
+/**
+ * Overlapping slots among a set of new bookings for the same interviewer or the same candidate
+ * @param {Array} slots - { stage, interviewer, candidateId, start, end }
+ * @returns {Array} - Overlapping pairs { slot, other, reason } with the reason 'interviewer' or 'candidate'
+ */
+const findOverlaps = (slots) => {
+  const overlaps = [];
+  slots.forEach((slot, index) => {
+    slots.slice(index + 1).forEach(other => {
+      if (slot.start >= other.end || other.start >= slot.end) return;
+      if (slot.interviewer && slot.interviewer === other.interviewer) {
+        overlaps.push({ slot, other, reason: 'interviewer' });
+      } else if (slot.candidateId && String(slot.candidateId) === String(other.candidateId)) {
+        overlaps.push({ slot, other, reason: 'candidate' });
+      }
+    });
+  });
+  return overlaps;
+};
+
+/**
+ * Free slots of an interviewer: available time that is not booked, cut into slots of a given length
+ * @param {Object} availability - Availability document
+ * @param {Array} booked - Booked slots of the interviewer
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @param {Number} durationMinutes - Slot length
+ * @returns {Array} - Free slots { start, end } in time order
+ */
+const freeSlots = (availability, booked, from, to, durationMinutes = DEFAULT_DURATION_MINUTES) => {
+  const length = durationMinutes * MINUTE;
+  const open = subtractIntervals(availableWindows(availability, from, to), booked);
+  const slots = [];
+  open.forEach(interval => {
+    for (let start = interval.start.getTime(); start + length <= interval.end.getTime(); start += length) {
+      slots.push({ start: new Date(start), end: new Date(start + length) });
+    }
+  });
+  return slots;
+};
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  isValidTimeZone,
+  timeZoneOffset,
+  parseZonedDate,
+  formatInTimeZone,
+  validateAvailability,
+  availableWindows,
+  isAvailable,
+  findBookedSlots,
+  findConflicts,
+  findOverlaps,
+  freeSlots
+};
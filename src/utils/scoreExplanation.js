@@ -0,0 +1,201 @@
+/**
+ * Score explanations
+ * Turns the breakdowns produced by explainWSM, explainChoquet, explainStageAggregation, explainOWA
+ * and explainIntervalType2
+ * into the records persisted on candidates (`scoreBreakdown`) and served by
+ * GET /api/scores/explain/:candidateId.
+ */
+
+/**
+ * Build a per-criterion breakdown for an attribute-level score (initial or stage score)
+ * @param {Object} explained - Result of explainWSM, explainOWA, explainChoquet or explainIntervalType2
+ * @param {Object} options - Breakdown context
+ * @param {String} options.method - Aggregation method ('wsm', 'owa', 'choquet' or 'it2')
+ * @param {Object} options.details - Per-criterion raw value, target, membership function and source
+ * @param {Object} options.weights - Criteria weights used for scoring
+ * @param {Object} options.settings - Scoring settings (fuzzy factor, membership type, ...)
+ * @returns {Object} - Breakdown with one entry per weighted criterion
+ */
+const buildCriteriaBreakdown = (explained, { method = 'wsm', details = {}, weights = {}, settings = {} } = {}) => {
+  const criteria = explained.breakdown.map(item => {
+    const detail = details[item.key] || {};
+    const entry = {
+      criterion: item.key,
+      attribute: detail.attribute || item.key,
+      source: detail.source || 'direct',
+      matched: detail.matched !== false,
+      rawValue: detail.rawValue,
+      targetValue: detail.targetValue,
+      membershipFunction: detail.membershipFunction,
+      fuzzyDegree: item.value,
+      weight: item.weight,
+      confidence: item.confidence,
+      normalizedWeight: item.normalizedWeight,
+      contribution: item.contribution
+    };
+    // Choquet weights are Möbius masses; the Shapley value is the criterion's overall importance
+    if (item.shapley !== undefined) {
+      entry.shapley = item.shapley;
+    }
+    if (item.position !== undefined) {
+      entry.owaPosition = item.position;
+      entry.owaWeight = item.owaWeight;
+    }
+    if (item.lower !== undefined) {
+      entry.interval = { lower: item.lower, upper: item.upper };
+    }
+    return entry;
+  });
+
+  // Weighted criteria the candidate had no value for contribute nothing
+  const scored = new Set(criteria.map(c => c.criterion));
+  Object.entries(weights).forEach(([key, weight]) => {
+    if (!scored.has(key)) {
+      criteria.push({
+        criterion: key,
+        matched: false,
+        fuzzyDegree: null,
+        weight,
+        confidence: null,
+        normalizedWeight: 0,
+        contribution: 0
+      });
+    }
+  });
+
+  const breakdown = {
+    method,
+    settings,
+    score: explained.score,
+    confidence: explained.confidence,
+    criteria,
+    computedAt: new Date()
+  };
+  // Choquet scores also report each pairwise interaction term (half of it is in each criterion's contribution)
+  if (explained.interactions) {
+    breakdown.interactions = explained.interactions;
+  }
+  // Interval type-2 scores report the type-reduced interval whose centroid is the score
+  if (explained.interval) {
+    breakdown.interval = explained.interval;
+  }
+  return breakdown;
+};
+
+/**
+ * Build a per-stage breakdown for a final score
+ * @param {Object} explained - Result of explainStageAggregation, explainOWA or explainIntervalType2
+ * @param {Object} options - Breakdown context
+ * @param {String} options.method - Aggregation method ('wsm', 'owa' or 'it2')
+ * @param {Object} options.stageScores - All stage scores, including stages excluded by the alpha-cut
+ * @param {Object} options.stageWeights - Stage weights
+ * @param {Object} options.stageConfidences - Stage confidences
+ * @param {Number} options.confidence - Overall confidence of the final score
+ * @param {Object} options.settings - Aggregation settings (strategy, OWA weights, alpha-cut, ...)
+ * @returns {Object} - Breakdown with one entry per stage
+ */
+const buildStageBreakdown = (explained, {
+  method = 'wsm',
+  stageScores = {},
+  stageWeights = {},
+  stageConfidences = {},
+  confidence = explained.confidence,
+  settings = {}
+} = {}) => {
+  const byStage = new Map(explained.breakdown.map(item => [item.key, item]));
+
+  const stages = Object.keys(stageScores).map(stage => {
+    const item = byStage.get(stage);
+    if (!item) {
+      return {
+        stage,
+        score: stageScores[stage],
+        weight: stageWeights[stage] || 0,
+        confidence: stageConfidences[stage] !== undefined ? stageConfidences[stage] : null,
+        excluded: true,
+        normalizedWeight: 0,
+        contribution: 0
+      };
+    }
+
+    const entry = {
+      stage,
+      score: item.value,
+      weight: item.weight,
+      confidence: item.confidence !== undefined ? item.confidence : stageConfidences[stage],
+      excluded: false,
+      normalizedWeight: item.normalizedWeight,
+      contribution: item.contribution
+    };
+    if (item.position !== undefined) {
+      entry.owaPosition = item.position;
+      entry.owaWeight = item.owaWeight;
+    }
+    if (item.lower !== undefined) {
+      entry.interval = { lower: item.lower, upper: item.upper };
+      entry.disagreement = item.disagreement;
+    }
+    return entry;
+  });
+
+  const breakdown = {
+    method,
+    settings,
+    score: explained.score,
+    confidence,
+    stages,
+    computedAt: new Date()
+  };
+  if (explained.interval) {
+    breakdown.interval = explained.interval;
+  }
+  return breakdown;
+};
+
+/**
+ * Build a per-stage breakdown for a TOPSIS or fuzzy TOPSIS final score
+ * Closeness is not a weighted sum, so each stage reports its weighted value and the
+ * pool's ideal and anti-ideal values instead of an additive contribution.
+ * @param {Object} result - One alternative's result from applyTOPSIS or applyFuzzyTOPSIS
+ * @param {Object} topsis - Full TOPSIS output (ideal and anti-ideal solutions)
+ * @param {Object} options - Breakdown context
+ * @param {String} options.method - topsis or fuzzy-topsis
+ * @param {Object} options.stageScores - Stage scores
+ * @param {Object} options.stageWeights - Stage weights
+ * @param {Object} options.stageConfidences - Stage confidences
+ * @param {Number} options.confidence - Overall confidence of the final score
+ * @param {Object} options.settings - Aggregation settings
+ * @returns {Object} - Breakdown with distances and one entry per stage
+ */
+const buildTopsisBreakdown = (result, topsis, {
+  method = 'topsis',
+  stageScores = {},
+  stageWeights = {},
+  stageConfidences = {},
+  confidence = null,
+  settings = {}
+} = {}) => ({
+  method,
+  settings,
+  score: result.closeness,
+  confidence,
+  distanceToIdeal: result.distanceToIdeal,
+  distanceToAntiIdeal: result.distanceToAntiIdeal,
+  stages: Object.keys(stageWeights).map(stage => ({
+    stage,
+    score: stageScores[stage],
+    weight: stageWeights[stage],
+    confidence: stageConfidences[stage] !== undefined ? stageConfidences[stage] : null,
+    excluded: false,
+    weightedValue: result.weightedValues[stage],
+    idealValue: topsis.ideal[stage],
+    antiIdealValue: topsis.antiIdeal[stage]
+  })),
+  computedAt: new Date()
+});
+
+module.exports = {
+  buildCriteriaBreakdown,
+  buildStageBreakdown,
+  buildTopsisBreakdown
+};
@@ -1,6 +1,7 @@
 /**
  * Utility functions for scoring and ranking candidates
  */
+const { isTermReference } = require('./linguisticTerms');
 
 /**
  * Applies the Delphi technique to refine weights with fuzzy aggregation
@@ -131,37 +132,43 @@ const applyHardCriteriaFilter = (candidates, criteria, thresholdTolerance = 0.1)
  * @param {*} targetValue - Ideal value
  * @param {Number} fuzzyFactor - How fuzzy the matching should be (0-1)
  * @param {String} membershipType - Type of membership function to use ('triangular', 'trapezoidal', 'gaussian', 'simple')
+ * @param {Object} options - Optional settings: skill ontology for array similarity, linguistic library for term targets
  * @returns {Number} - Fuzzy score between 0 and 1
  */
-const calculateFuzzyScore = (value, targetValue, fuzzyFactor = 0.2, membershipType = 'simple') => {
+const calculateFuzzyScore = (value, targetValue, fuzzyFactor = 0.2, membershipType = 'simple', options = {}) => {
   // Handle undefined or null values
   if (value === undefined || value === null) {
     return 0;
   }
   
+  // Targets such as { variable: 'experience', is: 'senior' } use the term's own membership function
+  if (isTermReference(targetValue)) {
+    return options.linguistic ? options.linguistic.membership(value, targetValue) : 0;
+  }
+  
   if (typeof value === 'number' && typeof targetValue === 'number') {
+    // Spread of the membership function around the target; a target of 0 (or a negative one)
+    // would otherwise give a degenerate or inverted shape, so fall back to an absolute spread
+    const spread = Math.abs(targetValue) * fuzzyFactor || fuzzyFactor;
+    if (spread === 0 && membershipType !== 'simple') {
+      return value === targetValue ? 1 : 0;
+    }
+    
     // For numeric values, use the specified membership function type
     switch (membershipType) {
       case 'triangular':
-        // Triangular membership function
-        const a = targetValue * (1 - fuzzyFactor);
-        const b = targetValue;
-        const c = targetValue * (1 + fuzzyFactor);
-        return triangularMF(value, a, b, c);
+        // Triangular membership function (the target itself is always a full member)
+        if (value === targetValue) return 1;
+        return triangularMF(value, targetValue - spread, targetValue, targetValue + spread);
         
       case 'trapezoidal':
         // Trapezoidal membership function
-        const a2 = targetValue * (1 - fuzzyFactor);
-        const b2 = targetValue * (1 - fuzzyFactor/2);
-        const c2 = targetValue * (1 + fuzzyFactor/2);
-        const d2 = targetValue * (1 + fuzzyFactor);
-        return trapezoidalMF(value, a2, b2, c2, d2);
+        if (value === targetValue) return 1;
+        return trapezoidalMF(value, targetValue - spread, targetValue - spread / 2, targetValue + spread / 2, targetValue + spread);
         
       case 'gaussian':
         // Gaussian membership function
-        const mean = targetValue;
-        const sigma = targetValue * fuzzyFactor;
-        return gaussianMF(value, mean, sigma);
+        return gaussianMF(value, targetValue, spread);
         
       case 'simple':
       default:
@@ -175,7 +182,7 @@ const calculateFuzzyScore = (value, targetValue, fuzzyFactor = 0.2, membershipTy
     return calculateStringSimilarity(value, targetValue);
   } else if (Array.isArray(value) && Array.isArray(targetValue)) {
     // For arrays, use enhanced array similarity
-    return calculateArraySimilarity(value, targetValue);
+    return calculateArraySimilarity(value, targetValue, options);
   } else if (typeof value === 'boolean' && typeof targetValue === 'boolean') {
     // For boolean values, exact match
     return value === targetValue ? 1 : 0;
@@ -225,6 +232,8 @@ const trapezoidalMF = (x, a, b, c, d) => {
  * @returns {Number} - Membership degree (0-1)
  */
 const gaussianMF = (x, mean, sigma) => {
+  // A zero-width gaussian is a crisp singleton
+  if (!(sigma > 0)) return x === mean ? 1 : 0;
   return Math.exp(-0.5 * Math.pow((x - mean) / sigma, 2));
 };
 
@@ -274,13 +283,15 @@ const calculateStringSimilarity = (str1, str2) => {
  * @param {Array} sourceArray - The source array to compare
  * @param {Array} targetArray - The target array to compare against
  * @param {Object} options - Optional configuration parameters
+ * @param {Object} options.ontology - Skill ontology; related skills get partial credit (e.g. Next.js for React)
  * @returns {Number} - Similarity score (0-1)
  */
 const calculateArraySimilarity = (sourceArray, targetArray, options = {}) => {
   const { 
     caseSensitive = false, 
     partial = true, 
-    threshold = 0.7 
+    threshold = 0.7,
+    ontology = null
   } = options;
 
   if (!Array.isArray(sourceArray) || !Array.isArray(targetArray)) {
@@ -312,6 +323,15 @@ const calculateArraySimilarity = (sourceArray, targetArray, options = {}) => {
           caseSensitive ? source[i] : source[i].toLowerCase(), 
           caseSensitive ? target[j] : target[j].toLowerCase()
         );
+        
+        // Known skills are compared through the ontology hierarchy instead of spelling
+        if (ontology) {
+          const bothKnown = ontology.normalize(source[i]) && ontology.normalize(target[j]);
+          const relatedness = ontology.relatedness(source[i], target[j]);
+          similarityMatrix[i][j] = bothKnown
+            ? relatedness
+            : Math.max(similarityMatrix[i][j], relatedness);
+        }
       } else if (typeof source[i] === 'number' && typeof target[j] === 'number') {
         // For numbers, calculate how close they are to each other
         const maxDiff = Math.max(Math.abs(source[i]), Math.abs(target[j]));
@@ -379,30 +399,38 @@ const calculateArraySimilarity = (sourceArray, targetArray, options = {}) => {
 };
 
 /**
- * Apply weighted sum model to calculate stage score with confidence weights
+ * Apply weighted sum model and explain each attribute's contribution
  * @param {Object} attributes - Candidate attributes
  * @param {Object} weights - Criteria weights
  * @param {Object} confidenceScores - Confidence in each attribute (optional)
- * @returns {Object} - Weighted score and confidence
+ * @returns {Object} - Weighted score, confidence and per-attribute breakdown
  */
-const applyWSM = (attributes, weights, confidenceScores = {}) => {
+const explainWSM = (attributes, weights, confidenceScores = {}) => {
   let score = 0;
   let totalWeight = 0;
   let totalConfidence = 0;
+  const breakdown = [];
   
   for (const [key, weight] of Object.entries(weights)) {
     if (attributes[key] !== undefined) {
       const attributeValue = attributes[key];
-      const confidence = confidenceScores[key] || 1.0;
+      const confidence = confidenceScores[key] ?? 1.0;
       
       // Apply confidence-adjusted weight
       const adjustedWeight = weight * confidence;
       score += attributeValue * adjustedWeight;
       totalWeight += adjustedWeight;
       totalConfidence += confidence;
+      breakdown.push({ key, value: attributeValue, weight, confidence, adjustedWeight });
     }
   }
   
+  // Share of the total score contributed by each attribute (contributions sum to the score)
+  breakdown.forEach(item => {
+    item.normalizedWeight = totalWeight > 0 ? item.adjustedWeight / totalWeight : 0;
+    item.contribution = item.value * item.normalizedWeight;
+  });
+  
   // Normalize by actual weights used
   const weightedScore = totalWeight > 0 ? score / totalWeight : 0;
   const averageConfidence = Object.keys(weights).length > 0 ? 
@@ -410,35 +438,56 @@ const applyWSM = (attributes, weights, confidenceScores = {}) => {
   
   return {
     score: weightedScore,
-    confidence: averageConfidence
+    confidence: averageConfidence,
+    breakdown
   };
 };
 
 /**
- * Aggregate scores from all stages with fuzzy confidence weighting
+ * Apply weighted sum model to calculate stage score with confidence weights
+ * @param {Object} attributes - Candidate attributes
+ * @param {Object} weights - Criteria weights
+ * @param {Object} confidenceScores - Confidence in each attribute (optional)
+ * @returns {Object} - Weighted score and confidence
+ */
+const applyWSM = (attributes, weights, confidenceScores = {}) => {
+  const { score, confidence } = explainWSM(attributes, weights, confidenceScores);
+  return { score, confidence };
+};
+
+/**
+ * Aggregate stage scores and explain each stage's contribution
  * @param {Object} stageScores - Scores from each stage
  * @param {Object} stageWeights - Weight of each stage
  * @param {Object} stageConfidences - Confidence in each stage (optional)
- * @returns {Object} - Final aggregate score and confidence
+ * @returns {Object} - Final aggregate score, confidence and per-stage breakdown
  */
-const aggregateStageScores = (stageScores, stageWeights, stageConfidences = {}) => {
+const explainStageAggregation = (stageScores, stageWeights, stageConfidences = {}) => {
   let finalScore = 0;
   let totalWeight = 0;
   let totalConfidence = 0;
+  const breakdown = [];
   
   for (const [stage, score] of Object.entries(stageScores)) {
     if (stageWeights[stage]) {
       const weight = stageWeights[stage];
-      const confidence = stageConfidences[stage] || 1.0;
+      const confidence = stageConfidences[stage] ?? 1.0;
       
       // Apply confidence-adjusted weight
       const adjustedWeight = weight * confidence;
       finalScore += score * adjustedWeight;
       totalWeight += adjustedWeight;
       totalConfidence += confidence;
+      breakdown.push({ key: stage, value: score, weight, confidence, adjustedWeight });
     }
   }
   
+  // Share of the total score contributed by each stage (contributions sum to the score)
+  breakdown.forEach(item => {
+    item.normalizedWeight = totalWeight > 0 ? item.adjustedWeight / totalWeight : 0;
+    item.contribution = item.value * item.normalizedWeight;
+  });
+  
   // Normalize by actual weights used
   const normalizedScore = totalWeight > 0 ? finalScore / totalWeight : 0;
   const averageConfidence = Object.keys(stageWeights).length > 0 ? 
@@ -446,10 +495,23 @@ const aggregateStageScores = (stageScores, stageWeights, stageConfidences = {})
   
   return {
     score: normalizedScore,
-    confidence: averageConfidence
+    confidence: averageConfidence,
+    breakdown
   };
 };
 
+/**
+ * Aggregate scores from all stages with fuzzy confidence weighting
+ * @param {Object} stageScores - Scores from each stage
+ * @param {Object} stageWeights - Weight of each stage
+ * @param {Object} stageConfidences - Confidence in each stage (optional)
+ * @returns {Object} - Final aggregate score and confidence
+ */
+const aggregateStageScores = (stageScores, stageWeights, stageConfidences = {}) => {
+  const { score, confidence } = explainStageAggregation(stageScores, stageWeights, stageConfidences);
+  return { score, confidence };
+};
+
 /**
  * Rank candidates based on final scores with confidence consideration
  * @param {Array} candidates - Array of candidates with scores
@@ -462,7 +524,7 @@ const rankCandidates = (candidates) => {
     // Ensure there's a finalScore property
     finalScore: candidate.finalScore || 0,
     // Add confidence as a factor if available
-    confidenceScore: candidate.confidence || 1.0
+    confidenceScore: candidate.confidence ?? 1.0
   }));
   
   // Sort primarily by finalScore, but use confidence as a tiebreaker
@@ -495,7 +557,7 @@ const applyAlphaCut = (attributes, confidenceScores, alphaCutThreshold = 0.5) =>
   const filteredAttributes = {};
   
   for (const [key, value] of Object.entries(attributes)) {
-    const confidence = confidenceScores[key] || 1.0;
+    const confidence = confidenceScores[key] ?? 1.0;
     if (confidence >= alphaCutThreshold) {
       filteredAttributes[key] = value;
     }
@@ -505,13 +567,13 @@ const applyAlphaCut = (attributes, confidenceScores, alphaCutThreshold = 0.5) =>
 };
 
 /**
- * OWA (Ordered Weighted Averaging) implementation
+ * OWA aggregation with the contribution of each ordered position
  * @param {Object} attributes - Attribute values
  * @param {Object} weights - Criteria weights
  * @param {Array} owaWeights - OWA operator weights
- * @returns {Number} - Aggregated score
+ * @returns {Object} - Aggregated score and per-attribute breakdown
  */
-const applyOWA = (attributes, weights, owaWeights) => {
+const explainOWA = (attributes, weights, owaWeights) => {
   // Sort attribute values in descending order
   const sortedPairs = Object.entries(attributes)
     .sort((a, b) => b[1] - a[1]);
@@ -519,6 +581,7 @@ const applyOWA = (attributes, weights, owaWeights) => {
   // Apply OWA weights
   let score = 0;
   let totalAppliedWeight = 0;
+  const breakdown = [];
   
   sortedPairs.forEach((pair, index) => {
     const [key, value] = pair;
@@ -527,9 +590,30 @@ const applyOWA = (attributes, weights, owaWeights) => {
     
     score += value * criterionWeight * owaWeight;
     totalAppliedWeight += criterionWeight * owaWeight;
+    breakdown.push({ key, value, weight: criterionWeight, position: index + 1, owaWeight });
+  });
+  
+  // Share of the total score contributed by each attribute (contributions sum to the score)
+  breakdown.forEach(item => {
+    item.normalizedWeight = totalAppliedWeight > 0 ? (item.weight * item.owaWeight) / totalAppliedWeight : 0;
+    item.contribution = item.value * item.normalizedWeight;
   });
   
-  return totalAppliedWeight > 0 ? score / totalAppliedWeight : 0;
+  return {
+    score: totalAppliedWeight > 0 ? score / totalAppliedWeight : 0,
+    breakdown
+  };
+};
+
+/**
+ * OWA (Ordered Weighted Averaging) implementation
+ * @param {Object} attributes - Attribute values
+ * @param {Object} weights - Criteria weights
+ * @param {Array} owaWeights - OWA operator weights
+ * @returns {Number} - Aggregated score
+ */
+const applyOWA = (attributes, weights, owaWeights) => {
+  return explainOWA(attributes, weights, owaWeights).score;
 };
 
 module.exports = {
@@ -542,10 +626,13 @@ module.exports = {
   calculateStringSimilarity,
   calculateArraySimilarity,
   applyWSM,
+  explainWSM,
   aggregateStageScores,
+  explainStageAggregation,
   rankCandidates,
   removeFuzzyOutliers,
   calculateMedian,
   applyAlphaCut,
-  applyOWA
+  applyOWA,
+  explainOWA
 }; 
\ No newline at end of file
@@ -0,0 +1,458 @@
+/**
+ * Scoring engine
+ * Pure per-candidate scoring used by POST /api/scores/initial and /final, and by the
+ * dry-run simulation endpoints that rank candidates in memory without saving anything.
+ */
+const {
+  calculateFuzzyScore,
+  explainWSM,
+  explainStageAggregation,
+  explainOWA,
+  rankCandidates
+} = require('./scoring');
+const { buildCriteriaBreakdown, buildStageBreakdown, buildTopsisBreakdown } = require('./scoreExplanation');
+const { applyTOPSIS, applyFuzzyTOPSIS } = require('./topsis');
+const { explainChoquet } = require('./choquet');
+const { generateOwaWeights, describeOwaWeights } = require('./owaWeights');
+const { membershipLabel } = require('./linguisticTerms');
+const { explainIntervalType2, rankCandidatesByInterval } = require('./intervalType2');
+const { defaultPipeline, defaultStageWeights, candidateStage } = require('./pipelines');
+
+// Final score aggregation methods; the TOPSIS methods rank against the whole applicant pool,
+// it2 (interval type-2) scores an interval and ranks by interval dominance
+const AGGREGATION_METHODS = ['wsm', 'owa', 'topsis', 'fuzzy-topsis', 'it2'];
+const POOL_METHODS = ['topsis', 'fuzzy-topsis'];
+
+// Initial score aggregation methods; choquet uses the job's capacity instead of the criteria weights
+const INITIAL_AGGREGATION_METHODS = ['wsm', 'owa', 'choquet', 'it2'];
+
+/**
+ * Read a candidate attribute whether attributes are stored as a Map or a plain object
+ * @param {Object} candidate - Candidate document or plain object
+ * @param {String} key - Attribute name
+ * @returns {*} - Attribute value (undefined if missing)
+ */
+const getAttributeValue = (candidate, key) => {
+  if (candidate.attributes instanceof Map) {
+    return candidate.attributes.get(key);
+  }
+  if (candidate.attributes && typeof candidate.attributes === 'object') {
+    return candidate.attributes[key];
+  }
+  return undefined;
+};
+
+/**
+ * Convert job weights to a plain object
+ * @param {Map|Object} weights - Job finalWeights
+ * @returns {Object} - Plain weights object
+ */
+const toWeightsObject = (weights) => {
+  if (!weights) return {};
+  return weights instanceof Map ? Object.fromEntries(weights.entries()) : weights;
+};
+
+/**
+ * Calculate a candidate's initial (pre-interview) score against target values
+ * @param {Object} candidate - Candidate document or plain object
+ * @param {Object} weights - Criteria weights (plain object)
+ * @param {Object} options - Scoring options
+ * @param {Object} options.targetValues - Ideal value per attribute
+ * @param {Number} options.fuzzyFactor - Fuzzy factor for membership functions
+ * @param {String} options.membershipType - Membership function type
+ * @param {Object} options.confidenceWeights - Optional per-attribute confidence
+ * @param {Object} options.ontology - Skill ontology for partial credit on skill lists
+ * @param {Object} options.linguistic - Linguistic library for targets that reference a term
+ * @param {Object} options.capacity - Choquet capacity; when given, criteria are aggregated with the Choquet integral
+ * @param {Object} options.owa - OWA settings ({ strategyProfile, owaWeights, quantifier, orness }); when given,
+ *   criteria are aggregated with OWA and criteria the candidate has no value for count as 0
+ * @param {Object} options.it2 - Interval type-2 settings ({ fouScale }); when given, the score is the centroid
+ *   of an interval whose width grows as attribute confidence drops
+ * @returns {Object} - Score, confidence, breakdown and the attribute updates to persist (it2 adds the interval)
+ */
+const scoreInitial = (candidate, weights, options = {}) => {
+  const {
+    targetValues = {},
+    fuzzyFactor = 0.2,
+    membershipType = 'simple',
+    confidenceWeights = {},
+    ontology,
+    linguistic,
+    capacity = null,
+    owa = null,
+    it2 = null
+  } = options;
+
+  const attributes = {}; // Will hold fuzzy scores
+  const attributeConfidences = {}; // Will hold confidence scores
+  const criterionDetails = {}; // Raw values and targets for the score breakdown
+  const attributeUpdates = {}; // Fuzzy scores stored back on the candidate
+
+  for (const [key, targetValue] of Object.entries(targetValues)) {
+    const candidateValue = getAttributeValue(candidate, key);
+    if (candidateValue === undefined) continue;
+
+    // Calculate fuzzy score using the specified membership function
+    const fuzzyScore = calculateFuzzyScore(candidateValue, targetValue, fuzzyFactor, membershipType, { ontology, linguistic });
+    const membershipFunction = membershipLabel(targetValue, membershipType);
+
+    attributes[key] = fuzzyScore;
+    attributeConfidences[key] = confidenceWeights[key] ?? 1.0;
+    criterionDetails[key] = {
+      attribute: key,
+      source: 'direct',
+      rawValue: candidateValue,
+      targetValue,
+      membershipFunction
+    };
+
+    attributeUpdates[`attributes.${key}_fuzzyScore`] = fuzzyScore;
+    attributeUpdates[`attributes.${key}_membershipFunction`] = membershipFunction;
+    attributeUpdates[`attributes.${key}_confidence`] = attributeConfidences[key];
+  }
+
+  let explained, method, settings = { fuzzyFactor, membershipType };
+  if (capacity) {
+    // Choquet integral for interacting criteria
+    explained = explainChoquet(attributes, capacity, attributeConfidences);
+    method = 'choquet';
+  } else if (it2) {
+    // Interval type-2: low attribute confidence widens each degree's footprint of uncertainty
+    explained = explainIntervalType2(attributes, weights, { confidences: attributeConfidences, fouScale: it2.fouScale });
+    method = 'it2';
+    settings = { ...settings, fouScale: explained.interval.fouScale };
+  } else if (owa) {
+    // OWA over every weighted criterion, so quantifiers such as "most" count missing criteria as unmet
+    const values = {};
+    Object.keys(weights).forEach(key => {
+      values[key] = attributes[key] !== undefined ? attributes[key] : 0;
+      if (attributes[key] === undefined) {
+        criterionDetails[key] = { matched: false, source: 'missing' };
+      }
+    });
+    const owaWeights = resolveOwaWeights(owa.strategyProfile, Object.keys(values).length, owa.owaWeights, owa);
+    explained = {
+      ...explainOWA(values, weights, owaWeights),
+      confidence: Object.keys(weights).length > 0
+        ? Object.keys(attributes).reduce((sum, key) => sum + attributeConfidences[key], 0) / Object.keys(weights).length
+        : 1.0
+    };
+    method = 'owa';
+    settings = { ...settings, strategyProfile: owa.strategyProfile || null, owaWeights, ...describeOwaWeights(owaWeights, owa) };
+  } else {
+    // WSM with confidence-weighted attributes
+    explained = explainWSM(attributes, weights, attributeConfidences);
+    method = 'wsm';
+  }
+  attributeUpdates['attributes.initialScore_confidence'] = explained.confidence;
+
+  return {
+    score: explained.score,
+    confidence: explained.confidence,
+    interval: explained.interval,
+    matchedAttributes: Object.keys(attributes).length,
+    attributeUpdates,
+    breakdown: buildCriteriaBreakdown(explained, {
+      method,
+      details: criterionDetails,
+      weights: capacity ? capacity.singletons : weights,
+      settings
+    })
+  };
+};
+
+/**
+ * Fill in the pipeline's default stage weights and normalise them to sum to 1
+ * The resolved weights carry the pipeline's stages into final aggregation.
+ * @param {Object} stageWeights - Requested stage weights
+ * @param {Object} pipeline - Job pipeline (see utils/pipelines; defaults to the three-stage pipeline)
+ * @returns {Object} - Weight per stage of the pipeline
+ */
+const resolveStageWeights = (stageWeights = {}, pipeline = defaultPipeline()) => {
+  const defaults = defaultStageWeights(pipeline);
+  const weights = {};
+  Object.keys(defaults).forEach(stage => {
+    weights[stage] = stageWeights[stage] || defaults[stage];
+  });
+
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  if (totalWeight !== 1) {
+    Object.keys(weights).forEach(key => {
+      weights[key] = weights[key] / totalWeight;
+    });
+  }
+
+  return weights;
+};
+
+/**
+ * Build OWA operator weights for a strategy profile, linguistic quantifier or target orness
+ * @param {String} strategyProfile - optimistic, balanced, pessimistic or custom
+ * @param {Number} count - Number of values being aggregated
+ * @param {Array} customOwaWeights - Weights used by the custom profile
+ * @param {Object} generator - Quantifier name or target orness; takes precedence over the strategy profile
+ * @returns {Array} - OWA weights summing to 1
+ */
+const resolveOwaWeights = (strategyProfile, count, customOwaWeights = null, generator = {}) => {
+  // A linguistic quantifier or target orness takes precedence over the strategy profile
+  const generated = generateOwaWeights(generator, count);
+  if (generated) return generated;
+
+  let owaWeights;
+
+  if (strategyProfile === 'custom' && Array.isArray(customOwaWeights)) {
+    owaWeights = customOwaWeights;
+  } else {
+    switch (strategyProfile) {
+      case 'optimistic':
+        // More weight on highest scores (descending weights)
+        owaWeights = Array(count).fill(0).map((_, i) =>
+          (count - i) / ((count * (count + 1)) / 2)
+        );
+        break;
+      case 'pessimistic':
+        // More weight on lowest scores (ascending weights)
+        owaWeights = Array(count).fill(0).map((_, i) =>
+          (i + 1) / ((count * (count + 1)) / 2)
+        );
+        break;
+      case 'balanced':
+      default:
+        // Equal weights
+        owaWeights = Array(count).fill(1 / count);
+        break;
+    }
+  }
+
+  // Normalize OWA weights to sum to 1
+  const totalOwaWeight = owaWeights.reduce((sum, w) => sum + w, 0);
+  if (totalOwaWeight !== 1) {
+    owaWeights = owaWeights.map(w => w / totalOwaWeight);
+  }
+
+  return owaWeights;
+};
+
+/**
+ * Read a candidate's stage scores, confidences and interviewer disagreement
+ * @param {Object} candidate - Candidate document or plain object
+ * @param {Array} stages - Stage keys to read (the keys of the resolved stage weights)
+ * @returns {Object} - Stage scores, stage confidences and stage disagreements
+ */
+const getStageValues = (candidate, stages) => {
+  const stageScores = {};
+  const stageConfidences = {};
+  const stageDisagreements = {};
+  stages.forEach(stage => {
+    const data = candidateStage(candidate, stage);
+    stageScores[stage] = (data && data.score) || 0;
+    stageConfidences[stage] = (data && data.confidence) ?? 1.0;
+    stageDisagreements[stage] = (data && data.disagreement) || 0;
+  });
+  return { stageScores, stageConfidences, stageDisagreements };
+};
+
+/**
+ * Calculate a candidate's final score from interview stage scores
+ * @param {Object} candidate - Candidate document or plain object
+ * @param {Object} options - Aggregation options
+ * @param {Object} options.stageWeights - Resolved stage weights
+ * @param {String} options.aggregationMethod - wsm, owa or it2 (see scoreFinalPool for TOPSIS)
+ * @param {String} options.strategyProfile - OWA strategy profile (reported in the breakdown)
+ * @param {Array} options.owaWeights - Resolved OWA weights (owa only)
+ * @param {String} options.quantifier - Linguistic quantifier the OWA weights came from (reported in the breakdown)
+ * @param {Number} options.orness - Target orness the OWA weights came from (reported in the breakdown)
+ * @param {Number} options.alphaCutThreshold - Stages below this confidence are left out (not with it2)
+ * @param {Number} options.fouScale - Interval width of a stage score with no confidence at all (it2 only)
+ * @returns {Object} - Score, confidence and per-stage breakdown (it2 adds the interval)
+ */
+const scoreFinal = (candidate, options = {}) => {
+  const {
+    stageWeights = resolveStageWeights(),
+    aggregationMethod = 'wsm',
+    strategyProfile = 'balanced',
+    owaWeights = null,
+    quantifier = null,
+    orness = null,
+    alphaCutThreshold = 0.5,
+    fouScale
+  } = options;
+
+  const { stageScores, stageConfidences, stageDisagreements } = getStageValues(candidate, Object.keys(stageWeights));
+
+  if (aggregationMethod === 'it2') {
+    // Low confidence and interviewer disagreement widen the interval instead of dropping stages
+    const explained = explainIntervalType2(stageScores, stageWeights, {
+      confidences: stageConfidences,
+      disagreements: stageDisagreements,
+      fouScale
+    });
+    return {
+      score: explained.score,
+      confidence: explained.confidence,
+      interval: explained.interval,
+      breakdown: buildStageBreakdown(explained, {
+        method: 'it2',
+        stageScores,
+        stageWeights,
+        stageConfidences,
+        settings: { fouScale: explained.interval.fouScale }
+      })
+    };
+  }
+
+  // Apply alpha-cut if needed (filter out low-confidence scores)
+  const usedScores = { ...stageScores };
+  if (alphaCutThreshold > 0) {
+    for (const stage in usedScores) {
+      if (stageConfidences[stage] < alphaCutThreshold) {
+        delete usedScores[stage];
+      }
+    }
+  }
+
+  const useOwa = aggregationMethod === 'owa' && owaWeights;
+  let explained, confidence;
+
+  if (useOwa) {
+    // Apply OWA with the configured weights
+    explained = explainOWA(usedScores, stageWeights, owaWeights);
+
+    // For OWA, calculate avg confidence separately
+    const usedStages = Object.keys(usedScores);
+    confidence = usedStages.length > 0
+      ? usedStages.reduce((sum, stage) => sum + stageConfidences[stage], 0) / usedStages.length
+      : 0.5;
+  } else {
+    // Use traditional WSM with confidence weighting
+    explained = explainStageAggregation(usedScores, stageWeights, stageConfidences);
+    confidence = explained.confidence;
+  }
+
+  return {
+    score: explained.score,
+    confidence,
+    breakdown: buildStageBreakdown(explained, {
+      method: useOwa ? 'owa' : 'wsm',
+      stageScores,
+      stageWeights,
+      stageConfidences,
+      confidence,
+      settings: {
+        strategyProfile,
+        owaWeights: aggregationMethod === 'owa' ? owaWeights : null,
+        ...(useOwa ? describeOwaWeights(owaWeights, { quantifier, orness }) : {}),
+        alphaCutThreshold
+      }
+    })
+  };
+};
+
+/**
+ * Calculate final scores for a pool of candidates
+ * WSM and OWA score each candidate on its own; TOPSIS and fuzzy TOPSIS score each
+ * candidate against the positive and negative ideals of the pool.
+ * @param {Array} candidates - Candidate documents or plain objects
+ * @param {Object} options - Aggregation options (see scoreFinal)
+ * @param {Number} options.fuzzySpread - Spread of fully confident scores for fuzzy TOPSIS
+ * @returns {Array} - Score, confidence and breakdown per candidate (TOPSIS adds distances), in input order
+ */
+const scoreFinalPool = (candidates, options = {}) => {
+  const {
+    stageWeights = resolveStageWeights(),
+    aggregationMethod = 'wsm',
+    fuzzySpread = 0.1
+  } = options;
+
+  if (!POOL_METHODS.includes(aggregationMethod)) {
+    return candidates.map(candidate => scoreFinal(candidate, options));
+  }
+
+  const values = candidates.map(candidate => getStageValues(candidate, Object.keys(stageWeights)));
+  const alternatives = values.map(({ stageScores, stageConfidences }) => ({
+    values: stageScores,
+    confidences: stageConfidences
+  }));
+  const topsis = aggregationMethod === 'fuzzy-topsis'
+    ? applyFuzzyTOPSIS(alternatives, stageWeights, { spread: fuzzySpread })
+    : applyTOPSIS(alternatives, stageWeights);
+
+  return topsis.results.map((result, index) => {
+    const { stageScores, stageConfidences } = values[index];
+    const confidences = Object.values(stageConfidences);
+    const confidence = confidences.reduce((sum, c) => sum + c, 0) / confidences.length;
+
+    return {
+      score: result.closeness,
+      confidence,
+      distanceToIdeal: result.distanceToIdeal,
+      distanceToAntiIdeal: result.distanceToAntiIdeal,
+      breakdown: buildTopsisBreakdown(result, topsis, {
+        method: aggregationMethod,
+        stageScores,
+        stageWeights,
+        stageConfidences,
+        confidence,
+        settings: aggregationMethod === 'fuzzy-topsis' ? { fuzzySpread } : {}
+      })
+    };
+  });
+};
+
+/**
+ * Rank scored candidates with confidence as tiebreaker
+ * Interval type-2 scores are ranked by interval dominance instead (see utils/intervalType2).
+ * @param {Array} entries - Items with candidate, score, confidence and optional TOPSIS distances or it2 interval
+ * @returns {Array} - Ranking results ({ candidateId, name, score, confidence, rank, percentile })
+ */
+const rankScoredCandidates = (entries) => {
+  const useIntervals = entries.length > 0 && entries.every(entry => entry.interval);
+  const rank = useIntervals ? rankCandidatesByInterval : rankCandidates;
+  const ranked = rank(entries.map(entry => ({
+    candidateId: entry.candidate._id,
+    name: `${entry.candidate.firstName} ${entry.candidate.lastName}`,
+    score: entry.score,
+    finalScore: entry.score,
+    confidence: entry.confidence,
+    scoreInterval: entry.interval,
+    distanceToIdeal: entry.distanceToIdeal,
+    distanceToAntiIdeal: entry.distanceToAntiIdeal
+  })));
+
+  return ranked.map(c => {
+    const result = {
+      candidateId: c.candidateId,
+      name: c.name,
+      score: c.score,
+      confidence: c.confidenceScore,
+      rank: c.rank,
+      percentile: c.percentile
+    };
+    // TOPSIS rankings also carry each candidate's distances to the pool's ideals
+    if (c.distanceToIdeal !== undefined) {
+      result.distanceToIdeal = c.distanceToIdeal;
+      result.distanceToAntiIdeal = c.distanceToAntiIdeal;
+    }
+    // Interval rankings carry the interval score; candidates with the same tieGroup are tied
+    if (useIntervals) {
+      result.interval = c.scoreInterval;
+      result.tieGroup = c.tieGroup;
+    }
+    return result;
+  });
+};
+
+module.exports = {
+  AGGREGATION_METHODS,
+  INITIAL_AGGREGATION_METHODS,
+  POOL_METHODS,
+  getAttributeValue,
+  toWeightsObject,
+  scoreInitial,
+  resolveStageWeights,
+  resolveOwaWeights,
+  getStageValues,
+  scoreFinal,
+  scoreFinalPool,
+  rankScoredCandidates
+};
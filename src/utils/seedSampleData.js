@@ -8,9 +8,31 @@
 const mongoose = require('mongoose');
 const connectDB = require('./db');
 const Candidate = require('../models/Candidate');
+const Interview = require('../models/Interview');
 const Job = require('../models/Job');
+const Offer = require('../models/Offer');
+const { defaultPipeline } = require('./pipelines');
 require('dotenv').config();
 
+const DAY = 24 * 60 * 60 * 1000;
+const SEEDED_BY = 'sample-data';
+
+// Status moves each sample candidate went through (see utils/candidateStatus) and their reasons
+const STATUS_PATHS = {
+  screening: ['applied', 'screening'],
+  interviewing: ['applied', 'screening', 'interviewing'],
+  hired: ['applied', 'screening', 'interviewing', 'offer', 'hired'],
+  rejected: ['applied', 'screening', 'interviewing', 'rejected']
+};
+const STATUS_REASONS = {
+  applied: 'Candidate created',
+  screening: 'Passed the threshold filter',
+  interviewing: 'Interview scheduled',
+  offer: 'All interview stages completed',
+  hired: 'Offer accepted',
+  rejected: 'Not selected after the coding interview'
+};
+
 const sampleJob = {
   title: "Senior Software Engineer",
   description: "We are looking for an experienced software engineer to join our team.",
@@ -22,7 +44,18 @@ const sampleJob = {
     { name: "systemDesign", weight: 0.25, description: "System design knowledge", targetValue: 0.8 },
     { name: "education", weight: 0.15, description: "Education level", targetValue: 0.8 },
     { name: "communication", weight: 0.15, description: "Communication skills", targetValue: 0.8 }
-  ]
+  ],
+  finalWeights: {
+    yearsOfExperience: 0.2,
+    programmingSkills: 0.25,
+    systemDesign: 0.25,
+    education: 0.15,
+    communication: 0.15
+  },
+  pipeline: defaultPipeline(),
+  // One of the two openings is filled by the hired sample candidate
+  headcount: 2,
+  filledCount: 1
 };
 
 const sampleCandidates = [
@@ -42,9 +75,9 @@ const sampleCandidates = [
       ["mongodb", true]
     ]),
     stages: {
-      phoneScreen: { completed: true, score: 0.85, notes: "Great communication skills" },
-      codingInterview: { completed: true, score: 0.95, notes: "Excellent problem solving" },
-      onsiteInterview: { completed: true, score: 0.85, notes: "Good cultural fit" }
+      phoneScreen: { completed: true, score: 0.85, dimensions: { communicationSkill: 0.85 }, notes: "Great communication skills" },
+      codingInterview: { completed: true, score: 0.95, dimensions: { problemSolving: 0.95 }, notes: "Excellent problem solving" },
+      onsiteInterview: { completed: true, score: 0.85, dimensions: { systemDesign: 0.85 }, notes: "Good cultural fit" }
     },
     initialScore: 0.88,
     finalScore: 0.917,
@@ -66,9 +99,9 @@ const sampleCandidates = [
       ["aws", true]
     ]),
     stages: {
-      phoneScreen: { completed: true, score: 0.82, notes: "Good technical background" },
-      codingInterview: { completed: true, score: 0.88, notes: "Strong DevOps knowledge" },
-      onsiteInterview: { completed: true, score: 0.90, notes: "Excellent systems knowledge" }
+      phoneScreen: { completed: true, score: 0.82, dimensions: { communicationSkill: 0.82 }, notes: "Good technical background" },
+      codingInterview: { completed: true, score: 0.88, dimensions: { problemSolving: 0.88 }, notes: "Strong DevOps knowledge" },
+      onsiteInterview: { completed: true, score: 0.90, dimensions: { systemDesign: 0.90 }, notes: "Excellent systems knowledge" }
     },
     initialScore: 0.86,
     finalScore: 0.907,
@@ -90,9 +123,9 @@ const sampleCandidates = [
       ["architecture", true]
     ]),
     stages: {
-      phoneScreen: { completed: true, score: 0.88, notes: "Extensive experience" },
-      codingInterview: { completed: true, score: 0.92, notes: "Excellent architectural knowledge" },
-      onsiteInterview: { completed: true, score: 0.93, notes: "Great leadership skills" }
+      phoneScreen: { completed: true, score: 0.88, dimensions: { communicationSkill: 0.88 }, notes: "Extensive experience" },
+      codingInterview: { completed: true, score: 0.92, dimensions: { problemSolving: 0.92 }, notes: "Excellent architectural knowledge" },
+      onsiteInterview: { completed: true, score: 0.93, dimensions: { systemDesign: 0.93 }, notes: "Great leadership skills" }
     },
     initialScore: 0.89,
     finalScore: 0.907,
@@ -113,7 +146,7 @@ const sampleCandidates = [
       ["machine learning", true]
     ]),
     stages: {
-      phoneScreen: { completed: true, score: 0.78, notes: "Strong analytical skills" },
+      phoneScreen: { completed: true, score: 0.78, dimensions: { communicationSkill: 0.78 }, notes: "Strong analytical skills" },
       codingInterview: { completed: false }
     },
     initialScore: 0.82,
@@ -134,8 +167,8 @@ const sampleCandidates = [
       ["ux design", true]
     ]),
     stages: {
-      phoneScreen: { completed: true, score: 0.85, notes: "Great design background" },
-      codingInterview: { completed: true, score: 0.83, notes: "Good frontend skills" }
+      phoneScreen: { completed: true, score: 0.85, dimensions: { communicationSkill: 0.85 }, notes: "Great design background" },
+      codingInterview: { completed: true, score: 0.83, dimensions: { problemSolving: 0.83 }, notes: "Good frontend skills" }
     },
     initialScore: 0.84,
     status: "interviewing"
@@ -154,7 +187,7 @@ const sampleCandidates = [
       ["machine learning", true]
     ]),
     stages: {
-      phoneScreen: { completed: true, score: 0.75, notes: "Good technical knowledge" }
+      phoneScreen: { completed: true, score: 0.75, dimensions: { communicationSkill: 0.75 }, notes: "Good technical knowledge" }
     },
     initialScore: 0.78,
     status: "screening"
@@ -173,8 +206,8 @@ const sampleCandidates = [
       ["quality assurance", true]
     ]),
     stages: {
-      phoneScreen: { completed: true, score: 0.82, notes: "Strong QA background" },
-      codingInterview: { completed: true, score: 0.85, notes: "Good test automation skills" }
+      phoneScreen: { completed: true, score: 0.82, dimensions: { communicationSkill: 0.82 }, notes: "Strong QA background" },
+      codingInterview: { completed: true, score: 0.85, dimensions: { problemSolving: 0.85 }, notes: "Good test automation skills" }
     },
     initialScore: 0.83,
     finalScore: 0.867,
@@ -195,8 +228,8 @@ const sampleCandidates = [
       ["backend", true]
     ]),
     stages: {
-      phoneScreen: { completed: true, score: 0.80, notes: "Good backend knowledge" },
-      codingInterview: { completed: true, score: 0.82, notes: "Solid database skills" }
+      phoneScreen: { completed: true, score: 0.80, dimensions: { communicationSkill: 0.80 }, notes: "Good backend knowledge" },
+      codingInterview: { completed: true, score: 0.82, dimensions: { problemSolving: 0.82 }, notes: "Solid database skills" }
     },
     initialScore: 0.81,
     finalScore: 0.85,
@@ -216,8 +249,8 @@ const sampleCandidates = [
       ["javascript", true]
     ]),
     stages: {
-      phoneScreen: { completed: true, score: 0.75, notes: "Strong product background" },
-      codingInterview: { completed: true, score: 0.77, notes: "Adequate technical skills" }
+      phoneScreen: { completed: true, score: 0.75, dimensions: { communicationSkill: 0.75 }, notes: "Strong product background" },
+      codingInterview: { completed: true, score: 0.77, dimensions: { problemSolving: 0.77 }, notes: "Adequate technical skills" }
     },
     initialScore: 0.79,
     finalScore: 0.827,
@@ -238,8 +271,8 @@ const sampleCandidates = [
       ["frontend", true]
     ]),
     stages: {
-      phoneScreen: { completed: true, score: 0.74, notes: "Limited experience" },
-      codingInterview: { completed: true, score: 0.72, notes: "Basic frontend skills" }
+      phoneScreen: { completed: true, score: 0.74, dimensions: { communicationSkill: 0.74 }, notes: "Limited experience" },
+      codingInterview: { completed: true, score: 0.72, dimensions: { problemSolving: 0.72 }, notes: "Basic frontend skills" }
     },
     initialScore: 0.76,
     finalScore: 0.783,
@@ -247,6 +280,88 @@ const sampleCandidates = [
   }
 ];
 
+/**
+ * Status history leading to a sample candidate's status, one week per move
+ * @param {String} status - Candidate status
+ * @param {String} applied - Application date
+ * @returns {Array} - Status changes
+ */
+const buildStatusHistory = (status, applied) => STATUS_PATHS[status].map((to, index, path) => ({
+  from: index === 0 ? null : path[index - 1],
+  to,
+  reason: STATUS_REASONS[to],
+  changedBy: SEEDED_BY,
+  changedAt: new Date(new Date(applied).getTime() + index * 7 * DAY)
+}));
+
+/**
+ * Interview holding a sample candidate's stage results; links the candidate's stages to it as their synced copy
+ * @param {Object} candidate - Sample candidate with _id, jobId and stages
+ * @returns {Object} - Interview
+ */
+const buildInterview = (candidate) => {
+  const _id = new mongoose.Types.ObjectId();
+  const scheduledDate = new Date(new Date(candidate.applied).getTime() + 7 * DAY);
+  const stages = {};
+  Object.entries(candidate.stages).forEach(([key, stage]) => {
+    if (!stage.completed) return;
+    stages[key] = { completed: true, dimensions: stage.dimensions, notes: stage.notes, revision: 1 };
+    stage.revision = 1;
+    stage.syncedFrom = { interviewId: _id, revision: 1, syncedAt: scheduledDate };
+  });
+
+  const finished = ['hired', 'rejected'].includes(candidate.status) ||
+    defaultPipeline().stages.every(stage => stages[stage.key]);
+  return {
+    _id,
+    candidateId: candidate._id,
+    jobId: candidate.jobId,
+    scheduledDate,
+    stages,
+    status: finished ? 'completed' : 'in-progress'
+  };
+};
+
+/**
+ * Accepted offer behind a hired sample candidate, approved and sent before it was accepted
+ * @param {Object} candidate - Hired sample candidate
+ * @returns {Object} - Offer
+ */
+const buildAcceptedOffer = (candidate) => {
+  const [offerAt, hiredAt] = candidate.statusHistory.slice(-2).map(change => change.changedAt);
+  const terms = {
+    compensation: [
+      { type: 'base', amount: 165000, currency: 'USD', frequency: 'annual' },
+      { type: 'signing', amount: 10000, currency: 'USD', frequency: 'one-time' }
+    ],
+    startDate: new Date(hiredAt.getTime() + 30 * DAY),
+    expiresAt: new Date(offerAt.getTime() + 14 * DAY)
+  };
+  const event = (action, changedAt) => ({ action, version: 1, changedBy: SEEDED_BY, changedAt });
+
+  return {
+    candidateId: candidate._id,
+    jobId: candidate.jobId,
+    status: 'accepted',
+    version: 1,
+    ...terms,
+    revisions: [{ version: 1, source: 'employer', ...terms, createdBy: SEEDED_BY, createdAt: offerAt }],
+    approvals: [{ approver: 'hiring-manager', decision: 'approved', decidedAt: offerAt }],
+    events: [
+      event('created', offerAt),
+      event('submitted', offerAt),
+      { ...event('approval-approved', offerAt), changedBy: 'hiring-manager' },
+      { ...event('approved', offerAt), changedBy: 'hiring-manager' },
+      event('sent', offerAt),
+      event('accepted', hiredAt)
+    ],
+    sentAt: offerAt,
+    respondedAt: hiredAt,
+    createdBy: SEEDED_BY,
+    createdAt: offerAt
+  };
+};
+
 /**
  * Seed the database with sample data
  */
@@ -259,6 +374,8 @@ async function seedData() {
     
     // Clear existing data
     await Candidate.deleteMany({});
+    await Interview.deleteMany({});
+    await Offer.deleteMany({});
     await Job.deleteMany({});
     
     console.log('Cleared existing data');
@@ -267,14 +384,26 @@ async function seedData() {
     const job = await Job.create(sampleJob);
     console.log('Created sample job');
     
-    // Create candidates
-    const candidatesWithJobId = sampleCandidates.map(candidate => ({
+    // insertMany skips the save hooks, so the status history is written here
+    const candidates = sampleCandidates.map(candidate => ({
       ...candidate,
-      jobId: job._id
+      _id: new mongoose.Types.ObjectId(),
+      jobId: job._id,
+      statusHistory: buildStatusHistory(candidate.status, candidate.applied)
     }));
     
-    await Candidate.insertMany(candidatesWithJobId);
-    console.log('Created sample candidates');
+    // Stage results are recorded on interviews and copied to the candidates
+    const interviews = candidates
+      .filter(candidate => Object.values(candidate.stages).some(stage => stage.completed))
+      .map(buildInterview);
+    
+    await Candidate.insertMany(candidates);
+    await Interview.insertMany(interviews);
+    console.log('Created sample candidates and interviews');
+    
+    // Hired candidates need an accepted offer
+    await Offer.insertMany(candidates.filter(candidate => candidate.status === 'hired').map(buildAcceptedOffer));
+    console.log('Created sample offers');
     
     console.log('Sample data seeded successfully');
     process.exit(0);
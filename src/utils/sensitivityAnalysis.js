@@ -0,0 +1,207 @@
+/**
+ * Weight sensitivity analysis
+ * Perturbs one weight at a time (the others are rescaled to keep the total) and
+ * re-ranks candidates to show how fragile a ranking is to the chosen weights.
+ */
+
+// Scan steps and bisection rounds used to locate the weight at which the top candidate changes
+const FLIP_SCAN_STEPS = 20;
+const FLIP_BISECTION_ROUNDS = 12;
+
+/**
+ * Set one weight and rescale the others so the total weight stays the same
+ * @param {Object} weights - Base weights
+ * @param {String} key - Weight to change
+ * @param {Number} value - New value for that weight
+ * @returns {Object} - Perturbed weights
+ */
+const perturbWeight = (weights, key, value) => {
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  const newValue = Math.min(Math.max(value, 0), total);
+  const othersBefore = total - weights[key];
+  const othersAfter = total - newValue;
+
+  const perturbed = {};
+  Object.entries(weights).forEach(([name, weight]) => {
+    if (name === key) {
+      perturbed[name] = newValue;
+    } else {
+      perturbed[name] = othersBefore > 0 ? weight * othersAfter / othersBefore : othersAfter / (Object.keys(weights).length - 1);
+    }
+  });
+  return perturbed;
+};
+
+/**
+ * Id of the top-ranked candidate
+ * @param {Array} ranking - Ranking results
+ * @returns {String|null} - Candidate id
+ */
+const topCandidateId = (ranking) => {
+  const top = ranking.find(result => result.rank === 1);
+  return top ? String(top.candidateId) : null;
+};
+
+/**
+ * Find the smallest change of one weight (in one direction) that changes the top candidate
+ * @param {Object} weights - Base weights
+ * @param {String} key - Weight to change
+ * @param {Number} limit - Furthest weight value to try (0 or the total weight)
+ * @param {Function} rankWith - Ranks candidates for a set of weights
+ * @param {String} baseTopId - Top candidate with the base weights
+ * @returns {Object|null} - Flip weight, change from the base weight and the new top candidate
+ */
+const findFlipPoint = (weights, key, limit, rankWith, baseTopId) => {
+  const base = weights[key];
+  if (limit === base) return null;
+
+  let stable = base;
+  let flipped = null;
+  let flippedRanking = null;
+
+  // Coarse scan towards the limit
+  for (let step = 1; step <= FLIP_SCAN_STEPS; step++) {
+    const value = base + (limit - base) * step / FLIP_SCAN_STEPS;
+    const ranking = rankWith(perturbWeight(weights, key, value));
+    if (topCandidateId(ranking) !== baseTopId) {
+      flipped = value;
+      flippedRanking = ranking;
+      break;
+    }
+    stable = value;
+  }
+
+  if (flipped === null) return null;
+
+  // Narrow down the flip point between the last stable and the first flipped value
+  for (let round = 0; round < FLIP_BISECTION_ROUNDS; round++) {
+    const middle = (stable + flipped) / 2;
+    const ranking = rankWith(perturbWeight(weights, key, middle));
+    if (topCandidateId(ranking) !== baseTopId) {
+      flipped = middle;
+      flippedRanking = ranking;
+    } else {
+      stable = middle;
+    }
+  }
+
+  const newTop = flippedRanking.find(result => result.rank === 1);
+  return {
+    weight: flipped,
+    change: flipped - base,
+    relativeChange: base > 0 ? (flipped - base) / base : null,
+    newTopCandidate: { candidateId: newTop.candidateId, name: newTop.name }
+  };
+};
+
+/**
+ * Analyse how sensitive a ranking is to each weight
+ * @param {Object} weights - Base weights (criteria or stages)
+ * @param {Function} rankWith - Ranks candidates for a set of weights; returns ranking results
+ *   ({ candidateId, name, score, rank })
+ * @param {Object} options - Analysis options
+ * @param {Number} options.range - Largest relative change tried for each weight (0.5 = +/-50%)
+ * @param {Number} options.steps - Perturbation steps on each side of the base weight
+ * @param {Number} options.topN - Size of the top group whose membership is checked for stability
+ * @returns {Object} - Per-weight results, tornado data and per-candidate rank stability
+ */
+const analyzeWeightSensitivity = (weights, rankWith, options = {}) => {
+  const { range = 0.5, steps = 5, topN = 3 } = options;
+
+  const baseRanking = rankWith(weights);
+  const baseTopId = topCandidateId(baseRanking);
+  const baseTopN = baseRanking.filter(result => result.rank <= topN).map(result => String(result.candidateId)).sort().join();
+  const baseById = new Map(baseRanking.map(result => [String(result.candidateId), result]));
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+
+  // Ranks seen for each candidate across all scenarios
+  const rankSamples = new Map(baseRanking.map(result => [String(result.candidateId), []]));
+
+  const weightResults = Object.keys(weights).map(key => {
+    const scenarios = [];
+
+    for (let i = -steps; i <= steps; i++) {
+      if (i === 0) continue;
+      const change = range * i / steps;
+      const perturbed = perturbWeight(weights, key, weights[key] * (1 + change));
+      const ranking = rankWith(perturbed);
+
+      ranking.forEach(result => {
+        const samples = rankSamples.get(String(result.candidateId));
+        if (samples) samples.push(result.rank);
+      });
+
+      const topGroup = ranking.filter(result => result.rank <= topN).map(result => String(result.candidateId)).sort().join();
+      scenarios.push({
+        change,
+        weight: perturbed[key],
+        topCandidate: topCandidateId(ranking),
+        topNUnchanged: topGroup === baseTopN,
+        maxRankChange: Math.max(0, ...ranking.map(result => {
+          const base = baseById.get(String(result.candidateId));
+          return base ? Math.abs(base.rank - result.rank) : 0;
+        })),
+        topCandidateScore: (ranking.find(result => String(result.candidateId) === baseTopId) || {}).score
+      });
+    }
+
+    const low = scenarios[0];
+    const high = scenarios[scenarios.length - 1];
+    const baseTop = baseById.get(baseTopId);
+
+    return {
+      key,
+      baseWeight: weights[key],
+      topCandidateStable: scenarios.every(scenario => scenario.topCandidate === baseTopId),
+      topNStable: scenarios.every(scenario => scenario.topNUnchanged),
+      maxRankChange: Math.max(0, ...scenarios.map(scenario => scenario.maxRankChange)),
+      flipPoint: {
+        increase: findFlipPoint(weights, key, total, rankWith, baseTopId),
+        decrease: findFlipPoint(weights, key, 0, rankWith, baseTopId)
+      },
+      tornado: {
+        lowWeight: low ? low.weight : weights[key],
+        highWeight: high ? high.weight : weights[key],
+        topCandidateScoreAtLow: low ? low.topCandidateScore : null,
+        topCandidateScoreAtBase: baseTop ? baseTop.score : null,
+        topCandidateScoreAtHigh: high ? high.topCandidateScore : null,
+        swing: low && high ? Math.abs(high.topCandidateScore - low.topCandidateScore) : 0
+      },
+      scenarios: scenarios.map(({ topCandidateScore, ...scenario }) => scenario)
+    };
+  });
+
+  const candidateStability = baseRanking.map(result => {
+    const samples = rankSamples.get(String(result.candidateId));
+    const mean = samples.length > 0 ? samples.reduce((sum, rank) => sum + rank, 0) / samples.length : result.rank;
+    const variance = samples.length > 0 ?
+      samples.reduce((sum, rank) => sum + Math.pow(rank - mean, 2), 0) / samples.length : 0;
+
+    return {
+      candidateId: result.candidateId,
+      name: result.name,
+      baseRank: result.rank,
+      bestRank: Math.min(result.rank, ...samples),
+      worstRank: Math.max(result.rank, ...samples),
+      rankStdDev: Math.sqrt(variance),
+      // Share of scenarios in which the candidate kept its rank
+      stability: samples.length > 0 ? samples.filter(rank => rank === result.rank).length / samples.length : 1
+    };
+  });
+
+  return {
+    baseRanking,
+    weights: weightResults,
+    // Largest swing in the top candidate's score first
+    tornado: weightResults
+      .map(result => ({ key: result.key, ...result.tornado }))
+      .sort((a, b) => b.swing - a.swing),
+    candidateStability
+  };
+};
+
+module.exports = {
+  perturbWeight,
+  findFlipPoint,
+  analyzeWeightSensitivity
+};
@@ -0,0 +1,236 @@
+/**
+ * Skill ontology
+ * Canonical skills with aliases and parent/child relations (e.g. Next.js -> React -> JavaScript).
+ * Used to normalise resume skills on ingestion and to give partial credit for related skills.
+ */
+const Skill = require('../models/Skill');
+
+// Each skill: canonical id, display name, aliases and parent skill ids
+const DEFAULT_SKILLS = [
+  // Programming languages
+  { id: 'javascript', name: 'JavaScript', aliases: ['js', 'ecmascript', 'es6'] },
+  { id: 'typescript', name: 'TypeScript', aliases: ['ts'], parents: ['javascript'] },
+  { id: 'python', name: 'Python', aliases: ['python3', 'py'] },
+  { id: 'java', name: 'Java', aliases: [] },
+  { id: 'kotlin', name: 'Kotlin', aliases: [] },
+  { id: 'scala', name: 'Scala', aliases: [] },
+  { id: 'go', name: 'Go', aliases: ['golang'] },
+  { id: 'rust', name: 'Rust', aliases: [] },
+  { id: 'c', name: 'C', aliases: [] },
+  { id: 'cpp', name: 'C++', aliases: ['c++', 'cplusplus'] },
+  { id: 'csharp', name: 'C#', aliases: ['c#', 'c sharp'] },
+  { id: 'ruby', name: 'Ruby', aliases: [] },
+  { id: 'php', name: 'PHP', aliases: [] },
+  { id: 'swift', name: 'Swift', aliases: [] },
+  { id: 'r', name: 'R', aliases: ['r language'] },
+  { id: 'sql', name: 'SQL', aliases: [] },
+  { id: 'html', name: 'HTML', aliases: ['html5'] },
+  { id: 'css', name: 'CSS', aliases: ['css3'] },
+
+  // Frameworks and runtimes
+  { id: 'nodejs', name: 'Node.js', aliases: ['node', 'node js'], parents: ['javascript'] },
+  { id: 'express', name: 'Express', aliases: ['express.js', 'expressjs'], parents: ['nodejs'] },
+  { id: 'nestjs', name: 'NestJS', aliases: ['nest.js', 'nest'], parents: ['nodejs', 'typescript'] },
+  { id: 'react', name: 'React', aliases: ['react.js', 'reactjs', 'react js'], parents: ['javascript'] },
+  { id: 'nextjs', name: 'Next.js', aliases: ['next', 'next js'], parents: ['react'] },
+  { id: 'react_native', name: 'React Native', aliases: [], parents: ['react'] },
+  { id: 'redux', name: 'Redux', aliases: [], parents: ['react'] },
+  { id: 'angular', name: 'Angular', aliases: ['angular.js', 'angularjs'], parents: ['typescript'] },
+  { id: 'vue', name: 'Vue', aliases: ['vue.js', 'vuejs'], parents: ['javascript'] },
+  { id: 'nuxt', name: 'Nuxt', aliases: ['nuxt.js', 'nuxtjs'], parents: ['vue'] },
+  { id: 'django', name: 'Django', aliases: [], parents: ['python'] },
+  { id: 'flask', name: 'Flask', aliases: [], parents: ['python'] },
+  { id: 'fastapi', name: 'FastAPI', aliases: [], parents: ['python'] },
+  { id: 'spring', name: 'Spring', aliases: ['spring boot', 'springboot'], parents: ['java'] },
+  { id: 'laravel', name: 'Laravel', aliases: [], parents: ['php'] },
+  { id: 'rails', name: 'Ruby on Rails', aliases: ['rails', 'ror'], parents: ['ruby'] },
+  { id: 'dotnet', name: '.NET', aliases: ['.net', 'dotnet', 'asp.net'], parents: ['csharp'] },
+
+  // Databases
+  { id: 'mysql', name: 'MySQL', aliases: [], parents: ['sql'] },
+  { id: 'postgresql', name: 'PostgreSQL', aliases: ['postgres', 'psql'], parents: ['sql'] },
+  { id: 'oracle', name: 'Oracle', aliases: ['oracle db'], parents: ['sql'] },
+  { id: 'mongodb', name: 'MongoDB', aliases: ['mongo'] },
+  { id: 'dynamodb', name: 'DynamoDB', aliases: [], parents: ['aws'] },
+  { id: 'cassandra', name: 'Cassandra', aliases: [] },
+  { id: 'redis', name: 'Redis', aliases: [] },
+
+  // Cloud and infrastructure
+  { id: 'aws', name: 'AWS', aliases: ['amazon web services'] },
+  { id: 'azure', name: 'Azure', aliases: ['microsoft azure'] },
+  { id: 'google_cloud', name: 'Google Cloud', aliases: ['gcp', 'google cloud platform'] },
+  { id: 'firebase', name: 'Firebase', aliases: [], parents: ['google_cloud'] },
+  { id: 'heroku', name: 'Heroku', aliases: [] },
+  { id: 'vercel', name: 'Vercel', aliases: [] },
+  { id: 'docker', name: 'Docker', aliases: [] },
+  { id: 'kubernetes', name: 'Kubernetes', aliases: ['k8s'] },
+  { id: 'git', name: 'Git', aliases: [] },
+
+  // Data science
+  { id: 'tensorflow', name: 'TensorFlow', aliases: ['tf'], parents: ['python'] },
+  { id: 'keras', name: 'Keras', aliases: [], parents: ['tensorflow'] },
+  { id: 'pytorch', name: 'PyTorch', aliases: ['torch'], parents: ['python'] },
+  { id: 'scikit_learn', name: 'scikit-learn', aliases: ['sklearn', 'scikit learn'], parents: ['python'] },
+  { id: 'pandas', name: 'pandas', aliases: [], parents: ['python'] },
+  { id: 'numpy', name: 'NumPy', aliases: [], parents: ['python'] }
+];
+
+// Credit kept per hierarchy step when comparing related skills
+const RELATEDNESS_DECAY = 0.75;
+
+/**
+ * Compact a skill name for alias lookup ("React.js", "react js" and "ReactJS" all become "reactjs")
+ * @param {String} skill - Raw skill name
+ * @returns {String} - Lookup key
+ */
+const compactSkill = (skill) => String(skill).toLowerCase().trim().replace(/[\s._-]+/g, '');
+
+/**
+ * Build an ontology from skill definitions
+ * @param {Array} skills - Skill definitions ({ id, name, aliases, parents })
+ * @returns {Object} - Ontology with normalize, getAncestors and relatedness helpers
+ */
+const createSkillOntology = (skills = DEFAULT_SKILLS) => {
+  const byId = new Map();
+  const lookup = new Map();
+
+  skills.forEach(skill => {
+    byId.set(skill.id, {
+      id: skill.id,
+      name: skill.name || skill.id,
+      aliases: skill.aliases || [],
+      parents: skill.parents || []
+    });
+  });
+
+  // Register ids and names first so an alias can never shadow a canonical skill
+  byId.forEach(skill => {
+    lookup.set(compactSkill(skill.id), skill.id);
+    lookup.set(compactSkill(skill.name), skill.id);
+  });
+  byId.forEach(skill => {
+    skill.aliases.forEach(alias => {
+      if (!lookup.has(compactSkill(alias))) {
+        lookup.set(compactSkill(alias), skill.id);
+      }
+    });
+  });
+
+  /**
+   * Resolve a raw skill name to its canonical id
+   * @param {String} skill - Raw skill name
+   * @returns {String|null} - Canonical id, or null if the skill is unknown
+   */
+  const normalize = (skill) => lookup.get(compactSkill(skill)) || null;
+
+  /**
+   * Get all ancestors of a skill with their distance
+   * @param {String} id - Canonical skill id
+   * @returns {Map} - Ancestor id -> number of hierarchy steps
+   */
+  const getAncestors = (id) => {
+    const distances = new Map();
+    const queue = [[id, 0]];
+
+    while (queue.length > 0) {
+      const [current, distance] = queue.shift();
+      const skill = byId.get(current);
+      if (!skill) continue;
+
+      skill.parents.forEach(parent => {
+        if (!distances.has(parent) && parent !== id) {
+          distances.set(parent, distance + 1);
+          queue.push([parent, distance + 1]);
+        }
+      });
+    }
+
+    return distances;
+  };
+
+  /**
+   * Partial credit for a candidate skill against a required skill.
+   * A more specific skill (Next.js for React) keeps RELATEDNESS_DECAY per step,
+   * a more general one (JavaScript for React) gets half of that, and siblings
+   * are credited through their closest common ancestor.
+   * @param {String} candidateSkill - Skill the candidate has (raw or canonical)
+   * @param {String} requiredSkill - Skill the job asks for (raw or canonical)
+   * @returns {Number} - Relatedness between 0 and 1
+   */
+  const relatedness = (candidateSkill, requiredSkill) => {
+    const a = normalize(candidateSkill);
+    const b = normalize(requiredSkill);
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const ancestorsOfA = getAncestors(a);
+    const ancestorsOfB = getAncestors(b);
+
+    if (ancestorsOfA.has(b)) {
+      return Math.pow(RELATEDNESS_DECAY, ancestorsOfA.get(b));
+    }
+    if (ancestorsOfB.has(a)) {
+      return Math.pow(RELATEDNESS_DECAY, ancestorsOfB.get(a)) / 2;
+    }
+
+    // Closest common ancestor
+    let best = 0;
+    ancestorsOfA.forEach((distanceA, ancestor) => {
+      if (ancestorsOfB.has(ancestor)) {
+        best = Math.max(best, Math.pow(RELATEDNESS_DECAY, distanceA + ancestorsOfB.get(ancestor)));
+      }
+    });
+    return best;
+  };
+
+  return {
+    normalize,
+    getAncestors,
+    relatedness,
+    getSkill: (id) => byId.get(id),
+    getSkills: () => [...byId.values()]
+  };
+};
+
+const defaultOntology = createSkillOntology(DEFAULT_SKILLS);
+
+// Cached ontology including custom skills stored in the database
+let cachedOntology = null;
+
+/**
+ * Load the ontology with custom skills from the database merged over the defaults
+ * @returns {Promise<Object>} - Skill ontology
+ */
+const loadSkillOntology = async () => {
+  if (cachedOntology) return cachedOntology;
+
+  const customSkills = await Skill.find().lean();
+  const merged = new Map(DEFAULT_SKILLS.map(skill => [skill.id, skill]));
+  customSkills.forEach(skill => {
+    merged.set(skill.skillId, {
+      id: skill.skillId,
+      name: skill.name,
+      aliases: skill.aliases,
+      parents: skill.parents
+    });
+  });
+
+  cachedOntology = createSkillOntology([...merged.values()]);
+  return cachedOntology;
+};
+
+/**
+ * Drop the cached ontology so the next load picks up database changes
+ */
+const invalidateSkillOntology = () => {
+  cachedOntology = null;
+};
+
+module.exports = {
+  DEFAULT_SKILLS,
+  compactSkill,
+  createSkillOntology,
+  defaultOntology,
+  loadSkillOntology,
+  invalidateSkillOntology
+};
@@ -0,0 +1,362 @@
+/**
+ * Interview and candidate stage synchronisation
+ * The interview is the source of truth for a stage's results (completion, dimension scores,
+ * rubric ratings and notes); the candidate's stage holds a copy of them next to the scores
+ * computed from them. Every results write goes to the interview, bumps the stage's revision and
+ * is then copied to the candidate, so the two cannot drift apart. Writes that name an outdated
+ * revision, target a cancelled interview or a stage whose results another interview holds, or
+ * overwrite a scorecard consensus are rejected.
+ */
+const Interview = require('../models/Interview');
+const Candidate = require('../models/Candidate');
+
+// Stage results recorded on the interview and copied to the candidate
+const SYNCED_FIELDS = ['completed', 'dimensions', 'ratings', 'rubricVersion', 'notes'];
+// Candidate stage fields computed from the results; cleared when the results are withdrawn
+const DERIVED_FIELDS = ['score', 'confidence', 'disagreement', 'reliability', 'calibration'];
+
+class StageSyncError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'StageSyncError';
+    this.code = code;
+    this.statusCode = 409;
+    this.details = details;
+  }
+}
+
+const toObject = (map) => (map instanceof Map ? Object.fromEntries(map) : { ...(map || {}) });
+
+/**
+ * Whether a stage has any results recorded
+ * @param {Object} stageData - Interview or candidate stage
+ * @returns {Boolean} - Completed, or has dimension scores or scorecards
+ */
+const hasResults = (stageData) => Boolean(stageData && (
+  stageData.completed ||
+  Object.keys(toObject(stageData.dimensions)).length > 0 ||
+  (stageData.scorecards && stageData.scorecards.length > 0)
+));
+
+/**
+ * Stage results as they should appear on the candidate
+ * @param {Object} stageData - Interview or candidate stage
+ * @returns {Object} - { completed, dimensions, ratings, rubricVersion, notes }
+ */
+const projectStage = (stageData) => ({
+  completed: Boolean(stageData && stageData.completed),
+  dimensions: toObject(stageData && stageData.dimensions),
+  ratings: toObject(stageData && stageData.ratings),
+  rubricVersion: stageData && stageData.rubricVersion !== undefined ? stageData.rubricVersion : null,
+  notes: (stageData && stageData.notes) || null
+});
+
+/**
+ * Fields whose values differ between the candidate's stage and the interview's
+ * @param {Object} candidateStage - Candidate stage (may be undefined)
+ * @param {Object} interviewStage - Interview stage (may be undefined)
+ * @returns {Array} - Differences { field, candidate, interview }
+ */
+const diffStage = (candidateStage, interviewStage) => {
+  const fromCandidate = projectStage(candidateStage);
+  const fromInterview = projectStage(interviewStage);
+  return SYNCED_FIELDS
+    .filter(field => JSON.stringify(fromCandidate[field]) !== JSON.stringify(fromInterview[field]))
+    .map(field => ({ field, candidate: fromCandidate[field], interview: fromInterview[field] }));
+};
+
+/**
+ * The interview that holds a candidate's results for a stage
+ * That is the most recent interview that is not cancelled and has results for the stage, else
+ * the most recent one that is not cancelled.
+ * @param {String} candidateId - Candidate ID
+ * @param {String} stage - Stage key
+ * @returns {Promise<Object|null>} - Interview document
+ */
+const findStageInterview = async (candidateId, stage) => {
+  const interviews = await Interview.find({ candidateId, status: { $ne: 'cancelled' } }).sort({ scheduledDate: -1, createdAt: -1 });
+  return interviews.find(interview => hasResults(interview.stages.get(stage))) ||
+    interviews.find(interview => interview.stages.has(stage)) ||
+    null;
+};
+
+/**
+ * Updates that make the candidate's stage a copy of an interview stage
+ * @param {String} stage - Stage key
+ * @param {Object} interview - Interview the results come from
+ * @param {Object} stageData - Interview stage
+ * @returns {Object} - { $set, $unset }
+ */
+const copyUpdates = (stage, interview, stageData) => {
+  const projected = projectStage(stageData);
+  const $set = {
+    [`stages.${stage}.completed`]: projected.completed,
+    [`stages.${stage}.dimensions`]: projected.dimensions,
+    [`stages.${stage}.ratings`]: projected.ratings,
+    [`stages.${stage}.revision`]: stageData.revision || 0,
+    [`stages.${stage}.syncedFrom`]: { interviewId: interview._id, revision: stageData.revision || 0, syncedAt: new Date() }
+  };
+  const $unset = {};
+  ['rubricVersion', 'notes'].forEach(field => {
+    if (projected[field] !== null) {
+      $set[`stages.${stage}.${field}`] = projected[field];
+    } else {
+      $unset[`stages.${stage}.${field}`] = '';
+    }
+  });
+  return { $set, $unset };
+};
+
+/**
+ * Updates that withdraw a candidate's stage results and the scores computed from them
+ * @param {String} stage - Stage key
+ * @returns {Object} - { $set, $unset }
+ */
+const withdrawUpdates = (stage) => ({
+  $set: { [`stages.${stage}.completed`]: false },
+  $unset: Object.fromEntries([
+    ...SYNCED_FIELDS.filter(field => field !== 'completed').map(field => `stages.${stage}.${field}`),
+    ...DERIVED_FIELDS.map(field => `stages.${stage}.${field}`),
+    `stages.${stage}.syncedFrom`,
+    `stages.${stage}.revision`,
+    `scoreBreakdown.stages.${stage}`
+  ].map(path => [path, '']))
+});
+
+/**
+ * Copy a stage's results from the interview that holds them to the candidate
+ * When no interview holds results for the stage any more (it was cancelled or cleared), results
+ * that came from an interview are withdrawn; results recorded only on the candidate are kept.
+ * @param {String} candidateId - Candidate ID
+ * @param {String} stage - Stage key
+ * @returns {Promise<Object|null>} - Updated candidate
+ */
+const syncCandidateStage = async (candidateId, stage) => {
+  const candidate = await Candidate.findById(candidateId);
+  if (!candidate) return null;
+
+  const interview = await findStageInterview(candidateId, stage);
+  const stageData = interview && interview.stages.get(stage);
+  if (stageData && hasResults(stageData)) {
+    return Candidate.findByIdAndUpdate(candidateId, copyUpdates(stage, interview, stageData), { new: true });
+  }
+
+  const candidateStage = candidate.stages.get(stage);
+  if (candidateStage && candidateStage.syncedFrom && candidateStage.syncedFrom.interviewId) {
+    return Candidate.findByIdAndUpdate(candidateId, withdrawUpdates(stage), { new: true });
+  }
+  return candidate;
+};
+
+/**
+ * Copy every stage of an interview to its candidate (after it was cancelled or re-opened)
+ * @param {Object} interview - Interview document
+ * @returns {Promise<Object|null>} - Updated candidate
+ */
+const syncInterview = async (interview) => {
+  let candidate = null;
+  for (const stage of interview.stages.keys()) {
+    candidate = await syncCandidateStage(interview.candidateId, stage);
+  }
+  return candidate;
+};
+
+/**
+ * Cancel an interview
+ * Booked slots are withdrawn from the calendar feeds with a new revision, and the interview's
+ * results are withdrawn from the candidate (or taken from another interview).
+ * @param {Object} interview - Interview document
+ * @param {String} reason - Why the interview is cancelled (optional)
+ * @returns {Promise<Object>} - Cancelled interview
+ */
+const cancelInterview = async (interview, reason) => {
+  interview.status = 'cancelled';
+  if (reason) {
+    interview.cancelReason = reason;
+  }
+
+  interview.stages.forEach(stageData => {
+    if (stageData.scheduled && stageData.date && !stageData.completed) {
+      stageData.sequence = (stageData.sequence || 0) + 1;
+    }
+  });
+
+  await interview.save();
+  await syncInterview(interview);
+  return interview;
+};
+
+/**
+ * Check that results may be written to an interview stage
+ * @param {Object} interview - Interview document
+ * @param {String} stage - Stage key
+ * @param {Object} options - Write options
+ * @param {Number} options.expectedRevision - Revision the writer last read (optional)
+ * @param {Boolean} options.scores - Whether the write sets dimension scores or ratings
+ * @throws {StageSyncError} - When the write conflicts with the stored results
+ */
+const assertWritable = async (interview, stage, { expectedRevision, scores = false } = {}) => {
+  if (interview.status === 'cancelled') {
+    throw new StageSyncError('Interview is cancelled; re-open it before recording results', 'INTERVIEW_CANCELLED');
+  }
+
+  const stageData = interview.stages.get(stage);
+  const revision = (stageData && stageData.revision) || 0;
+  if (expectedRevision !== undefined && Number(expectedRevision) !== revision) {
+    throw new StageSyncError('Stage results were changed since they were read', 'REVISION_CONFLICT', { expectedRevision, revision });
+  }
+
+  if (scores && stageData && stageData.scorecards && stageData.scorecards.length > 0) {
+    throw new StageSyncError('Stage is scored from interviewer scorecards; submit a scorecard instead', 'SCORECARD_OWNED', {
+      interviewers: stageData.scorecards.map(card => card.interviewer)
+    });
+  }
+
+  const holder = await findStageInterview(interview.candidateId, stage);
+  if (holder && String(holder._id) !== String(interview._id) && hasResults(holder.stages.get(stage))) {
+    throw new StageSyncError('Another interview already holds results for this stage', 'STAGE_HELD_ELSEWHERE', { interviewId: holder._id });
+  }
+};
+
+/**
+ * Updates that copy results recorded only on the candidate into an interview stage
+ * @param {String} stage - Stage key
+ * @param {Object} candidateStage - Candidate stage
+ * @returns {Object} - $set with one path per field, dimension and rating
+ */
+const adoptUpdates = (stage, candidateStage) => {
+  const projected = projectStage(candidateStage);
+  const $set = { [`stages.${stage}.completed`]: projected.completed };
+  Object.entries(projected.dimensions).forEach(([dimension, value]) => {
+    $set[`stages.${stage}.dimensions.${dimension}`] = value;
+  });
+  Object.entries(projected.ratings).forEach(([dimension, rating]) => {
+    $set[`stages.${stage}.ratings.${dimension}`] = rating;
+  });
+  if (projected.rubricVersion !== null) $set[`stages.${stage}.rubricVersion`] = projected.rubricVersion;
+  if (projected.notes !== null) $set[`stages.${stage}.notes`] = projected.notes;
+  return $set;
+};
+
+/**
+ * Write results to an interview stage and copy them to the candidate
+ * The write only applies if the stage is still at the revision it was checked at. If the
+ * interview has no results for the stage yet but the candidate has results recorded only on
+ * the candidate, those are adopted into the interview first so the copy does not drop them.
+ * @param {Object} interview - Interview document (as read before the write)
+ * @param {String} stage - Stage key
+ * @param {Object} changes - { $set, $unset } with full paths (stages.<stage>.<field>)
+ * @returns {Promise<Object>} - { interview, candidate } after the write
+ * @throws {StageSyncError} - When the stage was changed in between
+ */
+const writeInterviewStage = async (interview, stage, { $set = {}, $unset = {} }) => {
+  const stageData = interview.stages.get(stage);
+  const revision = (stageData && stageData.revision) || 0;
+  const path = `stages.${stage}.revision`;
+
+  let adopted = {};
+  if (!hasResults(stageData)) {
+    const candidate = await Candidate.findById(interview.candidateId);
+    const candidateStage = candidate && candidate.stages.get(stage);
+    if (hasResults(candidateStage) && !(candidateStage.syncedFrom && candidateStage.syncedFrom.interviewId)) {
+      adopted = Object.fromEntries(Object.entries(adoptUpdates(stage, candidateStage))
+        .filter(([key]) => !(key in $set) && !(key in $unset)));
+    }
+  }
+
+  const updated = await Interview.findOneAndUpdate(
+    { _id: interview._id, [path]: revision > 0 ? revision : { $in: [0, null] } },
+    {
+      $set: { ...adopted, ...$set, [path]: revision + 1 },
+      ...(Object.keys($unset).length > 0 ? { $unset } : {})
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new StageSyncError('Stage results were changed by another request', 'REVISION_CONFLICT', { revision });
+  }
+
+  const candidate = await syncCandidateStage(interview.candidateId, stage);
+  return { interview: updated, candidate };
+};
+
+/**
+ * Compare candidates' stages with the interviews that hold them, optionally repairing the drift
+ * - mismatch: the candidate's copy differs from the interview; repaired by copying the interview
+ * - stale: the candidate still has results from an interview that no longer holds them; repaired by withdrawing them
+ * - unlinked: results were recorded only on the candidate although an interview exists; repaired by
+ *   adopting them into the interview
+ * - candidate-only: results recorded only on the candidate and no interview to hold them; reported only
+ * @param {Array} candidates - Candidate documents
+ * @param {Function} stagesOf - Returns the pipeline stage keys of a candidate
+ * @param {Boolean} repair - Whether to repair the drift
+ * @returns {Promise<Object>} - { checked, drifted, repaired, issues }
+ */
+const reconcileCandidates = async (candidates, stagesOf, repair = false) => {
+  const issues = [];
+  let checked = 0;
+
+  for (const candidate of candidates) {
+    for (const stage of stagesOf(candidate)) {
+      checked += 1;
+      const candidateStage = candidate.stages.get(stage);
+      const interview = await findStageInterview(candidate._id, stage);
+      const stageData = interview && interview.stages.get(stage);
+      const synced = Boolean(candidateStage && candidateStage.syncedFrom && candidateStage.syncedFrom.interviewId);
+
+      let kind = null;
+      let differences = [];
+      if (stageData && hasResults(stageData)) {
+        differences = diffStage(candidateStage, stageData);
+        if (differences.length > 0) kind = 'mismatch';
+      } else if (hasResults(candidateStage)) {
+        differences = diffStage(candidateStage, stageData);
+        if (synced) kind = 'stale';
+        else if (interview) kind = 'unlinked';
+        else kind = 'candidate-only';
+      }
+      if (!kind) continue;
+
+      const issue = {
+        candidateId: candidate._id,
+        name: `${candidate.firstName} ${candidate.lastName}`,
+        stage,
+        kind,
+        interviewId: interview ? interview._id : null,
+        differences,
+        repaired: false
+      };
+
+      if (repair && kind === 'unlinked') {
+        await writeInterviewStage(interview, stage, { $set: adoptUpdates(stage, candidateStage) });
+        issue.repaired = true;
+      } else if (repair && (kind === 'mismatch' || kind === 'stale')) {
+        await syncCandidateStage(candidate._id, stage);
+        issue.repaired = true;
+      }
+      issues.push(issue);
+    }
+  }
+
+  return {
+    checked,
+    drifted: issues.length,
+    repaired: issues.filter(issue => issue.repaired).length,
+    issues
+  };
+};
+
+module.exports = {
+  SYNCED_FIELDS,
+  StageSyncError,
+  hasResults,
+  projectStage,
+  diffStage,
+  findStageInterview,
+  syncCandidateStage,
+  syncInterview,
+  cancelInterview,
+  assertWritable,
+  writeInterviewStage,
+  reconcileCandidates
+};
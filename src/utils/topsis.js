@@ -0,0 +1,144 @@
+/**
+ * TOPSIS and fuzzy TOPSIS
+ * Rank alternatives (candidates) by their closeness to the positive ideal and distance from
+ * the negative ideal, both taken from the applicant pool. All criteria are benefit criteria.
+ */
+
+/**
+ * Convert a crisp score to a triangular fuzzy number whose spread widens as confidence drops
+ * @param {Number} value - Crisp score between 0 and 1
+ * @param {Number} confidence - Confidence in the score between 0 and 1
+ * @param {Number} spread - Spread at full confidence
+ * @returns {Array} - Triangular fuzzy number [l, m, u]
+ */
+const toTriangularFuzzyNumber = (value, confidence = 1.0, spread = 0.1) => {
+  const width = spread * (2 - confidence);
+  return [Math.max(0, value - width), value, Math.min(1, value + width)];
+};
+
+/**
+ * Vertex distance between two triangular fuzzy numbers
+ * @param {Array} a - Triangular fuzzy number [l, m, u]
+ * @param {Array} b - Triangular fuzzy number [l, m, u]
+ * @returns {Number} - Distance
+ */
+const fuzzyDistance = (a, b) => Math.sqrt(
+  (Math.pow(a[0] - b[0], 2) + Math.pow(a[1] - b[1], 2) + Math.pow(a[2] - b[2], 2)) / 3
+);
+
+/**
+ * Closeness coefficient from the distances to both ideals
+ * @param {Number} distanceToIdeal - Distance to the positive ideal
+ * @param {Number} distanceToAntiIdeal - Distance to the negative ideal
+ * @returns {Number} - Closeness between 0 and 1
+ */
+const closenessCoefficient = (distanceToIdeal, distanceToAntiIdeal) => {
+  const total = distanceToIdeal + distanceToAntiIdeal;
+  // Every alternative is identical, so each one is the ideal
+  return total > 0 ? distanceToAntiIdeal / total : 1;
+};
+
+/**
+ * Crisp TOPSIS with vector normalisation
+ * @param {Array} alternatives - Items with `values` (criterion -> score)
+ * @param {Object} weights - Criterion weights
+ * @returns {Object} - Per-alternative closeness and distances, and the ideal and anti-ideal solutions
+ */
+const applyTOPSIS = (alternatives, weights) => {
+  const criteria = Object.keys(weights);
+
+  // Weighted normalised decision matrix
+  const norms = {};
+  criteria.forEach(criterion => {
+    norms[criterion] = Math.sqrt(alternatives.reduce((sum, alt) => sum + Math.pow(alt.values[criterion] || 0, 2), 0));
+  });
+  const weighted = alternatives.map(alt => {
+    const values = {};
+    criteria.forEach(criterion => {
+      values[criterion] = norms[criterion] > 0 ? weights[criterion] * (alt.values[criterion] || 0) / norms[criterion] : 0;
+    });
+    return values;
+  });
+
+  const ideal = {};
+  const antiIdeal = {};
+  criteria.forEach(criterion => {
+    const column = weighted.map(values => values[criterion]);
+    ideal[criterion] = Math.max(...column);
+    antiIdeal[criterion] = Math.min(...column);
+  });
+
+  const results = weighted.map(values => {
+    const distanceToIdeal = Math.sqrt(criteria.reduce((sum, c) => sum + Math.pow(values[c] - ideal[c], 2), 0));
+    const distanceToAntiIdeal = Math.sqrt(criteria.reduce((sum, c) => sum + Math.pow(values[c] - antiIdeal[c], 2), 0));
+    return {
+      closeness: closenessCoefficient(distanceToIdeal, distanceToAntiIdeal),
+      distanceToIdeal,
+      distanceToAntiIdeal,
+      weightedValues: values
+    };
+  });
+
+  return { results, ideal, antiIdeal };
+};
+
+/**
+ * Fuzzy TOPSIS (Chen) with triangular fuzzy numbers
+ * Scores become triangular fuzzy numbers whose spread grows as confidence drops; the fuzzy
+ * positive and negative ideals are the element-wise maximum and minimum over the pool.
+ * @param {Array} alternatives - Items with `values` (criterion -> score) and optional `confidences`
+ * @param {Object} weights - Criterion weights
+ * @param {Object} options - Fuzzy options
+ * @param {Number} options.spread - Spread of a fully confident score
+ * @returns {Object} - Per-alternative closeness and distances, and the fuzzy ideal and anti-ideal solutions
+ */
+const applyFuzzyTOPSIS = (alternatives, weights, options = {}) => {
+  const { spread = 0.1 } = options;
+  const criteria = Object.keys(weights);
+
+  const fuzzyValues = alternatives.map(alt => {
+    const values = {};
+    criteria.forEach(criterion => {
+      const confidence = alt.confidences && alt.confidences[criterion] !== undefined ? alt.confidences[criterion] : 1.0;
+      values[criterion] = toTriangularFuzzyNumber(alt.values[criterion] || 0, confidence, spread);
+    });
+    return values;
+  });
+
+  // Linear normalisation by the largest upper bound, then weighting
+  const weighted = fuzzyValues.map(values => {
+    const result = {};
+    criteria.forEach(criterion => {
+      const maxUpper = Math.max(...fuzzyValues.map(v => v[criterion][2]));
+      result[criterion] = values[criterion].map(x => maxUpper > 0 ? weights[criterion] * x / maxUpper : 0);
+    });
+    return result;
+  });
+
+  const ideal = {};
+  const antiIdeal = {};
+  criteria.forEach(criterion => {
+    ideal[criterion] = [0, 1, 2].map(k => Math.max(...weighted.map(values => values[criterion][k])));
+    antiIdeal[criterion] = [0, 1, 2].map(k => Math.min(...weighted.map(values => values[criterion][k])));
+  });
+
+  const results = weighted.map(values => {
+    const distanceToIdeal = criteria.reduce((sum, c) => sum + fuzzyDistance(values[c], ideal[c]), 0);
+    const distanceToAntiIdeal = criteria.reduce((sum, c) => sum + fuzzyDistance(values[c], antiIdeal[c]), 0);
+    return {
+      closeness: closenessCoefficient(distanceToIdeal, distanceToAntiIdeal),
+      distanceToIdeal,
+      distanceToAntiIdeal,
+      weightedValues: values
+    };
+  });
+
+  return { results, ideal, antiIdeal };
+};
+
+module.exports = {
+  toTriangularFuzzyNumber,
+  fuzzyDistance,
+  applyTOPSIS,
+  applyFuzzyTOPSIS
+};